@@ -53,19 +53,53 @@ interface IBaseAggregator {
     ) external returns (uint256[] memory amounts);
 }
 
+interface IBalancerVault {
+    function flashLoan(
+        address recipient,
+        IERC20[] memory tokens,
+        uint256[] memory amounts,
+        bytes memory userData
+    ) external;
+}
+
+interface IUniswapV3Pool {
+    function token0() external view returns (address);
+    
+    function flash(
+        address recipient,
+        uint256 amount0,
+        uint256 amount1,
+        bytes calldata data
+    ) external;
+}
+
+interface IMorpho {
+    function flashLoan(address token, uint256 assets, bytes calldata data) external;
+}
+
 contract BaseAlphaArb is FlashLoanSimpleReceiverBase, Ownable, Pausable, ReentrancyGuard {
     using SafeERC20 for IERC20;
     
-    // Base Chain Aave V3 Addresses
-    IPoolAddressesProvider public constant ADDRESSES_PROVIDER = 
-        IPoolAddressesProvider(0xe20fCBdBfFC4Dd138cE8b2E6FBb6CB49777ad64D);
+    // Base Chain Aave V3 Addresses; FlashLoanSimpleReceiverBase exposes it as ADDRESSES_PROVIDER
+    address public constant AAVE_ADDRESSES_PROVIDER = 0xe20fCBdBfFC4Dd138cE8b2E6FBb6CB49777ad64D;
     
     // Base Chain Aggregators
     address public constant ODOS_AGGREGATOR = 0x19cEeAd7105607Cd444F5ad10dd51356436095a1;
     address public constant ONE_INCH_AGGREGATOR = 0x1111111254EEB25477B68fb85Ed929f73A960582;
     address public constant AERODROME_ROUTER = 0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43;
     address public constant PANCAKESWAP_ROUTER = 0x678Aa4bF4E210cf2166753e054d5b7c31cc7fa86;
-    address public constant UNISWAP_V3_ROUTER = 0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24;
+    address public constant UNISWAP_V3_ROUTER = 0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24;
+    
+    // Alternative flash loan sources
+    address public constant BALANCER_VAULT = 0xBA12222222228d8Ba445958a75a0704d566BF2C8;
+    address public constant MORPHO_BLUE = 0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb;
+    
+    enum FlashLoanProvider {
+        Aave,
+        Balancer,
+        UniswapV3,
+        Morpho
+    }
     
     // Base Tokens
     address public constant WETH = 0x4200000000000000000000000000000000000006;
@@ -111,9 +145,11 @@ contract BaseAlphaArb is FlashLoanSimpleReceiverBase, Ownable, Pausable, Reentra
     // Custom aggregator mappings for upgradability
     mapping(string => address) public aggregators;
     
+    // Lender we are waiting on a callback from; Balancer, Uniswap and Morpho let anyone name us as recipient
+    address private expectedLender;
+    
     constructor()
-        FlashLoanSimpleReceiverBase(ADDRESSES_PROVIDER)
-        Ownable(msg.sender)
+        FlashLoanSimpleReceiverBase(IPoolAddressesProvider(AAVE_ADDRESSES_PROVIDER))
     {
         // Initialize aggregators
         aggregators["odos"] = ODOS_AGGREGATOR;
@@ -168,6 +204,78 @@ contract BaseAlphaArb is FlashLoanSimpleReceiverBase, Ownable, Pausable, Reentra
         return true;
     }
     
+    // Borrows the path's start token from the given provider. For Uniswap V3, lender is the pool to
+    // borrow from (it must not be one the path swaps through); it is ignored for the other providers.
+    function executeArbitrageWithProvider(
+        ArbitragePath calldata path,
+        uint256 flashLoanAmount,
+        FlashLoanProvider provider,
+        address lender
+    ) external onlyOwner whenNotPaused nonReentrant returns (bool) {
+        require(path.hops.length > 0, "Invalid path length");
+        require(flashLoanAmount > 0, "Invalid flash loan amount");
+        require(path.deadline > block.timestamp, "Deadline expired");
+        
+        address flashLoanToken = path.hops[0].fromToken;
+        
+        if (provider == FlashLoanProvider.Aave) {
+            POOL.flashLoanSimple(address(this), flashLoanToken, flashLoanAmount, abi.encode(path), 0);
+        } else if (provider == FlashLoanProvider.Balancer) {
+            IERC20[] memory tokens = new IERC20[](1);
+            tokens[0] = IERC20(flashLoanToken);
+            uint256[] memory amounts = new uint256[](1);
+            amounts[0] = flashLoanAmount;
+            
+            expectedLender = BALANCER_VAULT;
+            IBalancerVault(BALANCER_VAULT).flashLoan(address(this), tokens, amounts, abi.encode(path));
+        } else if (provider == FlashLoanProvider.UniswapV3) {
+            require(lender != address(0), "Invalid flash loan pool");
+            bool isToken0 = IUniswapV3Pool(lender).token0() == flashLoanToken;
+            
+            expectedLender = lender;
+            IUniswapV3Pool(lender).flash(
+                address(this),
+                isToken0 ? flashLoanAmount : 0,
+                isToken0 ? 0 : flashLoanAmount,
+                abi.encode(path, flashLoanAmount, isToken0)
+            );
+        } else {
+            expectedLender = MORPHO_BLUE;
+            IMorpho(MORPHO_BLUE).flashLoan(flashLoanToken, flashLoanAmount, abi.encode(path));
+        }
+        
+        expectedLender = address(0);
+        
+        return true;
+    }
+    
+    // Borrows several assets in one Aave flashLoan for paths whose hops need more than one funding token.
+    // assets[0] must be the token the path's profit is measured in.
+    function executeMultiAssetArbitrage(
+        ArbitragePath calldata path,
+        address[] calldata assets,
+        uint256[] calldata amounts
+    ) external onlyOwner whenNotPaused nonReentrant returns (bool) {
+        require(path.hops.length > 0, "Invalid path length");
+        require(assets.length > 0 && assets.length == amounts.length, "Invalid flash loan assets");
+        require(path.deadline > block.timestamp, "Deadline expired");
+        
+        // Mode 0: no debt position is opened, everything is repaid within the transaction
+        uint256[] memory modes = new uint256[](assets.length);
+        
+        POOL.flashLoan(
+            address(this),
+            assets,
+            amounts,
+            modes,
+            address(this),
+            abi.encode(path),
+            0
+        );
+        
+        return true;
+    }
+    
     function executeOperation(
         address asset,
         uint256 amount,
@@ -176,16 +284,114 @@ contract BaseAlphaArb is FlashLoanSimpleReceiverBase, Ownable, Pausable, Reentra
         bytes calldata params
     ) external override returns (bool) {
         require(msg.sender == address(POOL), "Invalid caller");
-        require(initiator == owner(), "Invalid initiator");
+        require(initiator == address(this), "Invalid initiator");
         require(!paused(), "Contract paused");
         
         ArbitragePath memory path = abi.decode(params, (ArbitragePath));
         
         require(path.hops[0].fromToken == asset, "Token mismatch");
-        require(path.deadline >= block.timestamp, "Arbitrage deadline expired");
         
-        // Store initial balance for profit calculation
-        uint256 initialBalance = IERC20(asset).balanceOf(address(this));
+        _completeArbitrage(path, amount, premium, true);
+        
+        return true;
+    }
+    
+    // Balancer Vault callback; the vault expects repayment to be transferred back before returning
+    function receiveFlashLoan(
+        IERC20[] calldata tokens,
+        uint256[] calldata amounts,
+        uint256[] calldata feeAmounts,
+        bytes calldata userData
+    ) external {
+        require(msg.sender == BALANCER_VAULT && expectedLender == BALANCER_VAULT, "Invalid caller");
+        
+        ArbitragePath memory path = abi.decode(userData, (ArbitragePath));
+        
+        require(address(tokens[0]) == path.hops[0].fromToken, "Token mismatch");
+        
+        _completeArbitrage(path, amounts[0], feeAmounts[0], false);
+    }
+    
+    // Uniswap V3 pool flash callback; the fee is the pool's swap fee on the borrowed side
+    function uniswapV3FlashCallback(uint256 fee0, uint256 fee1, bytes calldata data) external {
+        require(msg.sender == expectedLender && expectedLender != address(0), "Invalid caller");
+        
+        (ArbitragePath memory path, uint256 amount, bool isToken0) = abi.decode(data, (ArbitragePath, uint256, bool));
+        
+        _completeArbitrage(path, amount, isToken0 ? fee0 : fee1, false);
+    }
+    
+    // Morpho Blue callback; flash loans are free and Morpho pulls repayment after this returns
+    function onMorphoFlashLoan(uint256 assets, bytes calldata data) external {
+        require(msg.sender == MORPHO_BLUE && expectedLender == MORPHO_BLUE, "Invalid caller");
+        
+        ArbitragePath memory path = abi.decode(data, (ArbitragePath));
+        
+        _completeArbitrage(path, assets, 0, true);
+    }
+    
+    // Runs the hops, repays the lender (msg.sender) and enforces the profit floor
+    function _completeArbitrage(
+        ArbitragePath memory path,
+        uint256 amount,
+        uint256 fee,
+        bool lenderPulls
+    ) internal {
+        address asset = path.hops[0].fromToken;
+        
+        _executeHops(path);
+        
+        uint256 profit = _settleFlashLoan(asset, amount + fee, msg.sender, lenderPulls);
+        require(profit >= path.minProfit, "Profit below minimum threshold");
+        
+        emit ArbitrageExecuted(
+            msg.sender,
+            asset,
+            amount,
+            profit,
+            block.timestamp
+        );
+    }
+    
+    // Multi-asset callback (IFlashLoanReceiver)
+    function executeOperation(
+        address[] calldata assets,
+        uint256[] calldata amounts,
+        uint256[] calldata premiums,
+        address initiator,
+        bytes calldata params
+    ) external returns (bool) {
+        require(msg.sender == address(POOL), "Invalid caller");
+        require(initiator == address(this), "Invalid initiator");
+        require(!paused(), "Contract paused");
+        
+        ArbitragePath memory path = abi.decode(params, (ArbitragePath));
+        
+        require(path.hops[0].fromToken == assets[0], "Token mismatch");
+        
+        _executeHops(path);
+        
+        // Every borrowed asset must be covered; profit is measured in the first one
+        uint256 profit = _settleFlashLoan(assets[0], amounts[0] + premiums[0], address(POOL), true);
+        for (uint256 i = 1; i < assets.length; i++) {
+            _settleFlashLoan(assets[i], amounts[i] + premiums[i], address(POOL), true);
+        }
+        
+        require(profit >= path.minProfit, "Profit below minimum threshold");
+        
+        emit ArbitrageExecuted(
+            msg.sender,
+            assets[0],
+            amounts[0],
+            profit,
+            block.timestamp
+        );
+        
+        return true;
+    }
+    
+    function _executeHops(ArbitragePath memory path) internal {
+        require(path.deadline >= block.timestamp, "Arbitrage deadline expired");
         
         // Execute each swap in the path
         for (uint256 i = 0; i < path.hops.length; i++) {
@@ -219,33 +425,31 @@ contract BaseAlphaArb is FlashLoanSimpleReceiverBase, Ownable, Pausable, Reentra
                 IERC20(hop.fromToken).safeApprove(hop.aggregator, 0);
             }
         }
-        
-        // Calculate final profit
+    }
+    
+    // Repays the lender and sends anything left over to the owner. Aave and Morpho pull repayment with
+    // transferFrom once the callback returns; Balancer and Uniswap V3 expect it transferred in.
+    function _settleFlashLoan(
+        address asset,
+        uint256 totalDebt,
+        address lender,
+        bool lenderPulls
+    ) internal returns (uint256 profit) {
         uint256 finalBalance = IERC20(asset).balanceOf(address(this));
-        uint256 totalDebt = amount + premium;
         
         require(finalBalance >= totalDebt, "Insufficient funds to repay flash loan");
         
-        uint256 profit = finalBalance - totalDebt;
-        require(profit >= path.minProfit, "Profit below minimum threshold");
+        profit = finalBalance - totalDebt;
         
-        // Repay flash loan
-        IERC20(asset).safeTransfer(address(POOL), totalDebt);
+        if (lenderPulls) {
+            IERC20(asset).safeIncreaseAllowance(lender, totalDebt);
+        } else {
+            IERC20(asset).safeTransfer(lender, totalDebt);
+        }
         
-        // Transfer profit to owner if any
         if (profit > 0) {
             IERC20(asset).safeTransfer(owner(), profit);
         }
-        
-        emit ArbitrageExecuted(
-            msg.sender,
-            asset,
-            amount,
-            profit,
-            block.timestamp
-        );
-        
-        return true;
     }
     
     function _executeOdosSwap(ArbitrageHop memory hop) internal {
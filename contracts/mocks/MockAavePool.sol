@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "@aave/core-v3/contracts/flashloan/interfaces/IFlashLoanSimpleReceiver.sol";
+import "@aave/core-v3/contracts/flashloan/interfaces/IFlashLoanReceiver.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+// Stand-in for the Base Aave V3 pool: lends from its own balance and pulls back amount plus premium
+contract MockAavePool {
+    uint256 public constant PREMIUM_BPS = 9;
+    
+    function flashLoanSimple(
+        address receiverAddress,
+        address asset,
+        uint256 amount,
+        bytes calldata params,
+        uint16
+    ) external {
+        uint256 premium = (amount * PREMIUM_BPS) / 10000;
+        
+        IERC20(asset).transfer(receiverAddress, amount);
+        require(
+            IFlashLoanSimpleReceiver(receiverAddress).executeOperation(asset, amount, premium, msg.sender, params),
+            "Flash loan callback failed"
+        );
+        IERC20(asset).transferFrom(receiverAddress, address(this), amount + premium);
+    }
+    
+    // Mode 0 only: every asset is pulled back with its premium, nothing is left as debt
+    function flashLoan(
+        address receiverAddress,
+        address[] calldata assets,
+        uint256[] calldata amounts,
+        uint256[] calldata interestRateModes,
+        address,
+        bytes calldata params,
+        uint16
+    ) external {
+        uint256[] memory premiums = new uint256[](assets.length);
+        
+        for (uint256 i = 0; i < assets.length; i++) {
+            require(interestRateModes[i] == 0, "Debt modes not supported");
+            premiums[i] = (amounts[i] * PREMIUM_BPS) / 10000;
+            IERC20(assets[i]).transfer(receiverAddress, amounts[i]);
+        }
+        
+        require(
+            IFlashLoanReceiver(receiverAddress).executeOperation(assets, amounts, premiums, msg.sender, params),
+            "Flash loan callback failed"
+        );
+        
+        for (uint256 i = 0; i < assets.length; i++) {
+            IERC20(assets[i]).transferFrom(receiverAddress, address(this), amounts[i] + premiums[i]);
+        }
+    }
+}
+
+// Its code is copied over the Base provider address, so the pool is immutable rather than in storage
+contract MockPoolAddressesProvider {
+    address private immutable pool;
+    
+    constructor(address pool_) {
+        pool = pool_;
+    }
+    
+    function getPool() external view returns (address) {
+        return pool;
+    }
+}
@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+interface IBalancerRecipient {
+    function receiveFlashLoan(
+        IERC20[] calldata tokens,
+        uint256[] calldata amounts,
+        uint256[] calldata feeAmounts,
+        bytes calldata userData
+    ) external;
+}
+
+interface IUniswapV3FlashRecipient {
+    function uniswapV3FlashCallback(uint256 fee0, uint256 fee1, bytes calldata data) external;
+}
+
+interface IMorphoRecipient {
+    function onMorphoFlashLoan(uint256 assets, bytes calldata data) external;
+}
+
+// Stand-in for the Balancer Vault: checks its own balance afterwards, so repayment has to be transferred in.
+// Its code is copied over the Base vault address, so nothing lives in storage.
+contract MockBalancerVault {
+    uint256 public constant FEE_BPS = 5;
+
+    function flashLoan(
+        IBalancerRecipient recipient,
+        IERC20[] memory tokens,
+        uint256[] memory amounts,
+        bytes memory userData
+    ) external {
+        uint256[] memory feeAmounts = new uint256[](tokens.length);
+        uint256[] memory balancesBefore = new uint256[](tokens.length);
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            feeAmounts[i] = (amounts[i] * FEE_BPS) / 10000;
+            balancesBefore[i] = tokens[i].balanceOf(address(this));
+            tokens[i].transfer(address(recipient), amounts[i]);
+        }
+
+        recipient.receiveFlashLoan(tokens, amounts, feeAmounts, userData);
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            require(tokens[i].balanceOf(address(this)) >= balancesBefore[i] + feeAmounts[i], "BAL#602");
+        }
+    }
+}
+
+// Stand-in for a Uniswap V3 pool's flash: the fee is the swap fee in pips, paid by transfer, and the pool
+// is locked until the callback returns
+contract MockUniswapV3Pool {
+    address public immutable token0;
+    address public immutable token1;
+    uint24 public immutable fee;
+    bool private unlocked = true;
+
+    constructor(address token0_, address token1_, uint24 fee_) {
+        token0 = token0_;
+        token1 = token1_;
+        fee = fee_;
+    }
+
+    modifier lock() {
+        require(unlocked, "LOK");
+        unlocked = false;
+        _;
+        unlocked = true;
+    }
+
+    function flash(address recipient, uint256 amount0, uint256 amount1, bytes calldata data) external lock {
+        uint256 fee0 = (amount0 * fee + 1e6 - 1) / 1e6;
+        uint256 fee1 = (amount1 * fee + 1e6 - 1) / 1e6;
+        uint256 balance0Before = IERC20(token0).balanceOf(address(this));
+        uint256 balance1Before = IERC20(token1).balanceOf(address(this));
+
+        if (amount0 > 0) IERC20(token0).transfer(recipient, amount0);
+        if (amount1 > 0) IERC20(token1).transfer(recipient, amount1);
+
+        IUniswapV3FlashRecipient(msg.sender).uniswapV3FlashCallback(fee0, fee1, data);
+
+        require(IERC20(token0).balanceOf(address(this)) >= balance0Before + fee0, "F0");
+        require(IERC20(token1).balanceOf(address(this)) >= balance1Before + fee1, "F1");
+    }
+
+    // Any swap through the pool while it is lending hits the same lock
+    function swap() external lock {}
+}
+
+// Stand-in for Morpho Blue: free flash loans, repaid by pulling the assets back with transferFrom
+contract MockMorpho {
+    function flashLoan(address token, uint256 assets, bytes calldata data) external {
+        IERC20(token).transfer(msg.sender, assets);
+        IMorphoRecipient(msg.sender).onMorphoFlashLoan(assets, data);
+        IERC20(token).transferFrom(msg.sender, address(this), assets);
+    }
+}
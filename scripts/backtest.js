@@ -0,0 +1,88 @@
+require("dotenv").config();
+const fs = require("fs");
+const config = require("../config/config.json");
+
+const USAGE = `Usage:
+  node scripts/backtest.js record --from <block> --to <block> [--tokens 0x..,0x..] [--rpc <archive url>] [--out dataset.json]
+  node scripts/backtest.js run --dataset <file> [--config overrides.json] [--out report.json]`;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith("--")) {
+            throw new Error(`Unexpected argument ${argv[i]}`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+// Objects merge key by key; anything else (numbers, arrays) replaces the configured value
+function mergeConfig(target, overrides) {
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value && typeof value === "object" && !Array.isArray(value) &&
+            target[key] && typeof target[key] === "object" && !Array.isArray(target[key])) {
+            mergeConfig(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    }
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const args = parseArgs(rest);
+
+    // Every module reads the same config object, so overrides must land before any of them is loaded
+    if (args.config) {
+        mergeConfig(config, JSON.parse(fs.readFileSync(args.config, "utf8")));
+    }
+
+    const Backtester = require("../src/backtester");
+    const backtester = new Backtester();
+
+    if (command === "record") {
+        if (!args.from || !args.to) {
+            throw new Error(USAGE);
+        }
+
+        const dataset = await backtester.record(args.rpc || process.env.ARCHIVE_RPC_URL || config.rpcNodes[0], {
+            fromBlock: Number(args.from),
+            toBlock: Number(args.to),
+            tokens: args.tokens ? args.tokens.split(",") : []
+        });
+
+        console.log("Dataset saved to", backtester.saveDataset(dataset, args.out));
+        return;
+    }
+
+    if (command === "run") {
+        if (!args.dataset) {
+            throw new Error(USAGE);
+        }
+
+        const report = await backtester.run(backtester.loadDataset(args.dataset));
+        const json = JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+
+        if (args.out) {
+            fs.writeFileSync(args.out, json);
+            console.log("Report saved to", args.out);
+        } else {
+            console.log(json);
+        }
+
+        const { summary } = report;
+        console.log(`Trades: ${summary.trades} (${summary.reverted} reverted), net PnL: $${summary.netPnLUSD.toFixed(2)}, ` +
+            `gas: $${summary.gasCostUSD.toFixed(2)}, missed: ${summary.missed}`);
+        return;
+    }
+
+    throw new Error(USAGE);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -100,7 +100,8 @@ class TokenManager {
                 }
             });
             
-            const filteredTokens = await this.filterScamTokens(Array.from(allTokens.values()));
+            const resolvedTokens = await this.resolveDecimals(Array.from(allTokens.values()));
+            const filteredTokens = await this.filterScamTokens(resolvedTokens);
             
             filteredTokens.forEach(token => {
                 if (!this.tokens.has(token.address.toLowerCase())) {
@@ -137,7 +138,7 @@ class TokenManager {
                     address: token.platforms['base'].toLowerCase(),
                     symbol: token.symbol.toUpperCase(),
                     name: token.name,
-                    decimals: 18,
+                    decimals: null,
                     isStable: false,
                     isBase: false,
                     coingeckoId: token.id,
@@ -177,7 +178,7 @@ class TokenManager {
                             address: address,
                             symbol: token.symbol,
                             name: token.name || token.symbol,
-                            decimals: token.decimals || 18,
+                            decimals: token.decimals ?? null,
                             isStable: this.isStableToken(token.symbol),
                             isBase: false,
                             liquidityUSD: pair.liquidity ? pair.liquidity.usd : 0,
@@ -275,12 +276,29 @@ class TokenManager {
             const { provider } = await RPCManager.getHealthyProvider();
             const tokenABI = ['function decimals() view returns (uint8)'];
             const token = new ethers.Contract(address, tokenABI, provider);
-            return await token.decimals();
+            return Number(await token.decimals());
         } catch (error) {
-            return 18;
+            return null;
         }
     }
 
+    // The token lists don't all carry decimals, so the rest are read from the token contracts; a token whose
+    // decimals can't be read is dropped rather than assumed to have 18
+    async resolveDecimals(tokens) {
+        const resolved = [];
+        
+        for (const token of tokens) {
+            if (!Number.isInteger(token.decimals)) {
+                token.decimals = await this.getTokenDecimals(token.address);
+            }
+            if (token.decimals !== null) {
+                resolved.push(token);
+            }
+        }
+        
+        return resolved;
+    }
+
     async discoverNewTokens() {
         Logger.logInfo('Discovering new tokens...');
         
@@ -376,7 +394,7 @@ class TokenManager {
             const [symbol, name, decimals, totalSupply] = await Promise.all([
                 token.symbol().catch(() => 'UNKNOWN'),
                 token.name().catch(() => ''),
-                token.decimals().catch(() => 18),
+                token.decimals().then(Number).catch(() => null),
                 token.totalSupply().catch(() => 0n)
             ]);
             
@@ -398,54 +416,67 @@ class TokenManager {
         }
     }
 
-    async estimateLiquidity(tokenAddress) {
+    async estimateLiquidity(tokenAddress, options = {}) {
         try {
-            const { provider } = await RPCManager.getHealthyProvider();
-            
-            const aerodromeFactory = '0x420DD381b31aEf6683db6B902084cB0FFECe40Da';
-            const factoryABI = [
-                'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)'
-            ];
-            
-            const factory = new ethers.Contract(aerodromeFactory, factoryABI, provider);
-            
-            const baseTokens = config.baseTokens;
-            let totalLiquidity = 0;
-            
-            for (const baseToken of baseTokens) {
-                try {
-                    const poolAddress = await factory.getPool(tokenAddress, baseToken, 100);
-                    if (poolAddress === ethers.ZeroAddress) continue;
-                    
-                    const poolABI = [
-                        'function liquidity() view returns (uint128)',
-                        'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)'
-                    ];
-                    
-                    const pool = new ethers.Contract(poolAddress, poolABI, provider);
-                    const [liquidity, slot0] = await Promise.all([
-                        pool.liquidity(),
-                        pool.slot0()
-                    ]);
-                    
-                    if (liquidity > 0n) {
-                        const sqrtPriceX96 = slot0.sqrtPriceX96;
-                        const price = (Number(sqrtPriceX96) ** 2) / (2 ** 192);
-                        
-                        const tokenValue = Number(liquidity) * price;
-                        totalLiquidity += tokenValue * 2;
-                    }
-                } catch (error) {
-                    continue;
-                }
+            if (options.quorum) {
+                return await RPCManager.quorumCall(
+                    (provider, blockTag) => this.readLiquidity(tokenAddress, provider, blockTag)
+                );
             }
             
-            return totalLiquidity;
+            const { provider } = await RPCManager.getHealthyProvider();
+            return await this.readLiquidity(tokenAddress, provider, 'latest');
         } catch (error) {
             return 0;
         }
     }
 
+    async readLiquidity(tokenAddress, provider, blockTag) {
+        const factoryABI = [
+            'function getPool(address tokenA, address tokenB, int24 tickSpacing) view returns (address pool)'
+        ];
+        
+        const factory = new ethers.Contract(config.aerodromeCLFactoryAddress, factoryABI, provider);
+        
+        // Every Slipstream pool against every base token
+        const pairs = config.baseTokens.flatMap(baseToken =>
+            config.aerodromeCLTickSpacings.map(tickSpacing => [baseToken, tickSpacing])
+        );
+        let totalLiquidity = 0;
+        
+        for (const [baseToken, tickSpacing] of pairs) {
+            try {
+                const poolAddress = await factory.getPool(tokenAddress, baseToken, tickSpacing, { blockTag });
+                if (poolAddress === ethers.ZeroAddress) continue;
+                
+                const poolABI = [
+                    'function liquidity() view returns (uint128)',
+                    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, bool unlocked)'
+                ];
+                
+                const pool = new ethers.Contract(poolAddress, poolABI, provider);
+                const [liquidity, slot0] = await Promise.all([
+                    pool.liquidity({ blockTag }),
+                    pool.slot0({ blockTag })
+                ]);
+                
+                if (liquidity > 0n) {
+                    const sqrtPriceX96 = slot0.sqrtPriceX96;
+                    const price = (Number(sqrtPriceX96) ** 2) / (2 ** 192);
+                    
+                    const tokenValue = Number(liquidity) * price;
+                    totalLiquidity += tokenValue * 2;
+                }
+            } catch (error) {
+                // Reverts mean no usable pool for this base token; anything else is the node, and fails the read
+                if (!RPCManager.isRevert(error)) throw error;
+                continue;
+            }
+        }
+        
+        return totalLiquidity;
+    }
+
     async filterScamTokens(tokens) {
         const filtered = [];
         
@@ -598,7 +629,7 @@ class TokenManager {
     validateToken(token) {
         if (!token.address || token.address.length !== 42) return false;
         if (!token.symbol || token.symbol.length === 0) return false;
-        if (token.decimals < 0 || token.decimals > 36) return false;
+        if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 36) return false;
         if (token.liquidityUSD < 1000) return false;
         
         return true;
@@ -700,21 +731,21 @@ class TokenManager {
     }
 
     startAutoDiscovery() {
-        setInterval(async () => {
+        RPCManager.onEveryNBlocks(config.blockTriggers.tokenDiscoveryBlocks, async () => {
             try {
                 await this.discoverNewTokens();
             } catch (error) {
                 Logger.logWarning('Auto-discovery failed', error.message);
             }
-        }, 300000);
+        });
         
-        setInterval(async () => {
+        RPCManager.onEveryNBlocks(config.blockTriggers.tokenMetadataBlocks, async () => {
             try {
                 await this.updateTokenMetadata();
             } catch (error) {
                 Logger.logWarning('Metadata update failed', error.message);
             }
-        }, 60000);
+        });
     }
 
     getAllTokens() {
@@ -738,9 +769,10 @@ class TokenManager {
         return token ? token.symbol : 'UNKNOWN';
     }
 
+    // null for a token we don't hold, or whose decimals aren't known
     getTokenDecimalsByAddress(address) {
         const token = this.getTokenByAddress(address);
-        return token ? token.decimals : 18;
+        return token && Number.isInteger(token.decimals) ? token.decimals : null;
     }
 
     async getTokenPriceWithFallback(address) {
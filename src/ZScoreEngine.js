@@ -5,10 +5,36 @@ const math = require('mathjs');
 const config = require('../config/config.json');
 const RPCManager = require('./rpcManager');
 const RateLimiter = require('./rateLimiter');
+const Cointegration = require('./cointegration');
+const PriceIngestion = require('./priceIngestion');
 const { Logger } = require('./utils');
 
+const MODEL_CHOICES = {
+    cointegration: ['engle-granger', 'johansen'],
+    hedge: ['ols', 'kalman'],
+    adfLags: ['fixed', 'aic']
+};
+
+// A leg quoted in the numeraire itself has a flat log price and carries no information
+function isConstant(series) {
+    return Math.max(...series) - Math.min(...series) < 1e-12;
+}
+
+// Pairs move through candidate -> cointegrated -> candidate as the rolling re-test (every retestEveryBlocks)
+// sees them pass or fail. Promotion needs promoteAfterPasses consecutive passes at the strict limits; a
+// cointegrated pair is only demoted after demoteAfterFailures consecutive failures at the looser retain*
+// limits, so pairs near a threshold don't flap in and out of trading.
+//
+// Models are chosen per pair: zScoreSettings.models holds the defaults and pairModels["<tokenA>-<tokenB>"]
+// overrides them. `cointegration` is the test (Engle-Granger on a static OLS hedge, or Johansen), `hedge` is
+// what the live z-score is measured against (the price ratio, or a Kalman-filtered dynamic hedge) and
+// `adfLags` is the Engle-Granger ADF (single fixed lag, or AIC-selected lags with MacKinnon critical values).
+// Baskets of three or four tokens (zScoreSettings.baskets) are always tested with Johansen and are scored
+// for monitoring only; the position book trades two-leg pairs.
 class ZScoreEngine {
-    constructor() {
+    // tokenManager supplies discovered tokens for the pair universe; without one it comes from DexScreener
+    constructor(tokenManager = null) {
+        this.tokenManager = tokenManager;
         this.pairs = new Map();
         this.priceHistory = new Map();
         this.zScoreCache = new NodeCache({ stdTTL: 30, checkperiod: 10 });
@@ -17,47 +43,200 @@ class ZScoreEngine {
         this.entryThreshold = config.zScoreSettings.entryThreshold || 2.0;
         this.exitThreshold = config.zScoreSettings.exitThreshold || 0.5;
         this.halfLifeThreshold = 20;
-        
-        this.initializePairs();
+        this.settings = {
+            retestEveryBlocks: 300,
+            cointegrationLookback: 500,
+            maxAltTokens: 15,
+            promoteAfterPasses: 2,
+            demoteAfterFailures: 2,
+            adfLevel: '1%',
+            retainAdfLevel: '5%',
+            maxHalfLife: 100,
+            retainMaxHalfLife: 150,
+            maxHurst: 0.7,
+            retainMaxHurst: 0.75,
+            testPauseMs: 100,
+            pairModels: {},
+            maxAdfLag: 12,
+            johansenLagDiffs: 1,
+            baskets: [],
+            ...config.zScoreSettings
+        };
+        this.settings.models = {
+            cointegration: 'engle-granger',
+            hedge: 'ols',
+            adfLags: 'fixed',
+            ...config.zScoreSettings.models
+        };
+        this.settings.kalman = {
+            delta: 0.001,
+            observationVariance: null,
+            burnIn: 20,
+            ...config.zScoreSettings.kalman
+        };
+        this.priceIngestion = new PriceIngestion();
+        this.validateModels();
+        this.baskets = new Map(this.settings.baskets.map(tokens => [tokens.join('-'), {
+            tokens,
+            type: 'basket',
+            cointegrated: false,
+            passes: 0,
+            failures: 0,
+            testedBlock: null,
+            lastTestResult: null
+        }]));
+        this.tested = false;
+        this.removals = [];
+        this.maxRemovals = 100;
+        this.unsubscribeBlocks = null;
+        this.unsubscribeRetests = null;
     }
 
     async initialize() {
         Logger.logInfo('Initializing ZScore Engine...');
-        await this.loadHistoricalData();
+        await this.refreshPairs();
         this.startPriceUpdateListener();
+        this.startRetestScheduler();
         Logger.logSuccess('ZScore Engine initialized');
     }
 
-    async initializePairs() {
+    stop() {
+        if (this.unsubscribeBlocks) {
+            this.unsubscribeBlocks();
+            this.unsubscribeBlocks = null;
+        }
+        if (this.unsubscribeRetests) {
+            this.unsubscribeRetests();
+            this.unsubscribeRetests = null;
+        }
+    }
+
+    startRetestScheduler() {
+        this.unsubscribeRetests = RPCManager.onEveryNBlocks(this.settings.retestEveryBlocks, async (blockNumber) => {
+            try {
+                await this.refreshPairs(blockNumber);
+            } catch (error) {
+                Logger.logWarning('Cointegration re-test failed', error.message);
+            }
+        });
+    }
+
+    async refreshPairs(blockNumber = RPCManager.lastBlockNumber) {
+        await this.updatePairUniverse(blockNumber);
+        await this.performCointegrationTests(blockNumber);
+    }
+
+    // Fails at startup on a misspelt model name instead of quietly testing with the default
+    validateModels() {
+        for (const models of [this.settings.models, ...Object.values(this.settings.pairModels)]) {
+            for (const [name, choice] of Object.entries(models)) {
+                if (!MODEL_CHOICES[name] || !MODEL_CHOICES[name].includes(choice)) {
+                    throw new Error(`Unknown zScoreSettings model ${name}: ${choice}`);
+                }
+            }
+        }
+        for (const tokens of this.settings.baskets) {
+            if (tokens.length < 3 || tokens.length > 4) {
+                throw new Error(`Baskets need 3 or 4 tokens, got ${tokens.length}`);
+            }
+        }
+    }
+
+    getTokens(pair) {
+        return pair.tokens || [pair.tokenA, pair.tokenB];
+    }
+
+    getPairModel(pair) {
+        const key = this.getTokens(pair).join('-').toLowerCase();
+        const override = Object.keys(this.settings.pairModels).find(pairKey => pairKey.toLowerCase() === key);
+        const model = { ...this.settings.models, ...(override && this.settings.pairModels[override]) };
+        
+        if (pair.tokens) {
+            model.cointegration = 'johansen';
+        }
+        return model;
+    }
+
+    describePair(pair) {
+        return this.getTokens(pair).map(token => `${token.substring(0, 10)}...`).join('-');
+    }
+
+    // Alt tokens ranked by liquidity, from TokenManager's discovery when available
+    async getUniverseTokens() {
+        if (this.tokenManager) {
+            return this.tokenManager.getActiveTokens()
+                .sort((a, b) => (b.liquidityUSD || 0) - (a.liquidityUSD || 0))
+                .map(token => ({ address: token.address, symbol: token.symbol, liquidity: token.liquidityUSD }));
+        }
+        return this.getTopMarketCapTokens(50);
+    }
+
+    // Adds new candidates and drops candidates whose alt token fell out of the universe. Cointegrated pairs
+    // are left to the re-test, so a token briefly missing from discovery doesn't close a working pair.
+    async updatePairUniverse(blockNumber = RPCManager.lastBlockNumber) {
         const baseTokens = config.baseTokens;
-        const topTokens = await this.getTopMarketCapTokens(50);
+        const base = new Set(baseTokens.map(token => token.toLowerCase()));
+        const altTokens = (await this.getUniverseTokens())
+            .filter(token => !base.has(token.address.toLowerCase()))
+            .slice(0, this.settings.maxAltTokens);
+        
+        const universe = new Map();
         
         for (let i = 0; i < baseTokens.length; i++) {
             for (let j = i + 1; j < baseTokens.length; j++) {
-                const pair = {
+                universe.set(`${baseTokens[i]}-${baseTokens[j]}`, {
                     tokenA: baseTokens[i],
                     tokenB: baseTokens[j],
                     type: 'base-base'
-                };
-                this.pairs.set(`${baseTokens[i]}-${baseTokens[j]}`, pair);
+                });
             }
         }
         
         for (const baseToken of baseTokens.slice(0, 2)) {
-            for (const token of topTokens.slice(0, 15)) {
-                if (token.address === baseToken) continue;
-                
-                const pair = {
+            for (const token of altTokens) {
+                universe.set(`${baseToken}-${token.address}`, {
                     tokenA: baseToken,
                     tokenB: token.address,
                     type: 'base-alt',
                     liquidity: token.liquidity
-                };
-                this.pairs.set(`${baseToken}-${token.address}`, pair);
+                });
             }
         }
         
-        await this.performCointegrationTests();
+        let added = 0;
+        for (const [key, pair] of universe) {
+            const existing = this.pairs.get(key);
+            if (existing) {
+                existing.liquidity = pair.liquidity;
+                continue;
+            }
+            this.pairs.set(key, { ...pair, cointegrated: false, passes: 0, failures: 0, testedBlock: null, lastTestResult: null });
+            added++;
+        }
+        
+        for (const [key, pair] of this.pairs) {
+            if (!universe.has(key) && !pair.cointegrated) {
+                this.pairs.delete(key);
+                this.recordRemoval(key, pair, 'dropped', 'token no longer in the discovered universe', blockNumber);
+            }
+        }
+        
+        if (added > 0) {
+            Logger.logInfo(`Added ${added} candidate pairs (${this.pairs.size} tracked)`);
+        }
+    }
+
+    recordRemoval(key, pair, kind, reason, blockNumber) {
+        this.removals.push({ pair: key, tokens: this.getTokens(pair), kind, reason, blockNumber, timestamp: Date.now() });
+        if (this.removals.length > this.maxRemovals) {
+            this.removals = this.removals.slice(-this.maxRemovals);
+        }
+        
+        Logger.logWarning(`Pair ${this.describePair(pair)} ${kind}: ${reason}`);
+    }
+
+    getRemovals(limit = 20) {
+        return this.removals.slice(-limit).reverse();
     }
 
     async getTopMarketCapTokens(limit = 50) {
@@ -86,83 +265,190 @@ class ZScoreEngine {
         }
     }
 
-    async performCointegrationTests() {
-        Logger.logInfo('Performing cointegration tests on pairs...');
-        const cointegratedPairs = [];
-        
-        const pairsArray = Array.from(this.pairs.values());
+    // One pass of the rolling re-test over every tracked pair. The first pass after startup promotes
+    // straight away, since there is no earlier verdict to be hysteretic about.
+    async performCointegrationTests(blockNumber = RPCManager.lastBlockNumber) {
+        Logger.logInfo(`Re-testing cointegration on ${this.pairs.size} pairs and ${this.baskets.size} baskets...`);
+        const initial = !this.tested;
+        await this.prefetchPrices();
         
-        for (let i = 0; i < pairsArray.length; i++) {
-            const pair = pairsArray[i];
-            
+        for (const [key, pair] of [...this.pairs, ...this.baskets]) {
+            let stats;
             try {
-                const isCointegrated = await this.testCointegration(pair.tokenA, pair.tokenB);
+                stats = await this.testCointegration(this.getTokens(pair), this.getPairModel(pair));
+            } catch (error) {
+                stats = { reason: error.message };
+            }
+            
+            const failure = this.getCointegrationFailure(stats, pair.cointegrated);
+            pair.testedBlock = blockNumber;
+            pair.lastTestResult = failure || 'pass';
+            
+            if (!failure) {
+                pair.passes++;
+                pair.failures = 0;
+                pair.halfLife = stats.halfLife;
+                pair.halfLifeBlocks = stats.halfLifeBlocks;
+                pair.hurstExponent = stats.hurstExponent;
+                pair.hedgeRatio = stats.slope;
+                pair.vector = stats.vector;
                 
-                if (isCointegrated) {
+                if (!pair.cointegrated && (initial || pair.passes >= this.settings.promoteAfterPasses)) {
                     pair.cointegrated = true;
-                    pair.halfLife = isCointegrated.halfLife;
-                    pair.hurstExponent = isCointegrated.hurstExponent;
-                    cointegratedPairs.push(pair);
-                    
-                    Logger.logInfo(`Pair ${pair.tokenA.substring(0, 10)}...-${pair.tokenB.substring(0, 10)}... is cointegrated (HL: ${isCointegrated.halfLife.toFixed(2)}, H: ${isCointegrated.hurstExponent.toFixed(3)})`);
+                    Logger.logInfo(`Pair ${this.describePair(pair)} is cointegrated (HL: ${stats.halfLife.toFixed(2)}, H: ${stats.hurstExponent.toFixed(3)})`);
+                }
+            } else {
+                pair.failures++;
+                pair.passes = 0;
+                
+                if (pair.cointegrated && pair.failures >= this.settings.demoteAfterFailures) {
+                    pair.cointegrated = false;
+                    this.recordRemoval(key, pair, 'demoted', `${failure} (${pair.failures} consecutive failures)`, blockNumber);
                 }
-            } catch (error) {
-                continue;
             }
             
-            await new Promise(resolve => setTimeout(resolve, 100));
+            if (this.settings.testPauseMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.settings.testPauseMs));
+            }
         }
         
-        Logger.logSuccess(`Found ${cointegratedPairs.length} cointegrated pairs`);
+        this.tested = true;
+        const cointegrated = [...this.pairs.values()].filter(pair => pair.cointegrated).length;
+        const baskets = [...this.baskets.values()].filter(basket => basket.cointegrated).length;
+        Logger.logSuccess(`Found ${cointegrated} cointegrated pairs and ${baskets} cointegrated baskets`);
+    }
+
+    // Why the pair fails, or null if it passes. Pairs already trading are held to the looser retain* limits.
+    // The ADF significance levels apply to the Johansen trace test as well.
+    getCointegrationFailure(stats, retaining) {
+        if (stats.reason) return stats.reason;
+        
+        const adfLevel = retaining ? this.settings.retainAdfLevel : this.settings.adfLevel;
+        const maxHalfLife = retaining ? this.settings.retainMaxHalfLife : this.settings.maxHalfLife;
+        const maxHurst = retaining ? this.settings.retainMaxHurst : this.settings.maxHurst;
+        
+        if (stats.traceStatistic !== undefined) {
+            if (!(stats.traceStatistic > stats.traceCriticalValues[adfLevel])) {
+                return `Johansen trace ${stats.traceStatistic.toFixed(2)} below ${adfLevel} critical value ${stats.traceCriticalValues[adfLevel].toFixed(2)}`;
+            }
+        } else if (!(stats.adfStatistic <= stats.adfCriticalValues[adfLevel])) {
+            return `ADF ${stats.adfStatistic.toFixed(2)} above ${adfLevel} critical value ${stats.adfCriticalValues[adfLevel].toFixed(2)}`;
+        }
+        if (!(stats.halfLife <= maxHalfLife)) {
+            return `half-life ${stats.halfLife.toFixed(1)} above ${maxHalfLife}`;
+        }
+        if (stats.hurstExponent > maxHurst) {
+            return `Hurst exponent ${stats.hurstExponent.toFixed(3)} above ${maxHurst}`;
+        }
+        return null;
     }
 
-    async testCointegration(tokenA, tokenB, lookback = 500) {
-        const cacheKey = `coint_${tokenA}_${tokenB}_${lookback}`;
+    // Test statistics for the pair over the trailing lookback, or { reason } when they can't be computed
+    async testCointegration(tokens, model = this.settings.models, lookback = this.settings.cointegrationLookback) {
+        const cacheKey = `coint_${tokens.join('_')}_${model.cointegration}_${model.adfLags}_${lookback}`;
         const cached = this.cointegrationCache.get(cacheKey);
         if (cached) return cached;
         
-        try {
-            const pricesA = await this.getHistoricalPrices(tokenA, lookback);
-            const pricesB = await this.getHistoricalPrices(tokenB, lookback);
-            
-            if (pricesA.length < lookback * 0.8 || pricesB.length < lookback * 0.8) {
-                return null;
-            }
-            
-            const logPricesA = pricesA.map(p => Math.log(p));
-            const logPricesB = pricesB.map(p => Math.log(p));
-            
-            const regression = this.olsRegression(logPricesA, logPricesB);
-            const residuals = logPricesA.map((price, i) => price - (regression.slope * logPricesB[i] + regression.intercept));
-            
-            const adfResult = this.adfTest(residuals);
-            
-            if (adfResult.statistic > adfResult.criticalValues['1%']) {
-                return null;
-            }
-            
-            const halfLife = this.calculateHalfLife(residuals);
-            const hurstExponent = this.calculateHurstExponent(residuals);
-            
-            if (halfLife > 100 || hurstExponent > 0.7) {
-                return null;
-            }
-            
-            const result = {
-                cointegrated: true,
-                halfLife,
-                hurstExponent,
-                slope: regression.slope,
-                intercept: regression.intercept,
-                adfStatistic: adfResult.statistic,
-                rSquared: regression.rSquared
-            };
-            
-            this.cointegrationCache.set(cacheKey, result);
-            return result;
-        } catch (error) {
-            return null;
+        const logPrices = await this.getLogPriceSeries(tokens, lookback);
+        
+        const expected = Math.ceil(lookback / this.getSampleStep(lookback));
+        if (logPrices[0].length < expected * 0.8) {
+            return { reason: `only ${logPrices[0].length} of ${expected} price samples` };
         }
+        
+        const fit = model.cointegration === 'johansen'
+            ? this.fitJohansen(logPrices)
+            : this.fitEngleGranger(logPrices, model);
+        if (fit.reason) return fit;
+        
+        const { residuals, ...statistics } = fit;
+        const halfLife = this.calculateHalfLife(residuals);
+        
+        const result = {
+            model: model.cointegration,
+            halfLife,
+            halfLifeBlocks: halfLife * this.getSampleStep(lookback),
+            hurstExponent: this.calculateHurstExponent(residuals),
+            ...statistics
+        };
+        
+        this.cointegrationCache.set(cacheKey, result);
+        return result;
+    }
+
+    // Regression of the first leg on the others plus a constant. A pair with a numeraire leg reduces to its
+    // log ratio, where only the level is fitted; in a basket the numeraire leg simply drops out.
+    buildHedgeDesign(logPrices) {
+        if (logPrices.length === 2 && logPrices.some(isConstant)) {
+            const y = logPrices[0].map((price, i) => price - logPrices[1][i]);
+            return { y, X: y.map(() => [1]), variables: 1 };
+        }
+        
+        const [y, ...others] = logPrices.filter(series => !isConstant(series));
+        if (!y) return null;
+        return { y, X: y.map((_, i) => [...others.map(series => series[i]), 1]), variables: others.length + 1 };
+    }
+
+    // Static OLS hedge, then an ADF on its residuals
+    fitEngleGranger(logPrices, model) {
+        const design = this.buildHedgeDesign(logPrices);
+        if (!design) return { reason: 'no price variation' };
+        
+        const regression = Cointegration.ols(design.X, design.y);
+        const yMean = design.y.reduce((a, b) => a + b, 0) / design.y.length;
+        const sst = design.y.reduce((sum, y) => sum + Math.pow(y - yMean, 2), 0);
+        const adfResult = model.adfLags === 'aic'
+            ? Cointegration.adf(regression.residuals, { lagSelection: 'aic', maxLag: this.settings.maxAdfLag, variables: design.variables })
+            : this.adfTest(regression.residuals);
+        
+        return {
+            residuals: regression.residuals,
+            slope: design.variables > 1 ? regression.coefficients[0] : null,
+            intercept: regression.coefficients[regression.coefficients.length - 1],
+            rSquared: sst > 0 ? 1 - regression.ssr / sst : 0,
+            adfStatistic: adfResult.statistic,
+            adfCriticalValues: adfResult.criticalValues,
+            adfLag: adfResult.lag
+        };
+    }
+
+    // vector weights every token's log price (0 for a numeraire leg in a basket); the spread is their sum
+    fitJohansen(logPrices) {
+        const ratioOnly = logPrices.length === 2 && logPrices.some(isConstant);
+        const active = ratioOnly ? [0] : logPrices.map((_, j) => j).filter(j => !isConstant(logPrices[j]));
+        if (active.length === 0) return { reason: 'no price variation' };
+        
+        const columns = ratioOnly
+            ? [logPrices[0].map((price, i) => price - logPrices[1][i])]
+            : active.map(j => logPrices[j]);
+        const result = Cointegration.johansen(columns[0].map((_, i) => columns.map(column => column[i])), this.settings.johansenLagDiffs);
+        
+        const vector = logPrices.map(() => 0);
+        if (ratioOnly) {
+            vector[0] = 1;
+            vector[1] = -1;
+        } else {
+            active.forEach((j, i) => {
+                vector[j] = result.eigenvectors[0][i];
+            });
+        }
+        
+        const spread = this.combineLogPrices(logPrices, vector);
+        const intercept = spread.reduce((a, b) => a + b, 0) / spread.length;
+        
+        return {
+            residuals: spread.map(value => value - intercept),
+            slope: logPrices.length === 2 && !ratioOnly ? -vector[1] : null,
+            vector,
+            intercept,
+            traceStatistic: result.traceStatistics[0],
+            traceCriticalValues: result.criticalValues[0],
+            eigenvalue: result.eigenvalues[0]
+        };
+    }
+
+    combineLogPrices(logPrices, vector) {
+        return logPrices[0].map((_, i) => logPrices.reduce((sum, series, j) => sum + vector[j] * series[i], 0));
     }
 
     olsRegression(x, y) {
@@ -219,6 +505,7 @@ class ZScoreEngine {
         
         return {
             statistic: tStat,
+            lag,
             criticalValues: {
                 '1%': -3.43,
                 '5%': -2.86,
@@ -283,19 +570,17 @@ class ZScoreEngine {
             const { provider } = await RPCManager.getHealthyProvider();
             const currentBlock = await provider.getBlockNumber();
             
-            const prices = [];
-            const blockStep = Math.max(1, Math.floor(lookback / 100));
+            const blocks = [];
+            const blockStep = this.getSampleStep(lookback);
             
             for (let i = 0; i < lookback; i += blockStep) {
                 const blockNumber = currentBlock - i;
                 if (blockNumber < 0) break;
-                
-                const price = await this.getTokenPriceAtBlock(tokenAddress, blockNumber);
-                if (price) {
-                    prices.push(price);
-                }
+                blocks.push(blockNumber);
             }
             
+            const prices = (await this.getPricesAtBlocks(tokenAddress, blocks)).filter(price => price);
+            
             if (prices.length > 10) {
                 this.priceHistory.set(cacheKey, {
                     prices,
@@ -309,49 +594,115 @@ class ZScoreEngine {
         }
     }
 
-    async getTokenPriceAtBlock(tokenAddress, blockNumber) {
-        try {
-            if (tokenAddress === config.baseTokens[0]) return 1;
+    // Prices at the given blocks, null where there is none. The ingestion rebuilds them from Swap logs; without
+    // it every block is a separate archive read.
+    async getPricesAtBlocks(tokenAddress, blocks) {
+        if (this.priceIngestion && this.priceIngestion.isEnabled()) {
+            if (tokenAddress.toLowerCase() === config.baseTokens[0].toLowerCase()) return blocks.map(() => 1);
             
+            await this.priceIngestion.sync([tokenAddress], Math.min(...blocks), Math.max(...blocks));
+            return this.priceIngestion.getPrices(tokenAddress, blocks);
+        }
+        
+        const prices = [];
+        for (const blockNumber of blocks) {
+            prices.push(await this.getTokenPriceAtBlock(tokenAddress, blockNumber));
+        }
+        return prices;
+    }
+
+    // One ingestion pass for every tracked token ahead of a re-test, so the per-token reads that follow only
+    // pick up the blocks mined since
+    async prefetchPrices() {
+        if (!this.priceIngestion || !this.priceIngestion.isEnabled()) return;
+        
+        const tokens = new Set();
+        for (const pair of [...this.pairs.values(), ...this.baskets.values()]) {
+            this.getTokens(pair).forEach(token => tokens.add(token));
+        }
+        
+        try {
             const { provider } = await RPCManager.getHealthyProvider();
+            const currentBlock = await provider.getBlockNumber();
+            const lookback = Math.max(this.settings.cointegrationLookback, this.windowSize);
+            await this.priceIngestion.sync([...tokens], currentBlock - lookback + 1, currentBlock);
+        } catch (error) {
+            Logger.logWarning('Price ingestion failed', error.message);
+        }
+    }
+
+    // Log prices per token, oldest sample first and trimmed to a common length
+    async getLogPriceSeries(tokens, lookback) {
+        const histories = [];
+        for (const token of tokens) {
+            histories.push(await this.getHistoricalPrices(token, lookback));
+        }
+        
+        const length = Math.min(...histories.map(prices => prices.length));
+        return histories.map(prices => prices.slice(0, length).reverse().map(price => Math.log(price)));
+    }
+
+    // Blocks between consecutive historical samples, which is the unit halfLife comes out in
+    getSampleStep(lookback) {
+        return Math.max(1, Math.floor(lookback / 100));
+    }
+
+    async getTokenPriceAtBlock(tokenAddress, blockNumber, options = {}) {
+        try {
+            if (tokenAddress === config.baseTokens[0]) return 1;
             
-            const aerodromeFactory = '0x420DD381b31aEf6683db6B902084cB0FFECe40Da';
-            const factoryABI = [
-                'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)'
-            ];
-            
-            const factory = new ethers.Contract(aerodromeFactory, factoryABI, provider);
-            const stablePool = await factory.getPool(tokenAddress, config.baseTokens[0], 100);
-            const volatilePool = await factory.getPool(tokenAddress, config.baseTokens[0], 2000);
-            
-            const poolABI = [
-                'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
-                'function liquidity() view returns (uint128)'
-            ];
-            
-            let poolAddress = stablePool !== ethers.ZeroAddress ? stablePool : volatilePool;
-            
-            if (poolAddress === ethers.ZeroAddress) {
-                return null;
+            if (options.quorum) {
+                return await RPCManager.quorumCall(
+                    (provider, blockTag) => this.readPoolPrice(tokenAddress, provider, blockTag),
+                    { blockTag: blockNumber }
+                );
             }
             
-            const pool = new ethers.Contract(poolAddress, poolABI, provider);
-            const [slot0, liquidity] = await Promise.all([
-                pool.slot0({ blockTag: blockNumber }),
-                pool.liquidity({ blockTag: blockNumber })
-            ]);
-            
-            if (liquidity === 0n) return null;
-            
-            const sqrtPriceX96 = slot0.sqrtPriceX96;
-            const price = (Number(sqrtPriceX96) ** 2) / (2 ** 192);
-            
-            return price;
+            const { provider } = await RPCManager.getHealthyProvider();
+            return await this.readPoolPrice(tokenAddress, provider, blockNumber);
         } catch (error) {
             return null;
         }
     }
 
+    async readPoolPrice(tokenAddress, provider, blockTag) {
+        const factoryABI = [
+            'function getPool(address tokenA, address tokenB, int24 tickSpacing) view returns (address pool)'
+        ];
+        
+        const factory = new ethers.Contract(config.aerodromeCLFactoryAddress, factoryABI, provider);
+        
+        // Slipstream's slot0 has no feeProtocol field
+        const poolABI = [
+            'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, bool unlocked)',
+            'function liquidity() view returns (uint128)'
+        ];
+        
+        // Narrowest tick spacing first, the same pool PriceIngestion builds the history from
+        let poolAddress = ethers.ZeroAddress;
+        for (const tickSpacing of config.aerodromeCLTickSpacings) {
+            poolAddress = await factory.getPool(tokenAddress, config.baseTokens[0], tickSpacing, { blockTag });
+            if (poolAddress !== ethers.ZeroAddress) break;
+        }
+        
+        if (poolAddress === ethers.ZeroAddress) {
+            return null;
+        }
+        
+        const pool = new ethers.Contract(poolAddress, poolABI, provider);
+        const [slot0, liquidity] = await Promise.all([
+            pool.slot0({ blockTag }),
+            pool.liquidity({ blockTag })
+        ]);
+        
+        if (liquidity === 0n) return null;
+        
+        const sqrtPriceX96 = slot0.sqrtPriceX96;
+        const price = (Number(sqrtPriceX96) ** 2) / (2 ** 192);
+        
+        return price;
+    }
+
     async calculateZScore(pair) {
         const cacheKey = `zscore_${pair.tokenA}_${pair.tokenB}`;
         const cached = this.zScoreCache.get(cacheKey);
@@ -368,33 +719,33 @@ class ZScoreEngine {
             }
             
             const ratio = priceA / priceB;
+            const model = this.getPairModel(pair);
             
-            const historicalRatios = await this.getHistoricalRatios(pair.tokenA, pair.tokenB, this.windowSize);
-            
-            if (historicalRatios.length < this.windowSize * 0.7) {
-                return null;
+            let spread;
+            if (model.hedge === 'kalman') {
+                spread = this.toRatioTerms(ratio, await this.getKalmanSpread(this.getTokens(pair)));
+            } else if (model.cointegration === 'johansen') {
+                spread = this.toRatioTerms(ratio, await this.getVectorSpread(this.getTokens(pair), pair.vector));
+            } else {
+                spread = await this.getRatioSpread(pair, ratio);
             }
             
-            const mean = historicalRatios.reduce((a, b) => a + b, 0) / historicalRatios.length;
-            const variance = historicalRatios.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / historicalRatios.length;
-            const stdDev = Math.sqrt(variance);
-            
-            if (stdDev === 0) {
+            if (!spread) {
                 return null;
             }
             
-            const zScore = (ratio - mean) / stdDev;
-            
             const result = {
-                value: zScore,
-                mean: mean,
-                stdDev: stdDev,
+                value: spread.value,
+                mean: spread.mean,
+                stdDev: spread.stdDev,
                 ratio: ratio,
                 priceA: priceA,
                 priceB: priceB,
-                window: historicalRatios.length,
+                window: spread.window,
                 timestamp: Date.now(),
                 pair: `${pair.tokenA}-${pair.tokenB}`,
+                model: model.hedge === 'kalman' ? 'kalman' : model.cointegration,
+                hedgeRatio: spread.hedgeRatio === undefined ? pair.hedgeRatio : spread.hedgeRatio,
                 halfLife: pair.halfLife,
                 hurstExponent: pair.hurstExponent
             };
@@ -407,6 +758,81 @@ class ZScoreEngine {
         }
     }
 
+    // The current ratio against the mean and spread of the ratio over windowSize
+    async getRatioSpread(pair, ratio) {
+        const historicalRatios = await this.getHistoricalRatios(pair.tokenA, pair.tokenB, this.windowSize);
+        
+        if (historicalRatios.length < this.windowSize * 0.7) {
+            return null;
+        }
+        
+        const mean = historicalRatios.reduce((a, b) => a + b, 0) / historicalRatios.length;
+        const variance = historicalRatios.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / historicalRatios.length;
+        const stdDev = Math.sqrt(variance);
+        
+        if (stdDev === 0) {
+            return null;
+        }
+        
+        return { value: (ratio - mean) / stdDev, mean, stdDev, window: historicalRatios.length };
+    }
+
+    // Log spreads measure how far the first leg sits from its fair value in log terms; the fair ratio that
+    // implies is what callers compare against, like the ratio model's mean
+    toRatioTerms(ratio, spread) {
+        if (!spread) return null;
+        
+        return {
+            ...spread,
+            mean: ratio * Math.exp(-spread.deviation),
+            stdDev: ratio * spread.sigma
+        };
+    }
+
+    // Latest value of the Johansen spread against its mean and deviation over windowSize
+    async getVectorSpread(tokens, vector) {
+        if (!vector) return null;
+        
+        const logPrices = await this.getLogPriceSeries(tokens, this.windowSize);
+        if (logPrices[0].length < this.windowSize * 0.7) {
+            return null;
+        }
+        
+        const spread = this.combineLogPrices(logPrices, vector);
+        const mean = spread.reduce((a, b) => a + b, 0) / spread.length;
+        const sigma = Math.sqrt(spread.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / spread.length);
+        if (sigma === 0) return null;
+        
+        const deviation = spread[spread.length - 1] - mean;
+        return { value: deviation / sigma, deviation, sigma, window: spread.length };
+    }
+
+    // Kalman hedge of the first leg on the others over the cointegration lookback, which gives the filter
+    // longer to settle than windowSize. The z-score is the latest one-step-ahead prediction error over its
+    // predicted deviation, so there is no look-ahead. Against the numeraire only the log ratio is left, so a
+    // time regressor carries its drift (an LST accruing against WETH) in place of a hedge ratio.
+    async getKalmanSpread(tokens) {
+        const logPrices = await this.getLogPriceSeries(tokens, this.settings.cointegrationLookback);
+        const design = this.buildHedgeDesign(logPrices);
+        if (!design || design.y.length < this.settings.kalman.burnIn + 2) {
+            return null;
+        }
+        
+        const X = design.variables === 1 ? design.X.map((row, i) => [i / design.X.length, ...row]) : design.X;
+        const filter = Cointegration.kalmanFilter(design.y, X, this.settings.kalman);
+        const deviation = filter.spread[filter.spread.length - 1];
+        const sigma = Math.sqrt(filter.variance[filter.variance.length - 1]);
+        const hedge = filter.state.slice(0, -1);
+        
+        return {
+            value: deviation / sigma,
+            deviation,
+            sigma,
+            window: filter.spread.length,
+            hedgeRatio: design.variables === 1 ? null : tokens.length === 2 ? hedge[0] : hedge
+        };
+    }
+
     async getCurrentPrice(tokenAddress) {
         try {
             if (tokenAddress === config.baseTokens[0]) return 1;
@@ -534,21 +960,20 @@ class ZScoreEngine {
     }
 
     startPriceUpdateListener() {
-        setInterval(async () => {
+        this.unsubscribeBlocks = RPCManager.onEveryNBlocks(config.blockTriggers.zScorePriceUpdateBlocks, async () => {
             try {
                 await this.updatePriceHistory();
             } catch (error) {
                 Logger.logWarning('Price history update failed', error.message);
             }
-        }, 30000);
+        });
     }
 
     async updatePriceHistory() {
         const tokens = new Set();
         
-        for (const pair of this.pairs.values()) {
-            tokens.add(pair.tokenA);
-            tokens.add(pair.tokenB);
+        for (const pair of [...this.pairs.values(), ...this.baskets.values()]) {
+            this.getTokens(pair).forEach(token => tokens.add(token));
         }
         
         for (const token of tokens) {
@@ -582,8 +1007,12 @@ class ZScoreEngine {
             tokenB: pair.tokenB,
             type: pair.type,
             cointegrated: pair.cointegrated || false,
+            testedBlock: pair.testedBlock,
+            lastTestResult: pair.lastTestResult,
             halfLife: pair.halfLife,
             hurstExponent: pair.hurstExponent,
+            model: zScore.model,
+            hedgeRatio: zScore.hedgeRatio,
             zScore: zScore.value,
             mean: zScore.mean,
             stdDev: zScore.stdDev,
@@ -599,12 +1028,12 @@ class ZScoreEngine {
         };
     }
 
-    getAllPairStatistics() {
+    async getAllPairStatistics() {
         const statistics = [];
         
         for (const [key, pair] of this.pairs) {
             if (pair.cointegrated) {
-                const stats = this.getPairStatistics(key);
+                const stats = await this.getPairStatistics(key);
                 if (stats) {
                     statistics.push(stats);
                 }
@@ -613,6 +1042,63 @@ class ZScoreEngine {
         
         return statistics;
     }
+
+    async calculateBasketZScore(basket) {
+        const cacheKey = `zscore_${basket.tokens.join('_')}`;
+        const cached = this.zScoreCache.get(cacheKey);
+        if (cached) return cached;
+        
+        try {
+            const model = this.getPairModel(basket);
+            const spread = model.hedge === 'kalman'
+                ? await this.getKalmanSpread(basket.tokens)
+                : await this.getVectorSpread(basket.tokens, basket.vector);
+            if (!spread) return null;
+            
+            const result = {
+                value: spread.value,
+                deviation: spread.deviation,
+                stdDev: spread.sigma,
+                window: spread.window,
+                model: model.hedge === 'kalman' ? 'kalman' : 'johansen',
+                hedgeRatio: spread.hedgeRatio,
+                timestamp: Date.now()
+            };
+            
+            this.zScoreCache.set(cacheKey, result, 5);
+            return result;
+        } catch (error) {
+            Logger.logWarning(`Basket ZScore calculation failed for ${this.describePair(basket)}`, error.message);
+            return null;
+        }
+    }
+
+    async getAllBasketStatistics() {
+        const statistics = [];
+        
+        for (const [key, basket] of this.baskets) {
+            const zScore = basket.cointegrated ? await this.calculateBasketZScore(basket) : null;
+            
+            statistics.push({
+                basket: key,
+                tokens: basket.tokens,
+                cointegrated: basket.cointegrated,
+                testedBlock: basket.testedBlock,
+                lastTestResult: basket.lastTestResult,
+                halfLife: basket.halfLife,
+                hurstExponent: basket.hurstExponent,
+                vector: basket.vector,
+                zScore: zScore ? zScore.value : null,
+                stdDev: zScore ? zScore.stdDev : null,
+                model: zScore ? zScore.model : null,
+                hedgeRatio: zScore ? zScore.hedgeRatio : null,
+                entryThreshold: this.entryThreshold,
+                timestamp: zScore ? zScore.timestamp : null
+            });
+        }
+        
+        return statistics;
+    }
 }
 
 module.exports = ZScoreEngine;
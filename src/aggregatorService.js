@@ -3,8 +3,19 @@ const { ethers } = require('ethers');
 const NodeCache = require('node-cache');
 const config = require('../config/config.json');
 const RPCManager = require('./rpcManager');
+const PoolRegistry = require('./poolRegistry');
 const { Logger } = require('./utils');
 
+// Each factory family looks pools up its own way: by fee tier, by stable flag, or one pair per token pair
+const FACTORY_ABIS = {
+    v3: ['function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)'],
+    aerodrome: [
+        'function getPool(address tokenA, address tokenB, bool stable) view returns (address pool)',
+        'function getFee(address pool, bool stable) view returns (uint256)'
+    ],
+    v2: ['function getPair(address tokenA, address tokenB) view returns (address pair)']
+};
+
 class AggregatorService {
     constructor(rateLimiter) {
         this.rateLimiter = rateLimiter;
@@ -66,22 +77,25 @@ class AggregatorService {
             'Aerodrome': {
                 router: '0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43',
                 factory: '0x420DD381b31aEf6683db6B902084cB0FFECe40Da',
-                feeTiers: [100, 500, 2500, 10000]
+                factoryType: 'aerodrome'
             },
             'PancakeSwap': {
                 router: '0x678Aa4bF4E210cf2166753e054d5b7c31cc7fa86',
                 factory: '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865',
+                factoryType: 'v3',
                 feeTiers: [100, 500, 2500, 10000]
             },
             'Uniswap V3': {
                 router: '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24',
                 factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+                factoryType: 'v3',
                 feeTiers: [100, 500, 3000, 10000]
             },
             'Baseswap': {
                 router: '0x327Df1E6de05895d2ab08513aA9319310cE3a516',
                 factory: '0xFDa619b6d20975be80A10332cD39b9a4b0FAa8BB',
-                feeTiers: [200, 500, 3000]
+                factoryType: 'v2',
+                fee: 2500
             }
         };
         
@@ -535,10 +549,22 @@ class AggregatorService {
                 throw new Error(`Unsupported DEX: ${dexName}`);
             }
 
+            // Tracked pools are priced from the local mirror; quorum reads always go to the chain
+            if (!options.quorum) {
+                const local = PoolRegistry.quoteBest(fromToken, toToken, amount, dexName);
+                if (local && local.amountOut > 0n) {
+                    return this.buildDirectDexRoute(dexName, fromToken, toToken, amount, local.amountOut, local.pool, {
+                        router: dexConfig.router,
+                        path: [fromToken, toToken],
+                        source: 'local'
+                    }, options);
+                }
+            }
+
             const { provider } = await RPCManager.getHealthyProvider();
             
             // Get best pool for the pair
-            const pool = await this.findBestPool(dexName, fromToken, toToken, amount);
+            const pool = await this.findBestPool(dexName, fromToken, toToken, amount, { quorum: options.quorum });
             if (!pool) {
                 throw new Error(`No pool found for ${fromToken} -> ${toToken} on ${dexName}`);
             }
@@ -558,57 +584,12 @@ class AggregatorService {
             }
 
             const returnAmount = amounts[1];
-            
-            // Estimate gas
-            const gasEstimate = await this.estimateDexSwapGas(
-                dexName,
-                fromToken,
-                toToken,
-                amount,
-                returnAmount
-            );
 
-            // Calculate price impact
-            const priceImpact = await this.calculateDexPriceImpact(
-                dexName,
-                fromToken,
-                toToken,
-                amount,
-                returnAmount,
-                pool
-            );
-
-            return {
-                aggregator: dexName.toLowerCase(),
-                returnAmount: returnAmount,
-                path: [{
-                    fromToken,
-                    toToken,
-                    dex: dexName,
-                    pool: pool.address,
-                    fee: pool.fee
-                }],
-                gasEstimate: gasEstimate,
-                priceImpact: priceImpact,
-                data: {
-                    router: dexConfig.router,
-                    path,
-                    amounts: amounts.map(a => a.toString())
-                },
-                transactionData: {
-                    to: dexConfig.router,
-                    data: this.encodeDexSwap(dexName, fromToken, toToken, amount, returnAmount, options),
-                    value: fromToken === '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE' ? amount : '0',
-                    gas: gasEstimate
-                },
-                metadata: {
-                    dex: dexName,
-                    pool: pool.address,
-                    fee: pool.fee,
-                    liquidity: pool.liquidity,
-                    timestamp: Date.now()
-                }
-            };
+            return this.buildDirectDexRoute(dexName, fromToken, toToken, amount, returnAmount, pool, {
+                router: dexConfig.router,
+                path,
+                amounts: amounts.map(a => a.toString())
+            }, options);
 
         } catch (error) {
             Logger.logError(`Direct DEX route failed for ${dexName}`, error.message);
@@ -616,18 +597,87 @@ class AggregatorService {
         }
     }
 
-    async findBestPool(dexName, fromToken, toToken, amount) {
+    async buildDirectDexRoute(dexName, fromToken, toToken, amount, returnAmount, pool, data, options = {}) {
         const dexConfig = this.directDexes[dexName];
+
+        // Estimate gas
+        const gasEstimate = await this.estimateDexSwapGas(
+            dexName,
+            fromToken,
+            toToken,
+            amount,
+            returnAmount
+        );
+
+        // Calculate price impact
+        const priceImpact = await this.calculateDexPriceImpact(
+            dexName,
+            fromToken,
+            toToken,
+            amount,
+            returnAmount,
+            pool
+        );
+
+        return {
+            aggregator: dexName.toLowerCase(),
+            returnAmount: returnAmount,
+            path: [{
+                fromToken,
+                toToken,
+                dex: dexName,
+                pool: pool.address,
+                fee: pool.fee
+            }],
+            gasEstimate: gasEstimate,
+            priceImpact: priceImpact,
+            data: data,
+            transactionData: {
+                to: dexConfig.router,
+                data: this.encodeDexSwap(dexName, fromToken, toToken, amount, returnAmount, options),
+                value: fromToken === '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE' ? amount : '0',
+                gas: gasEstimate
+            },
+            metadata: {
+                dex: dexName,
+                pool: pool.address,
+                fee: pool.fee,
+                liquidity: pool.liquidity,
+                timestamp: Date.now()
+            }
+        };
+    }
+
+    async findBestPool(dexName, fromToken, toToken, amount, options = {}) {
+        // Pool state decides whether we trade, so callers can require several nodes to agree on it
+        if (options.quorum) {
+            return RPCManager.quorumCall((provider, blockTag) =>
+                this.readBestPool(dexName, fromToken, toToken, provider, blockTag)
+            );
+        }
+
+        // Deepest tracked pool, without touching the chain
+        const tracked = PoolRegistry.getPools(fromToken, toToken, dexName)
+            .filter(pool => pool.type === 'v3' && pool.liquidity > 0n)
+            .sort((a, b) => (b.liquidity > a.liquidity ? 1 : -1));
+        if (tracked.length > 0) {
+            const { address, fee, liquidity, sqrtPriceX96, tick } = tracked[0];
+            return { address, fee, liquidity, sqrtPriceX96, tick };
+        }
+
         const { provider } = await RPCManager.getHealthyProvider();
+        return this.readBestPool(dexName, fromToken, toToken, provider, 'latest');
+    }
+
+    async readBestPool(dexName, fromToken, toToken, provider, blockTag) {
+        const dexConfig = this.directDexes[dexName];
+        // Liquidity and slot0 only exist on concentrated liquidity pools
+        if (dexConfig.factoryType !== 'v3') return null;
 
         for (const fee of dexConfig.feeTiers) {
             try {
-                const factoryABI = [
-                    'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)'
-                ];
-
-                const factory = new ethers.Contract(dexConfig.factory, factoryABI, provider);
-                const poolAddress = await factory.getPool(fromToken, toToken, fee);
+                const factory = new ethers.Contract(dexConfig.factory, FACTORY_ABIS.v3, provider);
+                const poolAddress = await factory.getPool(fromToken, toToken, fee, { blockTag });
 
                 if (poolAddress !== ethers.ZeroAddress) {
                     // Check pool liquidity
@@ -638,8 +688,8 @@ class AggregatorService {
 
                     const pool = new ethers.Contract(poolAddress, poolABI, provider);
                     const [liquidity, slot0] = await Promise.all([
-                        pool.liquidity(),
-                        pool.slot0()
+                        pool.liquidity({ blockTag }),
+                        pool.slot0({ blockTag })
                     ]);
 
                     if (liquidity > 0n) {
@@ -653,6 +703,8 @@ class AggregatorService {
                     }
                 }
             } catch (error) {
+                // A revert only rules out this fee tier; a node error fails the read so a quorum can't count it as an answer
+                if (!RPCManager.isRevert(error)) throw error;
                 continue;
             }
         }
@@ -754,6 +806,56 @@ class AggregatorService {
         return true;
     }
 
+    // Every pool the direct DEX factories know about between any two of the given tokens
+    async discoverPools(tokenAddresses) {
+        const { provider } = await RPCManager.getHealthyProvider();
+        const pools = [];
+
+        for (let i = 0; i < tokenAddresses.length; i++) {
+            for (let j = i + 1; j < tokenAddresses.length; j++) {
+                const tokenA = tokenAddresses[i].toLowerCase();
+                const tokenB = tokenAddresses[j].toLowerCase();
+
+                for (const [dex, dexConfig] of Object.entries(this.directDexes)) {
+                    const found = await this.findFactoryPools(dexConfig, tokenA, tokenB, provider).catch(() => []);
+
+                    for (const { address, fee } of found) {
+                        pools.push({ address: address.toLowerCase(), dex, fee, tokenA, tokenB });
+                    }
+                }
+            }
+        }
+
+        return pools;
+    }
+
+    // The pools one factory holds for a pair, as [{ address, fee }] with fees in millionths
+    async findFactoryPools(dexConfig, tokenA, tokenB, provider) {
+        const factory = new ethers.Contract(dexConfig.factory, FACTORY_ABIS[dexConfig.factoryType], provider);
+
+        if (dexConfig.factoryType === 'aerodrome') {
+            // A volatile and a stable pool per pair, each charging the fee the factory sets for it in bps
+            const found = await Promise.all([false, true].map(async (stable) => {
+                const address = await factory.getPool(tokenA, tokenB, stable);
+                if (address === ethers.ZeroAddress) return null;
+                return { address, fee: Number(await factory.getFee(address, stable)) * 100 };
+            }));
+            return found.filter(Boolean);
+        }
+
+        if (dexConfig.factoryType === 'v2') {
+            const address = await factory.getPair(tokenA, tokenB);
+            return address === ethers.ZeroAddress ? [] : [{ address, fee: dexConfig.fee }];
+        }
+
+        const addresses = await Promise.all(dexConfig.feeTiers.map(fee =>
+            factory.getPool(tokenA, tokenB, fee).catch(() => ethers.ZeroAddress)
+        ));
+        return addresses
+            .map((address, index) => ({ address, fee: dexConfig.feeTiers[index] }))
+            .filter(pool => pool.address !== ethers.ZeroAddress);
+    }
+
     async getBestRoute(fromToken, toToken, amount, options = {}) {
         const aggregators = config.aggregatorPriority || ['odos', 'oneInch', 'cow'];
         const routes = [];
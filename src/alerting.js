@@ -1,6 +1,7 @@
 const axios = require('axios');
 const NodeCache = require('node-cache');
 const { Logger } = require('./utils');
+const TradeJournal = require('./storage');
 
 class AlertingSystem {
     constructor() {
@@ -84,6 +85,7 @@ class AlertingSystem {
 
         this.alertCooldowns.set(alertKey, now);
         this.cache.set(`alert_${alertKey}`, { level, title, message, timestamp: now });
+        TradeJournal.recordAlert(level, title, message, data, results.some(r => r.success));
 
         return {
             sent: results.some(r => r.success),
@@ -371,6 +373,34 @@ class AlertingSystem {
         );
     }
 
+    async sendPaperTradeRecorded(fill, ledger) {
+        return this.sendAlert('success', 'Paper Trade Recorded',
+            `Dry run: arbitrage was simulated and recorded instead of broadcast.`,
+            {
+                tradeId: fill.id,
+                profitUSD: fill.netProfitUSD,
+                gasCost: fill.gasCostUSD,
+                path: fill.path.map(h => h.fromToken.substring(0, 10)).join(' → '),
+                paperPnLUSD: ledger.netPnLUSD,
+                paperTrades: ledger.trades
+            }
+        );
+    }
+
+    async sendPaperTradingSummary(summary) {
+        return this.sendAlert('info', 'Paper Trading Summary',
+            `Simulated performance since ${summary.since} (dry run, no transactions broadcast).`,
+            {
+                trades: summary.trades,
+                winRate: `${(summary.winRate * 100).toFixed(2)}%`,
+                netPnLUSD: summary.netPnLUSD,
+                gasCostUSD: summary.gasCostUSD,
+                flashLoanCostUSD: summary.flashLoanCostUSD,
+                avgNetProfitUSD: summary.avgNetProfitUSD
+            }
+        );
+    }
+
     async sendOpportunityMissed(opportunity, reason) {
         return this.sendAlert('warning', 'Opportunity Missed',
             `An opportunity was detected but not executed.`,
@@ -430,6 +460,11 @@ class AlertingSystem {
     }
 
     getRecentAlerts(limit = 20) {
+        // Journal keeps history across restarts; the cache only covers the last few minutes
+        if (TradeJournal.enabled) {
+            return TradeJournal.getRecentAlerts(limit);
+        }
+
         const keys = this.cache.keys().filter(k => k.startsWith('alert_'));
         const alerts = keys.map(k => this.cache.get(k)).filter(a => a);
         
@@ -0,0 +1,177 @@
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { Logger } = require('./utils');
+
+class ApiServer {
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.port = options.port || parseInt(process.env.API_PORT) || 3001;
+        this.host = options.host || process.env.API_HOST || '127.0.0.1';
+        this.authToken = options.authToken || process.env.API_AUTH_TOKEN;
+        this.rateLimit = options.rateLimit || parseInt(process.env.API_RATE_LIMIT) || 100; // requests per minute per client
+        this.timeout = options.timeout || parseInt(process.env.API_TIMEOUT_MS) || 30000;
+        this.server = null;
+        this.requestCounts = new Map();
+
+        this.routes = {
+            'GET /health': () => ({ status: 'ok', timestamp: Date.now() }),
+            'GET /status': () => this.bot.getStatus(),
+            'GET /rpc': () => this.bot.rpcManager.getNodeStats(),
+            'GET /rate-limits': () => this.bot.rateLimiter.getAllStats(),
+            'GET /gas': () => this.bot.gasOptimizer.getGasStats(),
+            'GET /alerts': (req, url) => this.bot.getRecentAlerts(parseInt(url.searchParams.get('limit')) || 20),
+            'GET /pairs': () => this.bot.zScoreEngine.getAllPairStatistics(),
+            'GET /pairs/removed': (req, url) => this.bot.zScoreEngine.getRemovals(parseInt(url.searchParams.get('limit')) || 20),
+            'GET /baskets': () => this.bot.zScoreEngine.getAllBasketStatistics(),
+            'GET /positions': () => this.bot.positionBook.getSummary(),
+            'GET /thresholds': () => this.bot.getThresholds(),
+            'POST /pause': (req, url, body) => this.bot.pause(body.reason || 'Paused via API'),
+            'POST /resume': () => this.bot.resume(),
+            'POST /emergency-stop': async (req, url, body) => {
+                await this.bot.emergencyStop(body.reason || 'Emergency stop requested via API');
+                return { emergencyShutdown: true };
+            },
+            'POST /thresholds': (req, url, body) => {
+                const result = this.bot.updateThresholds(body);
+                if (!result.isValid) {
+                    throw Object.assign(new Error(result.errors.join(', ')), { statusCode: 400 });
+                }
+                return result.thresholds;
+            }
+        };
+    }
+
+    start() {
+        if (this.server) {
+            return;
+        }
+
+        if (!this.authToken) {
+            Logger.logWarning('API_AUTH_TOKEN not set, control API disabled');
+            return;
+        }
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.setTimeout(this.timeout);
+
+        this.rateLimitReset = setInterval(() => this.requestCounts.clear(), 60000);
+
+        this.server.listen(this.port, this.host, () => {
+            Logger.logSuccess(`Control API listening on http://${this.host}:${this.port}`);
+        });
+
+        this.server.on('error', (error) => {
+            Logger.logError('Control API server error', error);
+        });
+    }
+
+    stop() {
+        if (this.rateLimitReset) {
+            clearInterval(this.rateLimitReset);
+            this.rateLimitReset = null;
+        }
+
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const route = this.routes[`${req.method} ${url.pathname}`];
+
+        if (!route) {
+            return this.sendJson(res, 404, { error: 'Not found' });
+        }
+
+        // Counted before auth so token guessing is throttled too
+        if (this.isRateLimited(req)) {
+            return this.sendJson(res, 429, { error: 'Too many requests' });
+        }
+
+        try {
+            // Health is left open for load balancer / container probes
+            if (url.pathname !== '/health' && !this.isAuthorized(req)) {
+                return this.sendJson(res, 401, { error: 'Unauthorized' });
+            }
+
+            const body = req.method === 'POST' ? await this.readBody(req) : {};
+            const result = await route(req, url, body);
+
+            if (req.method === 'POST') {
+                Logger.logWarning(`Control API: ${url.pathname}`, body);
+            }
+
+            this.sendJson(res, 200, { success: true, data: result });
+        } catch (error) {
+            const status = error.statusCode || 500;
+            if (status === 500) {
+                Logger.logError(`Control API request failed: ${req.method} ${url.pathname}`, error);
+            }
+            this.sendJson(res, status, { success: false, error: error.message });
+        }
+    }
+
+    isAuthorized(req) {
+        const header = req.headers['authorization'] || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return false;
+        }
+
+        // Digests are always the same length, so neither the comparison nor its timing depends on the token's
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(token), digest(this.authToken));
+    }
+
+    isRateLimited(req) {
+        const client = req.socket.remoteAddress;
+        const count = (this.requestCounts.get(client) || 0) + 1;
+        this.requestCounts.set(client, count);
+        return count > this.rateLimit;
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+
+            req.on('data', chunk => {
+                data += chunk;
+                if (data.length > 1e5) {
+                    reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+                    req.destroy();
+                }
+            });
+
+            req.on('end', () => {
+                if (!data) {
+                    return resolve({});
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    reject(Object.assign(new Error('Invalid JSON body'), { statusCode: 400 }));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    sendJson(res, statusCode, payload) {
+        const body = JSON.stringify(payload, (key, value) =>
+            typeof value === 'bigint' ? value.toString() : value
+        );
+
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+    }
+}
+
+module.exports = ApiServer;
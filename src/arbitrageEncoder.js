@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('../config/config.json');
+
+const ARTIFACT_PATH = path.join(__dirname, '..', 'artifacts', 'contracts', 'BaseAlphaArb.sol', 'BaseAlphaArb.json');
+
+// BaseAlphaArb.FlashLoanProvider
+const FLASH_LOAN_PROVIDERS = {
+    aave: 0,
+    balancer: 1,
+    uniswapV3: 2,
+    morpho: 3
+};
+
+const AGGREGATOR_ADDRESSES = {
+    'Aerodrome': '0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43',
+    'PancakeSwap': '0x678Aa4bF4E210cf2166753e054d5b7c31cc7fa86',
+    'Uniswap V3': '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24',
+    'Baseswap': '0x327df1e6de05895d2ab08513aa9319310ce3a516',
+    'odos': '0x19cEeAd7105607Cd444F5ad10dd51356436095a1',
+    'oneInch': '0x1111111254EEB25477B68fb85Ed929f73A960582',
+    'cow': '0x9008D19f58AAbD9eD0D60971565AA8510560ab41'
+};
+
+// The one place opportunities become BaseAlphaArb calldata. The ABI comes from the Hardhat
+// artifact, so a contract change that isn't recompiled fails loudly instead of encoding garbage.
+class ArbitrageEncoder {
+    constructor() {
+        this.interface = null;
+        this.settings = {
+            deadlineSeconds: 120,
+            hopSlippageBps: 50,
+            ...config.encoderSettings
+        };
+    }
+
+    getInterface() {
+        if (!this.interface) {
+            if (!fs.existsSync(ARTIFACT_PATH)) {
+                throw new Error(`BaseAlphaArb artifact not found at ${ARTIFACT_PATH}, run npm run compile`);
+            }
+            this.interface = new ethers.Interface(JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8')).abi);
+        }
+        return this.interface;
+    }
+
+    getAggregatorAddress(dexName) {
+        return AGGREGATOR_ADDRESSES[dexName] || ethers.ZeroAddress;
+    }
+
+    // Hops without an explicit floor get the quoted output less hopSlippageBps
+    buildHop(hop) {
+        let minAmountOut = 0n;
+        if (hop.minAmountOut !== undefined) {
+            minAmountOut = ethers.getBigInt(hop.minAmountOut);
+        } else if (hop.outputAmount !== undefined) {
+            minAmountOut = ethers.getBigInt(hop.outputAmount) * BigInt(10000 - this.settings.hopSlippageBps) / 10000n;
+        }
+
+        return {
+            aggregator: this.getAggregatorAddress(hop.dex),
+            fromToken: hop.fromToken,
+            toToken: hop.toToken,
+            amountIn: ethers.getBigInt(hop.amount),
+            minAmountOut,
+            swapData: hop.swapData || '0x',
+            useEth: Boolean(hop.useEth)
+        };
+    }
+
+    buildPath(opportunity) {
+        return {
+            hops: opportunity.path.map(hop => this.buildHop(hop)),
+            minProfit: ethers.getBigInt(opportunity.minProfit || 0),
+            deadline: BigInt(opportunity.deadline || Math.floor(Date.now() / 1000) + this.settings.deadlineSeconds)
+        };
+    }
+
+    // Picks the entry point from the flash loan plan: several borrows go through Aave's flashLoan,
+    // a planned single borrow through the chosen provider, and unplanned opportunities through Aave's flashLoanSimple
+    encode(opportunity) {
+        const iface = this.getInterface();
+        const arbitragePath = this.buildPath(opportunity);
+        const flashLoan = opportunity.flashLoan;
+
+        if (!flashLoan) {
+            return iface.encodeFunctionData('executeArbitrage', [arbitragePath, opportunity.amount]);
+        }
+
+        if (flashLoan.borrows.length > 1) {
+            // Borrows are planned in hop order, so the first is the start token the contract measures profit in
+            return iface.encodeFunctionData('executeMultiAssetArbitrage', [
+                arbitragePath,
+                flashLoan.borrows.map(borrow => borrow.asset),
+                flashLoan.borrows.map(borrow => borrow.amount)
+            ]);
+        }
+
+        if (FLASH_LOAN_PROVIDERS[flashLoan.provider] === undefined) {
+            throw new Error(`Unknown flash loan provider: ${flashLoan.provider}`);
+        }
+
+        return iface.encodeFunctionData('executeArbitrageWithProvider', [
+            arbitragePath,
+            flashLoan.borrows[0].amount,
+            FLASH_LOAN_PROVIDERS[flashLoan.provider],
+            flashLoan.provider === 'uniswapV3' ? flashLoan.lender : ethers.ZeroAddress
+        ]);
+    }
+
+    decode(data) {
+        return this.getInterface().parseTransaction({ data });
+    }
+}
+
+module.exports = new ArbitrageEncoder();
@@ -0,0 +1,123 @@
+const PoolRegistry = require('./poolRegistry');
+
+// Directed token graph where each edge is the best pool quote between two tokens, weighted by
+// -log(rate). A cycle whose weights sum below zero multiplies the input, i.e. is an arbitrage.
+class ArbitrageGraph {
+    constructor() {
+        this.edges = new Map(); // fromToken -> Map(toToken -> edge)
+        this.tokens = new Set();
+    }
+
+    // Rebuild from the pool registry's current state; only the best pool per direction is kept
+    build(pools = [...PoolRegistry.pools.values()]) {
+        this.edges.clear();
+        this.tokens.clear();
+
+        for (const pool of pools) {
+            if (pool.status !== 'ready') continue;
+
+            const [token0, token1] = pool.tokenA.toLowerCase() === pool.token0 ?
+                [pool.tokenA.toLowerCase(), pool.tokenB.toLowerCase()] :
+                [pool.tokenB.toLowerCase(), pool.tokenA.toLowerCase()];
+
+            this.addEdge(token0, token1, pool, PoolRegistry.spotRate(pool, token0));
+            this.addEdge(token1, token0, pool, PoolRegistry.spotRate(pool, token1));
+        }
+
+        return this;
+    }
+
+    addEdge(fromToken, toToken, pool, rate) {
+        if (!(rate > 0) || !Number.isFinite(rate)) return;
+
+        const weight = -Math.log(rate);
+        if (!this.edges.has(fromToken)) {
+            this.edges.set(fromToken, new Map());
+        }
+
+        const existing = this.edges.get(fromToken).get(toToken);
+        if (!existing || weight < existing.weight) {
+            this.edges.get(fromToken).set(toToken, { fromToken, toToken, pool, rate, weight });
+        }
+
+        this.tokens.add(fromToken);
+        this.tokens.add(toToken);
+    }
+
+    // Hop-bounded Bellman-Ford from each source: after k rounds walks[v] is the lightest walk of exactly k
+    // edges from the source to v. Each walk carries the tokens it has passed through and relaxation never
+    // steps onto one of them again (only back onto the source, closing the cycle), so a cheaper walk that
+    // loops through a token can't displace the simple walk that would have closed a profitable cycle.
+    // A negative walks[source] after k rounds is a profitable k-hop cycle.
+    findCycles(sources, options = {}) {
+        const maxHops = options.maxHops || 4;
+        const minEdge = options.minEdge || 0;
+        const limit = options.limit || 20;
+        const cycles = new Map();
+
+        for (const source of sources.map(token => token.toLowerCase())) {
+            if (!this.edges.has(source)) continue;
+
+            let walks = new Map([[source, { weight: 0, edges: [], visited: new Set([source]) }]]);
+
+            for (let hops = 1; hops <= maxHops; hops++) {
+                const next = new Map();
+
+                for (const [token, walk] of walks) {
+                    // A walk back at the source is already a closed cycle
+                    if (token === source && walk.edges.length > 0) continue;
+
+                    for (const edge of (this.edges.get(token) || new Map()).values()) {
+                        if (edge.toToken !== source && walk.visited.has(edge.toToken)) continue;
+
+                        const candidate = walk.weight + edge.weight;
+                        const current = next.get(edge.toToken);
+                        if (!current || candidate < current.weight) {
+                            next.set(edge.toToken, {
+                                weight: candidate,
+                                edges: [...walk.edges, edge],
+                                visited: new Set([...walk.visited, edge.toToken])
+                            });
+                        }
+                    }
+                }
+
+                walks = next;
+
+                const closed = walks.get(source);
+                if (hops >= 2 && closed && closed.weight < -Math.log1p(minEdge)) {
+                    const cycle = this.toCycle(source, closed.edges, closed.weight);
+                    if (!cycles.has(cycle.key)) {
+                        cycles.set(cycle.key, cycle);
+                    }
+                }
+            }
+        }
+
+        return [...cycles.values()]
+            .sort((a, b) => b.expectedEdge - a.expectedEdge)
+            .slice(0, limit);
+    }
+
+    toCycle(source, edges, weight) {
+        return {
+            key: edges.map(edge => `${edge.fromToken}:${edge.pool.address}`).join('>'),
+            startToken: source,
+            tokens: [...edges.map(edge => edge.fromToken), source],
+            edges,
+            hops: edges.length,
+            expectedEdge: Math.exp(-weight) - 1
+        };
+    }
+
+    getStats() {
+        let edgeCount = 0;
+        for (const targets of this.edges.values()) {
+            edgeCount += targets.size;
+        }
+
+        return { tokens: this.tokens.size, edges: edgeCount };
+    }
+}
+
+module.exports = ArbitrageGraph;
@@ -0,0 +1,799 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const NodeCache = require('node-cache');
+const config = require('../config/config.json');
+const RPCManager = require('./rpcManager');
+const PoolRegistry = require('./poolRegistry');
+const TokenManager = require('./TokenManager');
+const ZScoreEngine = require('./ZScoreEngine');
+const AggregatorService = require('./aggregatorService');
+const FlashLoanPlanner = require('./flashLoanPlanner');
+const OpportunityScanner = require('./opportunityScanner');
+const ProfitCalculator = require('./profitCalculator');
+const ArbitrageEncoder = require('./arbitrageEncoder');
+const TokenAmount = require('./tokenAmount');
+const { Logger } = require('./utils');
+
+const DATASET_VERSION = 1;
+const DATASET_DIR = path.join(__dirname, '../data/backtests');
+
+const ERC20_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)'
+];
+
+// Archive reads that default to a fixed block instead of 'latest', so code written for live
+// state (token metadata, lender reserves) records the chain as it was at the start of the range
+class HistoricalProvider extends ethers.JsonRpcProvider {
+    constructor(url, blockTag) {
+        super(url, config.chainId, { staticNetwork: true });
+        this.blockTag = blockTag;
+    }
+
+    _getBlockTag(blockTag) {
+        return super._getBlockTag(blockTag === undefined ? this.blockTag : blockTag);
+    }
+}
+
+// Serves the replay clock and fees from the dataset. Anything else would be live state from
+// outside the dataset, so it fails and callers fall back exactly as they do on an RPC error.
+class ReplayProvider {
+    constructor(blocks, priorityFeeGwei) {
+        this.blocks = new Map(blocks.map(block => [block.number, block]));
+        this.priorityFee = ethers.parseUnits(priorityFeeGwei.toString(), 'gwei');
+        this.blockNumber = 0;
+    }
+
+    setBlock(blockNumber) {
+        this.blockNumber = blockNumber;
+    }
+
+    unavailable(method) {
+        return Promise.reject(new Error(`${method} is not in the backtest dataset`));
+    }
+
+    async getBlockNumber() {
+        return this.blockNumber;
+    }
+
+    async getBlock(blockTag) {
+        const number = blockTag === 'latest' || blockTag === undefined ? this.blockNumber : Number(blockTag);
+        return this.blocks.get(number) || null;
+    }
+
+    async getFeeData() {
+        const block = this.blocks.get(this.blockNumber);
+        const baseFee = block ? block.baseFeePerGas : 0n;
+
+        return {
+            gasPrice: baseFee + this.priorityFee,
+            maxFeePerGas: baseFee * 2n + this.priorityFee,
+            maxPriorityFeePerGas: this.priorityFee
+        };
+    }
+
+    call() { return this.unavailable('call'); }
+    estimateGas() { return this.unavailable('estimateGas'); }
+    getLogs() { return this.unavailable('getLogs'); }
+    getBalance() { return this.unavailable('getBalance'); }
+    getTransactionCount() { return this.unavailable('getTransactionCount'); }
+    getTransaction() { return this.unavailable('getTransaction'); }
+    getTransactionReceipt() { return this.unavailable('getTransactionReceipt'); }
+    broadcastTransaction() { return this.unavailable('broadcastTransaction'); }
+    send(method) { return this.unavailable(method); }
+}
+
+// USD prices and liquidity derived from replayed pool state: stables are $1 and every other token
+// is priced through its deepest pool to an already-priced token. Also the price history source
+// for the z-score engine and the slippage model.
+class PriceBook {
+    constructor(tokenManager) {
+        this.tokenManager = tokenManager;
+        this.prices = new Map();
+        this.liquidity = new Map();
+        this.history = new Map(); // token -> [{ blockNumber, priceUSD }] in block order
+    }
+
+    // Virtual reserves in raw units; for V3 the in-range depth at the current price
+    getReserves(pool) {
+        if (pool.type === 'v2') {
+            if (pool.reserve0 === 0n || pool.reserve1 === 0n) return null;
+            return [Number(pool.reserve0), Number(pool.reserve1)];
+        }
+
+        if (pool.liquidity === 0n) return null;
+        const sqrtPrice = Number(pool.sqrtPriceX96) / 2 ** 96;
+        return [Number(pool.liquidity) / sqrtPrice, Number(pool.liquidity) * sqrtPrice];
+    }
+
+    update(blockNumber, pools) {
+        const sides = [];
+
+        for (const pool of [...pools].sort((a, b) => (a.address < b.address ? -1 : 1))) {
+            if (pool.status !== 'ready') continue;
+
+            const reserves = this.getReserves(pool);
+            const token0 = pool.token0;
+            const token1 = pool.tokenA.toLowerCase() === token0 ? pool.tokenB.toLowerCase() : pool.tokenA.toLowerCase();
+            if (!reserves || !this.tokenManager.getTokenByAddress(token0) || !this.tokenManager.getTokenByAddress(token1)) {
+                continue;
+            }
+
+            const amount0 = reserves[0] / 10 ** this.tokenManager.getTokenDecimalsByAddress(token0);
+            const amount1 = reserves[1] / 10 ** this.tokenManager.getTokenDecimalsByAddress(token1);
+            sides.push({ token: token0, amount: amount0, other: token1, otherAmount: amount1 });
+            sides.push({ token: token1, amount: amount1, other: token0, otherAmount: amount0 });
+        }
+
+        const prices = new Map();
+        for (const token of this.tokenManager.getAllTokens()) {
+            if (token.isStable) prices.set(token.address.toLowerCase(), 1);
+        }
+
+        // Widen out from the stables one pool at a time, always through the deepest priced side
+        let added = true;
+        while (added) {
+            const candidates = new Map();
+            for (const side of sides) {
+                if (prices.has(side.token) || !prices.has(side.other)) continue;
+
+                const depthUSD = side.otherAmount * prices.get(side.other);
+                const best = candidates.get(side.token);
+                if (!best || depthUSD > best.depthUSD) {
+                    candidates.set(side.token, { priceUSD: depthUSD / side.amount, depthUSD });
+                }
+            }
+
+            for (const [token, candidate] of candidates) {
+                prices.set(token, candidate.priceUSD);
+            }
+            added = candidates.size > 0;
+        }
+
+        const liquidity = new Map();
+        for (const side of sides) {
+            if (prices.has(side.token)) {
+                liquidity.set(side.token, (liquidity.get(side.token) || 0) + side.amount * prices.get(side.token));
+            }
+        }
+
+        this.prices = prices;
+        this.liquidity = liquidity;
+
+        for (const token of this.tokenManager.getAllTokens()) {
+            const address = token.address.toLowerCase();
+            token.priceUSD = prices.get(address) || null;
+            token.liquidityUSD = liquidity.get(address) || 0;
+
+            if (token.priceUSD) {
+                if (!this.history.has(address)) this.history.set(address, []);
+                this.history.get(address).push({ blockNumber, priceUSD: token.priceUSD });
+            }
+        }
+    }
+
+    getPrice(token) {
+        return this.prices.get(token.toLowerCase()) || null;
+    }
+
+    getLiquidityUSD(token) {
+        return this.liquidity.get(token.toLowerCase()) || 0;
+    }
+
+    // Last price at or before blockNumber
+    getPriceAt(token, blockNumber) {
+        const history = this.history.get(token.toLowerCase()) || [];
+        let low = 0;
+        let high = history.length - 1;
+        let found = null;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (history[mid].blockNumber <= blockNumber) {
+                found = history[mid].priceUSD;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return found;
+    }
+
+    getPriceHistory(token, lookback) {
+        return (this.history.get(token.toLowerCase()) || []).slice(-lookback).map(entry => entry.priceUSD);
+    }
+}
+
+class ReplayTokenManager extends TokenManager {
+    constructor(tokens) {
+        super();
+        this.datasetTokens = tokens;
+    }
+
+    async initialize() {
+        if (this.initialized) return;
+
+        for (const token of this.datasetTokens) {
+            const existing = this.getTokenByAddress(token.address) || {};
+            this.tokens.set(token.address.toLowerCase(), { ...existing, ...token });
+        }
+        this.initialized = true;
+    }
+
+    async getTokenPrice(tokenAddress) {
+        const token = this.getTokenByAddress(tokenAddress);
+        return token && token.priceUSD ? token.priceUSD : null;
+    }
+}
+
+class ReplayZScoreEngine extends ZScoreEngine {
+    constructor(priceBook, tokens) {
+        super();
+        this.priceBook = priceBook;
+        this.tokens = tokens;
+        // Nothing to rate-limit or ingest when prices come from the dataset
+        this.settings.testPauseMs = 0;
+        this.priceIngestion = null;
+    }
+
+    // The pair universe is the dataset's tokens, not DexScreener's
+    async getUniverseTokens() {
+        return this.tokens;
+    }
+
+    async getCurrentPrice(tokenAddress) {
+        return this.priceBook.getPrice(tokenAddress);
+    }
+
+    async getTokenPriceAtBlock(tokenAddress, blockNumber) {
+        return this.priceBook.getPriceAt(tokenAddress, blockNumber);
+    }
+}
+
+// Lender state as recorded at the start of the range, held for the whole replay
+class ReplayFlashLoanPlanner extends FlashLoanPlanner {
+    constructor(tokenManager, lenderState) {
+        super(tokenManager);
+        this.reserveCache = new NodeCache({ stdTTL: 0 });
+        this.reserveCache.mset(lenderState.map(([key, val]) => ({ key, val })));
+    }
+}
+
+// Replays never reach the aggregator APIs; every hop is quoted against replayed pool state
+const NO_AGGREGATORS = {
+    getRoute: async () => null,
+    discoverPools: async () => []
+};
+
+class ReplayScanner extends OpportunityScanner {
+    constructor(priceBook, deps) {
+        super({ ...deps, aggregatorService: NO_AGGREGATORS });
+        this.priceBook = priceBook;
+    }
+
+    async findOptimalPath(fromToken, toToken, amount) {
+        const best = PoolRegistry.quoteBest(fromToken, toToken, amount);
+        if (!best || best.amountOut <= 0n) return null;
+
+        return {
+            fromToken,
+            toToken,
+            amount,
+            outputAmount: best.amountOut,
+            dex: best.pool.dex,
+            pool: best.pool.address,
+            fee: best.pool.fee,
+            priceImpact: this.calculatePriceImpact(amount, best.amountOut, fromToken, toToken),
+            gasEstimate: 100000
+        };
+    }
+
+    estimateTokenLiquidity(tokenAddress) {
+        return this.priceBook.getLiquidityUSD(tokenAddress);
+    }
+}
+
+// Datasets are JSON with bigints and Maps (V3 ticks and bitmaps) tagged so they survive a round trip
+function encodeValue(key, value) {
+    if (typeof value === 'bigint') return { $bigint: value.toString() };
+    if (value instanceof Map) return { $map: [...value] };
+    return value;
+}
+
+function decodeValue(key, value) {
+    if (value && typeof value === 'object') {
+        if ('$bigint' in value) return BigInt(value.$bigint);
+        if ('$map' in value) return new Map(value.$map);
+    }
+    return value;
+}
+
+// Replays a recorded block range through the same scanner and profit calculator the bot runs, against
+// pool state rebuilt from archived logs. Everything a run sees comes from the dataset, so two configs
+// replayed over the same dataset see identical markets and their reports can be compared directly.
+//
+// What a replay can't know: lender liquidity after the first block (recorded once), the mempool (no MEV
+// checks), and our own trades' price impact, so a traded pair is off limits until someone else moves it.
+class Backtester {
+    constructor() {
+        this.settings = {
+            priorityFeeGwei: 0.005,
+            inclusionDelayBlocks: 1,
+            warmupBlocks: 500,
+            maxEvaluationsPerBlock: 5,
+            logChunkBlocks: 2000,
+            maxReportedMisses: 50,
+            ...config.backtestSettings
+        };
+    }
+
+    // Pool state just before fromBlock, every pool log in [fromBlock, toBlock], the headers of the
+    // blocks those logs are in, and lender state at the start of the range
+    async record(rpcUrl, { fromBlock, toBlock, tokens = [] }) {
+        const snapshotBlock = fromBlock - 1;
+        const provider = new HistoricalProvider(rpcUrl, snapshotBlock);
+        RPCManager.pinProvider(provider);
+
+        try {
+            const addresses = [...new Set([...config.baseTokens, ...tokens].map(token => token.toLowerCase()))];
+            const tokenManager = new TokenManager();
+            const tokenInfos = [];
+
+            for (const address of addresses) {
+                const contract = new ethers.Contract(address, ERC20_ABI, provider);
+                const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+                tokenInfos.push({ address, symbol, decimals: Number(decimals), isStable: tokenManager.isStableToken(symbol) });
+            }
+
+            const pools = [];
+            for (const info of await new AggregatorService().discoverPools(addresses)) {
+                try {
+                    pools.push({ ...info, ...await PoolRegistry.readPoolState(info, provider, snapshotBlock) });
+                } catch (error) {
+                    Logger.logWarning(`Skipping pool ${info.address}`, error.message);
+                }
+            }
+            Logger.logInfo(`Recorded state of ${pools.length} pools at block ${snapshotBlock}`);
+
+            const logs = [];
+            const filter = PoolRegistry.getLogFilter(pools.map(pool => pool.address));
+            for (let start = fromBlock; start <= toBlock; start += this.settings.logChunkBlocks) {
+                const end = Math.min(start + this.settings.logChunkBlocks - 1, toBlock);
+                for (const log of await provider.getLogs({ ...filter, fromBlock: start, toBlock: end })) {
+                    logs.push({
+                        address: log.address.toLowerCase(),
+                        blockNumber: log.blockNumber,
+                        index: log.index,
+                        topics: log.topics,
+                        data: log.data,
+                        transactionHash: log.transactionHash
+                    });
+                }
+            }
+            logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+            Logger.logInfo(`Recorded ${logs.length} pool logs in blocks ${fromBlock}-${toBlock}`);
+
+            const blocks = [];
+            for (const number of new Set(logs.map(log => log.blockNumber))) {
+                const block = await provider.getBlock(number);
+                blocks.push({ number, timestamp: block.timestamp, baseFeePerGas: block.baseFeePerGas || 0n });
+            }
+
+            return {
+                version: DATASET_VERSION,
+                chainId: config.chainId,
+                fromBlock,
+                toBlock,
+                tokens: tokenInfos,
+                pools,
+                lenders: await this.recordLenders(tokenManager, tokenInfos, pools),
+                blocks,
+                logs
+            };
+        } finally {
+            PoolRegistry.stop();
+            RPCManager.unpinProvider();
+        }
+    }
+
+    // Runs the planner's own reads against the pinned archive provider and keeps what it cached
+    async recordLenders(tokenManager, tokens, pools) {
+        const planner = new FlashLoanPlanner(tokenManager);
+        planner.reserveCache = new NodeCache({ stdTTL: 0 });
+        this.loadPools(pools, 0);
+
+        await planner.getPremiumBps();
+        for (const token of tokens) {
+            await planner.quoteSources(token.address, 1n);
+        }
+
+        return planner.reserveCache.keys().map(key => [key, planner.reserveCache.get(key)]);
+    }
+
+    saveDataset(dataset, file = path.join(DATASET_DIR, `${dataset.fromBlock}-${dataset.toBlock}.json`)) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(dataset, encodeValue));
+        return file;
+    }
+
+    loadDataset(file) {
+        const dataset = JSON.parse(fs.readFileSync(file, 'utf8'), decodeValue);
+        if (dataset.version !== DATASET_VERSION) {
+            throw new Error(`Unsupported backtest dataset version ${dataset.version}`);
+        }
+        return dataset;
+    }
+
+    loadPools(pools, snapshotBlock) {
+        PoolRegistry.stop();
+
+        for (const pool of pools) {
+            PoolRegistry.pools.set(pool.address, {
+                ...structuredClone(pool),
+                pairKey: PoolRegistry.pairKey(pool.tokenA, pool.tokenB),
+                status: 'ready',
+                pendingLogs: [],
+                lastApplied: { blockNumber: snapshotBlock, index: Infinity }
+            });
+        }
+    }
+
+    async run(dataset) {
+        const blocks = [...dataset.blocks].sort((a, b) => a.number - b.number);
+        const logsByBlock = new Map();
+        for (const log of dataset.logs) {
+            if (!logsByBlock.has(log.blockNumber)) logsByBlock.set(log.blockNumber, []);
+            logsByBlock.get(log.blockNumber).push(log);
+        }
+
+        this.provider = new ReplayProvider(blocks, this.settings.priorityFeeGwei);
+        RPCManager.pinProvider(this.provider);
+        this.loadPools(dataset.pools, dataset.fromBlock - 1);
+
+        this.tokenManager = new ReplayTokenManager(dataset.tokens);
+        await this.tokenManager.initialize();
+        this.priceBook = new PriceBook(this.tokenManager);
+
+        const flashLoanPlanner = new ReplayFlashLoanPlanner(this.tokenManager, dataset.lenders);
+        this.zScoreEngine = new ReplayZScoreEngine(this.priceBook, dataset.tokens);
+        this.profitCalculator = new ProfitCalculator(flashLoanPlanner, {
+            tokenManager: this.tokenManager,
+            priceHistory: this.priceBook
+        });
+        this.scanner = new ReplayScanner(this.priceBook, {
+            tokenManager: this.tokenManager,
+            zScoreEngine: this.zScoreEngine,
+            profitCalculator: this.profitCalculator,
+            flashLoanPlanner
+        });
+
+        this.trades = [];
+        this.pendingFills = [];
+        this.misses = [];
+        this.stats = { blocks: 0, opportunities: 0, evaluated: 0 };
+
+        // Our own fills aren't in the logs, so a pair we traded stays taken until a pool of it moves
+        this.takenPairs = new Set();
+        const releasePair = (pool) => this.takenPairs.delete(pool.pairKey);
+        PoolRegistry.on('poolUpdated', releasePair);
+
+        let lastRetestBlock = null;
+
+        try {
+            for (const block of blocks) {
+                for (const log of logsByBlock.get(block.number) || []) {
+                    PoolRegistry.handleLog(log);
+                }
+
+                // Fills landing in this block trade against it, after the other transactions it carries
+                this.settleFills(block.number);
+
+                this.provider.setBlock(block.number);
+                this.priceBook.update(block.number, PoolRegistry.pools.values());
+                RPCManager.dispatchBlock(block.number);
+                this.flushCaches();
+
+                // The same rolling re-test the live engine schedules, once there is enough history to test
+                if (block.number - dataset.fromBlock >= this.settings.warmupBlocks &&
+                    (lastRetestBlock === null || block.number - lastRetestBlock >= this.zScoreEngine.settings.retestEveryBlocks)) {
+                    await this.zScoreEngine.refreshPairs(block.number);
+                    lastRetestBlock = block.number;
+                }
+
+                await this.processBlock(block.number);
+                this.stats.blocks++;
+            }
+
+            this.settleFills(Infinity);
+        } finally {
+            PoolRegistry.off('poolUpdated', releasePair);
+            PoolRegistry.stop();
+            RPCManager.unpinProvider();
+        }
+
+        return this.buildReport(dataset);
+    }
+
+    // Every cache in the pipeline expires on wall-clock time; a replay must only ever see the current block
+    flushCaches() {
+        this.scanner.pathCache.flushAll();
+        this.scanner.opportunityCache.flushAll();
+        this.zScoreEngine.zScoreCache.flushAll();
+        this.zScoreEngine.cointegrationCache.flushAll();
+        this.zScoreEngine.priceHistory.clear();
+        this.profitCalculator.slippageModel.slippageCache.flushAll();
+        this.tokenManager.cache.flushAll();
+    }
+
+    // Same order and limits as the bot's scan cycle: the top few are evaluated and the first accepted one is taken
+    async processBlock(blockNumber) {
+        const opportunities = await this.scanner.scan();
+        this.stats.opportunities += opportunities.length;
+
+        const ranked = opportunities.sort((a, b) => (b.netProfitUSD || 0) - (a.netProfitUSD || 0));
+
+        for (const opportunity of ranked.slice(0, this.settings.maxEvaluationsPerBlock)) {
+            this.stats.evaluated++;
+
+            if (opportunity.path.some(hop => this.takenPairs.has(PoolRegistry.pairKey(hop.fromToken, hop.toToken)))) {
+                this.recordMiss(blockNumber, opportunity, 'already_taken', 'Pair traded earlier and not moved since');
+                continue;
+            }
+
+            let result;
+            try {
+                result = await this.evaluate(opportunity);
+            } catch (error) {
+                result = { accepted: false, reason: 'evaluation_error', detail: error.message };
+            }
+
+            if (!result.accepted) {
+                this.recordMiss(blockNumber, opportunity, result.reason, result.detail, result.breakdown);
+                continue;
+            }
+
+            await this.take(blockNumber, opportunity, result.breakdown);
+            break;
+        }
+    }
+
+    // The bot's evaluateOpportunity checks that can run without a node or a mempool
+    async evaluate(opportunity) {
+        const flashLoan = await this.profitCalculator.selectFlashLoanSource(opportunity);
+        if (!flashLoan.feasible) {
+            return { accepted: false, reason: 'flash_loan', detail: flashLoan.reason };
+        }
+        opportunity.flashLoan = flashLoan;
+
+        const breakdown = await this.profitCalculator.calculateNetProfit(opportunity);
+        if (!breakdown.meetsThreshold) {
+            return {
+                accepted: false,
+                reason: 'profit_threshold',
+                detail: `Net profit $${breakdown.netProfitUSD.toFixed(2)} below $${config.minProfitThresholdUSD}`,
+                breakdown
+            };
+        }
+
+        const { maxFeePerGas } = await this.provider.getFeeData();
+        const gasPriceGwei = Number(ethers.formatUnits(maxFeePerGas, 'gwei'));
+        if (gasPriceGwei > config.maxGasPriceGwei) {
+            return {
+                accepted: false,
+                reason: 'gas_price',
+                detail: `Gas ${gasPriceGwei.toFixed(2)} Gwei above ${config.maxGasPriceGwei} Gwei`,
+                breakdown
+            };
+        }
+
+        if (breakdown.netProfitUSD < config.minProfitThresholdUSD * 1.5) {
+            return {
+                accepted: false,
+                reason: 'profit_margin',
+                detail: `Net profit $${breakdown.netProfitUSD.toFixed(2)} below 1.5x threshold`,
+                breakdown
+            };
+        }
+
+        return { accepted: true, breakdown };
+    }
+
+    async take(blockNumber, opportunity, breakdown) {
+        // Same contract profit floor the bot encodes
+        const minProfit = await TokenAmount.fromUSD(this.tokenManager, opportunity.path[0].fromToken, config.minProfitThresholdUSD);
+        opportunity.minProfit = minProfit ? minProfit.raw : 0n;
+
+        for (const hop of opportunity.path) {
+            this.takenPairs.add(PoolRegistry.pairKey(hop.fromToken, hop.toToken));
+        }
+
+        this.pendingFills.push({
+            blockNumber,
+            inclusionBlock: blockNumber + this.settings.inclusionDelayBlocks,
+            opportunity,
+            breakdown,
+            gasUsed: this.profitCalculator.estimateTransactionGas(opportunity)
+        });
+    }
+
+    // Fills land once the replay reaches their inclusion block: re-quoted against the pool state at its end,
+    // with the contract's per-hop floors and profit floor deciding whether they would have reverted
+    settleFills(throughBlock) {
+        const due = this.pendingFills.filter(fill => fill.inclusionBlock <= throughBlock);
+        this.pendingFills = this.pendingFills.filter(fill => fill.inclusionBlock > throughBlock);
+
+        for (const fill of due) {
+            this.trades.push(this.settle(fill));
+        }
+    }
+
+    settle(fill) {
+        const { opportunity, breakdown } = fill;
+        const startToken = opportunity.path[0].fromToken;
+        const amountIn = ethers.getBigInt(opportunity.amount);
+        const borrows = opportunity.flashLoan.borrows;
+
+        const outputs = borrows.length === 1 ? this.requote(opportunity.path, amountIn) : null;
+        const amountOut = outputs ?
+            outputs[outputs.length - 1] :
+            ethers.getBigInt(opportunity.path[opportunity.path.length - 1].outputAmount);
+
+        let revertReason = null;
+        if (outputs) {
+            const slipped = opportunity.path.some((hop, index) => outputs[index] < ArbitrageEncoder.buildHop(hop).minAmountOut);
+            const premium = borrows[0].premium || 0n;
+
+            if (slipped) {
+                revertReason = 'hop_slippage';
+            } else if (amountOut - amountIn - premium < opportunity.minProfit) {
+                revertReason = 'min_profit';
+            }
+        }
+
+        const gasCostUSD = breakdown.gasCost;
+        const flashLoanCostUSD = revertReason ? 0 : breakdown.flashLoanCost;
+        const grossProfitUSD = revertReason ? 0 :
+            TokenAmount.from(this.tokenManager, startToken, amountOut - amountIn).toUSDAt(this.priceBook.getPrice(startToken));
+
+        return {
+            id: this.trades.length + 1,
+            block: fill.blockNumber,
+            type: opportunity.type,
+            path: opportunity.path.map(hop => ({
+                fromToken: hop.fromToken,
+                toToken: hop.toToken,
+                dex: hop.dex,
+                pool: hop.pool || null
+            })),
+            amount: amountIn,
+            amountOut,
+            requoted: Boolean(outputs),
+            status: revertReason ? 'reverted' : 'filled',
+            revertReason,
+            flashLoanProvider: opportunity.flashLoan.provider,
+            expectedNetProfitUSD: breakdown.netProfitUSD,
+            grossProfitUSD,
+            gasCostUSD,
+            flashLoanCostUSD,
+            netProfitUSD: grossProfitUSD - gasCostUSD - flashLoanCostUSD,
+            gasUsed: fill.gasUsed
+        };
+    }
+
+    // Per-hop outputs against current pool state, or null if any hop can't be priced locally
+    requote(hops, amountIn) {
+        const outputs = [];
+        let amount = amountIn;
+
+        for (const hop of hops) {
+            const pool = hop.pool && PoolRegistry.pools.get(hop.pool);
+            const quote = pool ?
+                PoolRegistry.quote(pool, hop.fromToken, amount) :
+                (PoolRegistry.quoteBest(hop.fromToken, hop.toToken, amount) || {}).amountOut;
+
+            if (quote === null || quote === undefined) return null;
+            outputs.push(quote);
+            amount = quote;
+        }
+
+        return outputs;
+    }
+
+    recordMiss(blockNumber, opportunity, reason, detail, breakdown = null) {
+        const simulation = opportunity.simulationResult || {};
+
+        this.misses.push({
+            block: blockNumber,
+            type: opportunity.type,
+            tokens: [...opportunity.path.map(hop => hop.fromToken), opportunity.path[opportunity.path.length - 1].toToken],
+            reason,
+            detail,
+            expectedProfitUSD: simulation.profitUSD || 0,
+            netProfitUSD: breakdown ? breakdown.netProfitUSD : null
+        });
+    }
+
+    buildReport(dataset) {
+        const ledger = {
+            trades: 0,
+            wins: 0,
+            losses: 0,
+            reverted: 0,
+            grossProfitUSD: 0,
+            gasCostUSD: 0,
+            flashLoanCostUSD: 0,
+            netPnLUSD: 0,
+            gasUsed: 0n,
+            bestTradeUSD: null,
+            worstTradeUSD: null
+        };
+
+        for (const trade of this.trades) {
+            ledger.trades++;
+            if (trade.netProfitUSD > 0) {
+                ledger.wins++;
+            } else {
+                ledger.losses++;
+            }
+            if (trade.status === 'reverted') ledger.reverted++;
+
+            ledger.grossProfitUSD += trade.grossProfitUSD;
+            ledger.gasCostUSD += trade.gasCostUSD;
+            ledger.flashLoanCostUSD += trade.flashLoanCostUSD;
+            ledger.netPnLUSD += trade.netProfitUSD;
+            ledger.gasUsed += trade.gasUsed;
+
+            if (ledger.bestTradeUSD === null || trade.netProfitUSD > ledger.bestTradeUSD) {
+                ledger.bestTradeUSD = trade.netProfitUSD;
+            }
+            if (ledger.worstTradeUSD === null || trade.netProfitUSD < ledger.worstTradeUSD) {
+                ledger.worstTradeUSD = trade.netProfitUSD;
+            }
+        }
+
+        const missesByReason = {};
+        for (const miss of this.misses) {
+            missesByReason[miss.reason] = (missesByReason[miss.reason] || 0) + 1;
+        }
+
+        const topMisses = [...this.misses]
+            .sort((a, b) => b.expectedProfitUSD - a.expectedProfitUSD || a.block - b.block)
+            .slice(0, this.settings.maxReportedMisses);
+
+        return {
+            dataset: {
+                fromBlock: dataset.fromBlock,
+                toBlock: dataset.toBlock,
+                replayedBlocks: this.stats.blocks,
+                pools: dataset.pools.length,
+                logs: dataset.logs.length
+            },
+            config: {
+                minProfitThresholdUSD: config.minProfitThresholdUSD,
+                maxGasPriceGwei: config.maxGasPriceGwei,
+                scannerSettings: config.scannerSettings,
+                zScoreSettings: config.zScoreSettings,
+                tradeSizerSettings: config.tradeSizerSettings,
+                flashLoanSettings: config.flashLoanSettings,
+                backtestSettings: this.settings
+            },
+            summary: {
+                ...ledger,
+                winRate: ledger.trades > 0 ? ledger.wins / ledger.trades : 0,
+                avgNetProfitUSD: ledger.trades > 0 ? ledger.netPnLUSD / ledger.trades : 0,
+                opportunities: this.stats.opportunities,
+                evaluated: this.stats.evaluated,
+                missed: this.misses.length
+            },
+            trades: this.trades,
+            misses: {
+                byReason: missesByReason,
+                top: topMisses
+            }
+        };
+    }
+}
+
+module.exports = Backtester;
@@ -5,14 +5,24 @@ const RateLimiter = require('./rateLimiter');
 const OpportunityScanner = require('./opportunityScanner');
 const ProfitCalculator = require('./profitCalculator');
 const AggregatorService = require('./aggregatorService');
-const TokenManager = require('./tokenManager');
-const ZScoreEngine = require('./zScoreEngine');
+const TokenManager = require('./TokenManager');
+const ZScoreEngine = require('./ZScoreEngine');
 const MEVProtection = require('./mevProtection');
 const TransactionBuilder = require('./transactionBuilder');
 const GasOptimizer = require('./gasOptimizer');
 const MetricsCollector = require('./metrics');
 const ConfigValidator = require('./configValidator');
 const AlertingSystem = require('./alerting');
+const PaperTrader = require('./paperTrader');
+const TradeJournal = require('./storage');
+const ApiServer = require('./apiServer');
+const PoolRegistry = require('./poolRegistry');
+const TokenAmount = require('./tokenAmount');
+const FlashLoanPlanner = require('./flashLoanPlanner');
+const SubmissionManager = require('./submissionManager');
+const TxLifecycleMonitor = require('./txLifecycleMonitor');
+const PositionBook = require('./positionBook');
+const ArbitrageEncoder = require('./arbitrageEncoder');
 const { Logger } = require('./utils');
 const config = require('../config/config.json');
 
@@ -20,6 +30,8 @@ class BaseAlphaArbBot {
     constructor() {
         this.isRunning = false;
         this.isInitialized = false;
+        this.isPaused = false;
+        this.pauseReason = null;
         this.cycleCount = 0;
         this.lastOpportunity = null;
         this.startTime = Date.now();
@@ -31,6 +43,10 @@ class BaseAlphaArbBot {
         this.maxConsecutiveErrors = 10;
         this.emergencyShutdown = false;
         
+        // Paper trading: run the full pipeline but record fills instead of broadcasting
+        this.dryRun = process.env.DRY_RUN === 'true' || process.env.TEST_MODE === 'true';
+        this.paperTrader = null;
+        
         // Performance tracking
         this.metrics = {
             opportunitiesScanned: 0,
@@ -71,6 +87,9 @@ class BaseAlphaArbBot {
             // 3. Initialize all services with proper dependency injection
             await this.initializeServices();
             
+            // Resolve transactions left pending by a previous run
+            await this.reconcileJournal();
+            
             // 4. Start monitoring and alerting
             await this.startMonitoring();
             
@@ -84,6 +103,7 @@ class BaseAlphaArbBot {
                 {
                     rpcNodes: this.rpcManager.getNodeStats().filter(n => n.isHealthy).length,
                     tokensLoaded: this.tokenManager.getAllTokens().length,
+                    dryRun: this.dryRun,
                     version: require('../package.json').version
                 }
             );
@@ -100,15 +120,33 @@ class BaseAlphaArbBot {
     async initializeInfrastructure() {
         Logger.logInfo('Initializing infrastructure...');
         
+        // Open the trade journal before anything starts writing history
+        this.journal = TradeJournal;
+        this.journal.initialize();
+        
         // Initialize metrics FIRST (for tracking initialization)
         this.metricsCollector = new MetricsCollector();
         
+        if (this.journal.enabled) {
+            const totals = this.journal.getTotals();
+            this.totalProfitUSD = totals.totalProfitUSD;
+            this.metrics.opportunitiesExecuted = totals.executed;
+            this.metricsCollector.restoreTotals(totals);
+        }
+        
+        if (this.dryRun) {
+            this.paperTrader = new PaperTrader(this.metricsCollector);
+            Logger.logWarning('DRY RUN enabled: transactions will be recorded, not broadcast');
+        }
+        
         // Initialize alerting system
         await AlertingSystem.initialize();
         
         // Initialize RPC manager with metrics integration
         this.rpcManager = RPCManager;
-        this.rpcManager.startHealthChecks();
+        this.rpcManager.setMetricsCollector(this.metricsCollector);
+        await this.rpcManager.startHealthChecks();
+        this.rpcManager.startEventStream();
         
         // Initialize rate limiter
         this.rateLimiter = RateLimiter;
@@ -128,7 +166,7 @@ class BaseAlphaArbBot {
             await this.tokenManager.initialize();
             
             // Initialize Z-Score engine
-            this.zScoreEngine = new ZScoreEngine();
+            this.zScoreEngine = new ZScoreEngine(this.tokenManager);
             await this.zScoreEngine.initialize();
             
             // Initialize MEV protection
@@ -138,23 +176,57 @@ class BaseAlphaArbBot {
             // Initialize aggregator service with rate limiting
             this.aggregatorService = new AggregatorService(this.rateLimiter);
             
+            // Initialize flash loan planner (reads Aave reserve state)
+            this.flashLoanPlanner = new FlashLoanPlanner(this.tokenManager);
+            
             // Initialize profit calculator with slippage modeling
-            this.profitCalculator = new ProfitCalculator();
+            this.profitCalculator = new ProfitCalculator(this.flashLoanPlanner);
             await this.profitCalculator.initialize();
             
+            // Initialize private relay submission
+            this.submissionManager = new SubmissionManager();
+            this.submissionManager.start();
+            
+            // Initialize transaction builder with wallet
+            this.transactionBuilder = new TransactionBuilder(this.submissionManager);
+            await this.transactionBuilder.init();
+            
+            // Reconcile nonces against the chain every block; dry runs never broadcast, so there is nothing to fill
+            if (!this.dryRun) {
+                this.transactionBuilder.nonceManager.start();
+            }
+            
+            // Re-price or cancel submitted transactions block by block until they resolve
+            this.txLifecycleMonitor = new TxLifecycleMonitor(this.transactionBuilder, this.profitCalculator, this.metricsCollector);
+            this.txLifecycleMonitor.on('resubmitted', (record, hash, txData, kind) => {
+                this.journal.recordTransaction(record.opportunity, hash, txData, kind === 'cancel' ? 'cancelling' : 'submitted');
+            });
+            this.txLifecycleMonitor.start();
+            
+            // Stat-arb positions are funded from wallet inventory and held until the spread reverts
+            this.positionBook = new PositionBook({
+                zScoreEngine: this.zScoreEngine,
+                tokenManager: this.tokenManager,
+                aggregatorService: this.aggregatorService,
+                profitCalculator: this.profitCalculator,
+                transactionBuilder: this.transactionBuilder,
+                txLifecycleMonitor: this.txLifecycleMonitor,
+                journal: this.journal,
+                dryRun: this.dryRun
+            });
+            this.positionBook.start();
+            
             // Initialize opportunity scanner with all dependencies
             this.opportunityScanner = new OpportunityScanner({
                 tokenManager: this.tokenManager,
                 zScoreEngine: this.zScoreEngine,
                 aggregatorService: this.aggregatorService,
-                profitCalculator: this.profitCalculator
+                profitCalculator: this.profitCalculator,
+                flashLoanPlanner: this.flashLoanPlanner,
+                positionBook: this.positionBook
             });
             await this.opportunityScanner.initialize();
             
-            // Initialize transaction builder with wallet
-            this.transactionBuilder = new TransactionBuilder();
-            await this.transactionBuilder.init();
-            
             // Log service status
             Logger.logSuccess('All services initialized');
             
@@ -184,9 +256,40 @@ class BaseAlphaArbBot {
             await this.monitorPerformance();
         }, 30000); // Every 30 seconds
         
+        // Start control/status API
+        if (process.env.ENABLE_API === 'true') {
+            this.apiServer = new ApiServer(this);
+            this.apiServer.start();
+        }
+        
         Logger.logSuccess('Monitoring systems started');
     }
     
+    async reconcileJournal() {
+        const unresolved = this.journal.getUnresolvedTransactions();
+        
+        if (unresolved.length === 0) {
+            return;
+        }
+        
+        Logger.logWarning(`Reconciling ${unresolved.length} transactions left pending by a previous run`);
+        
+        for (const tx of unresolved) {
+            try {
+                const { provider } = await this.rpcManager.getHealthyProvider();
+                const receipt = await provider.getTransactionReceipt(tx.txHash);
+                
+                if (receipt) {
+                    this.journal.recordReceipt(receipt);
+                } else {
+                    this.journal.updateTransactionStatus(tx.txHash, 'unknown', 'No receipt found after restart');
+                }
+            } catch (error) {
+                Logger.logWarning(`Failed to reconcile transaction ${tx.txHash}`, error.message);
+            }
+        }
+    }
+    
     async performHealthChecks() {
         Logger.logInfo('Performing health checks...');
         
@@ -360,6 +463,7 @@ class BaseAlphaArbBot {
             'BaseAlphaArb Bot started successfully',
             {
                 startTime: new Date().toISOString(),
+                dryRun: this.dryRun,
                 config: {
                     minProfit: config.minProfitThresholdUSD,
                     maxGas: config.maxGasPriceGwei,
@@ -372,6 +476,11 @@ class BaseAlphaArbBot {
         
         // Main bot loop
         while (this.isRunning && !this.emergencyShutdown) {
+            if (this.isPaused) {
+                await this.sleep(1000);
+                continue;
+            }
+            
             try {
                 await this.scanCycle();
                 this.cycleCount++;
@@ -416,7 +525,7 @@ class BaseAlphaArbBot {
             // Scan for opportunities
             const opportunities = await this.opportunityScanner.scan();
             this.metrics.opportunitiesScanned += opportunities.length;
-            this.metricsCollector.incrementCounter('opportunities_scanned_total', opportunities.length);
+            opportunities.forEach(opportunity => this.metricsCollector.recordOpportunity(opportunity));
             
             if (opportunities.length > 0) {
                 Logger.logInfo(`Found ${opportunities.length} potential opportunities`);
@@ -429,17 +538,17 @@ class BaseAlphaArbBot {
                 // Process opportunities in order of profitability
                 for (const opportunity of sortedOpportunities.slice(0, 5)) { // Limit to top 5
                     try {
+                        this.journal.recordOpportunity(opportunity);
+                        
                         // Validate opportunity
                         const validation = await this.configValidator.validateOpportunity(opportunity);
                         
                         if (!validation.isValid) {
                             Logger.logWarning('Opportunity validation failed', validation.errors);
+                            this.journal.recordEvaluation(opportunity, 'rejected', 'validation', validation.errors);
                             continue;
                         }
                         
-                        // Record opportunity metrics
-                        this.metricsCollector.recordOpportunity(opportunity);
-                        
                         // Evaluate and execute
                         const shouldExecute = await this.evaluateOpportunity(opportunity);
                         
@@ -483,24 +592,33 @@ class BaseAlphaArbBot {
         const startTime = Date.now();
         
         try {
-            // 1. Profit validation
+            // 1. Flash loan funding
+            const flashLoan = await this.profitCalculator.selectFlashLoanSource(opportunity);
+            
+            if (!flashLoan.feasible) {
+                return this.rejectOpportunity(opportunity, 'flash_loan', flashLoan.reason);
+            }
+            opportunity.flashLoan = flashLoan;
+            
+            // 2. Profit validation
             const profitable = await this.profitCalculator.calculateNetProfit(opportunity);
             
             if (!profitable.meetsThreshold) {
                 Logger.logInfo(`Opportunity below threshold: $${profitable.netProfitUSD.toFixed(2)} < $${config.minProfitThresholdUSD}`);
-                return false;
+                return this.rejectOpportunity(opportunity, 'profit_threshold',
+                    `Net profit $${profitable.netProfitUSD.toFixed(2)} below $${config.minProfitThresholdUSD}`);
             }
             
-            // 2. MEV protection check
+            // 3. MEV protection check
             const mevSafe = await this.mevProtection.checkOpportunity(opportunity);
             
             if (!mevSafe.safe) {
                 Logger.logWarning('MEV protection blocked opportunity', mevSafe.reasons);
                 await AlertingSystem.sendOpportunityMissed(opportunity, `MEV: ${mevSafe.reasons.join(', ')}`);
-                return false;
+                return this.rejectOpportunity(opportunity, 'mev_protection', mevSafe.reasons.join(', '));
             }
             
-            // 3. Gas price safety check
+            // 4. Gas price safety check
             const currentGas = await this.gasOptimizer.getOptimalGasParameters('complex', 'high');
             const gasPriceGwei = Number(ethers.formatUnits(currentGas.maxFeePerGas, 'gwei'));
             
@@ -510,20 +628,21 @@ class BaseAlphaArbBot {
                     max: config.maxGasPriceGwei
                 });
                 await AlertingSystem.sendGasPriceAlert(gasPriceGwei, config.maxGasPriceGwei);
-                return false;
+                return this.rejectOpportunity(opportunity, 'gas_price',
+                    `Gas ${gasPriceGwei.toFixed(2)} Gwei above ${config.maxGasPriceGwei} Gwei`);
             }
             
             opportunity.currentGasPriceGwei = gasPriceGwei;
             opportunity.maxGasPriceGwei = config.maxGasPriceGwei;
             opportunity.minProfitThresholdUSD = config.minProfitThresholdUSD;
             
-            // 4. Transaction simulation
+            // 5. Transaction simulation
             const simulated = await this.profitCalculator.simulateTransaction(opportunity);
             
             if (!simulated.success) {
                 Logger.logWarning('Simulation failed', simulated.error);
-                this.metricsCollector.recordSimulationFailure(simulated.error);
-                return false;
+                this.metricsCollector.recordSimulationFailure(simulated.failure || simulated.error);
+                return this.rejectOpportunity(opportunity, 'simulation', simulated.error);
             }
             
             // Update profit with simulation results
@@ -531,16 +650,25 @@ class BaseAlphaArbBot {
             opportunity.netProfitUSD = simulated.netProfitUSD;
             opportunity.netProfitPercent = simulated.netProfitPercent;
             
-            // 5. Final validation
+            // 6. Final validation
             if (opportunity.netProfitUSD < config.minProfitThresholdUSD * 1.5) {
                 // Require higher profit margin for borderline cases
                 Logger.logInfo('Borderline profit, requiring higher margin');
-                return false;
+                return this.rejectOpportunity(opportunity, 'profit_margin',
+                    `Simulated profit $${opportunity.netProfitUSD.toFixed(2)} below 1.5x threshold`);
+            }
+            
+            // 7. The pools decide the trade, so their state is confirmed by a node quorum rather than one node's view
+            const minProfit = await TokenAmount.fromUSD(this.tokenManager, opportunity.path[0].fromToken, config.minProfitThresholdUSD);
+            opportunity.minProfit = minProfit ? minProfit.raw : 0n;
+            if (!(await this.isStillProfitable(opportunity, { quorum: true }))) {
+                return this.rejectOpportunity(opportunity, 'pool_state', 'Not confirmed above the profit floor at quorum pool state');
             }
             
             // Log detailed opportunity analysis
             Logger.logOpportunity(opportunity);
             
+            this.journal.recordEvaluation(opportunity, 'accepted');
             return true;
             
         } catch (error) {
@@ -549,30 +677,78 @@ class BaseAlphaArbBot {
                 opportunity: opportunity.type,
                 error: error.message
             });
-            return false;
+            return this.rejectOpportunity(opportunity, 'evaluation_error', error.message);
         } finally {
             const evalTime = Date.now() - startTime;
             this.metricsCollector.observeHistogram('opportunity_evaluation_time_ms', evalTime);
         }
     }
     
+    // Re-quotes the path against current pool state, from the local mirror or with `quorum` from the chain.
+    // Locally, paths that can't be quoted are left to the contract's minProfit check rather than paying for
+    // aggregator quotes every block. With `quorum` they fail: nothing has confirmed the pools they trade on.
+    async isStillProfitable(opportunity, options = {}) {
+        const borrows = opportunity.flashLoan ? opportunity.flashLoan.borrows : null;
+        if (borrows && borrows.length > 1) {
+            if (!options.quorum) return true;
+            
+            // Every hop still has to return what the borrow plan was built on
+            const outputs = await this.opportunityScanner.quoteHopsOnChain(opportunity.path);
+            return outputs !== null && outputs.every((output, index) =>
+                output >= ethers.getBigInt(opportunity.path[index].outputAmount || 0n)
+            );
+        }
+        
+        const amountIn = ethers.getBigInt(opportunity.amount);
+        const amountOut = options.quorum ?
+            await this.opportunityScanner.quotePathOnChain(opportunity.path, amountIn) :
+            this.opportunityScanner.quotePathLocally(opportunity.path, amountIn);
+        if (amountOut === null) return !options.quorum;
+        
+        const premium = borrows && borrows[0].premium ? borrows[0].premium : 0n;
+        return amountOut - amountIn - premium >= ethers.getBigInt(opportunity.minProfit || 0);
+    }
+    
+    rejectOpportunity(opportunity, check, reason) {
+        this.journal.recordEvaluation(opportunity, 'rejected', check, reason);
+        return false;
+    }
+    
     async executeOpportunity(opportunity) {
         const startTime = Date.now();
         let txHash = null;
+        let receipt = null;
         
         try {
             Logger.logInfo('🚀 Executing arbitrage opportunity...');
             
-            // 1. Build transaction
+            // 1. Build transaction, with the contract's profit floor in the start token's own units
+            const minProfit = await TokenAmount.fromUSD(
+                this.tokenManager,
+                opportunity.path[0].fromToken,
+                config.minProfitThresholdUSD
+            );
+            if (minProfit) {
+                opportunity.minProfit = minProfit.raw;
+            }
+            // Fixed here rather than in the encoder so the lifecycle monitor knows when the contract stops accepting it
+            opportunity.deadline = Math.floor(Date.now() / 1000) + ArbitrageEncoder.settings.deadlineSeconds;
+            
             const txData = await this.transactionBuilder.buildArbitrageTransaction(opportunity);
             
             // 2. Validate transaction
             const txValidation = await this.configValidator.validateTransaction(txData.txData);
             
             if (!txValidation.isValid) {
+                this.transactionBuilder.clearPendingTransaction(txData.txHash);
+                this.transactionBuilder.releaseNonce(txData.txData.nonce);
                 throw new Error(`Transaction validation failed: ${txValidation.errors.join(', ')}`);
             }
             
+            if (this.dryRun) {
+                return await this.recordPaperTrade(opportunity, txData);
+            }
+            
             // 3. Send transaction
             const txResponse = await this.transactionBuilder.sendTransaction(txData.signedTx);
             txHash = txResponse.hash;
@@ -582,12 +758,34 @@ class BaseAlphaArbBot {
                 txData,
                 timestamp: Date.now()
             });
+            this.journal.recordTransaction(opportunity, txHash, txData.txData);
             
-            Logger.logSuccess('Transaction submitted', { hash: txHash });
+            Logger.logSuccess('Transaction submitted', { hash: txHash, relays: txResponse.relays });
             
-            // 4. Wait for confirmation
-            const { provider } = await this.rpcManager.getHealthyProvider();
-            const receipt = await provider.waitForTransaction(txHash, 1, 60000); // 1 confirmation, 60s timeout
+            // 4. Wait for the nonce to resolve, speeding up or cancelling along the way
+            const result = await this.txLifecycleMonitor.track(txHash, {
+                opportunity,
+                checkProfitable: (opp) => this.isStillProfitable(opp)
+            });
+            receipt = result.receipt;
+            
+            if (result.outcome === 'untracked') {
+                // Shutting down with it still pending; it stays 'submitted' in the journal for the next run
+                return { success: false, error: 'Transaction still pending at shutdown', txHash };
+            }
+            
+            if (!receipt) {
+                this.journal.updateTransactionStatus(txHash, result.outcome);
+                throw new Error(`Transaction ${result.outcome} after ${result.blocks} blocks`);
+            }
+            
+            this.journal.recordReceipt(receipt);
+            
+            if (result.outcome === 'cancelled') {
+                this.journal.updateTransactionStatus(txHash, 'cancelled', result.reason);
+                throw new Error(`Transaction cancelled: ${result.reason}`);
+            }
+            txHash = result.hash;
             
             const confirmationTime = Date.now() - startTime;
             this.metricsCollector.recordTransactionConfirmation(confirmationTime);
@@ -597,6 +795,13 @@ class BaseAlphaArbBot {
                 this.metrics.opportunitiesExecuted++;
                 this.totalProfitUSD += opportunity.netProfitUSD;
                 
+                this.journal.recordProfit(
+                    opportunity,
+                    txHash,
+                    opportunity.netProfitUSD,
+                    opportunity.simulationResult.gasCostUSD
+                );
+                
                 // Record metrics
                 this.metricsCollector.recordExecution(opportunity, {
                     success: true,
@@ -643,6 +848,10 @@ class BaseAlphaArbBot {
         } catch (error) {
             Logger.logError('Execution failed', error);
             
+            if (txHash && !receipt) {
+                this.journal.updateTransactionStatus(txHash, 'failed', error.message);
+            }
+            
             this.metricsCollector.recordExecution(opportunity, {
                 success: false,
                 error: error.message,
@@ -674,6 +883,28 @@ class BaseAlphaArbBot {
         }
     }
     
+    async recordPaperTrade(opportunity, txData) {
+        // Never broadcast in dry-run: drop the signed tx and release the nonce it reserved
+        this.transactionBuilder.clearPendingTransaction(txData.txHash);
+        this.transactionBuilder.releaseNonce(txData.txData.nonce);
+        
+        const fill = await this.paperTrader.recordFill(opportunity, txData);
+        
+        this.journal.recordTransaction(opportunity, fill.txHash, txData.txData, 'paper', true);
+        this.journal.recordProfit(opportunity, fill.txHash, fill.netProfitUSD, fill.gasCostUSD, true);
+        
+        this.metrics.opportunitiesExecuted++;
+        
+        await AlertingSystem.sendPaperTradeRecorded(fill, this.paperTrader.getLedger());
+        
+        return {
+            success: true,
+            dryRun: true,
+            txHash: fill.txHash,
+            profit: fill.netProfitUSD
+        };
+    }
+    
     async calculateSleepTime() {
         // Base sleep time
         let sleepTime = 2000;
@@ -757,6 +988,92 @@ class BaseAlphaArbBot {
         this.cleanup();
     }
     
+    async pause(reason = 'Manual pause') {
+        if (this.emergencyShutdown) {
+            throw new Error('Bot is in emergency shutdown state');
+        }
+        
+        this.isPaused = true;
+        this.pauseReason = reason;
+        
+        Logger.logWarning(`⏸️  Bot paused: ${reason}`);
+        await AlertingSystem.sendAlert('warning', 'Bot Paused', `Scanning paused: ${reason}`, {
+            cycle: this.cycleCount,
+            pendingTransactions: this.pendingTransactions.size
+        });
+        
+        return { isPaused: this.isPaused, reason };
+    }
+    
+    async resume() {
+        if (this.emergencyShutdown) {
+            throw new Error('Bot is in emergency shutdown state. Manual intervention required.');
+        }
+        
+        this.isPaused = false;
+        this.pauseReason = null;
+        
+        Logger.logSuccess('▶️  Bot resumed');
+        await AlertingSystem.sendAlert('warning', 'Bot Resumed', 'Scanning resumed', {
+            cycle: this.cycleCount
+        });
+        
+        return { isPaused: this.isPaused };
+    }
+    
+    getThresholds() {
+        return {
+            minProfitThresholdUSD: config.minProfitThresholdUSD,
+            maxGasPriceGwei: config.maxGasPriceGwei,
+            zScoreEntryThreshold: config.zScoreSettings.entryThreshold,
+            zScoreExitThreshold: config.zScoreSettings.exitThreshold
+        };
+    }
+    
+    updateThresholds(changes) {
+        const current = this.getThresholds();
+        const updated = { ...current };
+        const errors = [];
+        
+        for (const [key, value] of Object.entries(changes)) {
+            if (!(key in current)) {
+                errors.push(`Unknown threshold: ${key}`);
+            } else if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+                errors.push(`Invalid value for ${key}: ${value}`);
+            } else {
+                updated[key] = value;
+            }
+        }
+        
+        if (updated.zScoreExitThreshold >= updated.zScoreEntryThreshold) {
+            errors.push('zScoreExitThreshold must be below zScoreEntryThreshold');
+        }
+        
+        if (errors.length > 0) {
+            return { isValid: false, errors, thresholds: current };
+        }
+        
+        // config is the shared module object, so every service sees the new values
+        config.minProfitThresholdUSD = updated.minProfitThresholdUSD;
+        config.maxGasPriceGwei = updated.maxGasPriceGwei;
+        config.zScoreSettings.entryThreshold = updated.zScoreEntryThreshold;
+        config.zScoreSettings.exitThreshold = updated.zScoreExitThreshold;
+        
+        if (this.zScoreEngine) {
+            this.zScoreEngine.entryThreshold = updated.zScoreEntryThreshold;
+            this.zScoreEngine.exitThreshold = updated.zScoreExitThreshold;
+        }
+        
+        Logger.logWarning('Thresholds updated at runtime', { from: current, to: updated });
+        AlertingSystem.sendAlert('warning', 'Thresholds Updated', 'Runtime thresholds were changed', updated);
+        
+        return { isValid: true, errors: [], thresholds: updated };
+    }
+    
+    getRecentAlerts(limit = 20) {
+        return AlertingSystem.getRecentAlerts(limit);
+    }
+    
     async stop(graceful = true) {
         this.isRunning = false;
         
@@ -782,6 +1099,14 @@ class BaseAlphaArbBot {
                     uptime: Date.now() - this.startTime
                 }
             );
+            
+            if (this.paperTrader) {
+                await AlertingSystem.sendPaperTradingSummary(this.paperTrader.getSummary());
+            }
+        }
+        
+        if (this.apiServer) {
+            this.apiServer.stop();
         }
         
         this.cleanup();
@@ -797,12 +1122,41 @@ class BaseAlphaArbBot {
             clearInterval(this.performanceMonitor);
         }
         
+        // Stop block/log subscriptions
+        if (this.rpcManager) {
+            this.rpcManager.stopEventStream();
+            PoolRegistry.stop();
+        }
+        if (this.zScoreEngine) {
+            this.zScoreEngine.stop();
+        }
+        if (this.submissionManager) {
+            this.submissionManager.stop();
+        }
+        if (this.transactionBuilder && this.transactionBuilder.nonceManager) {
+            this.transactionBuilder.nonceManager.stop();
+        }
+        if (this.txLifecycleMonitor) {
+            this.txLifecycleMonitor.stop();
+        }
+        if (this.positionBook) {
+            this.positionBook.stop();
+        }
+        if (this.profitCalculator) {
+            this.profitCalculator.forkSimulator.stop();
+        }
+        
         // Clear pending transactions
         this.pendingTransactions.clear();
         
         // Export final metrics
         if (this.metricsCollector) {
             this.metricsCollector.exportMetrics();
+            this.metricsCollector.stopExporting();
+        }
+        
+        if (this.journal) {
+            this.journal.close();
         }
     }
     
@@ -827,11 +1181,16 @@ class BaseAlphaArbBot {
             this.metricsCollector.setGauge('bot_uptime', stats.uptime);
             this.metricsCollector.setGauge('bot_cycles', stats.cycles);
             this.metricsCollector.setGauge('bot_profit_total', stats.totalProfit);
+            this.metricsCollector.setGauge('rpc_nodes_healthy', stats.rpcHealth);
             
             // Send hourly status report
             const now = new Date();
             if (now.getMinutes() === 0) {
                 await AlertingSystem.sendDailySummary(stats);
+                
+                if (this.paperTrader) {
+                    await AlertingSystem.sendPaperTradingSummary(this.paperTrader.getSummary());
+                }
             }
             
         } catch (error) {
@@ -877,6 +1236,11 @@ class BaseAlphaArbBot {
             isRunning: this.isRunning,
             isInitialized: this.isInitialized,
             emergencyShutdown: this.emergencyShutdown,
+            isPaused: this.isPaused,
+            pauseReason: this.pauseReason,
+            thresholds: this.getThresholds(),
+            dryRun: this.dryRun,
+            paperTrading: this.paperTrader ? this.paperTrader.getSummary() : null,
             cycleCount: this.cycleCount,
             consecutiveErrors: this.consecutiveErrors,
             totalProfitUSD: this.totalProfitUSD,
@@ -884,6 +1248,13 @@ class BaseAlphaArbBot {
             uptime: Date.now() - this.startTime,
             metrics: this.metrics,
             rpcStats: this.rpcManager.getNodeStats(),
+            eventStream: this.rpcManager.getStreamStatus(),
+            poolRegistry: PoolRegistry.getStats(),
+            submission: this.submissionManager ? this.submissionManager.getStats() : null,
+            nonces: this.transactionBuilder && this.transactionBuilder.nonceManager ?
+                this.transactionBuilder.nonceManager.getStats() : null,
+            txLifecycle: this.txLifecycleMonitor ? this.txLifecycleMonitor.getStats() : null,
+            positions: this.positionBook ? this.positionBook.getSummary() : null,
             pendingTransactions: Array.from(this.pendingTransactions.keys()),
             gasStats: this.gasOptimizer ? this.gasOptimizer.getGasStats() : null,
             metricsSummary: this.metricsCollector ? this.metricsCollector.getMetricsSummary() : null
@@ -0,0 +1,330 @@
+const { ethers } = require('ethers');
+const config = require('../config/config.json');
+const PoolRegistry = require('./poolRegistry');
+
+// Router calls that pay or receive native ETH trade through WETH
+const WETH = config.baseTokens[0].toLowerCase();
+const NATIVE_ETH = ['0x0000000000000000000000000000000000000000', '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee'];
+
+const ADDRESS_MASK = (1n << 160n) - 1n;
+// 1inch encodes swap direction in the top bit of each packed pool word
+const ONEINCH_REVERSE_MASK = 1n << 255n;
+
+const ABIS = {
+    v2: [
+        'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+        'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+        'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+        'function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline)',
+        'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+        'function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+        'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+        'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+        'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+    ],
+    aerodrome: [
+        'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline)',
+        'function swapExactETHForTokens(uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline)',
+        'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline)',
+        'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline)'
+    ],
+    // SwapRouter (with deadline) and SwapRouter02 / Pancake SmartRouter (without) layouts, plus the
+    // SmartRouter's V2 entry point and the multicall wrappers both routers are usually called through
+    v3: [
+        'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+        'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)',
+        'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+        'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params)',
+        'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
+        'function exactOutput((bytes path, address recipient, uint256 amountOut, uint256 amountInMaximum) params)',
+        'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to)',
+        'function multicall(bytes[] data)',
+        'function multicall(uint256 deadline, bytes[] data)',
+        'function multicall(bytes32 previousBlockhash, bytes[] data)'
+    ],
+    odos: [
+        'function swap((address inputToken, uint256 inputAmount, address inputReceiver, address outputToken, uint256 outputQuote, uint256 outputMin, address outputReceiver) tokenInfo, bytes pathDefinition, address executor, uint32 referralCode)',
+        'function swapCompact()'
+    ],
+    oneInch: [
+        'function swap(address executor, (address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes permit, bytes data)',
+        'function unoswap(address srcToken, uint256 amount, uint256 minReturn, uint256[] pools)',
+        'function uniswapV3Swap(uint256 amount, uint256 minReturn, uint256[] pools)'
+    ]
+};
+
+// dex names match AggregatorService.directDexes / PoolRegistry so decoded swaps line up with tracked pools
+const ROUTERS = {
+    '0xcf77a3ba9a5ca399b7c97c74d54e5b1beb874e43': { dex: 'Aerodrome', kind: 'aerodrome' },
+    '0x2626664c2603336e57b271c5c0b26f421741e481': { dex: 'Uniswap V3', kind: 'v3' },
+    '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24': { dex: 'Uniswap V2', kind: 'v2' },
+    '0x678aa4bf4e210cf2166753e054d5b7c31cc7fa86': { dex: 'PancakeSwap', kind: 'v3' },
+    '0x327df1e6de05895d2ab08513aa9319310ce3a516': { dex: 'Baseswap', kind: 'v2' },
+    '0x19ceead7105607cd444f5ad10dd51356436095a1': { dex: 'odos', kind: 'odos', aggregator: true },
+    '0x1111111254eeb25477b68fb85ed929f73a960582': { dex: 'oneInch', kind: 'oneInch', aggregator: true }
+};
+
+// Turns router calldata into the swaps it will perform: token in/out, amounts and, where it can be
+// pinned down, the pool. Amounts on intermediate hops of multi-hop calls aren't in the calldata and are null;
+// for exact-output calls amountIn is the caller's maximum.
+class CalldataDecoder {
+    constructor() {
+        this.interfaces = {};
+        for (const [kind, abi] of Object.entries(ABIS)) {
+            this.interfaces[kind] = new ethers.Interface(abi);
+        }
+    }
+
+    getRouter(address) {
+        return address ? ROUTERS[address.toLowerCase()] || null : null;
+    }
+
+    isAggregator(dex) {
+        return Object.values(ROUTERS).some(router => router.aggregator && router.dex === dex);
+    }
+
+    // Returns { router, dex, method, swaps } for calls to a known router, or null
+    decode(tx) {
+        const router = this.getRouter(tx.to);
+        if (!router || !tx.data || tx.data.length < 10) return null;
+
+        let parsed;
+        try {
+            parsed = this.interfaces[router.kind].parseTransaction({ data: tx.data, value: tx.value || 0 });
+        } catch (error) {
+            return null;
+        }
+        if (!parsed) return null;
+
+        return {
+            router: tx.to.toLowerCase(),
+            dex: router.dex,
+            method: parsed.name,
+            swaps: this.decodeCall(router, parsed, tx.value)
+        };
+    }
+
+    decodeCall(router, parsed, value) {
+        switch (router.kind) {
+            case 'v2':
+                return this.decodeV2(router, parsed, value);
+            case 'aerodrome':
+                return this.decodeAerodrome(router, parsed, value);
+            case 'v3':
+                return this.decodeV3(router, parsed);
+            case 'odos':
+                return this.decodeOdos(router, parsed);
+            case 'oneInch':
+                return this.decodeOneInch(router, parsed, value);
+            default:
+                return [];
+        }
+    }
+
+    decodeV2(router, parsed, value) {
+        const { args, name } = parsed;
+        const payable = name.startsWith('swapExactETH') || name.startsWith('swapETH');
+        const exactOut = name.includes('ForExact');
+
+        let amountIn = null;
+        let amountOutMin = null;
+        if (exactOut) {
+            amountIn = payable ? ethers.getBigInt(value || 0) : args.amountInMax;
+        } else {
+            amountIn = payable ? ethers.getBigInt(value || 0) : args.amountIn;
+            amountOutMin = args.amountOutMin;
+        }
+
+        const tokens = [...args.path];
+        const hops = [];
+        for (let i = 0; i < tokens.length - 1; i++) {
+            hops.push({ tokenIn: tokens[i], tokenOut: tokens[i + 1] });
+        }
+
+        return this.buildSwaps(router.dex, hops, amountIn, exactOut ? args.amountOut : amountOutMin);
+    }
+
+    decodeAerodrome(router, parsed, value) {
+        const { args, name } = parsed;
+        const amountIn = name.startsWith('swapExactETH') ? ethers.getBigInt(value || 0) : args.amountIn;
+        const hops = args.routes.map(route => ({ tokenIn: route.from, tokenOut: route.to, stable: route.stable }));
+
+        return this.buildSwaps(router.dex, hops, amountIn, args.amountOutMin);
+    }
+
+    decodeV3(router, parsed) {
+        const { args, name } = parsed;
+
+        if (name === 'multicall') {
+            return args.data.flatMap(call => {
+                try {
+                    const inner = this.interfaces.v3.parseTransaction({ data: call });
+                    return inner ? this.decodeV3(router, inner) : [];
+                } catch (error) {
+                    return [];
+                }
+            });
+        }
+
+        if (name === 'swapExactTokensForTokens') {
+            // SmartRouter's V2 leg goes through V2 pairs, not the V3 pools we track under the router's name
+            return this.decodeV2({ ...router, dex: `${router.dex} V2` }, parsed, 0n);
+        }
+
+        const params = args.params;
+        switch (name) {
+            case 'exactInputSingle':
+                return this.buildSwaps(router.dex,
+                    [{ tokenIn: params.tokenIn, tokenOut: params.tokenOut, fee: Number(params.fee) }],
+                    params.amountIn, params.amountOutMinimum);
+            case 'exactOutputSingle':
+                return this.buildSwaps(router.dex,
+                    [{ tokenIn: params.tokenIn, tokenOut: params.tokenOut, fee: Number(params.fee) }],
+                    params.amountInMaximum, params.amountOut);
+            case 'exactInput':
+                return this.buildSwaps(router.dex, this.decodeV3Path(params.path), params.amountIn, params.amountOutMinimum);
+            case 'exactOutput': {
+                // Exact-output paths are encoded from the output token backwards
+                const hops = this.decodeV3Path(params.path)
+                    .reverse()
+                    .map(hop => ({ tokenIn: hop.tokenOut, tokenOut: hop.tokenIn, fee: hop.fee }));
+                return this.buildSwaps(router.dex, hops, params.amountInMaximum, params.amountOut);
+            }
+            default:
+                return [];
+        }
+    }
+
+    // token (20 bytes) | fee (3 bytes) | token | fee | token ...
+    decodeV3Path(path) {
+        const bytes = ethers.getBytes(path);
+        const hops = [];
+
+        for (let offset = 0; offset + 43 <= bytes.length; offset += 23) {
+            hops.push({
+                tokenIn: ethers.hexlify(bytes.slice(offset, offset + 20)),
+                fee: Number(ethers.toBigInt(bytes.slice(offset + 20, offset + 23))),
+                tokenOut: ethers.hexlify(bytes.slice(offset + 23, offset + 43))
+            });
+        }
+
+        return hops;
+    }
+
+    decodeOdos(router, parsed) {
+        // swapCompact packs its arguments outside the ABI; it is an Odos swap but we can't see what it trades
+        if (parsed.name !== 'swap') return [];
+
+        const info = parsed.args.tokenInfo;
+        return this.buildSwaps(router.dex,
+            [{ tokenIn: info.inputToken, tokenOut: info.outputToken }],
+            info.inputAmount, info.outputMin);
+    }
+
+    decodeOneInch(router, parsed, value) {
+        const { args, name } = parsed;
+
+        if (name === 'swap') {
+            const amountIn = NATIVE_ETH.includes(args.desc.srcToken.toLowerCase()) && value ? value : args.desc.amount;
+            return this.buildSwaps(router.dex,
+                [{ tokenIn: args.desc.srcToken, tokenOut: args.desc.dstToken }],
+                amountIn, args.desc.minReturnAmount);
+        }
+
+        // unoswap / uniswapV3Swap name the pools directly; tokens come from the pools we track
+        const amount = args.amount;
+        let tokenIn = name === 'unoswap' ? args.srcToken : null;
+        const hops = [];
+
+        for (const word of args.pools) {
+            const poolAddress = ethers.getAddress(ethers.toBeHex(word & ADDRESS_MASK, 20)).toLowerCase();
+            const pool = PoolRegistry.pools.get(poolAddress);
+            const reversed = (word & ONEINCH_REVERSE_MASK) !== 0n;
+
+            let tokenOut = null;
+            if (pool && pool.token0) {
+                const token1 = pool.token0 === pool.tokenA.toLowerCase() ? pool.tokenB : pool.tokenA;
+                const [from, to] = reversed ? [token1, pool.token0] : [pool.token0, token1];
+                tokenIn = tokenIn || from;
+                tokenOut = to;
+            }
+
+            hops.push({ tokenIn, tokenOut, pool: poolAddress, dex: pool ? pool.dex : router.dex });
+            tokenIn = tokenOut;
+        }
+
+        return this.buildSwaps(router.dex, hops, amount, args.minReturn);
+    }
+
+    // Spreads the call's amounts over its hops and pins each hop to a pool where possible
+    buildSwaps(dex, hops, amountIn, amountOut) {
+        return hops.map((hop, index) => {
+            const tokenIn = this.normalizeToken(hop.tokenIn);
+            const tokenOut = this.normalizeToken(hop.tokenOut);
+            const hopDex = hop.dex || dex;
+
+            return {
+                dex: hopDex,
+                tokenIn,
+                tokenOut,
+                fee: hop.fee ?? null,
+                stable: hop.stable ?? null,
+                pool: hop.pool || this.resolvePool(hopDex, tokenIn, tokenOut, hop.fee),
+                amountIn: index === 0 && amountIn !== null ? ethers.getBigInt(amountIn) : null,
+                amountOut: index === hops.length - 1 && amountOut !== null ? ethers.getBigInt(amountOut) : null
+            };
+        });
+    }
+
+    normalizeToken(token) {
+        if (!token) return null;
+        const address = token.toLowerCase();
+        return NATIVE_ETH.includes(address) ? WETH : address;
+    }
+
+    // The tracked pool this hop must go through, or null if it could be more than one (or none we track)
+    resolvePool(dex, tokenIn, tokenOut, fee) {
+        if (!tokenIn || !tokenOut || this.isAggregator(dex)) return null;
+
+        const key = PoolRegistry.pairKey(tokenIn, tokenOut);
+        const candidates = [...PoolRegistry.pools.values()].filter(pool =>
+            pool.pairKey === key && pool.dex === dex && (fee === undefined || fee === null || pool.fee === fee)
+        );
+
+        return candidates.length === 1 ? candidates[0].address : null;
+    }
+
+    // True when two swaps trade through the same liquidity. With both pools known they must match exactly;
+    // otherwise the pair must match and either side may be an aggregator (which could route through any
+    // pool for the pair) or both must be on the same DEX.
+    sameLiquidity(a, b) {
+        if (!a.tokenIn || !a.tokenOut || !b.tokenIn || !b.tokenOut) return false;
+
+        if (a.pool && b.pool) {
+            return a.pool === b.pool;
+        }
+
+        if (PoolRegistry.pairKey(a.tokenIn, a.tokenOut) !== PoolRegistry.pairKey(b.tokenIn, b.tokenOut)) {
+            return false;
+        }
+
+        return this.isAggregator(a.dex) || this.isAggregator(b.dex) || a.dex === b.dex;
+    }
+
+    // One of our opportunity hops in the same shape as a decoded swap
+    fromPathHop(hop) {
+        return {
+            dex: hop.dex,
+            tokenIn: hop.fromToken.toLowerCase(),
+            tokenOut: hop.toToken.toLowerCase(),
+            pool: hop.pool ? hop.pool.toLowerCase() : null
+        };
+    }
+
+    // Swaps that start and end in the same token only make sense as arbitrage
+    isCyclic(swaps) {
+        return swaps.length >= 2 && swaps[0].tokenIn !== null && swaps[0].tokenIn === swaps[swaps.length - 1].tokenOut;
+    }
+}
+
+module.exports = new CalldataDecoder();
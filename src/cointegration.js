@@ -0,0 +1,234 @@
+const math = require('mathjs');
+
+// MacKinnon (2010) response surfaces for the constant-only ADF tau statistic, keyed by the number of series
+// the tested residuals were built from: critical value = b0 + b1 / T + b2 / T^2 + b3 / T^3
+const ADF_CRITICAL_SURFACES = {
+    1: {
+        '1%': [-3.43035, -6.5393, -16.786, -79.433],
+        '5%': [-2.86154, -2.8903, -4.234, -40.040],
+        '10%': [-2.56677, -1.5384, -2.809, 0]
+    },
+    2: {
+        '1%': [-3.89644, -10.9519, -33.527, 0],
+        '5%': [-3.33613, -6.1101, -6.823, 0],
+        '10%': [-3.04445, -4.2412, -2.720, 0]
+    },
+    3: {
+        '1%': [-4.29374, -14.4354, -33.195, 47.433],
+        '5%': [-3.74066, -8.5631, -10.852, 27.982],
+        '10%': [-3.45218, -6.2143, -3.718, 0]
+    }
+};
+
+// Johansen trace critical values with an unrestricted constant (MacKinnon-Haug-Michelis 1999), keyed by n - r
+const JOHANSEN_TRACE_CRITICAL = {
+    1: { '10%': 2.7055, '5%': 3.8415, '1%': 6.6349 },
+    2: { '10%': 13.4294, '5%': 15.4943, '1%': 19.9349 },
+    3: { '10%': 27.0669, '5%': 29.7961, '1%': 35.4628 },
+    4: { '10%': 44.4929, '5%': 47.8545, '1%': 54.6815 }
+};
+
+function dot(a, b) {
+    return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+// Series are plain arrays in time order, oldest first. Multi-series inputs are rows of observations.
+class Cointegration {
+    // Least squares of y on the columns of X, with the coefficient covariance from SSR / (n - k)
+    static ols(X, y) {
+        const Xt = math.transpose(X);
+        const XtXInv = math.inv(math.multiply(Xt, X));
+        const coefficients = math.multiply(XtXInv, math.multiply(Xt, y));
+        const residuals = y.map((value, i) => value - dot(X[i], coefficients));
+        const ssr = residuals.reduce((sum, e) => sum + e * e, 0);
+        const variance = ssr / (y.length - coefficients.length);
+        const covariance = XtXInv.map(row => row.map(value => value * variance));
+
+        return {
+            coefficients,
+            standardErrors: coefficients.map((_, j) => Math.sqrt(covariance[j][j])),
+            covariance,
+            residuals,
+            ssr,
+            nobs: y.length
+        };
+    }
+
+    // Augmented Dickey-Fuller with a constant: dy_t = a + g * y_{t-1} + sum(p_i * dy_{t-i}). With
+    // lagSelection 'aic' every lag up to maxLag is fitted on the same sample and the lowest AIC wins; the chosen
+    // lag is then refitted on all the observations it allows. `variables` picks the critical value surface.
+    static adf(series, { lags = 1, lagSelection = 'fixed', maxLag = null, variables = 1 } = {}) {
+        const diffs = series.slice(1).map((value, i) => value - series[i]);
+        let lag = lags;
+
+        if (lagSelection === 'aic') {
+            // Schwert's rule, kept small enough to leave most of the sample for the regression
+            const schwert = Math.floor(12 * Math.pow(series.length / 100, 0.25));
+            const limit = Math.min(maxLag === null ? schwert : maxLag, Math.floor(series.length / 4));
+            let bestAic = Infinity;
+
+            for (let p = 0; p <= limit; p++) {
+                const fit = this.ols(...this.adfDesign(series, diffs, p, limit));
+                const aic = fit.nobs * Math.log(fit.ssr / fit.nobs) + 2 * fit.coefficients.length;
+                if (aic < bestAic) {
+                    bestAic = aic;
+                    lag = p;
+                }
+            }
+        }
+
+        const fit = this.ols(...this.adfDesign(series, diffs, lag, lag));
+
+        return {
+            statistic: fit.coefficients[1] / fit.standardErrors[1],
+            lag,
+            nobs: fit.nobs,
+            criticalValues: this.adfCriticalValues(variables, fit.nobs)
+        };
+    }
+
+    // Rows [1, y_{t-1}, dy_{t-1} .. dy_{t-lag}] against dy_t, starting where `start` lagged differences exist
+    static adfDesign(series, diffs, lag, start) {
+        const X = [];
+        const y = [];
+
+        for (let t = start; t < diffs.length; t++) {
+            const row = [1, series[t]];
+            for (let i = 1; i <= lag; i++) {
+                row.push(diffs[t - i]);
+            }
+            X.push(row);
+            y.push(diffs[t]);
+        }
+
+        return [X, y];
+    }
+
+    static adfCriticalValues(variables, nobs) {
+        const surface = ADF_CRITICAL_SURFACES[variables];
+        if (!surface) {
+            throw new Error(`No ADF critical values for ${variables} series`);
+        }
+
+        const criticalValues = {};
+        for (const [level, [b0, b1, b2, b3]] of Object.entries(surface)) {
+            criticalValues[level] = b0 + b1 / nobs + b2 / nobs ** 2 + b3 / nobs ** 3;
+        }
+        return criticalValues;
+    }
+
+    // Time-varying regression y_t = X_t . b_t + e_t with b following a random walk. delta sets how fast the
+    // coefficients may drift: the state noise is delta / (1 - delta) times the observation variance, so it
+    // doesn't depend on the scale of the data. The state and its covariance start from an OLS fit of the first
+    // burnIn samples, whose residual variance is also the observation variance unless one is given.
+    // spread[t] is the one-step-ahead prediction error and variance[t] its predicted variance, so
+    // spread[t] / sqrt(variance[t]) is a z-score with no look-ahead.
+    static kalmanFilter(y, X, { delta = 1e-3, observationVariance = null, burnIn = 20 } = {}) {
+        if (y.length < burnIn + 2) {
+            throw new Error(`Kalman filter needs more than ${burnIn + 1} samples, got ${y.length}`);
+        }
+
+        const initial = this.ols(X.slice(0, burnIn), y.slice(0, burnIn));
+        const observationNoise = observationVariance || Math.max(initial.ssr / initial.nobs, 1e-12);
+        const stateNoise = delta / (1 - delta) * observationNoise;
+
+        let state = initial.coefficients;
+        let covariance = initial.covariance;
+        const spread = [];
+        const variance = [];
+
+        for (let t = burnIn; t < y.length; t++) {
+            const h = X[t];
+            const prior = covariance.map((row, i) => row.map((value, j) => value + (i === j ? stateNoise : 0)));
+            const priorH = prior.map(row => dot(row, h));
+            const predictedVariance = dot(h, priorH) + observationNoise;
+            const error = y[t] - dot(h, state);
+            const gain = priorH.map(value => value / predictedVariance);
+
+            state = state.map((value, i) => value + gain[i] * error);
+            covariance = prior.map((row, i) => row.map((value, j) => value - gain[i] * priorH[j]));
+            spread.push(error);
+            variance.push(predictedVariance);
+        }
+
+        return { spread, variance, state };
+    }
+
+    // Johansen trace test on the columns of `series` with an unrestricted constant and lagDiffs lagged
+    // differences in the VECM. Eigenvectors are sorted by eigenvalue, so eigenvectors[0] is the most
+    // stationary combination; each is normalised to 1 on the first series.
+    static johansen(series, lagDiffs = 1) {
+        const n = series[0].length;
+        if (!JOHANSEN_TRACE_CRITICAL[n]) {
+            throw new Error(`No Johansen critical values for ${n} series`);
+        }
+
+        const diffs = series.slice(1).map((row, t) => row.map((value, j) => value - series[t][j]));
+        const differences = [];
+        const levels = [];
+        const shortRun = [];
+
+        for (let t = lagDiffs; t < diffs.length; t++) {
+            differences.push(diffs[t]);
+            levels.push(series[t]);
+            const row = [1];
+            for (let i = 1; i <= lagDiffs; i++) {
+                row.push(...diffs[t - i]);
+            }
+            shortRun.push(row);
+        }
+
+        const r0 = this.partialOut(differences, shortRun);
+        const r1 = this.partialOut(levels, shortRun);
+        const T = r0.length;
+        const moment = (a, b) => math.divide(math.multiply(math.transpose(a), b), T);
+        const s00 = moment(r0, r0);
+        const s11 = moment(r1, r1);
+        const s01 = moment(r0, r1);
+
+        // S11^-1/2 turns the generalised eigenproblem |l S11 - S10 S00^-1 S01| = 0 into a symmetric one
+        const s11Eigen = this.eigen(s11);
+        const basis = math.transpose(s11Eigen.map(({ vector }) => vector));
+        const root = math.multiply(
+            basis,
+            math.diag(s11Eigen.map(({ value }) => 1 / Math.sqrt(value))),
+            math.transpose(basis)
+        );
+        const product = math.multiply(root, math.transpose(s01), math.inv(s00), s01, root);
+        const symmetric = math.divide(math.add(product, math.transpose(product)), 2);
+
+        const pairs = this.eigen(symmetric).sort((a, b) => b.value - a.value);
+        const eigenvalues = pairs.map(({ value }) => value);
+        const eigenvectors = pairs.map(({ vector }) => {
+            const combination = math.multiply(root, vector);
+            return combination.map(value => value / combination[0]);
+        });
+        const traceStatistics = eigenvalues.map((_, r) =>
+            -T * eigenvalues.slice(r).reduce((sum, value) => sum + Math.log(1 - value), 0)
+        );
+
+        return {
+            eigenvalues,
+            eigenvectors,
+            traceStatistics,
+            criticalValues: eigenvalues.map((_, r) => JOHANSEN_TRACE_CRITICAL[n - r]),
+            nobs: T
+        };
+    }
+
+    // Eigenpairs of a symmetric matrix as [{ value, vector }], each vector paired with its own value
+    static eigen(matrix) {
+        return math.eigs(matrix).eigenvectors.map(({ value, vector }) => ({
+            value: Number(value),
+            vector: math.isMatrix(vector) ? vector.toArray() : vector
+        }));
+    }
+
+    // Residuals of each column of Y regressed on Z
+    static partialOut(Y, Z) {
+        const columns = Y[0].map((_, j) => this.ols(Z, Y.map(row => row[j])).residuals);
+        return Y.map((_, t) => columns.map(column => column[t]));
+    }
+}
+
+module.exports = Cointegration;
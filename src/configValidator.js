@@ -1,6 +1,7 @@
 const { ethers } = require('ethers');
 const config = require('../config/config.json');
 const RPCManager = require('./rpcManager');
+const ArbitrageEncoder = require('./arbitrageEncoder');
 const { Logger } = require('./utils');
 
 class ConfigValidator {
@@ -148,6 +149,13 @@ class ConfigValidator {
 
             Logger.logInfo(`Contract verified at ${process.env.ARB_CONTRACT_ADDRESS}, code size: ${code.length} bytes`);
             
+            // Calldata is encoded from the compiled artifact
+            try {
+                ArbitrageEncoder.getInterface();
+            } catch (error) {
+                this.errors.push(error.message);
+            }
+            
             const arbContract = new ethers.Contract(
                 process.env.ARB_CONTRACT_ADDRESS,
                 ['function owner() view returns (address)'],
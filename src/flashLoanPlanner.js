@@ -0,0 +1,314 @@
+const { ethers } = require('ethers');
+const NodeCache = require('node-cache');
+const config = require('../config/config.json');
+const RPCManager = require('./rpcManager');
+const TokenAmount = require('./tokenAmount');
+const PoolRegistry = require('./poolRegistry');
+const { Logger } = require('./utils');
+
+const AAVE_POOL_ABI = [
+    'function getReserveData(address asset) view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))',
+    'function FLASHLOAN_PREMIUM_TOTAL() view returns (uint128)'
+];
+
+const BALANCER_VAULT_ABI = [
+    'function getProtocolFeesCollector() view returns (address)'
+];
+
+const BALANCER_FEES_COLLECTOR_ABI = [
+    'function getFlashLoanFeePercentage() view returns (uint256)'
+];
+
+const ERC20_ABI = [
+    'function balanceOf(address account) view returns (uint256)'
+];
+
+// ReserveConfiguration bit positions (Aave V3)
+const RESERVE_ACTIVE_BIT = 56n;
+const RESERVE_PAUSED_BIT = 60n;
+const RESERVE_FLASHLOAN_ENABLED_BIT = 63n;
+
+// Decides what to borrow for a path and from where, using live lender state rather than
+// assuming every token is borrowable from Aave at the configured premium
+class FlashLoanPlanner {
+    constructor(tokenManager) {
+        this.tokenManager = tokenManager;
+        this.reserveCache = new NodeCache({ stdTTL: 30 });
+        this.fallbackPremiumBps = config.flashLoanPremiumBps || 9;
+        this.settings = {
+            providers: ['aave', 'balancer', 'uniswapV3', 'morpho'],
+            ...config.flashLoanSettings
+        };
+    }
+
+    async getPremiumBps() {
+        const cached = this.reserveCache.get('premium');
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        try {
+            const { provider } = await RPCManager.getHealthyProvider();
+            const pool = new ethers.Contract(config.aaveV3PoolAddress, AAVE_POOL_ABI, provider);
+            const premiumBps = Number(await pool.FLASHLOAN_PREMIUM_TOTAL());
+
+            this.reserveCache.set('premium', premiumBps);
+            return premiumBps;
+        } catch (error) {
+            Logger.logWarning('Failed to read Aave flash loan premium, using configured value', error.message);
+            return this.fallbackPremiumBps;
+        }
+    }
+
+    async getReserve(asset) {
+        const key = asset.toLowerCase();
+        const cached = this.reserveCache.get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const { provider } = await RPCManager.getHealthyProvider();
+        const pool = new ethers.Contract(config.aaveV3PoolAddress, AAVE_POOL_ABI, provider);
+
+        const [data, premiumBps] = await Promise.all([
+            pool.getReserveData(asset),
+            this.getPremiumBps()
+        ]);
+
+        const configuration = data.configuration;
+        const listed = data.aTokenAddress !== ethers.ZeroAddress;
+
+        let availableLiquidity = 0n;
+        if (listed) {
+            const token = new ethers.Contract(asset, ERC20_ABI, provider);
+            availableLiquidity = await token.balanceOf(data.aTokenAddress);
+        }
+
+        const reserve = {
+            asset: key,
+            listed,
+            active: ((configuration >> RESERVE_ACTIVE_BIT) & 1n) === 1n,
+            paused: ((configuration >> RESERVE_PAUSED_BIT) & 1n) === 1n,
+            flashLoanEnabled: ((configuration >> RESERVE_FLASHLOAN_ENABLED_BIT) & 1n) === 1n,
+            availableLiquidity,
+            premiumBps
+        };
+
+        this.reserveCache.set(key, reserve);
+        return reserve;
+    }
+
+    canFlashLoan(reserve, amount) {
+        if (!reserve.listed) return 'not listed on Aave';
+        if (!reserve.active) return 'reserve inactive';
+        if (reserve.paused) return 'reserve paused';
+        if (!reserve.flashLoanEnabled) return 'flash loans disabled';
+        if (reserve.availableLiquidity < amount) return 'insufficient liquidity';
+        return null;
+    }
+
+    // Tokens the hops spend that earlier hops don't produce have to be borrowed
+    getFundingRequirements(path) {
+        const balances = new Map();
+        const requirements = new Map();
+
+        for (const hop of path) {
+            const fromToken = hop.fromToken.toLowerCase();
+            const needed = ethers.getBigInt(hop.amount);
+            const available = balances.get(fromToken) || 0n;
+
+            if (available < needed) {
+                requirements.set(fromToken, (requirements.get(fromToken) || 0n) + needed - available);
+                balances.set(fromToken, 0n);
+            } else {
+                balances.set(fromToken, available - needed);
+            }
+
+            const toToken = hop.toToken.toLowerCase();
+            balances.set(toToken, (balances.get(toToken) || 0n) + ethers.getBigInt(hop.outputAmount || 0n));
+        }
+
+        return [...requirements.entries()].map(([asset, amount]) => ({ asset, amount }));
+    }
+
+    async priceBorrows(borrows) {
+        let premiumUSD = 0;
+
+        for (const borrow of borrows) {
+            const reserve = await this.getReserve(borrow.asset);
+            const reason = this.canFlashLoan(reserve, borrow.amount);
+            if (reason) {
+                return { feasible: false, reason: `${borrow.asset}: ${reason}` };
+            }
+
+            const usd = await this.priceBorrow(borrow, reserve.premiumBps);
+            if (usd === null) {
+                return { feasible: false, reason: `${borrow.asset}: no USD price` };
+            }
+            premiumUSD += usd;
+        }
+
+        return { feasible: true, provider: 'aave', lender: config.aaveV3PoolAddress, borrows, premiumUSD };
+    }
+
+    // Fills in the borrow's premium at the given rate; returns its USD value, or null if the token has no price
+    async priceBorrow(borrow, premiumBps) {
+        borrow.premiumBps = premiumBps;
+        borrow.premium = borrow.amount * BigInt(premiumBps) / 10000n;
+        borrow.premiumUSD = await TokenAmount.from(this.tokenManager, borrow.asset, borrow.premium).toUSD(this.tokenManager);
+        return borrow.premiumUSD;
+    }
+
+    async getBalancerPremiumBps() {
+        const cached = this.reserveCache.get('balancerPremium');
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const { provider } = await RPCManager.getHealthyProvider();
+        const vault = new ethers.Contract(config.balancerVaultAddress, BALANCER_VAULT_ABI, provider);
+        const collector = new ethers.Contract(await vault.getProtocolFeesCollector(), BALANCER_FEES_COLLECTOR_ABI, provider);
+
+        // Fee is an 18-decimal fraction; round up so a fractional bps is never under-costed
+        const fee = await collector.getFlashLoanFeePercentage();
+        const premiumBps = Number((fee * 10000n + 10n ** 18n - 1n) / 10n ** 18n);
+
+        this.reserveCache.set('balancerPremium', premiumBps);
+        return premiumBps;
+    }
+
+    async getBalance(token, holder) {
+        const key = `balance_${token.toLowerCase()}_${holder.toLowerCase()}`;
+        const cached = this.reserveCache.get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const { provider } = await RPCManager.getHealthyProvider();
+        const balance = await new ethers.Contract(token, ERC20_ABI, provider).balanceOf(holder);
+
+        this.reserveCache.set(key, balance);
+        return balance;
+    }
+
+    // Every configured lender that could fund `amount` of asset, as { provider, lender, premiumBps, available, reason }.
+    // Uniswap V3 pools the path swaps through are skipped: a pool is locked while it is lending.
+    async quoteSources(asset, amount, excludePools = []) {
+        const token = asset.toLowerCase();
+        const excluded = new Set(excludePools.map(address => address.toLowerCase()));
+        const sources = [];
+
+        const addSource = async (provider, lender, quote) => {
+            try {
+                const { premiumBps, available, reason } = await quote();
+                sources.push({
+                    provider,
+                    lender,
+                    premiumBps,
+                    available,
+                    reason: reason || (available < amount ? 'insufficient liquidity' : null)
+                });
+            } catch (error) {
+                sources.push({ provider, lender, premiumBps: null, available: 0n, reason: error.message });
+            }
+        };
+
+        for (const provider of this.settings.providers) {
+            if (provider === 'aave') {
+                await addSource('aave', config.aaveV3PoolAddress, async () => {
+                    const reserve = await this.getReserve(token);
+                    return {
+                        premiumBps: reserve.premiumBps,
+                        available: reserve.availableLiquidity,
+                        reason: this.canFlashLoan(reserve, amount)
+                    };
+                });
+            } else if (provider === 'balancer') {
+                await addSource('balancer', config.balancerVaultAddress, async () => ({
+                    premiumBps: await this.getBalancerPremiumBps(),
+                    available: await this.getBalance(token, config.balancerVaultAddress)
+                }));
+            } else if (provider === 'morpho') {
+                await addSource('morpho', config.morphoBlueAddress, async () => ({
+                    premiumBps: 0,
+                    available: await this.getBalance(token, config.morphoBlueAddress)
+                }));
+            } else if (provider === 'uniswapV3') {
+                const pools = [...PoolRegistry.pools.values()].filter(pool =>
+                    pool.status === 'ready' && pool.type === 'v3' && pool.dex === 'Uniswap V3' &&
+                    [pool.tokenA, pool.tokenB].some(t => t.toLowerCase() === token) && !excluded.has(pool.address));
+
+                for (const pool of pools) {
+                    // The flash fee is the pool's swap fee (pips, so 500 = 5 bps)
+                    await addSource('uniswapV3', pool.address, async () => ({
+                        premiumBps: Math.ceil(Number(pool.fee) / 100),
+                        available: await this.getBalance(token, pool.address)
+                    }));
+                }
+            }
+        }
+
+        return sources;
+    }
+
+    // The pools a path swaps through, or null if a hop goes through an aggregator: whatever pool that hop
+    // was found on, the aggregator may route it through any other
+    getPathPools(path) {
+        const pools = [];
+        for (const hop of path) {
+            const pool = hop.pool && PoolRegistry.pools.get(hop.pool.toLowerCase());
+            if (!pool || pool.dex !== hop.dex) return null;
+            pools.push(pool.address);
+        }
+        return pools;
+    }
+
+    // quoteSources for funding a path. A Uniswap V3 pool is locked while it lends, so it can only fund a
+    // path that is known not to swap through it.
+    async quotePathSources(asset, amount, path) {
+        const pathPools = this.getPathPools(path);
+        const sources = await this.quoteSources(asset, amount, pathPools || []);
+        return pathPools ? sources : sources.filter(source => source.provider !== 'uniswapV3');
+    }
+
+    // Which borrows an opportunity needs and what they cost; { feasible, borrows, premiumUSD } or { feasible: false, reason }
+    async plan(opportunity) {
+        try {
+            const borrows = this.getFundingRequirements(opportunity.path);
+            if (borrows.length === 0) {
+                return { feasible: false, reason: 'path needs no funding' };
+            }
+            return await this.priceBorrows(borrows);
+        } catch (error) {
+            return { feasible: false, reason: error.message };
+        }
+    }
+
+    // A closed cycle can be entered at any of its tokens; prefer the lowest premium, then the deepest reserve
+    async chooseBorrowAsset(tokens) {
+        let best = null;
+
+        for (const token of tokens) {
+            try {
+                const reserve = await this.getReserve(token);
+                if (this.canFlashLoan(reserve, 1n)) continue;
+
+                const liquidityUSD = await TokenAmount.from(this.tokenManager, token, reserve.availableLiquidity)
+                    .toUSD(this.tokenManager);
+                if (liquidityUSD === null) continue;
+
+                if (!best ||
+                    reserve.premiumBps < best.premiumBps ||
+                    (reserve.premiumBps === best.premiumBps && liquidityUSD > best.liquidityUSD)) {
+                    best = { token: reserve.asset, premiumBps: reserve.premiumBps, liquidityUSD };
+                }
+            } catch (error) {
+                continue;
+            }
+        }
+
+        return best ? best.token : null;
+    }
+}
+
+module.exports = FlashLoanPlanner;
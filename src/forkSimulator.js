@@ -0,0 +1,280 @@
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+const config = require('../config/config.json');
+const RPCManager = require('./rpcManager');
+const ArbitrageEncoder = require('./arbitrageEncoder');
+const { Logger } = require('./utils');
+
+const SPAWN_COMMANDS = {
+    anvil: (forkUrl, port) => ['anvil', ['--fork-url', forkUrl, '--port', String(port), '--silent']],
+    hardhat: (forkUrl, port) => ['npx', ['hardhat', 'node', '--fork', forkUrl, '--port', String(port)]]
+};
+
+// Executes our own calldata against a local fork (Anvil or Hardhat node) as the contract owner, so
+// pre-trade checks see real gas, the profit the contract actually emits and the actual revert reason.
+// Connects to settings.rpcUrl when a node is already running, otherwise spawns one on settings.port.
+// Only the hardhat_* / evm_* RPC namespace is used; Anvil accepts it as an alias.
+class ForkSimulator {
+    constructor(settings = {}) {
+        this.settings = {
+            enabled: false,
+            rpcUrl: null,
+            forkUrl: null,
+            node: 'anvil',
+            port: 8546,
+            startupTimeoutMs: 30000,
+            // Re-forking costs the node its state cache, so a few blocks of lag are tolerated between resets
+            maxForkLagBlocks: 3,
+            gasLimit: 8000000,
+            ownerBalanceEth: 10,
+            ...config.forkSimulatorSettings,
+            ...settings
+        };
+        this.provider = null;
+        this.process = null;
+        this.reap = null;
+        this.starting = null;
+        this.forkBlock = 0;
+        this.owner = null;
+        // One fork, one snapshot at a time
+        this.queue = Promise.resolve();
+    }
+
+    isEnabled() {
+        return Boolean(this.settings.enabled);
+    }
+
+    getForkUrl() {
+        return this.settings.forkUrl || process.env.FORK_RPC_URL || config.rpcNodes[0];
+    }
+
+    getContractAddress() {
+        const address = process.env.ARB_CONTRACT_ADDRESS;
+        if (!address) {
+            throw new Error('ARB_CONTRACT_ADDRESS not set, nothing to simulate against');
+        }
+        return address;
+    }
+
+    async start() {
+        if (this.provider) return this.provider;
+        if (!this.starting) {
+            this.starting = this.connect().finally(() => {
+                this.starting = null;
+            });
+        }
+        return this.starting;
+    }
+
+    async connect() {
+        let url = this.settings.rpcUrl;
+
+        if (!url) {
+            const buildCommand = SPAWN_COMMANDS[this.settings.node];
+            if (!buildCommand) {
+                throw new Error(`Unknown fork node ${this.settings.node}`);
+            }
+
+            const [command, args] = buildCommand(this.getForkUrl(), this.settings.port);
+            // Its own process group, so stopping it also stops the node npx starts underneath
+            this.process = spawn(command, args, { stdio: 'ignore', detached: true });
+            this.process.on('exit', (code) => {
+                Logger.logWarning('Fork node exited', { node: this.settings.node, code });
+                this.process = null;
+                this.provider = null;
+                this.releaseReaper();
+            });
+            // The node must not outlive the bot, however the bot exits
+            this.reap = () => this.stop();
+            process.once('exit', this.reap);
+            this.process.on('error', (error) => {
+                Logger.logError('Fork node failed to start', error);
+            });
+            url = `http://127.0.0.1:${this.settings.port}`;
+        }
+
+        const provider = new ethers.JsonRpcProvider(url, ethers.Network.from(config.chainId), { staticNetwork: true });
+        await this.waitUntilReady(provider);
+
+        this.provider = provider;
+        this.forkBlock = await provider.getBlockNumber();
+        Logger.logSuccess('Fork simulator ready', { url, forkBlock: this.forkBlock });
+        return provider;
+    }
+
+    async waitUntilReady(provider) {
+        const deadline = Date.now() + this.settings.startupTimeoutMs;
+
+        while (true) {
+            try {
+                await provider.send('eth_chainId', []);
+                return;
+            } catch (error) {
+                if (Date.now() > deadline) {
+                    this.stop();
+                    throw new Error(`Fork node not reachable after ${this.settings.startupTimeoutMs}ms: ${error.message}`);
+                }
+                await new Promise(resolve => setTimeout(resolve, 250));
+            }
+        }
+    }
+
+    stop() {
+        if (this.process) {
+            this.process.removeAllListeners('exit');
+            try {
+                process.kill(-this.process.pid);
+            } catch (error) {
+                this.process.kill();
+            }
+            this.process = null;
+        }
+        if (this.provider) {
+            this.provider.destroy();
+            this.provider = null;
+        }
+        this.releaseReaper();
+    }
+
+    releaseReaper() {
+        if (this.reap) {
+            process.removeListener('exit', this.reap);
+            this.reap = null;
+        }
+    }
+
+    // Re-forks at the upstream head once the fork falls more than maxForkLagBlocks behind it
+    async syncFork(provider) {
+        let head = RPCManager.lastBlockNumber;
+        if (!head) {
+            const { provider: upstream } = await RPCManager.getHealthyProvider();
+            head = await upstream.getBlockNumber();
+        }
+
+        if (head - this.forkBlock > this.settings.maxForkLagBlocks) {
+            await provider.send('hardhat_reset', [{
+                forking: { jsonRpcUrl: this.getForkUrl(), blockNumber: head }
+            }]);
+            this.forkBlock = head;
+        }
+    }
+
+    async getOwner(provider, contract) {
+        if (!this.owner) {
+            const iface = ArbitrageEncoder.getInterface();
+            const result = await provider.call({ to: contract, data: iface.encodeFunctionData('owner') });
+            [this.owner] = iface.decodeFunctionResult('owner', result);
+        }
+        return this.owner;
+    }
+
+    getRevertData(error) {
+        return error.data || (error.info && error.info.error && error.info.error.data);
+    }
+
+    // Only the contract reverting is a verdict on the trade. Ethers reports every failed eth_call as
+    // CALL_EXCEPTION, so one without revert data counts only when the node says the execution reverted;
+    // anything else (node down, missing state, timeouts) means the fork can't answer.
+    isExecutionRevert(error) {
+        if (ethers.isHexString(this.getRevertData(error))) return true;
+        if (error.code !== 'CALL_EXCEPTION') return false;
+
+        const nodeMessage = (error.info && error.info.error && error.info.error.message) || '';
+        return /revert/i.test(nodeMessage);
+    }
+
+    // Revert data to a readable reason: Error(string), Panic(uint256) or one of the contract's custom errors
+    decodeRevert(error) {
+        const data = this.getRevertData(error);
+        if (!ethers.isHexString(data) || data === '0x') {
+            return error.shortMessage || error.message;
+        }
+
+        const decoded = ArbitrageEncoder.getInterface().makeError(data, { data: '0x' });
+        if (decoded.revert && decoded.revert.name !== 'Error') {
+            return `${decoded.revert.name}(${decoded.revert.args.map(arg => arg.toString()).join(', ')})`;
+        }
+        return decoded.reason || decoded.shortMessage;
+    }
+
+    simulate(opportunity) {
+        const run = this.queue.then(() => this.execute(opportunity));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Resolves with { success: false, error } when the contract reverts; throws when the fork itself is unusable
+    async execute(opportunity) {
+        const provider = await this.start();
+        await this.syncFork(provider);
+
+        const contract = this.getContractAddress();
+        const iface = ArbitrageEncoder.getInterface();
+        const owner = await this.getOwner(provider, contract);
+        const tx = {
+            from: owner,
+            to: contract,
+            data: ArbitrageEncoder.encode(opportunity),
+            gas: ethers.toQuantity(this.settings.gasLimit)
+        };
+
+        const snapshot = await provider.send('evm_snapshot', []);
+        try {
+            await provider.send('hardhat_impersonateAccount', [owner]);
+            await provider.send('hardhat_setBalance', [owner, ethers.toQuantity(ethers.parseEther(String(this.settings.ownerBalanceEth)))]);
+
+            // eth_call first: a mined revert only tells us it failed, the call returns why
+            try {
+                await provider.send('eth_call', [tx, 'latest']);
+            } catch (error) {
+                if (!this.isExecutionRevert(error)) throw error;
+                return {
+                    success: false,
+                    error: this.decodeRevert(error),
+                    gasUsed: 0n,
+                    blockNumber: this.forkBlock
+                };
+            }
+
+            const hash = await provider.send('eth_sendTransaction', [tx]);
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (!receipt || receipt.status !== 1) {
+                return {
+                    success: false,
+                    error: 'Transaction reverted on fork',
+                    gasUsed: receipt ? receipt.gasUsed : 0n,
+                    blockNumber: this.forkBlock
+                };
+            }
+
+            const executed = receipt.logs
+                .filter(log => log.address.toLowerCase() === contract.toLowerCase())
+                .map(log => iface.parseLog(log))
+                .find(event => event && event.name === 'ArbitrageExecuted');
+
+            if (!executed) {
+                return {
+                    success: false,
+                    error: 'ArbitrageExecuted not emitted',
+                    gasUsed: receipt.gasUsed,
+                    blockNumber: this.forkBlock
+                };
+            }
+
+            return {
+                success: true,
+                gasUsed: receipt.gasUsed,
+                profitToken: executed.args.flashLoanToken.toLowerCase(),
+                profit: executed.args.profit,
+                flashLoanAmount: executed.args.flashLoanAmount,
+                blockNumber: this.forkBlock,
+                logs: receipt.logs.map(log => ({ address: log.address, topics: log.topics, data: log.data }))
+            };
+        } finally {
+            await provider.send('hardhat_stopImpersonatingAccount', [owner]).catch(() => {});
+            await provider.send('evm_revert', [snapshot]);
+        }
+    }
+}
+
+module.exports = ForkSimulator;
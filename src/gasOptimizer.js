@@ -16,14 +16,14 @@ class GasOptimizer {
         this.startGasMonitoring();
     }
 
-    async startGasMonitoring() {
-        setInterval(async () => {
+    startGasMonitoring() {
+        this.unsubscribeBlocks = RPCManager.onEveryNBlocks(config.blockTriggers.gasUpdateBlocks, async () => {
             try {
                 await this.updateGasData();
             } catch (error) {
                 Logger.logWarning('Gas monitoring update failed', error.message);
             }
-        }, 15000);
+        });
     }
 
     async updateGasData() {
@@ -1,8 +1,28 @@
+const http = require('http');
+const fs = require('fs');
+const { ethers } = require('ethers');
 const NodeCache = require('node-cache');
-const { PrometheusExporter } = require('@opentelemetry/exporter-prometheus');
-const { MeterProvider } = require('@opentelemetry/sdk-metrics');
+const client = require('prom-client');
 const config = require('../config/config.json');
 const { Logger } = require('./utils');
+const TradeJournal = require('./storage');
+
+// simulation_failures_total labels; free-form error text would create a series per message
+const SIMULATION_FAILURE_PATTERNS = [
+    ['timeout', /timeout|timed out|ETIMEDOUT/i],
+    ['rpc', /NETWORK_ERROR|SERVER_ERROR|ECONNREFUSED|ECONNRESET|ENOTFOUND|socket hang up|rate limit|429|header not found|missing trie node|fetch failed/i],
+    ['decode', /BAD_DATA|decode|invalid (abi|data|json)/i],
+    ['revert', /revert|CALL_EXCEPTION/i]
+];
+const SIMULATION_FAILURE_REASONS = [...SIMULATION_FAILURE_PATTERNS.map(([reason]) => reason), 'other'];
+
+function classifySimulationFailure(reason) {
+    if (SIMULATION_FAILURE_REASONS.includes(reason)) return reason;
+
+    const message = reason instanceof Error ? `${reason.code || ''} ${reason.message}` : String(reason || '');
+    const match = SIMULATION_FAILURE_PATTERNS.find(([, pattern]) => pattern.test(message));
+    return match ? match[0] : 'other';
+}
 
 class MetricsCollector {
     constructor() {
@@ -13,24 +33,33 @@ class MetricsCollector {
         this.startTime = Date.now();
         this.cache = new NodeCache({ stdTTL: 300, checkperiod: 60 });
         
+        // Each collector gets its own registry so multiple instances never clash
+        this.registry = new client.Registry();
+        this.server = null;
+        this.exportInterval = null;
+        
+        client.collectDefaultMetrics({ register: this.registry, prefix: 'bot_process_' });
+        
         this.initializeMetrics();
-        this.startExporting();
     }
 
     initializeMetrics() {
         // Opportunity metrics
-        this.createCounter('opportunities_scanned_total', 'Total opportunities scanned');
-        this.createCounter('opportunities_executed_total', 'Total opportunities executed');
-        this.createCounter('opportunities_failed_total', 'Total opportunities failed');
+        this.createCounter('opportunities_scanned_total', 'Total opportunities scanned', ['type', 'hops']);
+        this.createCounter('opportunities_executed_total', 'Total opportunities executed', ['success', 'type']);
+        this.createCounter('opportunities_failed_total', 'Total opportunities failed', ['reason']);
+        this.createGauge('opportunities_executed_lifetime', 'Successful executions including those journaled before the last restart');
         this.createGauge('opportunities_active', 'Currently active opportunities being evaluated');
-        this.createHistogram('opportunity_profit_usd', 'Profit distribution in USD', [0, 1, 5, 10, 50, 100, 500]);
+        this.createHistogram('opportunity_profit_usd', 'Profit distribution in USD', [0, 1, 5, 10, 50, 100, 500], ['type']);
         this.createHistogram('opportunity_execution_time_ms', 'Execution time distribution', [10, 50, 100, 500, 1000, 5000]);
+        this.createHistogram('opportunity_evaluation_time_ms', 'Evaluation time distribution', [10, 50, 100, 500, 1000, 5000]);
 
         // RPC metrics
-        this.createCounter('rpc_requests_total', 'Total RPC requests');
-        this.createCounter('rpc_errors_total', 'Total RPC errors');
+        this.createCounter('rpc_requests_total', 'Total RPC requests', ['endpoint', 'method', 'success']);
+        this.createCounter('rpc_errors_total', 'Total RPC errors', ['endpoint', 'method']);
         this.createGauge('rpc_nodes_healthy', 'Number of healthy RPC nodes');
-        this.createHistogram('rpc_response_time_ms', 'RPC response time distribution', [10, 50, 100, 500, 1000]);
+        this.createCounter('rpc_quorum_disagreements_total', 'Quorum reads where a node disagreed with the majority', ['endpoint']);
+        this.createHistogram('rpc_response_time_ms', 'RPC response time distribution', [10, 50, 100, 500, 1000], ['endpoint']);
 
         // Gas metrics
         this.createGauge('gas_price_gwei', 'Current gas price in Gwei');
@@ -43,12 +72,28 @@ class MetricsCollector {
         this.createGauge('hourly_profit_usd', 'Hourly profit in USD');
         
         // Error metrics
-        this.createCounter('errors_total', 'Total errors by type');
-        this.createCounter('simulation_failures_total', 'Total simulation failures');
+        this.createCounter('errors_total', 'Total errors by type', ['type']);
+        this.createCounter('simulation_failures_total', 'Total simulation failures', ['reason']);
         
         // Latency metrics
         this.createHistogram('scan_cycle_time_ms', 'Scan cycle time distribution', [100, 500, 1000, 5000, 10000]);
         this.createHistogram('transaction_confirmation_time_ms', 'Transaction confirmation time', [1000, 5000, 10000, 30000, 60000]);
+        this.createCounter('transaction_outcomes_total', 'Submitted transactions by final outcome', ['outcome']);
+        this.createCounter('transaction_replacements_total', 'Speed-up and cancel replacements sent', ['kind']);
+        this.createHistogram('transaction_resolution_blocks', 'Blocks from submission until the nonce resolved', [1, 2, 3, 5, 10, 20, 30], ['outcome']);
+
+        // Bot lifecycle metrics
+        this.createGauge('services_initialized', 'Whether all services finished initializing');
+        this.createGauge('tokens_loaded', 'Number of tokens loaded by the token manager');
+        this.createGauge('bot_uptime', 'Bot uptime in milliseconds');
+        this.createGauge('bot_cycles', 'Scan cycles completed');
+        this.createGauge('bot_profit_total', 'Total realized profit in USD reported by the bot');
+
+        // Paper trading metrics (dry-run mode)
+        this.createCounter('paper_trades_total', 'Total simulated fills recorded in dry-run mode', ['type']);
+        this.createGauge('paper_pnl_usd', 'Simulated net PnL in USD');
+        this.createGauge('paper_gas_cost_usd', 'Simulated gas cost in USD');
+        this.createHistogram('paper_trade_profit_usd', 'Simulated profit distribution in USD', [-10, 0, 1, 5, 10, 50, 100, 500], ['type']);
     }
 
     createCounter(name, help, labels = []) {
@@ -57,7 +102,8 @@ class MetricsCollector {
             help,
             labels,
             value: 0,
-            labelValues: new Map()
+            labelValues: new Map(),
+            prom: new client.Counter({ name, help, labelNames: labels, registers: [this.registry] })
         });
     }
 
@@ -67,21 +113,37 @@ class MetricsCollector {
             help,
             labels,
             value: 0,
-            labelValues: new Map()
+            labelValues: new Map(),
+            prom: new client.Gauge({ name, help, labelNames: labels, registers: [this.registry] })
         });
     }
 
-    createHistogram(name, help, buckets = []) {
+    createHistogram(name, help, buckets = [], labels = []) {
+        buckets = buckets.length > 0 ? buckets : [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
         this.histograms.set(name, {
             name,
             help,
-            buckets: buckets || [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+            labels,
+            buckets,
             observations: [],
             sum: 0,
-            count: 0
+            count: 0,
+            prom: new client.Histogram({ name, help, labelNames: labels, buckets, registers: [this.registry] })
         });
     }
 
+    // Prometheus only accepts declared label names, and free-form context would explode cardinality
+    toPromLabels(metric, labelValues) {
+        const labels = {};
+        for (const label of metric.labels) {
+            if (labelValues[label] !== undefined && labelValues[label] !== null) {
+                labels[label] = String(labelValues[label]);
+            }
+        }
+        return labels;
+    }
+
     incrementCounter(name, value = 1, labelValues = {}) {
         const counter = this.counters.get(name);
         if (!counter) {
@@ -94,6 +156,7 @@ class MetricsCollector {
         const labelKey = JSON.stringify(labelValues);
         const current = counter.labelValues.get(labelKey) || 0;
         counter.labelValues.set(labelKey, current + value);
+        counter.prom.inc(this.toPromLabels(counter, labelValues), value);
     }
 
     setGauge(name, value, labelValues = {}) {
@@ -105,6 +168,7 @@ class MetricsCollector {
 
         gauge.value = value;
         gauge.labelValues.set(JSON.stringify(labelValues), value);
+        gauge.prom.set(this.toPromLabels(gauge, labelValues), value);
     }
 
     observeHistogram(name, value, labelValues = {}) {
@@ -122,6 +186,7 @@ class MetricsCollector {
 
         histogram.sum += value;
         histogram.count++;
+        histogram.prom.observe(this.toPromLabels(histogram, labelValues), value);
 
         if (histogram.observations.length > 1000) {
             histogram.observations = histogram.observations.slice(-1000);
@@ -148,10 +213,9 @@ class MetricsCollector {
         });
 
         if (executionResult.success) {
-            this.incrementCounter('total_profit_usd', opportunity.netProfitUSD);
-            this.setGauge('total_profit_usd', this.getCounterValue('total_profit_usd'));
+            this.setGauge('opportunities_executed_lifetime', this.getGaugeValue('opportunities_executed_lifetime') + 1);
+            this.setGauge('total_profit_usd', this.getGaugeValue('total_profit_usd') + opportunity.netProfitUSD);
             
-            const now = Date.now();
             const today = new Date().toISOString().split('T')[0];
             const hour = new Date().getHours();
             
@@ -168,7 +232,7 @@ class MetricsCollector {
             this.setGauge('hourly_profit_usd', hourlyProfit);
         } else {
             this.incrementCounter('opportunities_failed_total', 1, {
-                reason: executionResult.reason
+                reason: executionResult.reason || 'execution_error'
             });
         }
 
@@ -177,15 +241,28 @@ class MetricsCollector {
         }
 
         if (executionResult.gasUsed) {
-            this.incrementCounter('gas_spent_total', executionResult.gasUsed);
+            this.incrementCounter('gas_spent_total', Number(executionResult.gasUsed));
         }
     }
 
-    recordRPCRequest(endpoint, duration, success = true) {
-        this.incrementCounter('rpc_requests_total', 1, { endpoint, success });
+    restoreTotals(totals) {
+        // Seed lifetime totals from the trade journal after a restart; the counters only count this run
+        this.setGauge('opportunities_executed_lifetime', totals.executed);
+        this.setGauge('total_profit_usd', totals.totalProfitUSD);
+    }
+
+    recordPaperTrade(fill, ledger) {
+        this.incrementCounter('paper_trades_total', 1, { type: fill.type });
+        this.observeHistogram('paper_trade_profit_usd', fill.netProfitUSD, { type: fill.type });
+        this.setGauge('paper_pnl_usd', ledger.netPnLUSD);
+        this.setGauge('paper_gas_cost_usd', ledger.gasCostUSD);
+    }
+
+    recordRPCRequest(endpoint, duration, success = true, method = 'unknown') {
+        this.incrementCounter('rpc_requests_total', 1, { endpoint, method, success });
         
         if (!success) {
-            this.incrementCounter('rpc_errors_total', 1, { endpoint });
+            this.incrementCounter('rpc_errors_total', 1, { endpoint, method });
         }
         
         this.observeHistogram('rpc_response_time_ms', duration, { endpoint });
@@ -200,8 +277,9 @@ class MetricsCollector {
         this.incrementCounter('errors_total', 1, { type: errorType, ...context });
     }
 
+    // Takes one of SIMULATION_FAILURE_REASONS, or an error / message to classify into one
     recordSimulationFailure(reason) {
-        this.incrementCounter('simulation_failures_total', 1, { reason });
+        this.incrementCounter('simulation_failures_total', 1, { reason: classifySimulationFailure(reason) });
     }
 
     recordScanCycle(duration) {
@@ -212,6 +290,11 @@ class MetricsCollector {
         this.observeHistogram('transaction_confirmation_time_ms', duration);
     }
 
+    recordTransactionOutcome(outcome, blocks) {
+        this.incrementCounter('transaction_outcomes_total', 1, { outcome });
+        this.observeHistogram('transaction_resolution_blocks', blocks, { outcome });
+    }
+
     getCounterValue(name) {
         const counter = this.counters.get(name);
         return counter ? counter.value : 0;
@@ -279,6 +362,7 @@ class MetricsCollector {
             opportunities: {
                 scanned: this.getCounterValue('opportunities_scanned_total'),
                 executed: this.getCounterValue('opportunities_executed_total'),
+                lifetimeExecuted: this.getGaugeValue('opportunities_executed_lifetime'),
                 failed: this.getCounterValue('opportunities_failed_total'),
                 successRate: this.getCounterValue('opportunities_executed_total') / 
                            Math.max(1, this.getCounterValue('opportunities_scanned_total'))
@@ -298,6 +382,11 @@ class MetricsCollector {
                 totalSpent: this.getCounterValue('gas_spent_total'),
                 currentPrice: this.getGaugeValue('gas_price_gwei')
             },
+            paperTrading: {
+                trades: this.getCounterValue('paper_trades_total'),
+                pnl: this.getGaugeValue('paper_pnl_usd'),
+                gasCost: this.getGaugeValue('paper_gas_cost_usd')
+            },
             performance: {
                 scanCycle: this.getHistogramStats('scan_cycle_time_ms'),
                 executionTime: this.getHistogramStats('opportunity_execution_time_ms')
@@ -308,41 +397,62 @@ class MetricsCollector {
     }
 
     startExporting() {
-        const meterProvider = new MeterProvider();
-        const exporter = new PrometheusExporter({ port: 9464 }, () => {
-            Logger.logSuccess(`Prometheus metrics available on port 9464`);
+        // bot.startMonitoring may call this more than once
+        if (this.server) {
+            return;
+        }
+
+        const port = parseInt(process.env.PROMETHEUS_PORT) || 9464;
+        const endpoint = process.env.METRICS_ENDPOINT || '/metrics';
+
+        this.server = http.createServer(async (req, res) => {
+            if (req.method !== 'GET' || req.url.split('?')[0] !== endpoint) {
+                res.writeHead(404);
+                return res.end();
+            }
+
+            try {
+                const body = await this.registry.metrics();
+                res.writeHead(200, { 'Content-Type': this.registry.contentType });
+                res.end(body);
+            } catch (error) {
+                res.writeHead(500);
+                res.end(error.message);
+            }
         });
 
-        meterProvider.addMetricReader(exporter);
+        this.server.on('error', (error) => {
+            Logger.logError('Prometheus metrics server error', error);
+        });
 
-        setInterval(() => {
+        this.server.listen(port, () => {
+            Logger.logSuccess(`Prometheus metrics available on port ${port}${endpoint}`);
+        });
+
+        this.exportInterval = setInterval(() => {
             this.exportMetrics();
-        }, 30000);
+        }, parseInt(process.env.METRICS_EXPORT_INTERVAL_MS) || 30000);
     }
 
-    exportMetrics() {
-        const metrics = this.getMetricsSummary();
-        const formatted = this.formatPrometheusMetrics(metrics);
-        
-        // Write to file for Prometheus to scrape
-        const fs = require('fs');
-        fs.writeFileSync('/tmp/bot_metrics.prom', formatted);
+    stopExporting() {
+        if (this.exportInterval) {
+            clearInterval(this.exportInterval);
+            this.exportInterval = null;
+        }
+
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
     }
 
-    formatPrometheusMetrics(metrics) {
-        let output = '# TYPE bot_opportunities_scanned_total counter\n';
-        output += `bot_opportunities_scanned_total ${metrics.opportunities.scanned}\n\n`;
-        
-        output += '# TYPE bot_opportunities_executed_total counter\n';
-        output += `bot_opportunities_executed_total ${metrics.opportunities.executed}\n\n`;
-        
-        output += '# TYPE bot_total_profit_usd gauge\n';
-        output += `bot_total_profit_usd ${metrics.profit.total}\n\n`;
-        
-        output += '# TYPE bot_gas_price_gwei gauge\n';
-        output += `bot_gas_price_gwei ${metrics.gas.currentPrice}\n\n`;
-        
-        return output;
+    exportMetrics() {
+        TradeJournal.recordMetricSnapshot(this.getMetricsSummary());
+
+        // Also keep a textfile copy for node_exporter's textfile collector
+        this.registry.metrics()
+            .then(formatted => fs.writeFileSync('/tmp/bot_metrics.prom', formatted))
+            .catch(error => Logger.logWarning('Metrics file export failed', error.message));
     }
 
     generateReport() {
@@ -3,6 +3,7 @@ const NodeCache = require('node-cache');
 const axios = require('axios');
 const config = require('../config/config.json');
 const RPCManager = require('./rpcManager');
+const CalldataDecoder = require('./calldataDecoder');
 const { Logger } = require('./utils');
 
 class MEVProtection {
@@ -57,39 +58,27 @@ class MEVProtection {
     }
 
     startMempoolMonitoring() {
-        setInterval(async () => {
-            try {
-                await this.monitorMempool();
-            } catch (error) {
-                Logger.logWarning('Mempool monitoring failed', error.message);
-            }
-        }, 1000);
+        // Subscribe once; RPCManager resubscribes on reconnect and falls back to HTTP polling
+        this.unsubscribePending = RPCManager.onPendingTransactions(txHash => this.handlePendingTransaction(txHash));
         
-        setInterval(async () => {
+        this.unsubscribeCleanup = RPCManager.onEveryNBlocks(config.blockTriggers.mempoolCleanupBlocks, async () => {
             try {
                 await this.cleanupOldTransactions();
             } catch (error) {
                 Logger.logWarning('Transaction cleanup failed', error.message);
             }
-        }, 60000);
+        });
     }
 
-    async monitorMempool() {
+    async handlePendingTransaction(txHash) {
         try {
             const { provider } = await RPCManager.getHealthyProvider();
-            
-            provider.on('pending', async (txHash) => {
-                try {
-                    const tx = await provider.getTransaction(txHash);
-                    if (tx) {
-                        await this.analyzeTransaction(tx);
-                    }
-                } catch (error) {
-                    // Silently ignore errors for pending transactions
-                }
-            });
+            const tx = await provider.getTransaction(txHash);
+            if (tx) {
+                await this.analyzeTransaction(tx);
+            }
         } catch (error) {
-            throw error;
+            // Silently ignore errors for pending transactions
         }
     }
 
@@ -100,17 +89,20 @@ class MEVProtection {
         
         if (this.pendingTransactions.has(txKey)) return;
         
-        this.pendingTransactions.set(txKey, {
+        const decoded = CalldataDecoder.decode(tx);
+        const pendingTx = {
             hash: tx.hash,
             from: tx.from.toLowerCase(),
             to: tx.to.toLowerCase(),
             data: tx.data,
             value: tx.value,
             gasPrice: tx.gasPrice,
+            swaps: decoded ? decoded.swaps : [],
             timestamp: Date.now()
-        });
+        };
+        this.pendingTransactions.set(txKey, pendingTx);
         
-        const isMEV = await this.detectMEVPattern(tx);
+        const isMEV = await this.detectMEVPattern(pendingTx);
         
         if (isMEV.detected) {
             Logger.logWarning('MEV transaction detected', {
@@ -162,55 +154,35 @@ class MEVProtection {
         };
     }
 
+    // A sandwich is one sender holding swaps through the same liquidity in both directions, or a
+    // swap racing ahead of someone else's identical-direction swap on that liquidity with more gas
     async checkSandwichPattern(tx) {
         try {
-            if (!tx.data || tx.data === '0x') {
-                return { detected: false, type: 'sandwich', confidence: 0 };
-            }
-            
-            const { provider } = await RPCManager.getHealthyProvider();
-            
-            const uniswapRouter = '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24';
-            const aerodromeRouter = '0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43';
-            
-            const knownRouters = [uniswapRouter, aerodromeRouter];
-            
-            if (!knownRouters.includes(tx.to.toLowerCase())) {
-                return { detected: false, type: 'sandwich', confidence: 0 };
-            }
-            
-            const functionSignature = tx.data.substring(0, 10);
-            
-            const swapFunctions = [
-                '0x7ff36ab5', // swapExactETHForTokens
-                '0x18cbafe5', // swapExactTokensForETH
-                '0x38ed1739', // swapExactTokensForTokens
-                '0x5c11d795', // swapExactTokensForTokensSupportingFeeOnTransferTokens
-                '0x8803dbee', // swapTokensForExactTokens
-                '0x4a25d94a', // swapETHForExactTokens
-                '0xf28c0498'  // swapExactETHForTokensSupportingFeeOnTransferTokens
-            ];
-            
-            if (!swapFunctions.includes(functionSignature)) {
+            if (!tx.swaps || tx.swaps.length === 0) {
                 return { detected: false, type: 'sandwich', confidence: 0 };
             }
             
-            const txValue = Number(ethers.formatUnits(tx.value, 'ether'));
-            
-            if (txValue > 10) {
-                return { detected: true, type: 'sandwich', confidence: 0.7 };
-            }
-            
-            const recentTxs = await this.getRecentTransactions(tx.to, 10);
-            
-            const similarTxs = recentTxs.filter(recentTx => 
-                recentTx.from !== tx.from &&
-                recentTx.data.substring(0, 10) === functionSignature &&
-                Math.abs(Number(ethers.formatUnits(recentTx.value, 'ether')) - txValue) < txValue * 0.1
-            );
+            const recentTxs = await this.getRecentTransactions(null, 50);
             
-            if (similarTxs.length >= 2) {
-                return { detected: true, type: 'sandwich', confidence: 0.8 };
+            for (const swap of tx.swaps) {
+                for (const recentTx of recentTxs) {
+                    if (recentTx.hash === tx.hash) continue;
+                    
+                    for (const other of recentTx.swaps || []) {
+                        if (!CalldataDecoder.sameLiquidity(swap, other)) continue;
+                        
+                        const sameDirection = swap.tokenIn === other.tokenIn;
+                        
+                        if (recentTx.from === tx.from && !sameDirection) {
+                            return { detected: true, type: 'sandwich', confidence: 0.85 };
+                        }
+                        
+                        if (recentTx.from !== tx.from && sameDirection &&
+                            tx.gasPrice && recentTx.gasPrice && tx.gasPrice > recentTx.gasPrice) {
+                            return { detected: true, type: 'sandwich', confidence: 0.6 };
+                        }
+                    }
+                }
             }
             
             return { detected: false, type: 'sandwich', confidence: 0.3 };
@@ -303,16 +275,8 @@ class MEVProtection {
                 return { detected: true, type: 'arbitrage', confidence: 0.9 };
             }
             
-            const aggregatorCalls = this.extractAggregatorCalls(tx.data);
-            
-            if (aggregatorCalls.length >= 2) {
-                return { detected: true, type: 'arbitrage', confidence: 0.8 };
-            }
-            
-            const tokenTransfers = this.extractTokenTransfers(tx.data);
-            
-            if (tokenTransfers.length >= 3) {
-                return { detected: true, type: 'arbitrage', confidence: 0.6 };
+            if (CalldataDecoder.isCyclic(this.getSwaps(tx))) {
+                return { detected: true, type: 'arbitrage', confidence: 0.85 };
             }
             
             return { detected: false, type: 'arbitrage', confidence: 0.2 };
@@ -352,57 +316,17 @@ class MEVProtection {
         }
     }
 
-    extractAggregatorCalls(data) {
-        const aggregatorAddresses = [
-            '0x1111111254EEB25477B68fb85Ed929f73A960582', // 1inch
-            '0xCf5540fFFCdC3d510B18bFcA6d56b9d8C1E6d8b7', // Odos
-            '0x9008D19f58AAbD9eD0D60971565AA8510560ab41'  // CoW
-        ];
-        
-        const calls = [];
-        
-        aggregatorAddresses.forEach(address => {
-            if (data.toLowerCase().includes(address.toLowerCase().substring(2))) {
-                calls.push(address);
-            }
-        });
-        
-        return calls;
-    }
-
-    extractTokenTransfers(data) {
-        const transferSignature = '0xa9059cbb';
-        const transfers = [];
-        
-        let position = 0;
+    // Transactions seen through analyzeTransaction carry their decoded swaps; block transactions don't
+    getSwaps(tx) {
+        if (tx.swaps) return tx.swaps;
         
-        while (position < data.length) {
-            const signature = data.substring(position, position + 10);
-            
-            if (signature === transferSignature) {
-                transfers.push({
-                    position,
-                    signature
-                });
-            }
-            
-            position += 2;
-        }
-        
-        return transfers;
+        const decoded = CalldataDecoder.decode(tx);
+        return decoded ? decoded.swaps : [];
     }
 
     async isArbitrageLike(tx) {
         if (!tx.data || tx.data === '0x') return false;
         
-        const aggregatorCalls = this.extractAggregatorCalls(tx.data);
-        
-        if (aggregatorCalls.length >= 2) return true;
-        
-        const transferCount = this.extractTokenTransfers(tx.data).length;
-        
-        if (transferCount >= 3) return true;
-        
         const functionSignature = tx.data.substring(0, 10);
         const flashLoanSigs = [
             '0x5cffe9de', '0xac9674a0', '0x316d3c7c'
@@ -410,7 +334,7 @@ class MEVProtection {
         
         if (flashLoanSigs.includes(functionSignature)) return true;
         
-        return false;
+        return CalldataDecoder.isCyclic(this.getSwaps(tx));
     }
 
     async getRecentTransactions(toAddress = null, limit = 20) {
@@ -523,23 +447,20 @@ class MEVProtection {
 
     async checkMempoolCompetition(opportunity) {
         try {
-            const recentArbTxs = await this.getRecentArbitrageTransactions();
+            const competing = await this.getPendingSwapsOnPath(opportunity.path);
             
-            if (recentArbTxs.length > 3) {
+            const arbitrages = competing.filter(tx => CalldataDecoder.isCyclic(tx.swaps));
+            if (arbitrages.length > 0) {
                 return {
                     safe: false,
-                    reason: `High arbitrage competition: ${recentArbTxs.length} recent arb txs`
+                    reason: `${arbitrages.length} pending arbitrage tx(s) on our pools`
                 };
             }
             
-            const similarPaths = recentArbTxs.filter(tx => 
-                this.isSimilarPath(tx, opportunity.path)
-            );
-            
-            if (similarPaths.length > 0) {
+            if (competing.length > 3) {
                 return {
                     safe: false,
-                    reason: 'Similar path recently executed'
+                    reason: `High competition: ${competing.length} pending swaps on our pools`
                 };
             }
             
@@ -549,32 +470,14 @@ class MEVProtection {
         }
     }
 
-    async getRecentArbitrageTransactions() {
+    // Pending transactions with at least one decoded swap through the same liquidity as a hop of ours
+    async getPendingSwapsOnPath(path) {
+        const hops = path.map(hop => CalldataDecoder.fromPathHop(hop));
         const recentTxs = await this.getRecentTransactions(null, 50);
         
-        const arbTxs = [];
-        
-        for (const tx of recentTxs) {
-            if (await this.isArbitrageLike(tx)) {
-                arbTxs.push(tx);
-            }
-        }
-        
-        return arbTxs;
-    }
-
-    isSimilarPath(tx, path) {
-        if (!tx.data || tx.data === '0x') return false;
-        
-        const pathTokens = path.map(hop => hop.fromToken.substring(2, 12).toLowerCase());
-        
-        for (const token of pathTokens) {
-            if (tx.data.toLowerCase().includes(token)) {
-                return true;
-            }
-        }
-        
-        return false;
+        return recentTxs.filter(tx => (tx.swaps || []).some(swap =>
+            hops.some(hop => CalldataDecoder.sameLiquidity(swap, hop))
+        ));
     }
 
     async checkGasPriceSafety(opportunity) {
@@ -620,14 +523,10 @@ class MEVProtection {
                 return { safe: true, reason: '' };
             }
             
-            const recentSwaps = await this.getRecentTransactions(firstHop.to, 10);
-            
-            const similarSwaps = recentSwaps.filter(tx => 
-                tx.data.substring(0, 10) === this.getSwapFunctionSignature(firstHop.dex)
-            );
+            const similarSwaps = await this.getPendingSwapsOnPath([firstHop]);
             
             if (similarSwaps.length >= 2) {
-                const gasPrices = similarSwaps.map(tx => Number(ethers.formatUnits(tx.gasPrice, 'gwei')));
+                const gasPrices = similarSwaps.map(tx => Number(ethers.formatUnits(tx.gasPrice || 0n, 'gwei')));
                 const avgGasPrice = gasPrices.reduce((a, b) => a + b, 0) / gasPrices.length;
                 
                 if (avgGasPrice > 100) {
@@ -644,17 +543,6 @@ class MEVProtection {
         }
     }
 
-    getSwapFunctionSignature(dex) {
-        const signatures = {
-            'Aerodrome': '0x7ff36ab5',
-            'PancakeSwap': '0x7ff36ab5',
-            'Uniswap V3': '0x414bf389',
-            'Baseswap': '0x7ff36ab5'
-        };
-        
-        return signatures[dex] || '0x';
-    }
-
     async checkTimingSafety(opportunity) {
         const now = Date.now();
         const recentOpportunities = this.getRecentSimilarOpportunities(opportunity);
@@ -0,0 +1,286 @@
+const { EventEmitter } = require('events');
+const config = require('../config/config.json');
+const RPCManager = require('./rpcManager');
+const TradeJournal = require('./storage');
+const { Logger } = require('./utils');
+
+// Hands out nonces for the bot wallet and keeps them consistent with the chain. Every nonce between the
+// confirmed count and the next one to hand out must end up mined; anything that would leave a hole
+// (a failed broadcast, a crash between reserve and send, a dropped tx) is filled with a self-transfer.
+//
+// Entry statuses: reserved -> submitted (-> filling if it had to be replaced by a no-op), or released
+class NonceManager extends EventEmitter {
+    constructor(transactionBuilder) {
+        super();
+        this.transactionBuilder = transactionBuilder;
+        this.address = null;
+        this.next = null;
+        this.confirmed = null;
+        this.entries = new Map(); // nonce (bigint) -> { nonce, status, txHashes, reservedAt, submittedBlock, stuck }
+        this.settings = {
+            stuckBlocks: 10,
+            droppedBlocks: 5,
+            reservationTimeoutMs: 60000,
+            ...config.nonceSettings
+        };
+        this.stats = { reserved: 0, released: 0, replaced: 0, gapsFilled: 0, stuck: 0 };
+        this.unsubscribeBlocks = null;
+        this.reconciling = false;
+        this.initializing = null;
+    }
+
+    initialize() {
+        if (!this.initializing) {
+            // A failed load is retried by the next caller rather than handed to every caller after it
+            this.initializing = this.load().catch((error) => {
+                this.initializing = null;
+                throw error;
+            });
+        }
+        return this.initializing;
+    }
+
+    async load() {
+        this.address = this.transactionBuilder.wallet.address;
+
+        // The confirmed count decides which nonces are ours to fill, so nodes have to agree on it; pending counts
+        // legitimately differ between mempools
+        const { provider } = await RPCManager.getHealthyProvider('critical');
+        const [confirmed, pending, blockNumber] = await Promise.all([
+            RPCManager.quorumCall((quorumProvider, blockTag) => quorumProvider.getTransactionCount(this.address, blockTag)),
+            provider.getTransactionCount(this.address, 'pending'),
+            provider.getBlockNumber()
+        ]);
+
+        this.confirmed = BigInt(confirmed);
+        this.next = BigInt(pending) > this.confirmed ? BigInt(pending) : this.confirmed;
+
+        // Resume whatever the previous run left in flight; anything already mined is done
+        for (const row of TradeJournal.getInFlightNonces(this.address)) {
+            const nonce = BigInt(row.nonce);
+            if (nonce < this.confirmed) {
+                TradeJournal.deleteNonce(this.address, nonce);
+                continue;
+            }
+
+            this.entries.set(nonce, {
+                nonce,
+                status: row.status,
+                txHashes: row.txHashes,
+                reservedAt: row.reservedAt,
+                submittedBlock: blockNumber,
+                stuck: false
+            });
+
+            if (nonce >= this.next) {
+                this.next = nonce + 1n;
+            }
+        }
+
+        // Pending in the node's mempool but never journaled (sent before a crash could record it)
+        for (let nonce = this.confirmed; nonce < BigInt(pending); nonce++) {
+            if (!this.entries.has(nonce)) {
+                this.entries.set(nonce, {
+                    nonce,
+                    status: 'submitted',
+                    txHashes: [],
+                    reservedAt: Date.now(),
+                    submittedBlock: blockNumber,
+                    stuck: false
+                });
+            }
+        }
+
+        if (this.entries.size > 0) {
+            Logger.logWarning(`Resumed ${this.entries.size} in-flight nonces (confirmed ${this.confirmed}, next ${this.next})`);
+        }
+    }
+
+    start() {
+        if (!this.unsubscribeBlocks) {
+            this.unsubscribeBlocks = RPCManager.onBlock((blockNumber) => this.reconcile(blockNumber));
+        }
+    }
+
+    stop() {
+        if (this.unsubscribeBlocks) {
+            this.unsubscribeBlocks();
+            this.unsubscribeBlocks = null;
+        }
+    }
+
+    persist(entry) {
+        TradeJournal.recordNonce(this.address, entry);
+    }
+
+    async reserve() {
+        await this.initialize();
+
+        const nonce = this.next;
+        this.next += 1n;
+
+        const entry = { nonce, status: 'reserved', txHashes: [], reservedAt: Date.now(), submittedBlock: null, stuck: false };
+        this.entries.set(nonce, entry);
+        this.persist(entry);
+        this.stats.reserved++;
+
+        return nonce;
+    }
+
+    // A second hash for the same nonce is a replacement (speed-up, cancel or gap fill)
+    markSubmitted(nonce, txHash, blockNumber = RPCManager.lastBlockNumber || null) {
+        const entry = this.entries.get(BigInt(nonce));
+        if (!entry) return;
+
+        if (entry.txHashes.length > 0 && !entry.txHashes.includes(txHash)) {
+            this.stats.replaced++;
+        }
+        if (!entry.txHashes.includes(txHash)) {
+            entry.txHashes.push(txHash);
+        }
+
+        if (entry.status !== 'filling') {
+            entry.status = 'submitted';
+        }
+        entry.submittedBlock = blockNumber;
+        entry.stuck = false;
+        this.persist(entry);
+    }
+
+    // Gives back a nonce that was never broadcast. The newest one can simply be reused;
+    // anything below it is now a hole that reconcile() will fill.
+    release(nonce) {
+        nonce = BigInt(nonce);
+        const entry = this.entries.get(nonce);
+        if (!entry || entry.txHashes.length > 0) return;
+
+        this.stats.released++;
+
+        if (nonce === this.next - 1n) {
+            this.next = nonce;
+            this.entries.delete(nonce);
+            TradeJournal.deleteNonce(this.address, nonce);
+            return;
+        }
+
+        entry.status = 'released';
+        this.persist(entry);
+    }
+
+    async reconcile(blockNumber) {
+        if (this.reconciling || this.next === null) return;
+        this.reconciling = true;
+
+        try {
+            const { provider } = await RPCManager.getHealthyProvider('critical');
+            const confirmed = BigInt(await provider.getTransactionCount(this.address, 'latest'));
+
+            for (const entry of [...this.entries.values()]) {
+                if (entry.nonce < confirmed) {
+                    await this.resolveConfirmed(provider, entry);
+                }
+            }
+
+            this.confirmed = confirmed;
+
+            // Something else sent from this wallet; never hand out a nonce the chain already used
+            if (confirmed > this.next) {
+                Logger.logWarning(`Chain nonce ${confirmed} is ahead of local nonce ${this.next}, resyncing`);
+                this.next = confirmed;
+            }
+
+            for (let nonce = confirmed; nonce < this.next; nonce++) {
+                const entry = this.entries.get(nonce);
+                const gap = await this.detectGap(provider, entry, blockNumber);
+
+                if (gap) {
+                    await this.fillGap(nonce, gap);
+                } else if (entry && nonce === confirmed && entry.status !== 'reserved' && !entry.stuck &&
+                    blockNumber - entry.submittedBlock >= this.settings.stuckBlocks) {
+                    // Next in line but not mining: the fee is too low to compete
+                    entry.stuck = true;
+                    this.stats.stuck++;
+                    Logger.logWarning(`Nonce ${nonce} stuck for ${blockNumber - entry.submittedBlock} blocks`, entry.txHashes);
+                    this.emit('stuck', entry, blockNumber);
+                }
+            }
+        } catch (error) {
+            Logger.logWarning('Nonce reconciliation failed', error.message);
+        } finally {
+            this.reconciling = false;
+        }
+    }
+
+    // Returns why the nonce is a hole, or null if it is still expected to mine on its own
+    async detectGap(provider, entry, blockNumber) {
+        if (!entry) return 'untracked';
+        if (entry.status === 'released') return 'released';
+
+        if (entry.status === 'reserved') {
+            return Date.now() - entry.reservedAt > this.settings.reservationTimeoutMs ? 'abandoned' : null;
+        }
+
+        // Submitted before the block stream was up: start counting from now
+        if (entry.submittedBlock === null) {
+            entry.submittedBlock = blockNumber;
+        }
+
+        // Without hashes there is nothing to check; the node counted it as pending at startup
+        if (entry.txHashes.length === 0 || blockNumber - entry.submittedBlock < this.settings.droppedBlocks) return null;
+
+        // Submitted, but no node knows any of its transactions any more
+        const known = await Promise.all(entry.txHashes.map(hash => provider.getTransaction(hash)));
+        return known.some(Boolean) ? null : 'dropped';
+    }
+
+    async fillGap(nonce, reason) {
+        let entry = this.entries.get(nonce);
+        if (!entry) {
+            entry = { nonce, status: 'reserved', txHashes: [], reservedAt: Date.now(), submittedBlock: null, stuck: false };
+            this.entries.set(nonce, entry);
+        }
+
+        try {
+            const signedTx = await this.transactionBuilder.buildNoopTransaction(nonce);
+            entry.status = 'filling';
+            await this.transactionBuilder.sendTransaction(signedTx);
+
+            this.stats.gapsFilled++;
+            Logger.logWarning(`Filled nonce gap ${nonce} (${reason}) with a no-op`);
+            this.emit('gapFilled', entry, reason);
+        } catch (error) {
+            Logger.logWarning(`Failed to fill nonce gap ${nonce}`, error.message);
+        }
+    }
+
+    // Mined: record which of its transactions won so replaced ones don't look pending in the journal
+    async resolveConfirmed(provider, entry) {
+        if (entry.txHashes.length > 1) {
+            const receipts = await Promise.all(entry.txHashes.map(hash => provider.getTransactionReceipt(hash)));
+            entry.txHashes.forEach((hash, index) => {
+                if (!receipts[index]) {
+                    TradeJournal.updateTransactionStatus(hash, 'replaced');
+                }
+            });
+        }
+
+        this.entries.delete(entry.nonce);
+        TradeJournal.deleteNonce(this.address, entry.nonce);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            confirmed: this.confirmed === null ? null : this.confirmed.toString(),
+            next: this.next === null ? null : this.next.toString(),
+            inFlight: [...this.entries.values()].map(entry => ({
+                nonce: entry.nonce.toString(),
+                status: entry.status,
+                txHashes: entry.txHashes,
+                stuck: entry.stuck
+            }))
+        };
+    }
+}
+
+module.exports = NonceManager;
@@ -4,45 +4,144 @@ const axios = require('axios');
 const config = require('../config/config.json');
 const RPCManager = require('./rpcManager');
 const RateLimiter = require('./rateLimiter');
-const TokenManager = require('./tokenManager');
-const ZScoreEngine = require('./zScoreEngine');
+const TokenManager = require('./TokenManager');
+const ZScoreEngine = require('./ZScoreEngine');
 const AggregatorService = require('./aggregatorService');
+const PoolRegistry = require('./poolRegistry');
+const ArbitrageGraph = require('./arbitrageGraph');
+const TradeSizer = require('./tradeSizer');
+const FlashLoanPlanner = require('./flashLoanPlanner');
+const TokenAmount = require('./tokenAmount');
 const { Logger } = require('./utils');
 
 class OpportunityScanner {
-    constructor() {
-        this.tokenManager = new TokenManager();
-        this.zScoreEngine = new ZScoreEngine();
-        this.aggregatorService = new AggregatorService();
+    constructor(deps = {}) {
+        this.tokenManager = deps.tokenManager || new TokenManager();
+        this.zScoreEngine = deps.zScoreEngine || new ZScoreEngine();
+        this.aggregatorService = deps.aggregatorService || new AggregatorService();
+        this.profitCalculator = deps.profitCalculator || null;
+        this.positionBook = deps.positionBook || null;
+        this.injected = deps;
         this.pathCache = new NodeCache({ stdTTL: 5, checkperiod: 1 });
         this.opportunityCache = new NodeCache({ stdTTL: 10 });
         this.maxHops = 6;
         this.minLiquidityUSD = 10000;
+        this.arbitrageGraph = new ArbitrageGraph();
+        this.flashLoanPlanner = deps.flashLoanPlanner || new FlashLoanPlanner(this.tokenManager);
+        this.tradeSizer = new TradeSizer(this.tokenManager, this.flashLoanPlanner);
+        
+        // Event-driven mode: only re-quote paths whose pools emitted state-changing logs
+        this.settings = {
+            mode: 'full',
+            maxTrackedTokens: 8,
+            fullScanEveryBlocks: 150,
+            poolRefreshBlocks: 900,
+            minCycleEdge: 0.001,
+            maxCyclesPerScan: 20,
+            ...config.scannerSettings
+        };
+        this.dirtyPools = new Map();
+        this.lastFullScanBlock = -Infinity;
+        
+        PoolRegistry.on('poolUpdated', (pool) => this.dirtyPools.set(pool.address, pool.pairKey));
     }
 
     async initialize() {
-        await this.tokenManager.initialize();
-        await this.zScoreEngine.initialize();
-        Logger.logInfo('OpportunityScanner initialized');
+        // Injected services are owned (and already initialized) by the bot
+        if (!this.injected.tokenManager) await this.tokenManager.initialize();
+        if (!this.injected.zScoreEngine) await this.zScoreEngine.initialize();
+        
+        // The pool registry backs local quoting in both modes; event mode also uses it to pick what to re-scan
+        await this.startPoolTracking();
+        RPCManager.onEveryNBlocks(this.settings.poolRefreshBlocks, () => this.startPoolTracking());
+        
+        Logger.logInfo(`OpportunityScanner initialized (${this.settings.mode} mode)`);
+    }
+
+    async startPoolTracking() {
+        try {
+            const tokens = [
+                ...config.baseTokens,
+                ...this.tokenManager.getActiveTokens()
+                    .sort((a, b) => b.liquidityUSD - a.liquidityUSD)
+                    .slice(0, this.settings.maxTrackedTokens)
+                    .map(token => token.address)
+            ];
+            
+            const pools = await this.aggregatorService.discoverPools([...new Set(tokens.map(t => t.toLowerCase()))]);
+            
+            if (pools.length === 0) {
+                Logger.logWarning('No pools found to track, falling back to full scans');
+            }
+            
+            await PoolRegistry.track(pools);
+        } catch (error) {
+            Logger.logWarning('Pool tracking setup failed, falling back to full scans', error.message);
+        }
+    }
+
+    pairKey(tokenA, tokenB) {
+        const [a, b] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+        return `${a}_${b}`;
+    }
+
+    // Returns the token pairs whose pools changed since the last scan, or null when everything
+    // should be re-quoted (full mode, nothing tracked, or the periodic safety-net rescan)
+    takeDirtyPairs(blockNumber) {
+        if (this.settings.mode !== 'event' || PoolRegistry.pools.size === 0) {
+            return null;
+        }
+        
+        if (blockNumber - this.lastFullScanBlock >= this.settings.fullScanEveryBlocks) {
+            this.lastFullScanBlock = blockNumber;
+            this.dirtyPools.clear();
+            return null;
+        }
+        
+        const pairs = new Set();
+        for (const pairKey of this.dirtyPools.values()) {
+            pairs.add(pairKey);
+        }
+        this.dirtyPools.clear();
+        
+        return pairs;
+    }
+
+    // True if any consecutive hop between the given tokens crosses a dirty pair
+    touchesDirtyPair(tokens, dirtyPairs) {
+        if (!dirtyPairs) return true;
+        
+        for (let i = 0; i < tokens.length - 1; i++) {
+            if (dirtyPairs.has(this.pairKey(tokens[i], tokens[i + 1]))) {
+                return true;
+            }
+        }
+        return false;
     }
 
     async scan() {
         const opportunities = [];
         
         try {
-            const { provider } = await RPCManager.getHealthyProvider();
-            const blockNumber = await provider.getBlockNumber();
+            const blockNumber = RPCManager.lastBlockNumber ||
+                await (await RPCManager.getHealthyProvider()).provider.getBlockNumber();
+            
+            const dirtyPairs = this.takeDirtyPairs(blockNumber);
+            if (dirtyPairs && dirtyPairs.size === 0) {
+                return [];
+            }
             
             const activeTokens = await this.getActiveTokensWithLiquidity();
-            const statisticalOpportunities = await this.scanStatisticalArbitrage();
+            // With a position book, stat-arb signals are held open there instead of round-tripped here
+            const statisticalOpportunities = this.positionBook ? [] : await this.scanStatisticalArbitrage(dirtyPairs);
             
             opportunities.push(...statisticalOpportunities);
             
             if (activeTokens.length >= 2) {
-                const triangularOpportunities = await this.scanTriangularArbitrage(activeTokens);
+                const triangularOpportunities = await this.scanTriangularArbitrage(activeTokens, dirtyPairs);
                 opportunities.push(...triangularOpportunities);
                 
-                const multiHopOpportunities = await this.scanMultiHopArbitrage(activeTokens);
+                const multiHopOpportunities = await this.scanMultiHopArbitrage(activeTokens, dirtyPairs);
                 opportunities.push(...multiHopOpportunities);
             }
             
@@ -118,11 +217,13 @@ class OpportunityScanner {
         }
     }
 
-    async scanStatisticalArbitrage() {
+    async scanStatisticalArbitrage(dirtyPairs = null) {
         const opportunities = [];
         const pairs = await this.zScoreEngine.getMonitoredPairs();
         
         for (const pair of pairs) {
+            if (!this.touchesDirtyPair([pair.tokenA, pair.tokenB], dirtyPairs)) continue;
+            
             try {
                 const zScore = await this.zScoreEngine.calculateZScore(pair);
                 
@@ -156,7 +257,7 @@ class OpportunityScanner {
         const sellToken = isOvervalued ? tokenA : tokenB;
         const buyToken = isOvervalued ? tokenB : tokenA;
         
-        const amount = await this.calculateOptimalTradeSize(sellToken, buyToken, deviation);
+        const amount = await this.calculateOptimalTradeSize(sellToken, buyToken);
         
         if (amount <= 0) return null;
         
@@ -208,7 +309,7 @@ class OpportunityScanner {
         };
     }
 
-    async scanTriangularArbitrage(tokens) {
+    async scanTriangularArbitrage(tokens, dirtyPairs = null) {
         const opportunities = [];
         const baseToken = config.baseTokens[0];
         
@@ -219,6 +320,10 @@ class OpportunityScanner {
                 
                 if (tokenA.address === tokenB.address) continue;
                 
+                if (!this.touchesDirtyPair([baseToken, tokenA.address, tokenB.address, baseToken], dirtyPairs)) {
+                    continue;
+                }
+                
                 try {
                     const opportunity = await this.checkTriangularPath(baseToken, tokenA, tokenB);
                     if (opportunity) opportunities.push(opportunity);
@@ -232,15 +337,22 @@ class OpportunityScanner {
     }
 
     async checkTriangularPath(baseToken, tokenA, tokenB) {
-        const amount = ethers.parseUnits('1', 18);
+        const sizing = await this.sizePath(baseToken, [
+            { fromToken: baseToken, toToken: tokenA.address },
+            { fromToken: tokenA.address, toToken: tokenB.address },
+            { fromToken: tokenB.address, toToken: baseToken }
+        ]);
+        if (!sizing) return null;
         
-        const path1 = await this.findOptimalPath(baseToken.address, tokenA.address, amount);
+        const amount = sizing.amountIn;
+        
+        const path1 = await this.findOptimalPath(baseToken, tokenA.address, amount);
         if (!path1) return null;
         
         const path2 = await this.findOptimalPath(tokenA.address, tokenB.address, path1.outputAmount);
         if (!path2) return null;
         
-        const path3 = await this.findOptimalPath(tokenB.address, baseToken.address, path2.outputAmount);
+        const path3 = await this.findOptimalPath(tokenB.address, baseToken, path2.outputAmount);
         if (!path3) return null;
         
         const finalAmount = path3.outputAmount;
@@ -251,9 +363,10 @@ class OpportunityScanner {
             
             return {
                 type: 'triangular',
-                tokens: [baseToken.address, tokenA.address, tokenB.address],
+                tokens: [baseToken, tokenA.address, tokenB.address],
                 path: [path1, path2, path3],
                 amount: amount,
+                sizing: sizing,
                 expectedProfit: profit,
                 profitPercent: profitPercent,
                 timestamp: Date.now()
@@ -263,78 +376,67 @@ class OpportunityScanner {
         return null;
     }
 
-    async scanMultiHopArbitrage(tokens) {
+    async scanMultiHopArbitrage(tokens, dirtyPairs = null) {
         const opportunities = [];
-        const maxPathsToCheck = 100;
-        let pathsChecked = 0;
         
-        for (const startToken of config.baseTokens.slice(0, 2)) {
-            const foundPaths = await this.findProfitablePaths(startToken.address, tokens, 2, this.maxHops);
-            
-            for (const path of foundPaths.slice(0, 10)) {
-                if (pathsChecked >= maxPathsToCheck) break;
+        // Candidate cycles come from local pool state; only the best few are re-quoted through findOptimalPath
+        const cycles = this.arbitrageGraph.build().findCycles(config.baseTokens, {
+            maxHops: this.maxHops,
+            minEdge: this.settings.minCycleEdge,
+            limit: this.settings.maxCyclesPerScan
+        });
+        
+        for (const cycle of cycles) {
+            try {
+                if (!this.touchesDirtyPair(cycle.tokens, dirtyPairs)) continue;
                 
-                try {
-                    const optimized = await this.optimizePath(path);
-                    if (optimized && optimized.profitPercent > 0.1) {
-                        opportunities.push(optimized);
-                    }
-                    pathsChecked++;
-                } catch (error) {
-                    continue;
+                // The cycle is found from a base token, but it can be entered wherever Aave lends cheapest
+                const borrowAsset = await this.flashLoanPlanner.chooseBorrowAsset(cycle.tokens.slice(0, -1));
+                if (!borrowAsset) continue;
+                
+                // Reserve assets and graph edges don't promise the same address casing
+                const entry = cycle.edges.findIndex(edge => edge.fromToken.toLowerCase() === borrowAsset.toLowerCase());
+                if (entry === -1) continue;
+                
+                const edges = [...cycle.edges.slice(entry), ...cycle.edges.slice(0, entry)];
+                const borrowToken = edges[0].fromToken;
+                
+                const path = edges.map(edge => ({
+                    fromToken: edge.fromToken,
+                    toToken: edge.toToken,
+                    dex: edge.pool.dex,
+                    pool: edge.pool.address,
+                    fee: edge.pool.fee
+                }));
+                
+                // The spot edge ignores depth; sizing against the actual curves decides if any of it is capturable
+                const sizing = await this.sizePath(borrowToken, path);
+                if (!sizing) continue;
+                
+                const candidate = {
+                    type: 'multihop',
+                    tokens: [...edges.map(edge => edge.fromToken), borrowToken],
+                    hops: cycle.hops,
+                    expectedEdge: cycle.expectedEdge,
+                    amount: sizing.amountIn,
+                    sizing: sizing,
+                    path: path,
+                    timestamp: Date.now()
+                };
+                
+                const optimized = await this.optimizePath(candidate);
+                if (optimized && optimized.profitPercent > 0.1) {
+                    opportunities.push(optimized);
                 }
+            } catch (error) {
+                // One cycle failing to quote or size shouldn't cost the rest of the scan
+                Logger.logWarning(`Multi-hop cycle ${cycle.tokens.join('->')} failed`, error.message);
             }
         }
         
         return opportunities;
     }
 
-    async findProfitablePaths(startToken, tokens, minHops, maxHops) {
-        const profitablePaths = [];
-        
-        const dfs = async (currentPath, currentToken, currentAmount, hops) => {
-            if (hops > maxHops) return;
-            
-            if (hops >= minHops && currentToken === startToken && currentPath.length > 1) {
-                const profit = currentAmount - ethers.parseUnits('1', 18);
-                if (profit > 0) {
-                    profitablePaths.push({
-                        path: [...currentPath],
-                        profit: profit,
-                        hops: hops
-                    });
-                }
-                return;
-            }
-            
-            const nextTokens = tokens
-                .filter(t => t.address !== currentToken)
-                .slice(0, 5);
-            
-            for (const nextToken of nextTokens) {
-                try {
-                    const nextStep = await this.findOptimalPath(currentToken, nextToken.address, currentAmount);
-                    
-                    if (nextStep) {
-                        await dfs(
-                            [...currentPath, nextStep],
-                            nextToken.address,
-                            nextStep.outputAmount,
-                            hops + 1
-                        );
-                    }
-                } catch (error) {
-                    continue;
-                }
-            }
-        };
-        
-        const initialAmount = ethers.parseUnits('1', 18);
-        await dfs([], startToken, initialAmount, 0);
-        
-        return profitablePaths.sort((a, b) => Number(b.profit) - Number(a.profit));
-    }
-
     async findOptimalPath(fromToken, toToken, amount) {
         const cacheKey = `path_${fromToken}_${toToken}_${amount}`;
         const cached = this.pathCache.get(cacheKey);
@@ -441,13 +543,12 @@ class OpportunityScanner {
 
     calculatePriceImpact(inputAmount, outputAmount, fromToken, toToken) {
         try {
-            const fromPrice = this.tokenManager.getTokenPrice(fromToken) || 1;
-            const toPrice = this.tokenManager.getTokenPrice(toToken) || 1;
+            const inputValue = TokenAmount.from(this.tokenManager, fromToken, inputAmount)
+                .toUSDAt(this.getCachedPriceUSD(fromToken));
+            const outputValue = TokenAmount.from(this.tokenManager, toToken, outputAmount)
+                .toUSDAt(this.getCachedPriceUSD(toToken));
             
-            const inputValue = Number(inputAmount) * fromPrice / 1e18;
-            const outputValue = Number(outputAmount) * toPrice / 1e18;
-            
-            if (inputValue === 0) return 0;
+            if (inputValue === 0 || outputValue === 0) return 0;
             
             return (outputValue - inputValue) / inputValue;
         } catch (error) {
@@ -455,20 +556,101 @@ class OpportunityScanner {
         }
     }
 
+    // Price already held by the token manager; used where a quote must not wait on a price lookup
+    getCachedPriceUSD(tokenAddress) {
+        const token = this.tokenManager.getTokenByAddress(tokenAddress);
+        return token ? token.priceUSD : null;
+    }
+
     async getTokenPrice(tokenAddress) {
         return this.tokenManager.getTokenPrice(tokenAddress);
     }
 
-    async calculateOptimalTradeSize(sellToken, buyToken, deviation) {
-        const maxTradeSizeUSD = 1000;
-        const sellTokenPrice = await this.getTokenPrice(sellToken);
+    async calculateOptimalTradeSize(sellToken, buyToken) {
+        const sizing = await this.sizePath(sellToken, [
+            { fromToken: sellToken, toToken: buyToken },
+            { fromToken: buyToken, toToken: sellToken }
+        ]);
         
-        if (!sellTokenPrice) return 0;
+        return sizing ? sizing.amountIn : 0n;
+    }
+
+    // Profit-maximizing input for a hop sequence. Local pool quotes are cheap enough for a full
+    // sample grid; paths we can't price locally fall back to fewer live quotes.
+    async sizePath(startToken, path) {
+        const probe = TokenAmount.parse(this.tokenManager, startToken, '1').raw;
         
-        const baseSize = maxTradeSizeUSD / sellTokenPrice;
-        const scaledSize = baseSize * Math.min(Math.abs(deviation) * 10, 1);
+        if (this.quotePathLocally(path, probe) !== null) {
+            return this.tradeSizer.findOptimalSize(startToken, async (amount) => this.quotePathLocally(path, amount), { path });
+        }
         
-        return ethers.parseUnits(scaledSize.toString(), 18);
+        return this.tradeSizer.findOptimalSize(startToken, (amount) => this.quotePathRemotely(path, amount), {
+            path,
+            samples: this.tradeSizer.settings.remoteSamples
+        });
+    }
+
+    quotePathLocally(path, amountIn) {
+        let amount = amountIn;
+        
+        for (const hop of path) {
+            const pool = hop.pool && PoolRegistry.pools.get(hop.pool);
+            const quote = pool ?
+                PoolRegistry.quote(pool, hop.fromToken, amount) :
+                (PoolRegistry.quoteBest(hop.fromToken, hop.toToken, amount) || {}).amountOut;
+            
+            if (quote === null || quote === undefined) return null;
+            amount = quote;
+        }
+        
+        return amount;
+    }
+
+    // quotePathLocally against pool state a node quorum agrees on, all pools read at the same block.
+    // Only tracked pools can be read this way; null if any hop isn't one.
+    async quotePathOnChain(path, amountIn) {
+        const pools = await this.readPathOnChain(path);
+        if (!pools) return null;
+        
+        let amount = amountIn;
+        for (const [index, hop] of path.entries()) {
+            amount = PoolRegistry.quote(pools[index], hop.fromToken, amount);
+            if (amount === null) return null;
+        }
+        
+        return amount;
+    }
+    
+    // Each hop quoted on its own input, for paths funded by several borrows rather than one chained amount
+    async quoteHopsOnChain(path) {
+        const pools = await this.readPathOnChain(path);
+        if (!pools) return null;
+        
+        const outputs = path.map((hop, index) => PoolRegistry.quote(pools[index], hop.fromToken, ethers.getBigInt(hop.amount)));
+        return outputs.includes(null) ? null : outputs;
+    }
+    
+    async readPathOnChain(path) {
+        const pools = path.map(hop => hop.pool && PoolRegistry.pools.get(hop.pool));
+        if (pools.some(pool => !pool || pool.status !== 'ready')) return null;
+        
+        const states = await RPCManager.quorumCall((provider, blockTag) =>
+            Promise.all(pools.map(pool => PoolRegistry.readPoolState(pool, provider, blockTag)))
+        );
+        
+        return pools.map((pool, index) => ({ ...pool, ...states[index] }));
+    }
+    
+    async quotePathRemotely(path, amountIn) {
+        let amount = amountIn;
+        
+        for (const hop of path) {
+            const step = await this.findOptimalPath(hop.fromToken, hop.toToken, amount);
+            if (!step) return null;
+            amount = step.outputAmount;
+        }
+        
+        return amount;
     }
 
     getConvictionLevel(zScore) {
@@ -483,9 +665,10 @@ class OpportunityScanner {
         
         for (const opp of opportunities) {
             try {
+                this.attachTokenAmounts(opp);
                 const simulated = await this.simulateOpportunity(opp);
                 
-                if (simulated.success && simulated.profitPercent > 0.05) {
+                if (simulated.success && simulated.netProfitPercent > 0.05) {
                     validated.push({
                         ...opp,
                         validated: true,
@@ -500,18 +683,50 @@ class OpportunityScanner {
         return validated;
     }
 
+    // Decimals-aware views of the raw amounts on the opportunity and each of its hops
+    attachTokenAmounts(opportunity) {
+        const startToken = opportunity.path[0].fromToken;
+        
+        opportunity.input = TokenAmount.from(this.tokenManager, startToken, opportunity.amount);
+        opportunity.profit = TokenAmount.from(this.tokenManager, startToken, opportunity.expectedProfit || 0n);
+        
+        for (const hop of opportunity.path) {
+            if (hop.amount !== undefined) {
+                hop.input = TokenAmount.from(this.tokenManager, hop.fromToken, hop.amount);
+            }
+            if (hop.outputAmount !== undefined) {
+                hop.output = TokenAmount.from(this.tokenManager, hop.toToken, hop.outputAmount);
+            }
+        }
+        
+        return opportunity;
+    }
+
     async simulateOpportunity(opportunity) {
         try {
             const { provider } = await RPCManager.getHealthyProvider();
             
-            const gasPrice = await provider.getFeeData();
-            const gasCost = opportunity.path.reduce((sum, hop) => sum + (hop.gasEstimate || 50000), 0);
+            const feeData = await provider.getFeeData();
+            const gasUsed = opportunity.path.reduce((sum, hop) => sum + Number(hop.gasEstimate || 50000), 0);
+            const gasCost = TokenAmount.native((feeData.gasPrice || 0n) * BigInt(gasUsed));
             
-            const gasCostUSD = Number(ethers.formatUnits(gasPrice.gasPrice * BigInt(gasCost), 18)) * 1800;
+            const { input, profit } = opportunity.input ? opportunity : this.attachTokenAmounts(opportunity);
+            
+            const [inputUSD, profitUSD, gasCostUSD] = await Promise.all([
+                input.toUSD(this.tokenManager),
+                profit.toUSD(this.tokenManager),
+                gasCost.toUSD(this.tokenManager)
+            ]);
+            
+            if (inputUSD === null || profitUSD === null || gasCostUSD === null) {
+                return {
+                    success: false,
+                    error: 'No USD price for the start token or ETH'
+                };
+            }
             
-            const profitUSD = Number(opportunity.expectedProfit) / 1e18 * 1800;
             const netProfitUSD = profitUSD - gasCostUSD;
-            const netProfitPercent = (netProfitUSD / (Number(opportunity.amount) / 1e18 * 1800)) * 100;
+            const netProfitPercent = inputUSD > 0 ? (netProfitUSD / inputUSD) * 100 : 0;
             
             return {
                 success: netProfitPercent > 0,
@@ -519,7 +734,8 @@ class OpportunityScanner {
                 gasCostUSD,
                 netProfitUSD,
                 netProfitPercent,
-                gasUsed: gasCost
+                gasUsed,
+                gasCost
             };
         } catch (error) {
             return {
@@ -566,9 +782,17 @@ class OpportunityScanner {
             let currentAmount = path.amount;
             
             for (const step of path.path) {
-                const optimized = await this.findOptimalPath(step.fromToken, step.toToken, currentAmount);
+                const route = await this.findOptimalPath(step.fromToken, step.toToken, currentAmount);
+                const local = this.quoteCyclePool(step, currentAmount);
+                
+                if (!route && !local) return null;
                 
-                if (!optimized) return null;
+                // The pool the cycle was found on keeps the step unless an aggregator beats it; either way that
+                // pool stays on the step, since it's what gets confirmed by quorum
+                let optimized = route && step.pool ? { ...route, pool: step.pool } : route;
+                if (local && (!route || local.outputAmount >= route.outputAmount)) {
+                    optimized = local;
+                }
                 
                 optimizedSteps.push(optimized);
                 currentAmount = optimized.outputAmount;
@@ -590,6 +814,26 @@ class OpportunityScanner {
         }
     }
 
+    // The step quoted on the tracked pool it was found on, or null if it has none
+    quoteCyclePool(step, amount) {
+        const pool = step.pool && PoolRegistry.pools.get(step.pool);
+        if (!pool) return null;
+        
+        const outputAmount = PoolRegistry.quote(pool, step.fromToken, amount);
+        if (outputAmount === null || outputAmount <= 0n) return null;
+        
+        return {
+            fromToken: step.fromToken,
+            toToken: step.toToken,
+            amount,
+            outputAmount,
+            dex: pool.dex,
+            pool: pool.address,
+            fee: pool.fee,
+            priceImpact: this.calculatePriceImpact(amount, outputAmount, step.fromToken, step.toToken)
+        };
+    }
+
     async getPriceComparison(tokenAddress) {
         const comparisons = {};
         
@@ -610,12 +854,12 @@ class OpportunityScanner {
     async getDexPrice(dex, tokenAddress) {
         try {
             const baseToken = config.baseTokens[0];
-            const amount = ethers.parseUnits('1', 18);
+            const amount = TokenAmount.parse(this.tokenManager, baseToken, '1');
             
-            const route = await this.findOptimalPath(baseToken, tokenAddress, amount);
+            const route = await this.findOptimalPath(baseToken, tokenAddress, amount.raw);
             
             if (route && route.outputAmount > 0) {
-                return Number(route.outputAmount) / 1e18;
+                return TokenAmount.from(this.tokenManager, tokenAddress, route.outputAmount).toNumber();
             }
             
             return 0;
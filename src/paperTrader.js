@@ -0,0 +1,133 @@
+const { ethers } = require('ethers');
+const { Logger } = require('./utils');
+
+class PaperTrader {
+    constructor(metricsCollector) {
+        this.metricsCollector = metricsCollector;
+        this.fills = [];
+        this.maxFills = 1000;
+        this.startTime = Date.now();
+
+        this.ledger = {
+            trades: 0,
+            wins: 0,
+            losses: 0,
+            grossProfitUSD: 0,
+            gasCostUSD: 0,
+            flashLoanCostUSD: 0,
+            netPnLUSD: 0,
+            gasUsed: 0n,
+            bestTradeUSD: null,
+            worstTradeUSD: null
+        };
+    }
+
+    async recordFill(opportunity, txData) {
+        const simulation = opportunity.simulationResult || {};
+        const profitDetails = simulation.profitDetails || {};
+
+        const gasUsed = simulation.gasUsed ? ethers.getBigInt(simulation.gasUsed) : txData.txData.gasLimit;
+        const gasCostUSD = simulation.gasCostUSD || 0;
+        const flashLoanCostUSD = profitDetails.flashLoanCostUSD || 0;
+        const netProfitUSD = opportunity.netProfitUSD || 0;
+        const grossProfitUSD = profitDetails.grossProfitUSD !== undefined ?
+            profitDetails.grossProfitUSD :
+            netProfitUSD + gasCostUSD + flashLoanCostUSD;
+
+        const fill = {
+            id: this.ledger.trades + 1,
+            txHash: txData.txHash,
+            type: opportunity.type,
+            path: opportunity.path.map(hop => ({
+                fromToken: hop.fromToken,
+                toToken: hop.toToken,
+                dex: hop.dex
+            })),
+            amount: opportunity.amount !== undefined ? opportunity.amount.toString() : null,
+            nonce: txData.txData.nonce,
+            gasLimit: txData.txData.gasLimit,
+            maxFeePerGas: txData.txData.maxFeePerGas,
+            gasUsed,
+            gasCostUSD,
+            flashLoanCostUSD,
+            grossProfitUSD,
+            netProfitUSD,
+            timestamp: Date.now()
+        };
+
+        this.applyToLedger(fill);
+
+        this.fills.push(fill);
+        if (this.fills.length > this.maxFills) {
+            this.fills = this.fills.slice(-this.maxFills);
+        }
+
+        if (this.metricsCollector) {
+            this.metricsCollector.recordPaperTrade(fill, this.ledger);
+        }
+
+        Logger.logSuccess('📝 Paper trade recorded (DRY RUN)', {
+            id: fill.id,
+            type: fill.type,
+            netProfitUSD: netProfitUSD.toFixed(4),
+            gasCostUSD: gasCostUSD.toFixed(4),
+            paperPnLUSD: this.ledger.netPnLUSD.toFixed(4)
+        });
+
+        return fill;
+    }
+
+    applyToLedger(fill) {
+        const ledger = this.ledger;
+
+        ledger.trades++;
+        if (fill.netProfitUSD > 0) {
+            ledger.wins++;
+        } else {
+            ledger.losses++;
+        }
+
+        ledger.grossProfitUSD += fill.grossProfitUSD;
+        ledger.gasCostUSD += fill.gasCostUSD;
+        ledger.flashLoanCostUSD += fill.flashLoanCostUSD;
+        ledger.netPnLUSD += fill.netProfitUSD;
+        ledger.gasUsed += fill.gasUsed || 0n;
+
+        if (ledger.bestTradeUSD === null || fill.netProfitUSD > ledger.bestTradeUSD) {
+            ledger.bestTradeUSD = fill.netProfitUSD;
+        }
+        if (ledger.worstTradeUSD === null || fill.netProfitUSD < ledger.worstTradeUSD) {
+            ledger.worstTradeUSD = fill.netProfitUSD;
+        }
+    }
+
+    getLedger() {
+        return { ...this.ledger };
+    }
+
+    getRecentFills(limit = 20) {
+        return this.fills.slice(-limit).reverse();
+    }
+
+    getSummary() {
+        const ledger = this.ledger;
+
+        return {
+            since: new Date(this.startTime).toISOString(),
+            trades: ledger.trades,
+            wins: ledger.wins,
+            losses: ledger.losses,
+            winRate: ledger.trades > 0 ? ledger.wins / ledger.trades : 0,
+            grossProfitUSD: ledger.grossProfitUSD,
+            gasCostUSD: ledger.gasCostUSD,
+            flashLoanCostUSD: ledger.flashLoanCostUSD,
+            netPnLUSD: ledger.netPnLUSD,
+            avgNetProfitUSD: ledger.trades > 0 ? ledger.netPnLUSD / ledger.trades : 0,
+            gasUsed: ledger.gasUsed.toString(),
+            bestTradeUSD: ledger.bestTradeUSD,
+            worstTradeUSD: ledger.worstTradeUSD
+        };
+    }
+}
+
+module.exports = PaperTrader;
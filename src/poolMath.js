@@ -0,0 +1,328 @@
+// Exact integer ports of the Uniswap V2 pair, the Aerodrome stable pool curve and the V3 TickMath /
+// SqrtPriceMath / SwapMath libraries, so quotes match what the pool would return on-chain down to the wei.
+
+const Q96 = 1n << 96n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+const FEE_DENOMINATOR = 1000000n; // fees are in pips (hundredths of a bip), same as V3 fee tiers
+const E18 = 10n ** 18n;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+const TICK_RATIO_FACTORS = [
+    [0x2n, 0xfff97272373d413259a46990580e213an],
+    [0x4n, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+    [0x8n, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+    [0x10n, 0xffcb9843d60f6159c9db58835c926644n],
+    [0x20n, 0xff973b41fa98c081472e6896dfb254c0n],
+    [0x40n, 0xff2ea16466c96a3843ec78b326b52861n],
+    [0x80n, 0xfe5dee046a99a2a811c461f1969c3053n],
+    [0x100n, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+    [0x200n, 0xf987a7253ac413176f2b074cf7815e54n],
+    [0x400n, 0xf3392b0822b70005940c7a398e4b70f3n],
+    [0x800n, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+    [0x1000n, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+    [0x2000n, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+    [0x4000n, 0x70d869a156d2a1b890bb3df62baf32f7n],
+    [0x8000n, 0x31be135f97d08fd981231505542fcfa6n],
+    [0x10000n, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+    [0x20000n, 0x5d6af8dedb81196699c329225ee604n],
+    [0x40000n, 0x2216e584f5fa1ea926041bedfe98n],
+    [0x80000n, 0x48a170391f7dc42444e8fa2n]
+];
+
+class PoolMath {
+    static mulDiv(a, b, denominator) {
+        return (a * b) / denominator;
+    }
+
+    static mulDivRoundingUp(a, b, denominator) {
+        const product = a * b;
+        return product / denominator + (product % denominator > 0n ? 1n : 0n);
+    }
+
+    static divRoundingUp(a, b) {
+        return a / b + (a % b > 0n ? 1n : 0n);
+    }
+
+    // UniswapV2Pair.getAmountOut with the fee expressed in pips (3000 = 0.3%)
+    static getAmountOutV2(amountIn, reserveIn, reserveOut, feePips = 3000) {
+        if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) {
+            return 0n;
+        }
+
+        const amountInWithFee = amountIn * (FEE_DENOMINATOR - BigInt(feePips));
+        return (amountInWithFee * reserveOut) / (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+    }
+
+    // Aerodrome / Velodrome stable Pool.getAmountOut: x^3*y + x*y^3 = k on reserves scaled to 18 decimals,
+    // with the fee taken off the input first. Decimals are 10^decimals, as the pool's metadata() reports them.
+    static getAmountOutStable(amountIn, reserveIn, reserveOut, decimalsIn, decimalsOut, feePips) {
+        if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) {
+            return 0n;
+        }
+
+        amountIn -= (amountIn * BigInt(feePips)) / FEE_DENOMINATOR;
+        const x = (reserveIn * E18) / decimalsIn;
+        const y = (reserveOut * E18) / decimalsOut;
+        const xy = this.stableK(x, y);
+
+        const dy = y - this.getStableY((amountIn * E18) / decimalsIn + x, xy, y);
+        if (dy < 0n) {
+            throw new Error('Stable swap output underflow');
+        }
+        return (dy * decimalsOut) / E18;
+    }
+
+    static stableK(x, y) {
+        const a = (x * y) / E18;
+        const b = (x * x) / E18 + (y * y) / E18;
+        return (a * b) / E18;
+    }
+
+    // dk/dy of stableK, the Newton step's denominator
+    static stableDerivative(x, y) {
+        return (3n * x * ((y * y) / E18)) / E18 + ((((x * x) / E18) * x) / E18);
+    }
+
+    // Smallest y with stableK(x, y) >= k, by the pool's own Newton iteration starting from the current reserve
+    static getStableY(x, k, y) {
+        for (let i = 0; i < 255; i++) {
+            const current = this.stableK(x, y);
+
+            if (current < k) {
+                let dy = ((k - current) * E18) / this.stableDerivative(x, y);
+                if (dy === 0n) {
+                    if (this.stableK(x, y + 1n) > k) {
+                        return y + 1n;
+                    }
+                    dy = 1n;
+                }
+                y += dy;
+            } else {
+                let dy = ((current - k) * E18) / this.stableDerivative(x, y);
+                if (dy === 0n) {
+                    if (current === k || this.stableK(x, y - 1n) < k) {
+                        return y;
+                    }
+                    dy = 1n;
+                }
+                y -= dy;
+            }
+        }
+
+        throw new Error('Stable swap did not converge');
+    }
+
+    static getSqrtRatioAtTick(tick) {
+        if (tick < MIN_TICK || tick > MAX_TICK) {
+            throw new Error(`Tick out of range: ${tick}`);
+        }
+
+        const absTick = BigInt(Math.abs(tick));
+        let ratio = (absTick & 0x1n) !== 0n ?
+            0xfffcb933bd6fad37aa2d162d1a594001n :
+            0x100000000000000000000000000000000n;
+
+        for (const [bit, factor] of TICK_RATIO_FACTORS) {
+            if ((absTick & bit) !== 0n) {
+                ratio = (ratio * factor) >> 128n;
+            }
+        }
+
+        if (tick > 0) {
+            ratio = MAX_UINT256 / ratio;
+        }
+
+        // Round up so getTickAtSqrtRatio(getSqrtRatioAtTick(tick)) == tick
+        return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+    }
+
+    static getAmount0Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+        if (sqrtRatioA > sqrtRatioB) {
+            [sqrtRatioA, sqrtRatioB] = [sqrtRatioB, sqrtRatioA];
+        }
+
+        const numerator1 = liquidity << 96n;
+        const numerator2 = sqrtRatioB - sqrtRatioA;
+
+        return roundUp ?
+            PoolMath.divRoundingUp(PoolMath.mulDivRoundingUp(numerator1, numerator2, sqrtRatioB), sqrtRatioA) :
+            PoolMath.mulDiv(numerator1, numerator2, sqrtRatioB) / sqrtRatioA;
+    }
+
+    static getAmount1Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+        if (sqrtRatioA > sqrtRatioB) {
+            [sqrtRatioA, sqrtRatioB] = [sqrtRatioB, sqrtRatioA];
+        }
+
+        return roundUp ?
+            PoolMath.mulDivRoundingUp(liquidity, sqrtRatioB - sqrtRatioA, Q96) :
+            PoolMath.mulDiv(liquidity, sqrtRatioB - sqrtRatioA, Q96);
+    }
+
+    static getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amount) {
+        if (amount === 0n) return sqrtPX96;
+
+        const numerator1 = liquidity << 96n;
+        const product = amount * sqrtPX96;
+
+        // Solidity takes the less precise path when the product would overflow 256 bits
+        if (product <= MAX_UINT256 && numerator1 + product <= MAX_UINT256) {
+            return PoolMath.mulDivRoundingUp(numerator1, sqrtPX96, numerator1 + product);
+        }
+
+        return PoolMath.divRoundingUp(numerator1, numerator1 / sqrtPX96 + amount);
+    }
+
+    static getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amount) {
+        const quotient = amount <= MAX_UINT160 ?
+            (amount << 96n) / liquidity :
+            PoolMath.mulDiv(amount, Q96, liquidity);
+
+        return sqrtPX96 + quotient;
+    }
+
+    static getNextSqrtPriceFromInput(sqrtPX96, liquidity, amountIn, zeroForOne) {
+        return zeroForOne ?
+            PoolMath.getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountIn) :
+            PoolMath.getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountIn);
+    }
+
+    // SwapMath.computeSwapStep, exact-input only
+    static computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+        const fee = BigInt(feePips);
+        const zeroForOne = sqrtRatioCurrentX96 >= sqrtRatioTargetX96;
+        const amountRemainingLessFee = PoolMath.mulDiv(amountRemaining, FEE_DENOMINATOR - fee, FEE_DENOMINATOR);
+
+        let amountIn = zeroForOne ?
+            PoolMath.getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true) :
+            PoolMath.getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+
+        const sqrtRatioNextX96 = amountRemainingLessFee >= amountIn ?
+            sqrtRatioTargetX96 :
+            PoolMath.getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+
+        const max = sqrtRatioTargetX96 === sqrtRatioNextX96;
+        let amountOut;
+
+        if (zeroForOne) {
+            amountIn = max ? amountIn : PoolMath.getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+            amountOut = PoolMath.getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+        } else {
+            amountIn = max ? amountIn : PoolMath.getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+            amountOut = PoolMath.getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+        }
+
+        const feeAmount = max ?
+            PoolMath.mulDivRoundingUp(amountIn, fee, FEE_DENOMINATOR - fee) :
+            amountRemaining - amountIn;
+
+        return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+    }
+
+    static tickPosition(compressed) {
+        return {
+            wordPos: Math.floor(compressed / 256),
+            bitPos: ((compressed % 256) + 256) % 256
+        };
+    }
+
+    static mostSignificantBit(x) {
+        return x.toString(2).length - 1;
+    }
+
+    static leastSignificantBit(x) {
+        return PoolMath.mostSignificantBit(x & -x);
+    }
+
+    // TickBitmap.nextInitializedTickWithinOneWord over a Map(wordPos -> uint256).
+    // Returns null when the word was never loaded, since we can't tell what lies there.
+    static nextInitializedTickWithinOneWord(bitmap, tick, tickSpacing, lte) {
+        let compressed = Math.trunc(tick / tickSpacing);
+        if (tick < 0 && tick % tickSpacing !== 0) compressed--;
+
+        if (lte) {
+            const { wordPos, bitPos } = PoolMath.tickPosition(compressed);
+            if (!bitmap.has(wordPos)) return null;
+
+            const mask = (1n << BigInt(bitPos)) - 1n + (1n << BigInt(bitPos));
+            const masked = bitmap.get(wordPos) & mask;
+            const initialized = masked !== 0n;
+
+            const next = initialized ?
+                (compressed - (bitPos - PoolMath.mostSignificantBit(masked))) * tickSpacing :
+                (compressed - bitPos) * tickSpacing;
+
+            return { tickNext: next, initialized };
+        }
+
+        const { wordPos, bitPos } = PoolMath.tickPosition(compressed + 1);
+        if (!bitmap.has(wordPos)) return null;
+
+        const mask = MAX_UINT256 ^ ((1n << BigInt(bitPos)) - 1n);
+        const masked = bitmap.get(wordPos) & mask;
+        const initialized = masked !== 0n;
+
+        const next = initialized ?
+            (compressed + 1 + (PoolMath.leastSignificantBit(masked) - bitPos)) * tickSpacing :
+            (compressed + 1 + (255 - bitPos)) * tickSpacing;
+
+        return { tickNext: next, initialized };
+    }
+
+    // Exact-input swap through a V3 pool's initialized ticks, mirroring UniswapV3Pool.swap.
+    // state: { sqrtPriceX96, tick, liquidity, fee, tickSpacing, bitmap: Map, ticks: Map(tick -> { liquidityNet }) }
+    // Returns null if the swap would walk past the part of the bitmap we hold.
+    static getAmountOutV3(state, amountIn, zeroForOne) {
+        if (amountIn <= 0n) return 0n;
+
+        const sqrtPriceLimitX96 = zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n;
+        let amountRemaining = amountIn;
+        let amountOut = 0n;
+        let sqrtPriceX96 = state.sqrtPriceX96;
+        let tick = state.tick;
+        let liquidity = state.liquidity;
+
+        while (amountRemaining !== 0n && sqrtPriceX96 !== sqrtPriceLimitX96) {
+            const step = PoolMath.nextInitializedTickWithinOneWord(state.bitmap, tick, state.tickSpacing, zeroForOne);
+            if (!step) return null;
+
+            const tickNext = Math.min(Math.max(step.tickNext, MIN_TICK), MAX_TICK);
+            const sqrtPriceNextX96 = PoolMath.getSqrtRatioAtTick(tickNext);
+
+            const target = (zeroForOne ? sqrtPriceNextX96 < sqrtPriceLimitX96 : sqrtPriceNextX96 > sqrtPriceLimitX96) ?
+                sqrtPriceLimitX96 :
+                sqrtPriceNextX96;
+
+            const result = PoolMath.computeSwapStep(sqrtPriceX96, target, liquidity, amountRemaining, state.fee);
+
+            amountRemaining -= result.amountIn + result.feeAmount;
+            amountOut += result.amountOut;
+            sqrtPriceX96 = result.sqrtRatioNextX96;
+
+            if (sqrtPriceX96 === sqrtPriceNextX96) {
+                if (step.initialized) {
+                    const tickInfo = state.ticks.get(tickNext);
+                    const liquidityNet = tickInfo ? tickInfo.liquidityNet : 0n;
+                    liquidity += zeroForOne ? -liquidityNet : liquidityNet;
+                }
+                tick = zeroForOne ? tickNext - 1 : tickNext;
+            }
+            // Otherwise the input ran out inside this range and the loop ends
+        }
+
+        return amountOut;
+    }
+}
+
+PoolMath.Q96 = Q96;
+PoolMath.MIN_TICK = MIN_TICK;
+PoolMath.MAX_TICK = MAX_TICK;
+PoolMath.MIN_SQRT_RATIO = MIN_SQRT_RATIO;
+PoolMath.MAX_SQRT_RATIO = MAX_SQRT_RATIO;
+
+module.exports = PoolMath;
@@ -0,0 +1,400 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const config = require('../config/config.json');
+const RPCManager = require('./rpcManager');
+const PoolMath = require('./poolMath');
+const { Logger } = require('./utils');
+
+const POOL_EVENTS = new ethers.Interface([
+    'event Sync(uint112 reserve0, uint112 reserve1)',
+    'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+    'event Mint(address indexed sender, uint256 amount0, uint256 amount1)',
+    'event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)',
+    // Aerodrome pools: uint256 reserves and the recipient moved up front, so none of the topics match the V2 ones
+    'event Sync(uint256 reserve0, uint256 reserve1)',
+    'event Swap(address indexed sender, address indexed to, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out)',
+    'event Burn(address indexed sender, address indexed to, uint256 amount0, uint256 amount1)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint128 protocolFeesToken0, uint128 protocolFeesToken1)',
+    'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+    'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)'
+]);
+
+const POOL_EVENT_TOPICS = [];
+POOL_EVENTS.forEachEvent(event => POOL_EVENT_TOPICS.push(event.topicHash));
+
+const V2_POOL_ABI = [
+    'function token0() view returns (address)',
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    'function metadata() view returns (uint256 dec0, uint256 dec1, uint256 r0, uint256 r1, bool st, address t0, address t1)'
+];
+
+// Only the leading fields we need, so forks with extra slot0/ticks fields (Pancake, Slipstream) decode too
+const V3_POOL_ABI = [
+    'function token0() view returns (address)',
+    'function fee() view returns (uint24)',
+    'function tickSpacing() view returns (int24)',
+    'function liquidity() view returns (uint128)',
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick)',
+    'function tickBitmap(int16 wordPosition) view returns (uint256)',
+    'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet)'
+];
+
+// In-memory mirror of tracked pool state, kept current from Swap/Sync/Mint/Burn logs so
+// quotes can be computed locally instead of with a round trip per hop
+class PoolRegistry extends EventEmitter {
+    constructor() {
+        super();
+        this.settings = {
+            bitmapWordRange: 2,
+            ...config.poolRegistrySettings
+        };
+        this.pools = new Map();
+        this.unsubscribeLogs = null;
+    }
+
+    pairKey(tokenA, tokenB) {
+        const [a, b] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+        return `${a}_${b}`;
+    }
+
+    // Start mirroring the given pools ({ address, dex, fee, tokenA, tokenB }); pools no longer listed are dropped
+    async track(poolInfos) {
+        const wanted = new Map(poolInfos.map(info => [info.address.toLowerCase(), info]));
+
+        for (const address of this.pools.keys()) {
+            if (!wanted.has(address)) {
+                this.pools.delete(address);
+            }
+        }
+
+        for (const [address, info] of wanted) {
+            if (!this.pools.has(address)) {
+                this.pools.set(address, {
+                    ...info,
+                    address,
+                    pairKey: this.pairKey(info.tokenA, info.tokenB),
+                    status: 'loading',
+                    pendingLogs: []
+                });
+            }
+        }
+
+        if (this.unsubscribeLogs) {
+            this.unsubscribeLogs();
+            this.unsubscribeLogs = null;
+        }
+
+        if (this.pools.size > 0) {
+            // Subscribe before loading so nothing between the snapshot block and the first event is lost
+            this.unsubscribeLogs = RPCManager.onLogs(this.getLogFilter(), (log) => this.handleLog(log));
+        }
+
+        const loading = [...this.pools.values()].filter(pool => pool.status !== 'ready');
+        const results = await Promise.allSettled(loading.map(pool => this.loadPool(pool)));
+
+        const failed = results.filter(result => result.status === 'rejected').length;
+        Logger.logInfo(`Pool registry tracking ${this.pools.size} pools (${loading.length - failed} loaded, ${failed} failed)`);
+    }
+
+    // Every state-changing event of the given pools (all tracked pools by default)
+    getLogFilter(addresses = [...this.pools.keys()]) {
+        return { address: addresses, topics: [POOL_EVENT_TOPICS] };
+    }
+
+    stop() {
+        if (this.unsubscribeLogs) {
+            this.unsubscribeLogs();
+            this.unsubscribeLogs = null;
+        }
+        this.pools.clear();
+    }
+
+    async loadPool(pool) {
+        pool.status = 'loading';
+
+        try {
+            const { provider } = await RPCManager.getHealthyProvider();
+            const blockNumber = await provider.getBlockNumber();
+            const state = await this.readPoolState(pool, provider, blockNumber);
+
+            Object.assign(pool, state, {
+                status: 'ready',
+                lastApplied: { blockNumber, index: Infinity }
+            });
+
+            // Replay anything that arrived while we were reading the snapshot
+            const pending = pool.pendingLogs;
+            pool.pendingLogs = [];
+            for (const log of pending) {
+                this.applyLog(pool, log);
+            }
+        } catch (error) {
+            pool.status = 'error';
+            pool.pendingLogs = [];
+            Logger.logWarning(`Failed to load pool state for ${pool.address}`, error.message);
+            throw error;
+        }
+    }
+
+    async readPoolState(pool, provider, blockTag) {
+        const v3 = new ethers.Contract(pool.address, V3_POOL_ABI, provider);
+
+        // A V2 pool reverts on slot0; a node that fails the call tells us nothing about the pool type
+        let slot0;
+        try {
+            slot0 = await v3.slot0({ blockTag });
+        } catch (error) {
+            if (!RPCManager.isRevert(error)) throw error;
+            slot0 = null;
+        }
+
+        if (!slot0) {
+            const v2 = new ethers.Contract(pool.address, V2_POOL_ABI, provider);
+            const [token0, reserves, metadata] = await Promise.all([
+                v2.token0({ blockTag }),
+                v2.getReserves({ blockTag }),
+                // Aerodrome pools only; it says whether the pool trades on the stable curve
+                v2.metadata({ blockTag }).catch(error => {
+                    if (!RPCManager.isRevert(error)) throw error;
+                    return null;
+                })
+            ]);
+            const stable = Boolean(metadata && metadata.st);
+
+            return {
+                type: 'v2',
+                token0: token0.toLowerCase(),
+                fee: pool.fee || 3000,
+                reserve0: reserves.reserve0,
+                reserve1: reserves.reserve1,
+                stable,
+                decimals0: stable ? metadata.dec0 : null,
+                decimals1: stable ? metadata.dec1 : null
+            };
+        }
+
+        const [token0, fee, tickSpacing, liquidity] = await Promise.all([
+            v3.token0({ blockTag }),
+            v3.fee({ blockTag }),
+            v3.tickSpacing({ blockTag }),
+            v3.liquidity({ blockTag })
+        ]);
+
+        const state = {
+            type: 'v3',
+            token0: token0.toLowerCase(),
+            fee: Number(fee),
+            tickSpacing: Number(tickSpacing),
+            liquidity,
+            sqrtPriceX96: slot0.sqrtPriceX96,
+            tick: Number(slot0.tick),
+            bitmap: new Map(),
+            ticks: new Map()
+        };
+
+        // Load the bitmap words around the current price, then every initialized tick in them
+        const { wordPos } = PoolMath.tickPosition(Math.floor(state.tick / state.tickSpacing));
+        const range = this.settings.bitmapWordRange;
+        const wordPositions = [];
+        for (let word = wordPos - range; word <= wordPos + range; word++) {
+            wordPositions.push(word);
+        }
+
+        const words = await Promise.all(wordPositions.map(word => v3.tickBitmap(word, { blockTag })));
+        const initializedTicks = [];
+
+        wordPositions.forEach((word, index) => {
+            const bits = words[index];
+            state.bitmap.set(word, bits);
+
+            for (let bit = 0; bit < 256; bit++) {
+                if ((bits >> BigInt(bit)) & 1n) {
+                    initializedTicks.push((word * 256 + bit) * state.tickSpacing);
+                }
+            }
+        });
+
+        const tickData = await Promise.all(initializedTicks.map(tick => v3.ticks(tick, { blockTag })));
+        initializedTicks.forEach((tick, index) => {
+            state.ticks.set(tick, {
+                liquidityGross: tickData[index].liquidityGross,
+                liquidityNet: tickData[index].liquidityNet
+            });
+        });
+
+        return state;
+    }
+
+    handleLog(log) {
+        const pool = this.pools.get(log.address.toLowerCase());
+        if (!pool) return;
+
+        if (log.removed) {
+            // Reorged out: our incremental state is no longer trustworthy
+            this.loadPool(pool).catch(() => {});
+            return;
+        }
+
+        if (pool.status === 'loading') {
+            pool.pendingLogs.push(log);
+            return;
+        }
+
+        if (pool.status === 'ready' && this.applyLog(pool, log)) {
+            this.emit('poolUpdated', pool, log.blockNumber);
+        }
+    }
+
+    applyLog(pool, log) {
+        const last = pool.lastApplied;
+        if (log.blockNumber < last.blockNumber ||
+            (log.blockNumber === last.blockNumber && log.index <= last.index)) {
+            return false;
+        }
+
+        let parsed;
+        try {
+            parsed = POOL_EVENTS.parseLog(log);
+        } catch (error) {
+            return false;
+        }
+        if (!parsed) return false;
+
+        pool.lastApplied = { blockNumber: log.blockNumber, index: log.index };
+        const args = parsed.args;
+
+        if (pool.type === 'v2') {
+            // Sync always follows Swap/Mint/Burn in the same tx and carries the resulting reserves
+            if (parsed.name === 'Sync') {
+                pool.reserve0 = args.reserve0;
+                pool.reserve1 = args.reserve1;
+            }
+            return true;
+        }
+
+        if (parsed.name === 'Swap' && args.sqrtPriceX96 !== undefined) {
+            pool.sqrtPriceX96 = args.sqrtPriceX96;
+            pool.liquidity = args.liquidity;
+            pool.tick = Number(args.tick);
+        } else if ((parsed.name === 'Mint' || parsed.name === 'Burn') && args.tickLower !== undefined) {
+            const delta = parsed.name === 'Mint' ? args.amount : -args.amount;
+            this.updateTick(pool, Number(args.tickLower), delta, false);
+            this.updateTick(pool, Number(args.tickUpper), delta, true);
+
+            if (pool.tick >= Number(args.tickLower) && pool.tick < Number(args.tickUpper)) {
+                pool.liquidity += delta;
+            }
+        }
+
+        return true;
+    }
+
+    updateTick(pool, tick, liquidityDelta, upper) {
+        const info = pool.ticks.get(tick) || { liquidityGross: 0n, liquidityNet: 0n };
+        const flipped = (info.liquidityGross === 0n) !== (info.liquidityGross + liquidityDelta === 0n);
+
+        info.liquidityGross += liquidityDelta;
+        info.liquidityNet += upper ? -liquidityDelta : liquidityDelta;
+
+        if (info.liquidityGross === 0n) {
+            pool.ticks.delete(tick);
+        } else {
+            pool.ticks.set(tick, info);
+        }
+
+        const { wordPos, bitPos } = PoolMath.tickPosition(tick / pool.tickSpacing);
+        if (flipped && pool.bitmap.has(wordPos)) {
+            pool.bitmap.set(wordPos, pool.bitmap.get(wordPos) ^ (1n << BigInt(bitPos)));
+        }
+    }
+
+    getPools(tokenA, tokenB, dexName = null) {
+        const key = this.pairKey(tokenA, tokenB);
+        return [...this.pools.values()].filter(pool =>
+            pool.status === 'ready' && pool.pairKey === key && (!dexName || pool.dex === dexName)
+        );
+    }
+
+    // Exact output for amountIn through one pool, or null if we can't price it locally
+    quote(pool, tokenIn, amountIn) {
+        if (pool.status !== 'ready') return null;
+
+        const zeroForOne = tokenIn.toLowerCase() === pool.token0;
+        amountIn = ethers.getBigInt(amountIn);
+
+        try {
+            if (pool.type === 'v2') {
+                const [reserveIn, reserveOut] = zeroForOne ?
+                    [pool.reserve0, pool.reserve1] :
+                    [pool.reserve1, pool.reserve0];
+
+                if (pool.stable) {
+                    const [decimalsIn, decimalsOut] = zeroForOne ?
+                        [pool.decimals0, pool.decimals1] :
+                        [pool.decimals1, pool.decimals0];
+                    return PoolMath.getAmountOutStable(amountIn, reserveIn, reserveOut, decimalsIn, decimalsOut, pool.fee);
+                }
+                return PoolMath.getAmountOutV2(amountIn, reserveIn, reserveOut, pool.fee);
+            }
+
+            return PoolMath.getAmountOutV3(pool, amountIn, zeroForOne);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Marginal out-per-in rate in raw units after the pool fee, i.e. the price of an infinitesimal trade
+    spotRate(pool, tokenIn) {
+        if (pool.status !== 'ready') return 0;
+
+        const zeroForOne = tokenIn.toLowerCase() === pool.token0;
+        const feeMultiplier = 1 - pool.fee / 1e6;
+        let price; // token1 per token0
+
+        if (pool.type === 'v2') {
+            if (pool.reserve0 === 0n || pool.reserve1 === 0n) return 0;
+
+            if (pool.stable) {
+                // Slope of x^3*y + x*y^3 = k on decimal-scaled reserves, back in raw units
+                const x = Number(pool.reserve0) / Number(pool.decimals0);
+                const y = Number(pool.reserve1) / Number(pool.decimals1);
+                price = ((3 * x * x * y + y ** 3) / (x ** 3 + 3 * x * y * y)) * Number(pool.decimals1) / Number(pool.decimals0);
+            } else {
+                price = Number(pool.reserve1) / Number(pool.reserve0);
+            }
+        } else {
+            if (pool.liquidity === 0n) return 0;
+            price = (Number(pool.sqrtPriceX96) / Number(PoolMath.Q96)) ** 2;
+        }
+
+        return (zeroForOne ? price : 1 / price) * feeMultiplier;
+    }
+
+    // Best locally-priced pool for a hop, optionally restricted to one DEX
+    quoteBest(tokenIn, tokenOut, amountIn, dexName = null) {
+        let best = null;
+
+        for (const pool of this.getPools(tokenIn, tokenOut, dexName)) {
+            const amountOut = this.quote(pool, tokenIn, amountIn);
+            if (amountOut !== null && (!best || amountOut > best.amountOut)) {
+                best = { pool, amountOut };
+            }
+        }
+
+        return best;
+    }
+
+    getStats() {
+        const pools = [...this.pools.values()];
+        return {
+            tracked: pools.length,
+            ready: pools.filter(pool => pool.status === 'ready').length,
+            errored: pools.filter(pool => pool.status === 'error').length,
+            v2: pools.filter(pool => pool.type === 'v2').length,
+            v3: pools.filter(pool => pool.type === 'v3').length
+        };
+    }
+}
+
+module.exports = new PoolRegistry();
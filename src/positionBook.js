@@ -0,0 +1,537 @@
+const { ethers } = require('ethers');
+const config = require('../config/config.json');
+const RPCManager = require('./rpcManager');
+const PoolRegistry = require('./poolRegistry');
+const TradeJournal = require('./storage');
+const TokenAmount = require('./tokenAmount');
+const { Logger } = require('./utils');
+
+const ERC20_ABI = [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+const ENTRY_SIGNALS = ['SHORT_A_LONG_B', 'LONG_A_SHORT_B'];
+
+// Holds statistical-arbitrage trades open until the spread mean-reverts. An entry sells wallet inventory
+// of the rich leg for the cheap one (SHORT_A_LONG_B sells A); the exit swaps everything received back.
+// Open positions are marked to market every checkEveryBlocks and closed on the first of:
+//   reverted     - |z| back inside the engine's exitThreshold, or through the mean
+//   stop_loss    - z beyond stopLossZ in the entry direction, or a mark-to-market loss over stopLossPercent
+//   max_holding  - open for more than maxHoldingHalfLives of the pair's half-life
+//   pair_removed - the cointegration re-test demoted or dropped the pair
+// A stopped-out pair is not re-entered until its spread has come back inside exitThreshold, restarts included.
+// Live legs resolve without holding up the block sweep: a position is 'opening' or 'closing' until its leg's
+// transaction does, and a restart settles those from the leg's receipt instead of sending it again.
+// PnL is measured in the token that was sold, since that is the inventory the trade is meant to grow.
+class PositionBook {
+    constructor(deps = {}) {
+        this.zScoreEngine = deps.zScoreEngine;
+        this.tokenManager = deps.tokenManager;
+        this.aggregatorService = deps.aggregatorService;
+        this.profitCalculator = deps.profitCalculator;
+        this.transactionBuilder = deps.transactionBuilder;
+        this.txLifecycleMonitor = deps.txLifecycleMonitor;
+        this.journal = deps.journal || TradeJournal;
+        this.dryRun = Boolean(deps.dryRun);
+        this.settings = {
+            maxOpenPositions: 3,
+            maxPositionUSD: 5000,
+            inventoryFraction: 0.25,
+            slippagePercent: 0.5,
+            stopLossZ: 4,
+            stopLossPercent: 3,
+            maxHoldingHalfLives: 3,
+            checkEveryBlocks: 1,
+            maxClosedPositions: 200,
+            ...config.positionSettings
+        };
+        this.erc20 = new ethers.Interface(ERC20_ABI);
+        this.positions = new Map(); // ZScoreEngine pair key -> open position
+        this.closed = [];
+        this.stoppedPairs = new Set(); // stopped out; no re-entry until the spread comes back inside exitThreshold
+        this.inFlight = new Set(); // pair keys whose leg this process sent and is still tracking
+        this.unresolvedLegs = new Set(); // restored legs whose nonce another transaction used
+        this.unsubscribeBlocks = null;
+    }
+
+    start() {
+        for (const position of this.journal.getOpenPositions(this.dryRun)) {
+            position.amountIn = BigInt(position.amountIn);
+            position.heldAmount = BigInt(position.heldAmount);
+            this.positions.set(position.pairKey, position);
+        }
+        if (this.positions.size > 0) {
+            Logger.logInfo(`Restored ${this.positions.size} open stat-arb positions`);
+        }
+        for (const pairKey of this.journal.getStoppedPairs(this.dryRun)) {
+            this.stoppedPairs.add(pairKey);
+        }
+
+        if (!this.unsubscribeBlocks) {
+            this.unsubscribeBlocks = RPCManager.onEveryNBlocks(this.settings.checkEveryBlocks, (blockNumber) => this.update(blockNumber));
+        }
+    }
+
+    stop() {
+        if (this.unsubscribeBlocks) {
+            this.unsubscribeBlocks();
+            this.unsubscribeBlocks = null;
+        }
+    }
+
+    pairKey(pair) {
+        return `${pair.tokenA}-${pair.tokenB}`;
+    }
+
+    async update(blockNumber) {
+        for (const position of [...this.positions.values()]) {
+            try {
+                await this.checkPosition(position, blockNumber);
+            } catch (error) {
+                Logger.logWarning(`Position check failed for ${position.pairKey}`, error.message);
+            }
+        }
+
+        await this.scanEntries(blockNumber);
+    }
+
+    async checkPosition(position, blockNumber) {
+        if (position.status === 'opening' || position.status === 'closing') {
+            // Nothing in this process is tracking a leg left in flight by the last run
+            if (!this.inFlight.has(position.pairKey)) {
+                await this.recoverLeg(position, blockNumber);
+            }
+            return;
+        }
+
+        const pair = this.zScoreEngine.pairs.get(position.pairKey);
+        if (!pair || !pair.cointegrated) {
+            await this.close(position, 'pair_removed', blockNumber);
+            return;
+        }
+
+        const zScore = await this.zScoreEngine.calculateZScore(pair);
+        if (!zScore) return;
+
+        await this.markToMarket(position, zScore, blockNumber);
+
+        const reason = this.getExitReason(position, zScore, blockNumber);
+        if (reason) {
+            await this.close(position, reason, blockNumber);
+        }
+    }
+
+    // Values what we hold in the token we sold: an executable local quote when the pools are tracked,
+    // otherwise through USD prices
+    async markToMarket(position, zScore, blockNumber) {
+        const sold = TokenAmount.from(this.tokenManager, position.sellToken, position.amountIn).toNumber();
+        const soldPriceUSD = await this.tokenManager.getTokenPriceWithFallback(position.sellToken);
+        const local = PoolRegistry.quoteBest(position.buyToken, position.sellToken, position.heldAmount);
+
+        let markAmount;
+        if (local && local.amountOut > 0n) {
+            markAmount = TokenAmount.from(this.tokenManager, position.sellToken, local.amountOut).toNumber();
+        } else {
+            const heldUSD = await TokenAmount.from(this.tokenManager, position.buyToken, position.heldAmount).toUSD(this.tokenManager);
+            if (heldUSD === null || !soldPriceUSD) return;
+            markAmount = heldUSD / soldPriceUSD;
+        }
+
+        position.zScore = zScore.value;
+        position.markAmount = markAmount;
+        position.pnlPercent = (markAmount - sold) / sold * 100;
+        position.unrealizedPnLUSD = (markAmount - sold) * (soldPriceUSD || 0);
+        position.markedBlock = blockNumber;
+    }
+
+    getExitReason(position, zScore, blockNumber) {
+        const direction = Math.sign(position.entryZ);
+
+        if (Math.abs(zScore.value) <= this.zScoreEngine.exitThreshold || zScore.value * direction < 0) {
+            return 'reverted';
+        }
+
+        if (zScore.value * direction >= this.settings.stopLossZ || position.pnlPercent <= -this.settings.stopLossPercent) {
+            return 'stop_loss';
+        }
+
+        if (position.halfLifeBlocks &&
+            blockNumber - position.openedBlock >= this.settings.maxHoldingHalfLives * position.halfLifeBlocks) {
+            return 'max_holding';
+        }
+
+        return null;
+    }
+
+    async scanEntries(blockNumber) {
+        if (this.positions.size >= this.settings.maxOpenPositions) return;
+
+        const pairs = await this.zScoreEngine.getMonitoredPairs();
+
+        for (const pair of pairs) {
+            if (this.positions.size >= this.settings.maxOpenPositions) break;
+            if (this.positions.has(this.pairKey(pair))) continue;
+
+            try {
+                const signal = await this.zScoreEngine.getTradingSignal(pair);
+                if (signal.signal === 'CLOSE_POSITION') {
+                    if (this.stoppedPairs.delete(this.pairKey(pair))) {
+                        this.journal.deleteStoppedPair(this.pairKey(pair), this.dryRun);
+                    }
+                } else if (ENTRY_SIGNALS.includes(signal.signal) && !this.stoppedPairs.has(this.pairKey(pair))) {
+                    await this.open(pair, signal, blockNumber);
+                }
+            } catch (error) {
+                Logger.logWarning(`Stat-arb entry failed for ${this.pairKey(pair)}`, error.message);
+            }
+        }
+    }
+
+    async open(pair, signal, blockNumber) {
+        const sellToken = signal.signal === 'SHORT_A_LONG_B' ? pair.tokenA : pair.tokenB;
+        const buyToken = sellToken === pair.tokenA ? pair.tokenB : pair.tokenA;
+
+        const amountIn = await this.sizeEntry(sellToken);
+        if (!amountIn) return null;
+
+        // The edge is the ratio travelling back to its mean; it has to pay for both legs' gas
+        const notionalUSD = await TokenAmount.from(this.tokenManager, sellToken, amountIn).toUSD(this.tokenManager);
+        if (notionalUSD === null) return null;
+
+        const expectedProfitUSD = notionalUSD * Math.abs(signal.ratio - signal.mean) / signal.ratio;
+        const route = await this.getRoute(sellToken, buyToken, amountIn);
+        const legGasUSD = await this.profitCalculator.calculateGasCostUSD(BigInt(route.gasEstimate || 0) * await this.getGasPrice());
+
+        if (expectedProfitUSD - 2 * legGasUSD < config.minProfitThresholdUSD) {
+            Logger.logInfo(`Stat-arb entry skipped for ${this.pairKey(pair)}: expected $${expectedProfitUSD.toFixed(2)} vs gas $${(2 * legGasUSD).toFixed(2)}`);
+            return null;
+        }
+
+        const position = {
+            id: `${this.pairKey(pair)}-${blockNumber}`,
+            pairKey: this.pairKey(pair),
+            tokenA: pair.tokenA,
+            tokenB: pair.tokenB,
+            side: signal.signal,
+            sellToken,
+            buyToken,
+            amountIn,
+            heldAmount: 0n,
+            entryZ: signal.zScore,
+            entryRatio: signal.ratio,
+            entryMean: signal.mean,
+            halfLife: pair.halfLife,
+            halfLifeBlocks: pair.halfLifeBlocks || null,
+            hurstExponent: pair.hurstExponent,
+            expectedProfitUSD,
+            status: 'opening',
+            dryRun: this.dryRun,
+            openedBlock: blockNumber,
+            openedAt: Date.now(),
+            entryTxHash: null,
+            pendingLeg: null,
+            gasCostUSD: 0,
+            zScore: signal.zScore,
+            markAmount: null,
+            pnlPercent: 0,
+            unrealizedPnLUSD: 0
+        };
+
+        if (this.dryRun) {
+            const fill = await this.executeLeg(route, sellToken, buyToken, amountIn, 'entry');
+            return this.settleOpen(position, fill);
+        }
+
+        // Resolves off the sweep like an exit; the pair holds its slot meanwhile so it isn't entered twice
+        this.positions.set(position.pairKey, position);
+        this.journal.recordPosition(position);
+        this.inFlight.add(position.pairKey);
+        this.executeLeg(route, sellToken, buyToken, amountIn, 'entry', pendingLeg => this.recordPendingLeg(position, pendingLeg))
+            .then(
+                fill => this.settleOpen(position, fill),
+                (error) => {
+                    this.abandonEntry(position);
+                    Logger.logWarning(`Stat-arb entry failed for ${position.pairKey}`, error.message);
+                }
+            )
+            .catch(error => Logger.logError(`Settling stat-arb entry for ${position.pairKey} failed`, error))
+            .finally(() => this.inFlight.delete(position.pairKey));
+
+        return position;
+    }
+
+    settleOpen(position, fill) {
+        Object.assign(position, {
+            status: 'open',
+            heldAmount: fill.amountOut,
+            entryTxHash: fill.txHash,
+            pendingLeg: null,
+            gasCostUSD: fill.gasCostUSD
+        });
+
+        this.positions.set(position.pairKey, position);
+        this.journal.recordPosition(position);
+
+        Logger.logSuccess(`Opened stat-arb position ${position.pairKey}`, {
+            side: position.side,
+            z: position.entryZ.toFixed(2),
+            amountIn: position.amountIn.toString(),
+            received: fill.amountOut.toString(),
+            dryRun: this.dryRun
+        });
+
+        return position;
+    }
+
+    abandonEntry(position) {
+        this.positions.delete(position.pairKey);
+        position.status = 'failed';
+        position.pendingLeg = null;
+        this.journal.recordPosition(position);
+        return null;
+    }
+
+    async close(position, reason, blockNumber) {
+        const route = await this.getRoute(position.buyToken, position.sellToken, position.heldAmount);
+
+        if (this.dryRun) {
+            const fill = await this.executeLeg(route, position.buyToken, position.sellToken, position.heldAmount, 'exit');
+            return this.settleClose(position, reason, blockNumber, fill);
+        }
+
+        // The sweep runs under onEveryNBlocks' guard, so waiting here would stall every other position's checks.
+        // 'closing' is journaled first, so a restart doesn't send the exit again.
+        position.status = 'closing';
+        position.exitReason = reason;
+        this.journal.recordPosition(position);
+        this.inFlight.add(position.pairKey);
+        this.executeLeg(route, position.buyToken, position.sellToken, position.heldAmount, 'exit', pendingLeg => this.recordPendingLeg(position, pendingLeg))
+            .then(
+                fill => this.settleClose(position, reason, RPCManager.lastBlockNumber || blockNumber, fill),
+                (error) => {
+                    this.reopen(position);
+                    Logger.logWarning(`Stat-arb exit failed for ${position.pairKey}, retrying on the next check`, error.message);
+                }
+            )
+            .catch(error => Logger.logError(`Settling stat-arb exit for ${position.pairKey} failed`, error))
+            .finally(() => this.inFlight.delete(position.pairKey));
+
+        return position;
+    }
+
+    reopen(position) {
+        position.status = 'open';
+        position.exitReason = null;
+        position.pendingLeg = null;
+        this.journal.recordPosition(position);
+        return position;
+    }
+
+    recordPendingLeg(position, pendingLeg) {
+        position.pendingLeg = pendingLeg;
+        this.journal.recordPosition(position);
+    }
+
+    // A leg journaled as sent by the last run: settled from its receipt, or given up once the node has
+    // neither a receipt nor the transaction and its nonce is still free. A nonce used by another transaction
+    // (a speed-up sent before the restart) leaves the outcome unknown, so the position waits for the operator.
+    async recoverLeg(position, blockNumber) {
+        const entry = position.status === 'opening';
+        const pending = position.pendingLeg;
+
+        if (pending) {
+            const { provider } = await RPCManager.getHealthyProvider();
+            const receipt = await provider.getTransactionReceipt(pending.txHash);
+
+            if (receipt && receipt.status === 1) {
+                const fill = await this.readFill(receipt, entry ? position.buyToken : position.sellToken, 0);
+                return entry ? this.settleOpen(position, fill) : this.settleClose(position, position.exitReason, blockNumber, fill);
+            }
+            if (!receipt) {
+                if (await provider.getTransaction(pending.txHash)) return null;
+
+                const confirmedNonce = await provider.getTransactionCount(this.transactionBuilder.wallet.address, 'latest');
+                if (pending.nonce === null || confirmedNonce > pending.nonce) {
+                    if (!this.unresolvedLegs.has(position.pairKey)) {
+                        this.unresolvedLegs.add(position.pairKey);
+                        Logger.logWarning(`Stat-arb ${entry ? 'entry' : 'exit'} ${pending.txHash} for ${position.pairKey} was replaced before the restart, resolve it by hand`);
+                    }
+                    return null;
+                }
+            }
+        }
+
+        Logger.logWarning(`Stat-arb ${entry ? 'entry' : 'exit'} for ${position.pairKey} didn't go through before the restart`);
+        return entry ? this.abandonEntry(position) : this.reopen(position);
+    }
+
+    async settleClose(position, reason, blockNumber, fill) {
+        const pnlUSD = await TokenAmount.from(this.tokenManager, position.sellToken, fill.amountOut - position.amountIn)
+            .toUSD(this.tokenManager);
+
+        Object.assign(position, {
+            status: 'closed',
+            exitReason: reason,
+            amountOut: fill.amountOut,
+            exitTxHash: fill.txHash,
+            exitZ: position.zScore,
+            gasCostUSD: position.gasCostUSD + fill.gasCostUSD,
+            realizedPnLUSD: (pnlUSD || 0) - position.gasCostUSD - fill.gasCostUSD,
+            pendingLeg: null,
+            closedBlock: blockNumber,
+            closedAt: Date.now()
+        });
+
+        this.positions.delete(position.pairKey);
+        if (reason === 'stop_loss') {
+            this.stoppedPairs.add(position.pairKey);
+            this.journal.recordStoppedPair(position.pairKey, this.dryRun);
+        }
+        this.closed.push(position);
+        if (this.closed.length > this.settings.maxClosedPositions) {
+            this.closed = this.closed.slice(-this.settings.maxClosedPositions);
+        }
+
+        this.journal.recordPosition(position);
+        this.journal.recordProfit({}, fill.txHash, position.realizedPnLUSD, position.gasCostUSD, this.dryRun);
+
+        Logger.logInfo(`Closed stat-arb position ${position.pairKey} (${reason})`, {
+            heldBlocks: blockNumber - position.openedBlock,
+            amountIn: position.amountIn.toString(),
+            amountOut: fill.amountOut.toString(),
+            realizedPnLUSD: position.realizedPnLUSD.toFixed(4)
+        });
+
+        return position;
+    }
+
+    // inventoryFraction of the wallet balance, capped at maxPositionUSD
+    async sizeEntry(token) {
+        const { provider } = await RPCManager.getHealthyProvider();
+        const erc20 = new ethers.Contract(token, ERC20_ABI, provider);
+        const balance = await erc20.balanceOf(this.transactionBuilder.wallet.address);
+
+        let amount = balance * BigInt(Math.round(this.settings.inventoryFraction * 10000)) / 10000n;
+
+        const cap = await TokenAmount.fromUSD(this.tokenManager, token, this.settings.maxPositionUSD);
+        if (!cap) return null;
+        if (cap.raw < amount) amount = cap.raw;
+
+        return amount > 0n ? amount : null;
+    }
+
+    async getRoute(fromToken, toToken, amount) {
+        const route = await this.aggregatorService.getBestRoute(fromToken, toToken, amount, {
+            recipient: this.transactionBuilder.wallet.address,
+            slippage: this.settings.slippagePercent,
+            assemble: !this.dryRun
+        });
+        if (!route) {
+            throw new Error(`No route for ${fromToken} -> ${toToken}`);
+        }
+        return route;
+    }
+
+    async getGasPrice() {
+        const { provider } = await RPCManager.getHealthyProvider();
+        const feeData = await provider.getFeeData();
+        return feeData.gasPrice || feeData.maxFeePerGas || 0n;
+    }
+
+    // Dry runs fill at the quoted amount; live legs are sent from the bot wallet and read back from the receipt
+    // onSent({ txHash, nonce }) is called once the leg's transaction is out, before it resolves
+    async executeLeg(route, fromToken, toToken, amountIn, leg, onSent = null) {
+        if (this.dryRun) {
+            const gasUsed = BigInt(route.gasEstimate || 0);
+            return {
+                amountOut: route.returnAmount,
+                gasCostUSD: await this.profitCalculator.calculateGasCostUSD(gasUsed * await this.getGasPrice()),
+                txHash: null
+            };
+        }
+
+        if (!route.transactionData) {
+            throw new Error(`${route.aggregator} returned no transaction for the ${leg} leg`);
+        }
+
+        const { to, data, value } = route.transactionData;
+        const approvalGasUSD = await this.ensureAllowance(fromToken, to, amountIn);
+        const receipt = await this.send({ to, data, value }, leg, onSent);
+        return this.readFill(receipt, toToken, approvalGasUSD);
+    }
+
+    // What a leg's receipt transferred to the wallet, and its gas
+    async readFill(receipt, toToken, approvalGasUSD) {
+        const wallet = this.transactionBuilder.wallet.address.toLowerCase();
+
+        const amountOut = receipt.logs
+            .filter(log => log.address.toLowerCase() === toToken.toLowerCase())
+            .map(log => this.erc20.parseLog(log))
+            .filter(event => event && event.name === 'Transfer' && event.args.to.toLowerCase() === wallet)
+            .reduce((sum, event) => sum + event.args.value, 0n);
+
+        return {
+            amountOut,
+            gasCostUSD: approvalGasUSD + await this.profitCalculator.calculateGasCostUSD(receipt.gasUsed * receipt.gasPrice),
+            txHash: receipt.hash
+        };
+    }
+
+    async ensureAllowance(token, spender, amount) {
+        const { provider } = await RPCManager.getHealthyProvider();
+        const erc20 = new ethers.Contract(token, ERC20_ABI, provider);
+        const allowance = await erc20.allowance(this.transactionBuilder.wallet.address, spender);
+        if (allowance >= amount) return 0;
+
+        const receipt = await this.send({ to: token, data: this.erc20.encodeFunctionData('approve', [spender, amount]) }, 'approval');
+        return this.profitCalculator.calculateGasCostUSD(receipt.gasUsed * receipt.gasPrice);
+    }
+
+    async send(call, leg, onSent = null) {
+        const { txHash, signedTx, txData } = await this.transactionBuilder.buildWalletTransaction(call);
+        const opportunity = { type: 'statistical', leg };
+
+        await this.transactionBuilder.sendTransaction(signedTx);
+        this.journal.recordTransaction(opportunity, txHash, txData);
+        if (onSent) {
+            onSent({ txHash, nonce: txData.nonce !== undefined ? Number(txData.nonce) : null });
+        }
+
+        const result = await this.txLifecycleMonitor.track(txHash, { opportunity });
+        if (result.receipt) {
+            this.journal.recordReceipt(result.receipt);
+        }
+        if (result.outcome !== 'confirmed') {
+            throw new Error(`Stat-arb ${leg} transaction ${result.outcome}`);
+        }
+
+        return result.receipt;
+    }
+
+    getOpenPositions() {
+        return [...this.positions.values()];
+    }
+
+    getSummary() {
+        const wins = this.closed.filter(position => position.realizedPnLUSD > 0).length;
+        const byReason = {};
+        for (const position of this.closed) {
+            byReason[position.exitReason] = (byReason[position.exitReason] || 0) + 1;
+        }
+
+        return {
+            open: this.getOpenPositions(),
+            closed: this.closed.length,
+            wins,
+            losses: this.closed.length - wins,
+            realizedPnLUSD: this.closed.reduce((sum, position) => sum + position.realizedPnLUSD, 0),
+            unrealizedPnLUSD: this.getOpenPositions().reduce((sum, position) => sum + (position.unrealizedPnLUSD || 0), 0),
+            exitsByReason: byReason
+        };
+    }
+}
+
+module.exports = PositionBook;
@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('../config/config.json');
+const RPCManager = require('./rpcManager');
+const { Logger } = require('./utils');
+
+const STORE_VERSION = 1;
+const DATA_DIR = path.join(__dirname, '../data/prices');
+
+// Narrowest tick spacing first, same preference as ZScoreEngine.readPoolPrice
+const TICK_SPACINGS = config.aerodromeCLTickSpacings;
+
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+const FACTORY = new ethers.Interface([
+    'function getPool(address tokenA, address tokenB, int24 tickSpacing) view returns (address pool)'
+]);
+
+const POOL = new ethers.Interface([
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick)',
+    'function liquidity() view returns (uint128)'
+]);
+
+// Slipstream pools emit the Uniswap V3 Swap, which carries the pool's post-swap price and liquidity
+const SWAP_EVENTS = new ethers.Interface([
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+]);
+
+const SWAP_TOPIC = SWAP_EVENTS.getEvent('Swap').topicHash;
+
+function priceFromSqrt(sqrtPriceX96, liquidity) {
+    if (liquidity === 0n) return null;
+    return (Number(sqrtPriceX96) ** 2) / (2 ** 192);
+}
+
+// Rebuilds each token's price series (the Aerodrome Slipstream WETH pool price ZScoreEngine.readPoolPrice reads) from
+// the pool's Swap events instead of reading slot0 block by block. Every token's pool shares one eth_getLogs
+// per logChunkBlocks, and the price going into a range comes from one Multicall3 batch of slot0/liquidity
+// reads, so only that seed block (and, for a pool created since, a search for its creation block) needs
+// archive state. Series are kept on disk as per-block change points under dataDir, so a restart only fetches
+// the blocks it missed.
+class PriceIngestion {
+    constructor(settings = {}) {
+        this.settings = {
+            enabled: true,
+            dataDir: DATA_DIR,
+            logChunkBlocks: 2000,
+            multicallBatchSize: 100,
+            multicallAddress: '0xcA11bde05977b3631167028862bE2a173976CA11',
+            retainBlocks: 20000,
+            reorgDepth: 5,
+            ...config.priceIngestionSettings,
+            ...settings
+        };
+        // token -> { token, pool, fromBlock, toBlock, seed, created: [blockNumber, price] | null, points: [[blockNumber, price]] }
+        this.series = new Map();
+        this.missingPools = new Set();
+        // Syncs extend the same series in place, one at a time
+        this.queue = Promise.resolve();
+    }
+
+    isEnabled() {
+        return Boolean(this.settings.enabled);
+    }
+
+    getFile(token) {
+        return path.join(this.settings.dataDir, `${token}.json`);
+    }
+
+    load(token) {
+        if (this.series.has(token)) {
+            return this.series.get(token);
+        }
+
+        const file = this.getFile(token);
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (stored.version !== STORE_VERSION || stored.chainId !== config.chainId) {
+                return null;
+            }
+
+            const { version, chainId, ...series } = stored;
+            this.series.set(token, series);
+            return series;
+        } catch (error) {
+            Logger.logWarning(`Ignoring unreadable price series ${file}`, error.message);
+            return null;
+        }
+    }
+
+    save(series) {
+        fs.mkdirSync(this.settings.dataDir, { recursive: true });
+        fs.writeFileSync(this.getFile(series.token), JSON.stringify({ version: STORE_VERSION, chainId: config.chainId, ...series }));
+    }
+
+    // Ensures every token's series covers [fromBlock, toBlock]
+    sync(tokens, fromBlock, toBlock) {
+        const run = this.queue.then(() => this.ingest(tokens.map(token => token.toLowerCase()), Math.max(fromBlock, 1), toBlock));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async ingest(tokens, fromBlock, toBlock) {
+        const { provider } = await RPCManager.getHealthyProvider();
+        await this.resolvePools(provider, tokens, fromBlock);
+
+        const tracked = tokens.map(token => this.series.get(token)).filter(Boolean);
+        const changed = new Set();
+
+        // New series, or ones starting after fromBlock, are filled backwards from a seed at fromBlock - 1
+        const backfill = tracked.filter(series => series.fromBlock === null || series.fromBlock > fromBlock);
+        if (backfill.length > 0) {
+            const ends = backfill.map(series => (series.fromBlock === null ? toBlock : series.fromBlock - 1));
+            const seeds = await this.readPrices(provider, backfill.map(series => series.pool), fromBlock - 1);
+            const swaps = await this.fetchSwaps(provider, backfill.map(series => series.pool), fromBlock, Math.max(...ends));
+
+            backfill.forEach((series, i) => {
+                let points = swaps.get(series.pool).filter(([blockNumber]) => blockNumber <= ends[i]);
+                // A pool created inside the range is priced from its creation, which already includes that block's swaps
+                if (series.created && series.created[0] >= fromBlock && series.created[0] <= ends[i]) {
+                    points = [series.created, ...points.filter(([blockNumber]) => blockNumber > series.created[0])];
+                }
+                series.points = [...points, ...series.points];
+                series.seed = seeds[i];
+                series.fromBlock = fromBlock;
+                series.toBlock = series.toBlock === null ? ends[i] : series.toBlock;
+                changed.add(series);
+            });
+        }
+
+        const forward = tracked.filter(series => series.toBlock < toBlock);
+        if (forward.length > 0) {
+            // The newest reorgDepth blocks may have been replaced since they were stored, so they are read again
+            for (const series of forward) {
+                series.toBlock = Math.max(series.fromBlock - 1, series.toBlock - this.settings.reorgDepth);
+                series.points = series.points.filter(([blockNumber]) => blockNumber <= series.toBlock);
+            }
+
+            const start = Math.min(...forward.map(series => series.toBlock)) + 1;
+            const swaps = await this.fetchSwaps(provider, forward.map(series => series.pool), start, toBlock);
+
+            for (const series of forward) {
+                series.points.push(...swaps.get(series.pool).filter(([blockNumber]) => blockNumber > series.toBlock));
+                series.toBlock = toBlock;
+                changed.add(series);
+            }
+        }
+
+        for (const series of changed) {
+            this.prune(series);
+            this.save(series);
+        }
+    }
+
+    // Finds the price pool of tokens with no series yet, as it stood at the seed block so the whole range comes
+    // from one pool. A pool created since is taken from the head instead, with the block it was created in and
+    // its price there, so its series starts at creation rather than at its first swap. Tokens without any pool
+    // are skipped until restart.
+    async resolvePools(provider, tokens, fromBlock) {
+        const unresolved = tokens.filter(token =>
+            !this.missingPools.has(token) && token !== config.baseTokens[0].toLowerCase() && !this.load(token)
+        );
+        if (unresolved.length === 0) return;
+
+        const seedBlock = fromBlock - 1;
+        let archived = true;
+        let pools;
+        try {
+            pools = (await this.findPools(provider, unresolved, seedBlock)).map(candidates => candidates[0]);
+        } catch (error) {
+            Logger.logWarning(`No factory state at block ${seedBlock}, resolving price pools at the head`, error.message);
+            archived = false;
+            pools = unresolved.map(() => undefined);
+        }
+
+        const late = unresolved.filter((_, i) => !pools[i]);
+        const current = late.length > 0 ? await this.findPools(provider, late, 'latest') : [];
+
+        for (const [i, token] of unresolved.entries()) {
+            const series = { token, pool: pools[i], fromBlock: null, toBlock: null, seed: null, created: null, points: [] };
+
+            if (!series.pool) {
+                [series.pool] = current[late.indexOf(token)];
+                if (!series.pool) {
+                    this.missingPools.add(token);
+                    continue;
+                }
+                if (archived) {
+                    series.created = await this.findCreation(provider, token, series.pool, seedBlock);
+                }
+            }
+
+            series.pool = series.pool.toLowerCase();
+            this.series.set(token, series);
+        }
+    }
+
+    // Each token's Slipstream pools at blockTag, in TICK_SPACINGS order
+    async findPools(provider, tokens, blockTag) {
+        const calls = tokens.flatMap(token => TICK_SPACINGS.map(tickSpacing => ({
+            target: config.aerodromeCLFactoryAddress,
+            iface: FACTORY,
+            method: 'getPool',
+            args: [token, config.baseTokens[0], tickSpacing]
+        })));
+        const results = await this.multicall(provider, calls, blockTag);
+
+        return tokens.map((_, i) => results
+            .slice(i * TICK_SPACINGS.length, (i + 1) * TICK_SPACINGS.length)
+            .map(result => result && result.pool)
+            .filter(address => address && address !== ethers.ZeroAddress));
+    }
+
+    // [blockNumber, price] of the block the pool was created in, searched for between a block it didn't exist
+    // in and the head. The factory initialises the pool on creation, so that price holds until the first swap.
+    async findCreation(provider, token, pool, absentBlock) {
+        let low = absentBlock;
+        let high = await provider.getBlockNumber();
+
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            const [candidates] = await this.findPools(provider, [token], mid);
+            if (candidates.includes(pool)) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+
+        const [price] = await this.readPrices(provider, [pool], high);
+        return [high, price];
+    }
+
+    // Pool prices at blockTag, null where the pool is empty or the node no longer has that state
+    async readPrices(provider, pools, blockTag) {
+        const calls = pools.flatMap(pool => [
+            { target: pool, iface: POOL, method: 'slot0', args: [] },
+            { target: pool, iface: POOL, method: 'liquidity', args: [] }
+        ]);
+
+        let results;
+        try {
+            results = await this.multicall(provider, calls, blockTag);
+        } catch (error) {
+            Logger.logWarning(`No pool state at block ${blockTag}, prices before the first swap are unknown`, error.message);
+            return pools.map(() => null);
+        }
+
+        return pools.map((_, i) => {
+            const [slot0, liquidity] = results.slice(i * 2, i * 2 + 2);
+            return slot0 && liquidity ? priceFromSqrt(slot0.sqrtPriceX96, liquidity[0]) : null;
+        });
+    }
+
+    // Calls are { target, iface, method, args }; failed calls come back as null
+    async multicall(provider, calls, blockTag) {
+        const multicall = new ethers.Contract(this.settings.multicallAddress, MULTICALL3_ABI, provider);
+        const results = [];
+
+        for (let i = 0; i < calls.length; i += this.settings.multicallBatchSize) {
+            const batch = calls.slice(i, i + this.settings.multicallBatchSize);
+            const response = await multicall.aggregate3.staticCall(
+                batch.map(call => ({ target: call.target, allowFailure: true, callData: call.iface.encodeFunctionData(call.method, call.args) })),
+                { blockTag }
+            );
+
+            response.forEach((result, j) => {
+                const call = batch[j];
+                results.push(result.success && result.returnData !== '0x' ?
+                    call.iface.decodeFunctionResult(call.method, result.returnData) :
+                    null);
+            });
+        }
+
+        return results;
+    }
+
+    // The last Swap price in each block per pool, in block order
+    async fetchSwaps(provider, pools, fromBlock, toBlock) {
+        const swaps = new Map(pools.map(pool => [pool, []]));
+
+        for (let start = fromBlock; start <= toBlock; start += this.settings.logChunkBlocks) {
+            const end = Math.min(start + this.settings.logChunkBlocks - 1, toBlock);
+            const logs = await provider.getLogs({ address: pools, topics: [SWAP_TOPIC], fromBlock: start, toBlock: end });
+            logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+            for (const log of logs) {
+                const points = swaps.get(log.address.toLowerCase());
+                const parsed = points && SWAP_EVENTS.parseLog(log);
+                if (!parsed) continue;
+
+                const price = priceFromSqrt(parsed.args.sqrtPriceX96, parsed.args.liquidity);
+                const last = points[points.length - 1];
+                if (last && last[0] === log.blockNumber) {
+                    last[1] = price;
+                } else {
+                    points.push([log.blockNumber, price]);
+                }
+            }
+        }
+
+        return swaps;
+    }
+
+    prune(series) {
+        const fromBlock = series.toBlock - this.settings.retainBlocks + 1;
+        if (fromBlock <= series.fromBlock) return;
+
+        series.seed = this.priceAt(series, fromBlock - 1);
+        series.points = series.points.filter(([blockNumber]) => blockNumber >= fromBlock);
+        series.fromBlock = fromBlock;
+    }
+
+    // Price at the end of blockNumber, or null outside the stored range
+    priceAt(series, blockNumber) {
+        if (blockNumber < series.fromBlock - 1 || blockNumber > series.toBlock) return null;
+
+        let low = 0;
+        let high = series.points.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (series.points[mid][0] <= blockNumber) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return found >= 0 ? series.points[found][1] : series.seed;
+    }
+
+    getPrices(token, blocks) {
+        const series = this.series.get(token.toLowerCase());
+        return blocks.map(blockNumber => (series ? this.priceAt(series, blockNumber) : null));
+    }
+}
+
+module.exports = PriceIngestion;
@@ -1,15 +1,25 @@
 const { ethers } = require('ethers');
 const math = require('mathjs');
+const NodeCache = require('node-cache');
 const config = require('../config/config.json');
 const RPCManager = require('./rpcManager');
-const TokenManager = require('./tokenManager');
+const TokenManager = require('./TokenManager');
+const TokenAmount = require('./tokenAmount');
+const FlashLoanPlanner = require('./flashLoanPlanner');
+const ArbitrageEncoder = require('./arbitrageEncoder');
+const ForkSimulator = require('./forkSimulator');
 const { Logger } = require('./utils');
 
 class ProfitCalculator {
-    constructor() {
-        this.tokenManager = new TokenManager();
-        this.slippageModel = new SlippageModel();
+    // deps.tokenManager shares prices with the rest of the pipeline; deps.priceHistory
+    // ({ getPriceHistory(token, lookback) }) replaces live sampling for volatility; deps.forkSimulator
+    // overrides the one built from forkSimulatorSettings
+    constructor(flashLoanPlanner = null, deps = {}) {
+        this.tokenManager = deps.tokenManager || new TokenManager();
+        this.flashLoanPlanner = flashLoanPlanner || new FlashLoanPlanner(this.tokenManager);
+        this.slippageModel = new SlippageModel(deps.priceHistory || null);
         this.gasModel = new GasModel();
+        this.forkSimulator = deps.forkSimulator || new ForkSimulator();
         this.initialized = false;
     }
 
@@ -59,6 +69,7 @@ class ProfitCalculator {
             );
             
             const flashLoanCost = this.calculateFlashLoanCost(
+                opportunity,
                 inputAmount,
                 path[0].fromToken,
                 tokenPrices[path[0].fromToken]
@@ -110,13 +121,16 @@ class ProfitCalculator {
     }
 
     calculateUSDValue(amount, tokenAddress, priceUSD) {
-        if (!priceUSD || priceUSD <= 0) return 0;
-        
-        const token = this.tokenManager.getTokenByAddress(tokenAddress);
-        const decimals = token ? token.decimals : 18;
-        
-        const amountNumber = Number(ethers.formatUnits(amount, decimals));
-        return amountNumber * priceUSD;
+        return TokenAmount.from(this.tokenManager, tokenAddress, amount).toUSDAt(priceUSD);
+    }
+
+    // Gas is never treated as free: without an ETH price the estimate fails instead
+    async calculateGasCostUSD(gasCostWei) {
+        const gasCostUSD = await TokenAmount.native(gasCostWei).toUSD(this.tokenManager);
+        if (gasCostUSD === null) {
+            throw new Error('No ETH price available to value gas');
+        }
+        return gasCostUSD;
     }
 
     async estimateGasCost(opportunity, simulatedGasUsed = null) {
@@ -131,12 +145,7 @@ class ProfitCalculator {
                 this.estimateTransactionGas(opportunity);
             
             const gasCostWei = gasPrice * totalGas;
-            const gasCostETH = Number(ethers.formatUnits(gasCostWei, 18));
-            
-            const ethPrice = await this.tokenManager.getTokenPriceWithFallback(config.baseTokens[0]);
-            const gasCostUSD = gasCostETH * (ethPrice || 1800);
-            
-            return gasCostUSD;
+            return await this.calculateGasCostUSD(gasCostWei);
         } catch (error) {
             Logger.logWarning('Gas estimation failed, using fallback', error.message);
             return 10;
@@ -179,7 +188,44 @@ class ProfitCalculator {
         }
     }
 
-    calculateFlashLoanCost(amount, tokenAddress, priceUSD) {
+    // Cheapest lender with enough liquidity for the path's single borrow; only Aave lends several assets at once.
+    // Returns the plan ({ feasible, provider, lender, borrows, premiumUSD }) or { feasible: false, reason }.
+    async selectFlashLoanSource(opportunity) {
+        const borrows = this.flashLoanPlanner.getFundingRequirements(opportunity.path);
+        if (borrows.length !== 1) {
+            return this.flashLoanPlanner.plan(opportunity);
+        }
+        
+        const [borrow] = borrows;
+        const sources = (await this.flashLoanPlanner.quotePathSources(borrow.asset, borrow.amount, opportunity.path))
+            .filter(source => !source.reason)
+            .sort((a, b) => a.premiumBps - b.premiumBps || (b.available > a.available ? 1 : -1));
+        
+        if (sources.length === 0) {
+            return { feasible: false, reason: `${borrow.asset}: no flash loan source with enough liquidity` };
+        }
+        
+        const [source] = sources;
+        const premiumUSD = await this.flashLoanPlanner.priceBorrow(borrow, source.premiumBps);
+        if (premiumUSD === null) {
+            return { feasible: false, reason: `${borrow.asset}: no USD price` };
+        }
+        
+        return {
+            feasible: true,
+            provider: source.provider,
+            lender: source.lender,
+            borrows: [borrow],
+            premiumUSD
+        };
+    }
+
+    calculateFlashLoanCost(opportunity, amount, tokenAddress, priceUSD) {
+        // Planned loans are priced per borrowed reserve at Aave's live premium
+        if (opportunity.flashLoan && opportunity.flashLoan.feasible) {
+            return opportunity.flashLoan.premiumUSD;
+        }
+        
         const premiumBps = config.flashLoanPremiumBps || 9;
         const premium = amount * ethers.getBigInt(premiumBps) / 10000n;
         
@@ -226,6 +272,15 @@ class ProfitCalculator {
                 result: null
             };
             
+            // A revert on the fork is a verdict; only an unusable fork falls through to the other backends
+            if (this.forkSimulator.isEnabled()) {
+                try {
+                    return await this.performForkSimulation(opportunity, provider);
+                } catch (error) {
+                    Logger.logWarning('Fork simulation failed, falling back', error.message);
+                }
+            }
+            
             if (config.testMode) {
                 return await this.performLocalSimulation(opportunity, provider);
             }
@@ -247,6 +302,47 @@ class ProfitCalculator {
         }
     }
 
+    async performForkSimulation(opportunity, provider) {
+        const result = await this.forkSimulator.simulate(opportunity);
+        if (!result.success) {
+            // The fork only returns a failure for a contract revert; its decoded reason needn't say so
+            return {
+                success: false,
+                error: result.error,
+                failure: 'revert',
+                gasUsed: result.gasUsed,
+                logs: [`Fork simulation at block ${result.blockNumber}`]
+            };
+        }
+        
+        const feeData = await provider.getFeeData();
+        const gasPrice = feeData.gasPrice || feeData.maxFeePerGas || 0n;
+        const gasCostUSD = await this.calculateGasCostUSD(result.gasUsed * gasPrice);
+        
+        const realizedUSD = await TokenAmount.from(this.tokenManager, result.profitToken, result.profit).toUSD(this.tokenManager);
+        if (realizedUSD === null) {
+            throw new Error(`No price for profit token ${result.profitToken}`);
+        }
+        
+        // The emitted profit is already net of the flash loan premium
+        const profit = await this.calculateExpectedProfit(opportunity);
+        const netProfitUSD = realizedUSD - gasCostUSD;
+        
+        return {
+            success: netProfitUSD > 0,
+            error: netProfitUSD > 0 ? null : `Fork profit $${realizedUSD.toFixed(2)} does not cover gas $${gasCostUSD.toFixed(2)}`,
+            gasUsed: result.gasUsed,
+            gasCostUSD,
+            netProfitUSD,
+            netProfitPercent: profit.inputValueUSD > 0 ? (netProfitUSD / profit.inputValueUSD) * 100 : 0,
+            profitDetails: {
+                ...profit,
+                grossProfitUSD: realizedUSD + profit.flashLoanCostUSD
+            },
+            logs: result.logs
+        };
+    }
+
     async performLocalSimulation(opportunity, provider) {
         const gasEstimates = [];
         
@@ -261,10 +357,7 @@ class ProfitCalculator {
         const gasPrice = feeData.gasPrice || feeData.maxFeePerGas || 0n;
         
         const gasCostWei = totalGas * gasPrice;
-        const gasCostETH = Number(ethers.formatUnits(gasCostWei, 18));
-        
-        const ethPrice = await this.tokenManager.getTokenPriceWithFallback(config.baseTokens[0]);
-        const gasCostUSD = gasCostETH * (ethPrice || 1800);
+        const gasCostUSD = await this.calculateGasCostUSD(gasCostWei);
         
         const profit = await this.calculateExpectedProfit(opportunity);
         
@@ -275,6 +368,7 @@ class ProfitCalculator {
             gasUsed: totalGas,
             gasCostUSD,
             netProfitUSD,
+            netProfitPercent: profit.inputValueUSD > 0 ? (netProfitUSD / profit.inputValueUSD) * 100 : 0,
             profitDetails: profit,
             logs: ['Local simulation completed']
         };
@@ -369,9 +463,7 @@ class ProfitCalculator {
             const gasPrice = feeData.gasPrice || feeData.maxFeePerGas || 0n;
             
             const gasCostWei = gasUsed * gasPrice;
-            const gasCostETH = Number(ethers.formatUnits(gasCostWei, 18));
-            const ethPrice = await this.tokenManager.getTokenPriceWithFallback(config.baseTokens[0]);
-            const gasCostUSD = gasCostETH * (ethPrice || 1800);
+            const gasCostUSD = await this.calculateGasCostUSD(gasCostWei);
             
             const profit = await this.calculateExpectedProfit(opportunity);
             const netProfitUSD = profit.grossProfitUSD - gasCostUSD - profit.flashLoanCostUSD;
@@ -381,6 +473,7 @@ class ProfitCalculator {
                 gasUsed,
                 gasCostUSD,
                 netProfitUSD,
+                netProfitPercent: profit.inputValueUSD > 0 ? (netProfitUSD / profit.inputValueUSD) * 100 : 0,
                 profitDetails: profit,
                 logs: simulation.transaction.transaction_info.logs || []
             };
@@ -394,7 +487,7 @@ class ProfitCalculator {
             network_id: config.chainId.toString(),
             from: config.botWallet,
             to: process.env.ARB_CONTRACT_ADDRESS,
-            input: this.encodeArbitrageCall(opportunity),
+            input: ArbitrageEncoder.encode(opportunity),
             gas: 8000000,
             gas_price: '0',
             value: '0',
@@ -403,35 +496,6 @@ class ProfitCalculator {
         };
     }
 
-    encodeArbitrageCall(opportunity) {
-        const iface = new ethers.Interface([
-            'function executeArbitrage(tuple(address[] tokens, uint256[] amounts, address[] aggregators, bytes[] swapData) path, uint256 flashLoanAmount, uint256 minProfit)'
-        ]);
-        
-        const encodedPath = {
-            tokens: opportunity.path.map(hop => hop.fromToken).concat([opportunity.path[opportunity.path.length - 1].toToken]),
-            amounts: opportunity.path.map(hop => hop.amount),
-            aggregators: opportunity.path.map(hop => this.getAggregatorAddress(hop.dex)),
-            swapData: opportunity.path.map(() => '0x')
-        };
-        
-        return iface.encodeFunctionData('executeArbitrage', [
-            encodedPath,
-            opportunity.amount,
-            opportunity.minProfit || 0
-        ]);
-    }
-
-    getAggregatorAddress(aggregatorName) {
-        const aggregators = {
-            'odos': '0xCf5540fFFCdC3d510B18bFcA6d56b9d8C1E6d8b7',
-            'oneInch': '0x1111111254EEB25477B68fb85Ed929f73A960582',
-            'cow': '0x9008D19f58AAbD9eD0D60971565AA8510560ab41'
-        };
-        
-        return aggregators[aggregatorName] || ethers.ZeroAddress;
-    }
-
     async calculateExpectedProfit(opportunity) {
         const tokenPrices = await this.getTokenPrices(opportunity.path);
         
@@ -446,6 +510,7 @@ class ProfitCalculator {
         const grossProfitUSD = outputValueUSD - inputValueUSD;
         
         const flashLoanCostUSD = this.calculateFlashLoanCost(
+            opportunity,
             inputAmount,
             inputToken,
             tokenPrices[inputToken]
@@ -468,7 +533,7 @@ class ProfitCalculator {
     async logProfitBreakdown(opportunity, breakdown) {
         Logger.logInfo('Profit Breakdown:', {
             type: opportunity.type,
-            inputAmount: ethers.formatUnits(opportunity.amount, 18),
+            inputAmount: TokenAmount.from(this.tokenManager, opportunity.path[0].fromToken, opportunity.amount).format(),
             inputValueUSD: breakdown.inputValueUSD.toFixed(2),
             outputValueUSD: breakdown.outputValueUSD.toFixed(2),
             grossProfitUSD: breakdown.grossProfitUSD.toFixed(2),
@@ -599,7 +664,8 @@ class ProfitCalculator {
 }
 
 class SlippageModel {
-    constructor() {
+    constructor(priceHistory = null) {
+        this.priceHistory = priceHistory;
         this.history = new Map();
         this.slippageCache = new NodeCache({ stdTTL: 60 });
     }
@@ -723,6 +789,10 @@ class SlippageModel {
         const cached = this.slippageCache.get(cacheKey);
         if (cached) return cached;
         
+        if (this.priceHistory) {
+            return this.priceHistory.getPriceHistory(token, lookback);
+        }
+        
         try {
             const tokenManager = new TokenManager();
             const prices = [];
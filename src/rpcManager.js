@@ -1,16 +1,125 @@
+const { EventEmitter } = require('events');
 const { ethers } = require('ethers');
 const NodeCache = require('node-cache');
 const Bottleneck = require('bottleneck');
 const config = require('../config/config.json');
 
+// Times every JSON-RPC round trip so latency and failures can be attributed per endpoint
+class InstrumentedJsonRpcProvider extends ethers.JsonRpcProvider {
+    constructor(url, network, options, onRequest) {
+        super(url, network, options);
+        this.onRequest = onRequest;
+    }
+
+    async _send(payload) {
+        const start = Date.now();
+        const method = Array.isArray(payload) ? payload.map(p => p.method).join(',') : payload.method;
+
+        try {
+            const result = await super._send(payload);
+            this.onRequest(method, Date.now() - start, !result.some(r => r.error));
+            return result;
+        } catch (error) {
+            this.onRequest(method, Date.now() - start, false);
+            throw error;
+        }
+    }
+}
+
 class RPCManager {
     constructor() {
         this.nodes = [];
         this.currentIndex = 0;
         this.healthCache = new NodeCache({ stdTTL: 60 });
+        this.metricsCollector = null;
+        this.highestBlock = 0;
+
+        const settings = config.rpcSettings;
+        this.latencyAlpha = settings.latencyAlpha || 0.2;
+        this.errorWindowSize = settings.errorWindowSize || 50;
+        this.maxErrorRate = settings.maxErrorRate || 0.5;
+        this.maxBlockLag = settings.maxBlockLag || 3;
+        this.criticalPoolSize = settings.criticalPoolSize || 2;
+        this.blockLagCheckIntervalMs = settings.blockLagCheckIntervalMs || 5000;
+        this.wsReconnectDelayMs = settings.wsReconnectDelayMs || 2000;
+        this.wsMaxReconnectDelayMs = settings.wsMaxReconnectDelayMs || 30000;
+        this.wsStaleBlockMs = settings.wsStaleBlockMs || 15000;
+        this.pollingIntervalMs = settings.pollingIntervalMs || 2000;
+        this.logChunkBlocks = settings.logChunkBlocks || 2000;
+
+        // Shared new-block / new-log bus; every module subscribes here instead of running its own timer
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(100);
+        this.logSubscriptions = new Map();
+        this.nextSubscriptionId = 1;
+        this.lastBlockNumber = 0;
+        this.lastBlockAt = 0;
+        this.ws = null;
+        this.wsIndex = 0;
+        this.wsAttempts = 0;
+        this.pollingTimer = null;
+        this.polling = false;
+        this.pendingHttpProvider = null;
+        this.streamStarted = false;
+        this.pendingListener = (txHash) => this.events.emit('pending', txHash);
+        this.pinnedProvider = null;
+
+        this.quorumSettings = {
+            size: 3,
+            minAgreement: 2,
+            maxDisagreements: 3,
+            ...settings.quorum
+        };
+
         this.initializeNodes();
     }
 
+    setMetricsCollector(metricsCollector) {
+        this.metricsCollector = metricsCollector;
+    }
+
+    recordRequest(node, method, duration, success) {
+        this.recordSample(node, duration, success);
+
+        if (this.metricsCollector) {
+            this.metricsCollector.recordRPCRequest(node.endpoint, duration, success, method);
+        }
+    }
+
+    recordSample(node, latency, success) {
+        // Failed calls often return fast, so only successes feed the latency average
+        if (success) {
+            node.latencyEwma = node.latencyEwma === null ?
+                latency :
+                this.latencyAlpha * latency + (1 - this.latencyAlpha) * node.latencyEwma;
+        }
+
+        node.outcomes.push(success);
+        if (node.outcomes.length > this.errorWindowSize) {
+            node.outcomes.shift();
+        }
+
+        if (node.isHealthy &&
+            node.outcomes.length >= 10 &&
+            this.getErrorRate(node) > this.maxErrorRate) {
+            console.warn(`RPC ${node.url} error rate ${(this.getErrorRate(node) * 100).toFixed(0)}% over last ${node.outcomes.length} calls`);
+            node.outcomes = [];
+            this.markUnhealthy(node.id);
+        }
+    }
+
+    getErrorRate(node) {
+        if (node.outcomes.length === 0) return 0;
+        return node.outcomes.filter(ok => !ok).length / node.outcomes.length;
+    }
+
+    // Lower is better: expected latency inflated by recent errors, with lagging nodes pushed to the back
+    getScore(node) {
+        const latency = node.latencyEwma === null ? config.rpcSettings.requestTimeoutMs / 10 : node.latencyEwma;
+        const score = latency * (1 + this.getErrorRate(node) * 10);
+        return node.isLagging ? score * 100 : score;
+    }
+
     initializeNodes() {
         config.rpcNodes.forEach((url, index) => {
             const limiter = new Bottleneck({
@@ -28,48 +137,202 @@ class RPCManager {
                 maxConcurrent: 1
             });
 
-            this.nodes.push({
+            const node = {
                 id: index,
                 url,
-                provider: new ethers.JsonRpcProvider(url, config.chainId, {
-                    staticNetwork: true,
-                    batchMaxCount: 1
-                }),
+                // Host only, so API keys embedded in the path never end up in metric labels
+                endpoint: new URL(url).host,
                 limiter,
                 minuteLimiter,
                 isHealthy: true,
                 lastChecked: 0,
-                failureCount: 0
-            });
+                failureCount: 0,
+                latencyEwma: null,
+                outcomes: [],
+                blockNumber: 0,
+                blockLag: 0,
+                isLagging: false,
+                disagreements: 0
+            };
+
+            node.provider = new InstrumentedJsonRpcProvider(url, config.chainId, {
+                staticNetwork: true,
+                batchMaxCount: 1
+            }, (method, duration, success) => this.recordRequest(node, method, duration, success));
+
+            this.nodes.push(node);
         });
     }
 
-    async getHealthyProvider() {
-        const startIndex = this.currentIndex;
-        let attempts = 0;
+    // purpose 'read' spreads load across every usable node weighted by score;
+    // 'critical' / 'broadcast' always go to the best node of the fastest pool
+    async getHealthyProvider(purpose = 'read') {
+        if (this.pinnedProvider) {
+            return {
+                provider: this.pinnedProvider,
+                endpoint: 'pinned',
+                execute: (fn) => fn(this.pinnedProvider)
+            };
+        }
+
+        let candidates = this.nodes.filter(n => n.isHealthy && !n.isLagging);
 
-        while (attempts < this.nodes.length) {
-            const node = this.nodes[this.currentIndex];
+        if (candidates.length === 0) {
+            candidates = this.nodes.filter(n => n.isHealthy);
+        }
+
+        if (candidates.length === 0) {
+            const anyNode = this.nodes[this.currentIndex];
             this.currentIndex = (this.currentIndex + 1) % this.nodes.length;
+            console.warn(`All RPC nodes unhealthy, using ${anyNode.url} as fallback`);
+            return this.wrapNode(anyNode);
+        }
 
-            if (node.isHealthy) {
-                return {
-                    provider: node.provider,
-                    execute: (fn) => this.executeWithLimiters(node, fn)
-                };
+        const node = purpose === 'read' ?
+            this.pickWeighted(candidates) :
+            this.getCriticalPool(candidates)[0];
+
+        return this.wrapNode(node);
+    }
+
+    // Sends every caller to one provider regardless of purpose (backtest datasets, local forks).
+    // Block numbers restart from the pinned provider's view of the chain.
+    pinProvider(provider) {
+        this.pinnedProvider = provider;
+        this.lastBlockNumber = 0;
+    }
+
+    unpinProvider() {
+        this.pinnedProvider = null;
+    }
+
+    getCriticalPool(candidates = this.nodes.filter(n => n.isHealthy && !n.isLagging)) {
+        return [...candidates]
+            .sort((a, b) => this.getScore(a) - this.getScore(b))
+            .slice(0, this.criticalPoolSize);
+    }
+
+    pickWeighted(candidates) {
+        const weights = candidates.map(node => 1 / this.getScore(node));
+        const total = weights.reduce((sum, w) => sum + w, 0);
+
+        let target = Math.random() * total;
+        for (let i = 0; i < candidates.length; i++) {
+            target -= weights[i];
+            if (target <= 0) {
+                return candidates[i];
             }
+        }
 
-            attempts++;
-            
-            if (attempts === this.nodes.length) {
-                const anyNode = this.nodes.find(n => n.isHealthy) || this.nodes[0];
-                console.warn(`All RPC nodes unhealthy, using ${anyNode.url} as fallback`);
-                return {
-                    provider: anyNode.provider,
-                    execute: (fn) => this.executeWithLimiters(anyNode, fn)
-                };
+        return candidates[candidates.length - 1];
+    }
+
+    wrapNode(node) {
+        return {
+            provider: node.provider,
+            endpoint: node.endpoint,
+            execute: (fn) => this.executeWithLimiters(node, fn)
+        };
+    }
+
+    // Runs fn(provider, blockTag) on several nodes pinned to the same block and returns the
+    // majority answer. Nodes that disagree with the majority are flagged and eventually demoted.
+    async quorumCall(fn, options = {}) {
+        const size = options.size || this.quorumSettings.size;
+        const minAgreement = options.minAgreement || this.quorumSettings.minAgreement;
+        const toKey = options.compare || (value => this.serializeResult(value));
+
+        // A pinned provider, or fewer configured nodes than have to agree, leaves nothing to compare against
+        if (this.pinnedProvider || this.nodes.length < minAgreement) {
+            const { provider } = await this.getHealthyProvider('critical');
+            return fn(provider, options.blockTag ?? 'latest');
+        }
+
+        const pool = this.nodes
+            .filter(n => n.isHealthy && !n.isLagging)
+            .sort((a, b) => this.getScore(a) - this.getScore(b))
+            .slice(0, size);
+
+        if (pool.length < minAgreement) {
+            throw new Error(`Quorum unavailable: ${pool.length} usable nodes, ${minAgreement} required`);
+        }
+
+        const blockTag = options.blockTag !== undefined && options.blockTag !== 'latest' ?
+            options.blockTag :
+            await this.getQuorumBlock(pool);
+
+        const results = await Promise.allSettled(pool.map(node => fn(node.provider, blockTag)));
+
+        const groups = new Map();
+        results.forEach((result, index) => {
+            if (result.status !== 'fulfilled') return;
+
+            const key = toKey(result.value);
+            if (!groups.has(key)) {
+                groups.set(key, { value: result.value, nodes: [] });
+            }
+            groups.get(key).nodes.push(pool[index]);
+        });
+
+        const ranked = [...groups.values()].sort((a, b) => b.nodes.length - a.nodes.length);
+        const majority = ranked[0];
+
+        if (!majority || majority.nodes.length < minAgreement) {
+            console.warn(`RPC quorum not reached at block ${blockTag}: ${ranked.map(g => g.nodes.length).join('/')} of ${pool.length}`);
+            throw new Error(`Quorum not reached at block ${blockTag}`);
+        }
+
+        for (const group of ranked.slice(1)) {
+            for (const node of group.nodes) {
+                this.recordDisagreement(node, blockTag);
             }
         }
+
+        for (const node of majority.nodes) {
+            node.disagreements = 0;
+        }
+
+        return majority.value;
+    }
+
+    async getQuorumBlock(pool) {
+        // The lowest head among the pool is the newest block every member can serve
+        const known = pool.map(n => n.blockNumber).filter(b => b > 0);
+        if (known.length === pool.length) {
+            return Math.min(...known);
+        }
+        return pool[0].provider.getBlockNumber();
+    }
+
+    recordDisagreement(node, blockTag) {
+        node.disagreements = (node.disagreements || 0) + 1;
+        console.warn(`RPC ${node.url} disagreed with quorum at block ${blockTag} (${node.disagreements}/${this.quorumSettings.maxDisagreements})`);
+
+        if (this.metricsCollector) {
+            this.metricsCollector.incrementCounter('rpc_quorum_disagreements_total', 1, { endpoint: node.endpoint });
+        }
+
+        if (node.disagreements >= this.quorumSettings.maxDisagreements) {
+            node.disagreements = 0;
+            this.markUnhealthy(node.id);
+        } else {
+            node.isLagging = true;
+        }
+    }
+
+    serializeResult(value) {
+        return JSON.stringify(value, (key, v) => typeof v === 'bigint' ? v.toString() : v);
+    }
+
+    // A call the chain itself rejected, which every node answers the same way at a given block.
+    // Anything else is the node failing and has to fail a quorum read rather than count as an answer.
+    isRevert(error) {
+        if (error.code === 'BAD_DATA') return true;
+        if (error.code !== 'CALL_EXCEPTION') return false;
+        if (error.data && error.data !== '0x') return true;
+
+        const nodeMessage = (error.info && error.info.error && error.info.error.message) || '';
+        return /revert/i.test(nodeMessage);
     }
 
     async executeWithLimiters(node, fn) {
@@ -103,9 +366,11 @@ class RPCManager {
         const node = this.nodes[nodeId];
         try {
             const start = Date.now();
-            await node.provider.getBlockNumber();
+            const blockNumber = await node.provider.getBlockNumber();
             const latency = Date.now() - start;
             
+            this.updateBlockHeight(node, blockNumber);
+            node.outcomes = [];
             node.isHealthy = true;
             console.log(`RPC ${node.url} health restored, latency: ${latency}ms`);
             return true;
@@ -120,7 +385,46 @@ class RPCManager {
         }
     }
 
+    updateBlockHeight(node, blockNumber) {
+        node.blockNumber = blockNumber;
+        this.highestBlock = Math.max(this.highestBlock, blockNumber);
+    }
+
+    async checkBlockLag() {
+        const active = this.nodes.filter(n => n.isHealthy);
+
+        await Promise.allSettled(active.map(async node => {
+            const blockNumber = await node.provider.getBlockNumber();
+            this.updateBlockHeight(node, blockNumber);
+        }));
+
+        for (const node of active) {
+            node.blockLag = this.highestBlock - node.blockNumber;
+            const lagging = node.blockLag > this.maxBlockLag;
+
+            if (lagging && !node.isLagging) {
+                console.warn(`RPC ${node.url} is ${node.blockLag} blocks behind, demoting`);
+            } else if (!lagging && node.isLagging) {
+                console.log(`RPC ${node.url} caught up, restoring`);
+            }
+
+            node.isLagging = lagging;
+        }
+    }
+
+    // Resolves once every node has been timed and its head read, so the first critical calls are routed by
+    // score rather than all landing on the first configured node
     startHealthChecks() {
+        if (this.blockLagInterval) {
+            return Promise.resolve();
+        }
+
+        this.blockLagInterval = setInterval(() => {
+            this.checkBlockLag().catch(error => {
+                console.warn(`Block lag check failed: ${error.message}`);
+            });
+        }, this.blockLagCheckIntervalMs);
+
         setInterval(() => {
             this.nodes.forEach((node, index) => {
                 if (!node.isHealthy && 
@@ -129,14 +433,325 @@ class RPCManager {
                 }
             });
         }, config.rpcSettings.healthCheckIntervalMs);
+
+        return this.checkBlockLag().catch(error => {
+            console.warn(`Block lag check failed: ${error.message}`);
+        });
+    }
+
+    // A failing subscriber must never take down the stream or surface as an unhandled rejection
+    guard(name, handler) {
+        return (...args) => {
+            Promise.resolve()
+                .then(() => handler(...args))
+                .catch(error => console.warn(`${name} subscriber failed: ${error.message}`));
+        };
+    }
+
+    onBlock(handler) {
+        const listener = this.guard('Block', handler);
+        this.events.on('block', listener);
+        return () => this.events.off('block', listener);
+    }
+
+    // Runs handler every `blocks` blocks, skipping a tick if the previous run is still going
+    onEveryNBlocks(blocks, handler) {
+        let running = false;
+
+        return this.onBlock(async (blockNumber) => {
+            if (blockNumber % blocks !== 0 || running) return;
+
+            running = true;
+            try {
+                await handler(blockNumber);
+            } finally {
+                running = false;
+            }
+        });
+    }
+
+    onLogs(filter, handler) {
+        const id = this.nextSubscriptionId++;
+        const subscription = {
+            id,
+            filter,
+            handler: this.guard('Log', handler),
+            lastBlock: this.lastBlockNumber,
+            wsListener: null,
+            backfilling: false
+        };
+
+        this.logSubscriptions.set(id, subscription);
+        if (this.ws) {
+            this.subscribeLogsWs(subscription);
+        }
+
+        return () => {
+            if (this.ws && subscription.wsListener) {
+                this.ws.off(subscription.filter, subscription.wsListener);
+            }
+            this.logSubscriptions.delete(id);
+        };
+    }
+
+    onPendingTransactions(handler) {
+        const listener = this.guard('Pending transaction', handler);
+        this.events.on('pending', listener);
+
+        if (this.ws && this.events.listenerCount('pending') === 1) {
+            this.ws.on('pending', this.pendingListener);
+        }
+
+        return () => {
+            this.events.off('pending', listener);
+            if (this.ws && this.events.listenerCount('pending') === 0) {
+                this.ws.off('pending', this.pendingListener);
+            }
+        };
+    }
+
+    startEventStream() {
+        if (this.streamStarted) {
+            return;
+        }
+
+        this.streamStarted = true;
+
+        if ((config.rpcWsNodes || []).length === 0) {
+            console.warn('No WebSocket RPC endpoints configured, using HTTP polling for block events');
+            this.startPolling();
+            return;
+        }
+
+        this.connectWebSocket();
+
+        // Some providers drop the socket without a close frame; a silent feed is treated as a drop
+        this.wsWatchdog = setInterval(() => {
+            if (this.ws && Date.now() - this.lastBlockAt > this.wsStaleBlockMs) {
+                this.handleWsDisconnect(new Error(`no blocks for ${this.wsStaleBlockMs}ms`));
+            }
+        }, this.wsStaleBlockMs);
+    }
+
+    stopEventStream() {
+        this.streamStarted = false;
+        clearInterval(this.wsWatchdog);
+        clearTimeout(this.wsReconnectTimer);
+        this.stopPolling();
+        this.teardownWebSocket();
+    }
+
+    connectWebSocket() {
+        const urls = config.rpcWsNodes;
+        const url = urls[this.wsIndex % urls.length];
+
+        try {
+            const ws = new ethers.WebSocketProvider(url, config.chainId, { staticNetwork: true });
+            this.ws = ws;
+            this.lastBlockAt = Date.now();
+
+            ws.websocket.onclose = () => this.handleWsDisconnect(new Error('socket closed'));
+            ws.websocket.onerror = (error) => this.handleWsDisconnect(error);
+
+            ws.on('block', (blockNumber) => this.handleWsBlock(blockNumber));
+
+            for (const subscription of this.logSubscriptions.values()) {
+                this.subscribeLogsWs(subscription);
+            }
+
+            if (this.events.listenerCount('pending') > 0) {
+                ws.on('pending', this.pendingListener);
+            }
+
+            console.log(`Block event stream connected via ${url}`);
+        } catch (error) {
+            this.handleWsDisconnect(error);
+        }
+    }
+
+    handleWsBlock(blockNumber) {
+        this.wsAttempts = 0;
+
+        // Logs only arrive when something matches, so it's the block feed that says a subscription has caught up.
+        // One block short, since that block's own logs may still be on the way; consumers drop replayed logs.
+        for (const subscription of this.logSubscriptions.values()) {
+            if (subscription.wsListener && !subscription.backfilling) {
+                subscription.lastBlock = Math.max(subscription.lastBlock, blockNumber - 1);
+            }
+        }
+
+        this.dispatchBlock(blockNumber);
+    }
+
+    subscribeLogsWs(subscription) {
+        subscription.wsListener = (log) => {
+            // While a backfill is running, the range behind it isn't covered yet
+            if (!subscription.backfilling) {
+                subscription.lastBlock = Math.max(subscription.lastBlock, log.blockNumber);
+            }
+            subscription.handler(log);
+        };
+        this.ws.on(subscription.filter, subscription.wsListener);
+
+        // Catch up on anything emitted while we were disconnected
+        if (subscription.lastBlock > 0 && subscription.lastBlock < this.lastBlockNumber) {
+            this.backfillLogs(subscription, this.lastBlockNumber).catch(error => {
+                console.warn(`Log backfill failed: ${error.message}`);
+            });
+        }
+    }
+
+    handleWsDisconnect(error) {
+        if (!this.ws || !this.streamStarted) return;
+
+        console.warn(`Block event stream dropped (${error.message || 'unknown error'}), falling back to HTTP polling`);
+        this.teardownWebSocket();
+        this.startPolling();
+
+        // Rotate endpoints with exponential backoff; polling covers the gap
+        this.wsIndex++;
+        this.wsAttempts++;
+        const delay = Math.min(this.wsMaxReconnectDelayMs, this.wsReconnectDelayMs * 2 ** (this.wsAttempts - 1));
+
+        this.wsReconnectTimer = setTimeout(() => {
+            if (!this.streamStarted) return;
+            this.stopPolling();
+            this.connectWebSocket();
+        }, delay);
+    }
+
+    teardownWebSocket() {
+        const ws = this.ws;
+        this.ws = null;
+
+        if (!ws) return;
+
+        for (const subscription of this.logSubscriptions.values()) {
+            subscription.wsListener = null;
+        }
+
+        try {
+            ws.websocket.onclose = null;
+            ws.websocket.onerror = null;
+            ws.destroy();
+        } catch (error) {
+            // Socket already gone
+        }
+    }
+
+    startPolling() {
+        if (this.pollingTimer) return;
+
+        // HTTP providers emulate pending subscriptions with filters; one node is enough
+        if (this.events.listenerCount('pending') > 0) {
+            this.getHealthyProvider('critical').then(({ provider }) => {
+                if (!this.pollingTimer) return;
+                this.pendingHttpProvider = provider;
+                provider.on('pending', this.pendingListener);
+            }).catch(error => console.warn(`Pending transaction polling unavailable: ${error.message}`));
+        }
+
+        this.pollingTimer = setInterval(async () => {
+            // A poll backfilling logs after an outage can outlast the interval; overlapping polls would
+            // fetch the same ranges twice and dispatch blocks out of order
+            if (this.polling) return;
+
+            this.polling = true;
+            try {
+                const { provider } = await this.getHealthyProvider();
+                const blockNumber = await provider.getBlockNumber();
+
+                // A subscription whose backfill fails retries from where it got to on the next poll; it
+                // mustn't hold back the other subscriptions or the block itself
+                for (const subscription of this.logSubscriptions.values()) {
+                    await this.backfillLogs(subscription, blockNumber).catch(error => {
+                        console.warn(`Log backfill failed at block ${subscription.lastBlock + 1}: ${error.message}`);
+                    });
+                }
+
+                this.dispatchBlock(blockNumber);
+            } catch (error) {
+                console.warn(`Block polling failed: ${error.message}`);
+            } finally {
+                this.polling = false;
+            }
+        }, this.pollingIntervalMs);
+    }
+
+    stopPolling() {
+        clearInterval(this.pollingTimer);
+        this.pollingTimer = null;
+
+        if (this.pendingHttpProvider) {
+            this.pendingHttpProvider.off('pending', this.pendingListener);
+            this.pendingHttpProvider = null;
+        }
+    }
+
+    async backfillLogs(subscription, toBlock) {
+        const fromBlock = subscription.lastBlock > 0 ? subscription.lastBlock + 1 : toBlock;
+        if (fromBlock > toBlock) return;
+
+        const { provider } = await this.getHealthyProvider();
+        subscription.backfilling = true;
+        try {
+            // Nodes cap the range of a getLogs call, so a long outage is read in chunks, keeping each one that lands
+            for (let start = fromBlock; start <= toBlock; start += this.logChunkBlocks) {
+                const end = Math.min(start + this.logChunkBlocks - 1, toBlock);
+                const logs = await provider.getLogs({ ...subscription.filter, fromBlock: start, toBlock: end });
+
+                for (const log of logs) {
+                    subscription.handler(log);
+                }
+                subscription.lastBlock = Math.max(subscription.lastBlock, end);
+            }
+        } finally {
+            subscription.backfilling = false;
+        }
+    }
+
+    dispatchBlock(blockNumber) {
+        this.lastBlockAt = Date.now();
+        if (blockNumber <= this.lastBlockNumber) return;
+
+        // Emit each missed block so block-count triggers never skip, but don't replay long outages
+        const first = this.lastBlockNumber > 0 && blockNumber - this.lastBlockNumber <= 20 ?
+            this.lastBlockNumber + 1 :
+            blockNumber;
+
+        this.lastBlockNumber = blockNumber;
+        this.highestBlock = Math.max(this.highestBlock, blockNumber);
+
+        for (let n = first; n <= blockNumber; n++) {
+            this.events.emit('block', n);
+        }
+    }
+
+    getStreamStatus() {
+        return {
+            mode: this.ws ? 'websocket' : (this.pollingTimer ? 'polling' : 'stopped'),
+            lastBlockNumber: this.lastBlockNumber,
+            lastBlockAt: this.lastBlockAt,
+            logSubscriptions: this.logSubscriptions.size,
+            blockListeners: this.events.listenerCount('block')
+        };
     }
 
     getNodeStats() {
+        const criticalPool = this.getCriticalPool();
+
         return this.nodes.map(node => ({
             url: node.url,
             isHealthy: node.isHealthy,
             failureCount: node.failureCount,
-            queueSize: node.limiter._nextRequestTimestamp
+            queueSize: node.limiter._nextRequestTimestamp,
+            latencyMs: node.latencyEwma === null ? null : Math.round(node.latencyEwma),
+            errorRate: this.getErrorRate(node),
+            blockNumber: node.blockNumber,
+            blockLag: node.blockLag,
+            isLagging: node.isLagging,
+            score: this.getScore(node),
+            inCriticalPool: criticalPool.includes(node)
         }));
     }
 }
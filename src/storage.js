@@ -0,0 +1,471 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./utils');
+
+class TradeJournal {
+    constructor() {
+        this.db = null;
+        this.enabled = false;
+        this.statements = {};
+    }
+
+    initialize(databaseUrl = process.env.DATABASE_URL || 'sqlite:./data/bot.db') {
+        if (this.enabled) {
+            return;
+        }
+
+        if (!databaseUrl.startsWith('sqlite:')) {
+            Logger.logWarning(`Trade journal disabled: unsupported DATABASE_URL scheme "${databaseUrl.split(':')[0]}"`);
+            return;
+        }
+
+        const filename = databaseUrl.slice('sqlite:'.length);
+
+        try {
+            // Required lazily so the bot still runs without the native module
+            const Database = require('better-sqlite3');
+
+            if (filename !== ':memory:') {
+                fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+            }
+
+            this.db = new Database(filename);
+            this.db.pragma('journal_mode = WAL');
+
+            this.createTables();
+            this.prepareStatements();
+            this.enabled = true;
+
+            Logger.logSuccess(`Trade journal opened at ${filename}`);
+        } catch (error) {
+            this.db = null;
+            Logger.logWarning('Trade journal disabled', error.message);
+        }
+    }
+
+    createTables() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS opportunities (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL,
+                path TEXT NOT NULL,
+                amount TEXT,
+                expected_profit_usd REAL,
+                confidence REAL,
+                scanned_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS evaluations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                opportunity_id INTEGER REFERENCES opportunities(id),
+                verdict TEXT NOT NULL,
+                rejected_by TEXT,
+                reason TEXT,
+                net_profit_usd REAL,
+                min_profit_threshold_usd REAL,
+                gas_price_gwei REAL,
+                evaluated_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS transactions (
+                tx_hash TEXT PRIMARY KEY,
+                opportunity_id INTEGER REFERENCES opportunities(id),
+                nonce INTEGER,
+                gas_limit TEXT,
+                max_fee_per_gas TEXT,
+                max_priority_fee_per_gas TEXT,
+                dry_run INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL,
+                error TEXT,
+                submitted_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS receipts (
+                tx_hash TEXT PRIMARY KEY REFERENCES transactions(tx_hash),
+                block_number INTEGER,
+                gas_used TEXT,
+                effective_gas_price TEXT,
+                status INTEGER,
+                recorded_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS profits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                tx_hash TEXT,
+                opportunity_id INTEGER REFERENCES opportunities(id),
+                expected_profit_usd REAL,
+                realized_profit_usd REAL,
+                gas_cost_usd REAL,
+                dry_run INTEGER NOT NULL DEFAULT 0,
+                recorded_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                level TEXT NOT NULL,
+                title TEXT NOT NULL,
+                message TEXT,
+                data TEXT,
+                sent INTEGER NOT NULL DEFAULT 0,
+                created_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS metric_snapshots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                summary TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS nonces (
+                address TEXT NOT NULL,
+                nonce INTEGER NOT NULL,
+                status TEXT NOT NULL,
+                tx_hashes TEXT,
+                reserved_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (address, nonce)
+            );
+
+            CREATE TABLE IF NOT EXISTS positions (
+                id TEXT PRIMARY KEY,
+                pair_key TEXT NOT NULL,
+                status TEXT NOT NULL,
+                data TEXT NOT NULL,
+                realized_pnl_usd REAL,
+                dry_run INTEGER NOT NULL DEFAULT 0,
+                opened_at INTEGER NOT NULL,
+                closed_at INTEGER
+            );
+
+            CREATE TABLE IF NOT EXISTS stopped_pairs (
+                pair_key TEXT NOT NULL,
+                dry_run INTEGER NOT NULL DEFAULT 0,
+                stopped_at INTEGER NOT NULL,
+                PRIMARY KEY (pair_key, dry_run)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_evaluations_opportunity ON evaluations(opportunity_id);
+            CREATE INDEX IF NOT EXISTS idx_evaluations_rejected_by ON evaluations(rejected_by);
+            CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions(status);
+            CREATE INDEX IF NOT EXISTS idx_alerts_created ON alerts(created_at);
+            CREATE INDEX IF NOT EXISTS idx_positions_status ON positions(status);
+        `);
+    }
+
+    prepareStatements() {
+        this.statements = {
+            insertOpportunity: this.db.prepare(`
+                INSERT INTO opportunities (type, path, amount, expected_profit_usd, confidence, scanned_at)
+                VALUES (@type, @path, @amount, @expectedProfitUSD, @confidence, @scannedAt)
+            `),
+            insertEvaluation: this.db.prepare(`
+                INSERT INTO evaluations (opportunity_id, verdict, rejected_by, reason, net_profit_usd,
+                    min_profit_threshold_usd, gas_price_gwei, evaluated_at)
+                VALUES (@opportunityId, @verdict, @rejectedBy, @reason, @netProfitUSD,
+                    @minProfitThresholdUSD, @gasPriceGwei, @evaluatedAt)
+            `),
+            insertTransaction: this.db.prepare(`
+                INSERT OR REPLACE INTO transactions (tx_hash, opportunity_id, nonce, gas_limit, max_fee_per_gas,
+                    max_priority_fee_per_gas, dry_run, status, submitted_at, updated_at)
+                VALUES (@txHash, @opportunityId, @nonce, @gasLimit, @maxFeePerGas,
+                    @maxPriorityFeePerGas, @dryRun, @status, @submittedAt, @submittedAt)
+            `),
+            updateTransactionStatus: this.db.prepare(`
+                UPDATE transactions SET status = @status, error = @error, updated_at = @updatedAt
+                WHERE tx_hash = @txHash
+            `),
+            insertReceipt: this.db.prepare(`
+                INSERT OR REPLACE INTO receipts (tx_hash, block_number, gas_used, effective_gas_price, status, recorded_at)
+                VALUES (@txHash, @blockNumber, @gasUsed, @effectiveGasPrice, @status, @recordedAt)
+            `),
+            insertProfit: this.db.prepare(`
+                INSERT INTO profits (tx_hash, opportunity_id, expected_profit_usd, realized_profit_usd,
+                    gas_cost_usd, dry_run, recorded_at)
+                VALUES (@txHash, @opportunityId, @expectedProfitUSD, @realizedProfitUSD,
+                    @gasCostUSD, @dryRun, @recordedAt)
+            `),
+            insertAlert: this.db.prepare(`
+                INSERT INTO alerts (level, title, message, data, sent, created_at)
+                VALUES (@level, @title, @message, @data, @sent, @createdAt)
+            `),
+            insertMetricSnapshot: this.db.prepare(`
+                INSERT INTO metric_snapshots (summary, created_at) VALUES (@summary, @createdAt)
+            `),
+            upsertNonce: this.db.prepare(`
+                INSERT OR REPLACE INTO nonces (address, nonce, status, tx_hashes, reserved_at, updated_at)
+                VALUES (@address, @nonce, @status, @txHashes, @reservedAt, @updatedAt)
+            `),
+            deleteNonce: this.db.prepare(`
+                DELETE FROM nonces WHERE address = @address AND nonce = @nonce
+            `),
+            upsertPosition: this.db.prepare(`
+                INSERT OR REPLACE INTO positions (id, pair_key, status, data, realized_pnl_usd, dry_run, opened_at, closed_at)
+                VALUES (@id, @pairKey, @status, @data, @realizedPnLUSD, @dryRun, @openedAt, @closedAt)
+            `),
+            upsertStoppedPair: this.db.prepare(`
+                INSERT OR REPLACE INTO stopped_pairs (pair_key, dry_run, stopped_at) VALUES (@pairKey, @dryRun, @stoppedAt)
+            `),
+            deleteStoppedPair: this.db.prepare(`
+                DELETE FROM stopped_pairs WHERE pair_key = @pairKey AND dry_run = @dryRun
+            `)
+        };
+    }
+
+    // Journal writes must never break the trading loop, so every write goes through here
+    write(statement, params) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        try {
+            return this.statements[statement].run(params);
+        } catch (error) {
+            Logger.logWarning(`Trade journal write failed (${statement})`, error.message);
+            return null;
+        }
+    }
+
+    serialize(value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+        return JSON.stringify(value, (key, v) => typeof v === 'bigint' ? v.toString() : v);
+    }
+
+    toText(value) {
+        return value === undefined || value === null ? null : value.toString();
+    }
+
+    recordOpportunity(opportunity) {
+        const result = this.write('insertOpportunity', {
+            type: opportunity.type,
+            path: this.serialize(opportunity.path.map(hop => ({
+                fromToken: hop.fromToken,
+                toToken: hop.toToken,
+                dex: hop.dex
+            }))),
+            amount: this.toText(opportunity.amount),
+            expectedProfitUSD: opportunity.netProfitUSD ?? null,
+            confidence: opportunity.confidence ?? null,
+            scannedAt: Date.now()
+        });
+
+        if (result) {
+            opportunity.journalId = Number(result.lastInsertRowid);
+        }
+
+        return opportunity.journalId || null;
+    }
+
+    recordEvaluation(opportunity, verdict, rejectedBy = null, reason = null) {
+        return this.write('insertEvaluation', {
+            opportunityId: opportunity.journalId || null,
+            verdict,
+            rejectedBy,
+            reason: reason === null ? null : (typeof reason === 'string' ? reason : this.serialize(reason)),
+            netProfitUSD: opportunity.netProfitUSD ?? null,
+            minProfitThresholdUSD: opportunity.minProfitThresholdUSD ?? null,
+            gasPriceGwei: opportunity.currentGasPriceGwei ?? null,
+            evaluatedAt: Date.now()
+        });
+    }
+
+    recordTransaction(opportunity, txHash, txData, status = 'submitted', dryRun = false) {
+        return this.write('insertTransaction', {
+            txHash,
+            opportunityId: opportunity.journalId || null,
+            nonce: txData.nonce !== undefined ? Number(txData.nonce) : null,
+            gasLimit: this.toText(txData.gasLimit),
+            maxFeePerGas: this.toText(txData.maxFeePerGas),
+            maxPriorityFeePerGas: this.toText(txData.maxPriorityFeePerGas),
+            dryRun: dryRun ? 1 : 0,
+            status,
+            submittedAt: Date.now()
+        });
+    }
+
+    updateTransactionStatus(txHash, status, error = null) {
+        return this.write('updateTransactionStatus', {
+            txHash,
+            status,
+            error,
+            updatedAt: Date.now()
+        });
+    }
+
+    recordReceipt(receipt) {
+        this.write('insertReceipt', {
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: this.toText(receipt.gasUsed),
+            effectiveGasPrice: this.toText(receipt.gasPrice),
+            status: receipt.status,
+            recordedAt: Date.now()
+        });
+
+        return this.updateTransactionStatus(receipt.hash, receipt.status === 1 ? 'confirmed' : 'reverted');
+    }
+
+    recordProfit(opportunity, txHash, realizedProfitUSD, gasCostUSD, dryRun = false) {
+        return this.write('insertProfit', {
+            txHash,
+            opportunityId: opportunity.journalId || null,
+            expectedProfitUSD: opportunity.netProfitUSD ?? null,
+            realizedProfitUSD,
+            gasCostUSD: gasCostUSD ?? null,
+            dryRun: dryRun ? 1 : 0,
+            recordedAt: Date.now()
+        });
+    }
+
+    recordAlert(level, title, message, data, sent) {
+        return this.write('insertAlert', {
+            level,
+            title,
+            message,
+            data: this.serialize(data),
+            sent: sent ? 1 : 0,
+            createdAt: Date.now()
+        });
+    }
+
+    recordMetricSnapshot(summary) {
+        return this.write('insertMetricSnapshot', {
+            summary: this.serialize(summary),
+            createdAt: Date.now()
+        });
+    }
+
+    // In-flight nonces survive restarts so the nonce manager can resume without reusing or skipping any
+    recordNonce(address, entry) {
+        return this.write('upsertNonce', {
+            address: address.toLowerCase(),
+            nonce: Number(entry.nonce),
+            status: entry.status,
+            txHashes: this.serialize(entry.txHashes),
+            reservedAt: entry.reservedAt,
+            updatedAt: Date.now()
+        });
+    }
+
+    deleteNonce(address, nonce) {
+        return this.write('deleteNonce', {
+            address: address.toLowerCase(),
+            nonce: Number(nonce)
+        });
+    }
+
+    // Stat-arb positions stay open across restarts, so the position book reloads whatever is still open or has a leg in flight
+    recordPosition(position) {
+        return this.write('upsertPosition', {
+            id: position.id,
+            pairKey: position.pairKey,
+            status: position.status,
+            data: this.serialize(position),
+            realizedPnLUSD: position.realizedPnLUSD ?? null,
+            dryRun: position.dryRun ? 1 : 0,
+            openedAt: position.openedAt,
+            closedAt: position.closedAt ?? null
+        });
+    }
+
+    // A stopped-out pair stays barred from re-entry across restarts until its spread comes back
+    recordStoppedPair(pairKey, dryRun = false) {
+        return this.write('upsertStoppedPair', { pairKey, dryRun: dryRun ? 1 : 0, stoppedAt: Date.now() });
+    }
+
+    deleteStoppedPair(pairKey, dryRun = false) {
+        return this.write('deleteStoppedPair', { pairKey, dryRun: dryRun ? 1 : 0 });
+    }
+
+    // Read helpers for restart recovery and post-mortems
+    query(sql, params = {}) {
+        if (!this.enabled) {
+            return [];
+        }
+
+        try {
+            return this.db.prepare(sql).all(params);
+        } catch (error) {
+            Logger.logWarning('Trade journal query failed', error.message);
+            return [];
+        }
+    }
+
+    getTotals() {
+        const [totals] = this.query(`
+            SELECT COUNT(*) AS executed, COALESCE(SUM(realized_profit_usd), 0) AS totalProfitUSD,
+                COALESCE(SUM(gas_cost_usd), 0) AS totalGasCostUSD
+            FROM profits WHERE dry_run = 0
+        `);
+
+        return totals || { executed: 0, totalProfitUSD: 0, totalGasCostUSD: 0 };
+    }
+
+    getUnresolvedTransactions() {
+        return this.query(`
+            SELECT tx_hash AS txHash, opportunity_id AS opportunityId, nonce, submitted_at AS submittedAt
+            FROM transactions WHERE status = 'submitted' AND dry_run = 0
+            ORDER BY submitted_at
+        `);
+    }
+
+    getInFlightNonces(address) {
+        return this.query(`
+            SELECT nonce, status, tx_hashes AS txHashes, reserved_at AS reservedAt
+            FROM nonces WHERE address = @address ORDER BY nonce
+        `, { address: address.toLowerCase() }).map(row => ({
+            ...row,
+            txHashes: row.txHashes ? JSON.parse(row.txHashes) : []
+        }));
+    }
+
+    getOpenPositions(dryRun = false) {
+        return this.query(`
+            SELECT data FROM positions WHERE status IN ('opening', 'open', 'closing') AND dry_run = @dryRun ORDER BY opened_at
+        `, { dryRun: dryRun ? 1 : 0 }).map(row => JSON.parse(row.data));
+    }
+
+    getStoppedPairs(dryRun = false) {
+        return this.query(`
+            SELECT pair_key AS pairKey FROM stopped_pairs WHERE dry_run = @dryRun
+        `, { dryRun: dryRun ? 1 : 0 }).map(row => row.pairKey);
+    }
+
+    getRejectionBreakdown(since = 0) {
+        return this.query(`
+            SELECT rejected_by AS checkName, COUNT(*) AS count, AVG(net_profit_usd) AS avgNetProfitUSD
+            FROM evaluations WHERE verdict = 'rejected' AND evaluated_at >= @since
+            GROUP BY rejected_by ORDER BY count DESC
+        `, { since });
+    }
+
+    getProfitDistribution(since = 0) {
+        return this.query(`
+            SELECT e.verdict, e.rejected_by AS rejectedBy, e.net_profit_usd AS netProfitUSD,
+                e.min_profit_threshold_usd AS minProfitThresholdUSD, p.realized_profit_usd AS realizedProfitUSD
+            FROM evaluations e
+            LEFT JOIN profits p ON p.opportunity_id = e.opportunity_id
+            WHERE e.evaluated_at >= @since
+            ORDER BY e.evaluated_at
+        `, { since });
+    }
+
+    getRecentAlerts(limit = 20) {
+        return this.query(`
+            SELECT level, title, message, created_at AS timestamp
+            FROM alerts ORDER BY created_at DESC LIMIT @limit
+        `, { limit });
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.enabled = false;
+    }
+}
+
+module.exports = new TradeJournal();
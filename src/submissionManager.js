@@ -0,0 +1,266 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+const config = require('../config/config.json');
+const RPCManager = require('./rpcManager');
+const { Logger } = require('./utils');
+
+// Sends signed transactions to private RPC endpoints and bundle relays instead of the public mempool,
+// and tracks which relays actually get them included. Relay types:
+//   rpc    - protected endpoint that accepts eth_sendRawTransaction and keeps it out of the public mempool
+//   bundle - relay that accepts eth_sendBundle for specific target blocks
+class SubmissionManager {
+    constructor(settings = {}) {
+        this.settings = {
+            relays: [],
+            publicFallback: false,
+            bundleBlocks: 3,
+            maxBundleResubmits: 2,
+            requestTimeoutMs: 5000,
+            maxTrackedBlocks: 25,
+            ...config.submissionSettings,
+            ...settings
+        };
+        this.relays = this.settings.relays
+            .filter(relay => relay.enabled !== false)
+            .map(relay => ({
+                ...relay,
+                authSigner: relay.authKeyEnv && process.env[relay.authKeyEnv] ?
+                    new ethers.Wallet(process.env[relay.authKeyEnv]) :
+                    null
+            }));
+        this.submissions = new Map(); // txHash -> { signedTx, submittedBlock, relays: Map(name -> status) }
+        this.stats = new Map();
+        this.unsubscribeBlocks = null;
+        // A block check can outlast the next block; overlapping ones would resubmit the same bundles twice
+        this.checking = false;
+    }
+
+    start() {
+        if (!this.unsubscribeBlocks) {
+            this.unsubscribeBlocks = RPCManager.onBlock((blockNumber) => this.checkInclusion(blockNumber));
+        }
+    }
+
+    stop() {
+        if (this.unsubscribeBlocks) {
+            this.unsubscribeBlocks();
+            this.unsubscribeBlocks = null;
+        }
+    }
+
+    getRelayStats(name) {
+        if (!this.stats.has(name)) {
+            this.stats.set(name, { submitted: 0, failed: 0, included: 0, expired: 0, totalInclusionBlocks: 0 });
+        }
+        return this.stats.get(name);
+    }
+
+    async getProvider() {
+        const { provider } = await RPCManager.getHealthyProvider('broadcast');
+        return provider;
+    }
+
+    async rpcRequest(relay, method, params) {
+        const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method, params });
+        const headers = { 'Content-Type': 'application/json', ...relay.headers };
+
+        // Bundle relays identify searchers by a signature over the request body
+        if (relay.authSigner) {
+            const signature = await relay.authSigner.signMessage(ethers.id(body));
+            headers['X-Flashbots-Signature'] = `${relay.authSigner.address}:${signature}`;
+        }
+
+        const response = await axios.post(relay.url, body, {
+            headers,
+            timeout: this.settings.requestTimeoutMs
+        });
+
+        if (response.data.error) {
+            throw new Error(response.data.error.message || JSON.stringify(response.data.error));
+        }
+        return response.data.result;
+    }
+
+    async sendToRelay(relay, signedTx, blockNumber) {
+        if (relay.type === 'bundle') {
+            const targetBlocks = [];
+            for (let offset = 1; offset <= this.settings.bundleBlocks; offset++) {
+                targetBlocks.push(blockNumber + offset);
+            }
+
+            await Promise.all(targetBlocks.map(target =>
+                this.rpcRequest(relay, 'eth_sendBundle', [{
+                    txs: [signedTx],
+                    blockNumber: ethers.toQuantity(target)
+                }])
+            ));
+
+            return { lastTargetBlock: targetBlocks[targetBlocks.length - 1] };
+        }
+
+        await this.rpcRequest(relay, 'eth_sendRawTransaction', [signedTx]);
+        return {};
+    }
+
+    // Resolves to { hash, relays } once at least one channel accepted the transaction
+    async submit(signedTx, options = {}) {
+        const hash = ethers.keccak256(signedTx);
+        const blockNumber = options.blockNumber ?? await (await this.getProvider()).getBlockNumber();
+
+        const submission = {
+            signedTx,
+            submittedBlock: blockNumber,
+            relays: new Map()
+        };
+        this.submissions.set(hash, submission);
+
+        // With no relays configured the public mempool is the only channel, not a fallback
+        if (this.relays.length === 0) {
+            await this.broadcastPublic(hash, submission);
+            return { hash, relays: ['public'] };
+        }
+
+        const results = await Promise.allSettled(this.relays.map(relay => this.sendToRelay(relay, signedTx, blockNumber)));
+
+        results.forEach((result, index) => {
+            const relay = this.relays[index];
+            const stats = this.getRelayStats(relay.name);
+
+            if (result.status === 'fulfilled') {
+                stats.submitted++;
+                submission.relays.set(relay.name, { status: 'pending', resubmits: 0, ...result.value });
+            } else {
+                stats.failed++;
+                submission.relays.set(relay.name, { status: 'failed', error: result.reason.message });
+                Logger.logWarning(`Relay ${relay.name} rejected ${hash}`, result.reason.message);
+            }
+        });
+
+        const accepted = [...submission.relays.entries()]
+            .filter(([, status]) => status.status === 'pending')
+            .map(([name]) => name);
+
+        if (accepted.length === 0) {
+            if (!this.settings.publicFallback) {
+                this.submissions.delete(hash);
+                throw new Error(`No relay accepted transaction ${hash}`);
+            }
+            await this.broadcastPublic(hash, submission);
+            accepted.push('public');
+        }
+
+        return { hash, relays: accepted };
+    }
+
+    async broadcastPublic(hash, submission) {
+        const provider = await this.getProvider();
+
+        try {
+            await provider.broadcastTransaction(submission.signedTx);
+        } catch (error) {
+            throw new Error(`Failed to broadcast transaction: ${error.message}`);
+        }
+
+        this.getRelayStats('public').submitted++;
+        submission.relays.set('public', { status: 'pending' });
+        if (this.relays.length > 0) {
+            Logger.logWarning(`Transaction ${hash} broadcast to the public mempool`);
+        }
+    }
+
+    // Per block: credit relays for included transactions, re-target bundles whose window passed,
+    // and fall back to the public mempool once every private channel has given up
+    async checkInclusion(blockNumber) {
+        if (this.checking || this.submissions.size === 0) return;
+
+        this.checking = true;
+        try {
+            await this.checkSubmissions(blockNumber);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    async checkSubmissions(blockNumber) {
+        const provider = await this.getProvider();
+
+        for (const [hash, submission] of this.submissions) {
+            const receipt = await provider.getTransactionReceipt(hash);
+
+            if (receipt) {
+                this.recordInclusion(hash, submission, receipt.blockNumber);
+                continue;
+            }
+
+            for (const relay of this.relays.filter(relay => relay.type === 'bundle')) {
+                const status = submission.relays.get(relay.name);
+                if (!status || status.status !== 'pending' || status.lastTargetBlock >= blockNumber) continue;
+
+                if (status.resubmits < this.settings.maxBundleResubmits) {
+                    try {
+                        Object.assign(status, await this.sendToRelay(relay, submission.signedTx, blockNumber));
+                        status.resubmits++;
+                    } catch (error) {
+                        status.status = 'failed';
+                        status.error = error.message;
+                        this.getRelayStats(relay.name).failed++;
+                    }
+                } else {
+                    status.status = 'expired';
+                    this.getRelayStats(relay.name).expired++;
+                }
+            }
+
+            const statuses = [...submission.relays.values()];
+            if (this.settings.publicFallback && !submission.relays.has('public') &&
+                statuses.every(status => status.status !== 'pending')) {
+                await this.broadcastPublic(hash, submission).catch(error =>
+                    Logger.logWarning(`Public fallback for ${hash} failed`, error.message));
+            }
+
+            // Private RPCs never report a drop, so stop watching after a while
+            if (blockNumber - submission.submittedBlock > this.settings.maxTrackedBlocks) {
+                for (const [name, status] of submission.relays) {
+                    if (status.status === 'pending') {
+                        status.status = 'expired';
+                        this.getRelayStats(name).expired++;
+                    }
+                }
+                this.submissions.delete(hash);
+            }
+        }
+    }
+
+    // Every channel still holding the transaction gets credit; which one the builder actually took isn't observable
+    recordInclusion(hash, submission, includedBlock) {
+        for (const [name, status] of submission.relays) {
+            if (status.status !== 'pending') continue;
+
+            status.status = 'included';
+            const stats = this.getRelayStats(name);
+            stats.included++;
+            stats.totalInclusionBlocks += includedBlock - submission.submittedBlock;
+        }
+
+        this.submissions.delete(hash);
+    }
+
+    getStats() {
+        const relays = {};
+        for (const [name, stats] of this.stats) {
+            relays[name] = {
+                ...stats,
+                inclusionRate: stats.submitted > 0 ? stats.included / stats.submitted : 0,
+                avgInclusionBlocks: stats.included > 0 ? stats.totalInclusionBlocks / stats.included : null
+            };
+        }
+
+        return {
+            pending: this.submissions.size,
+            publicFallback: this.settings.publicFallback,
+            relays
+        };
+    }
+}
+
+module.exports = SubmissionManager;
@@ -0,0 +1,103 @@
+const { ethers } = require('ethers');
+const config = require('../config/config.json');
+
+// Gas is paid in ETH, which is priced through WETH
+const NATIVE_PRICE_TOKEN = config.baseTokens[0];
+
+// A raw on-chain amount that never loses track of which token it is and how many decimals it has.
+// Arithmetic stays in bigint; only USD/display conversions go through floats.
+class TokenAmount {
+    constructor(token, raw, decimals) {
+        this.token = token.toLowerCase();
+        this.raw = ethers.getBigInt(raw);
+        this.decimals = Number(decimals);
+    }
+
+    // A wrong guess would misvalue the amount by orders of magnitude, so unknown decimals are an error
+    static decimalsOf(tokenManager, token) {
+        const decimals = tokenManager.getTokenDecimalsByAddress(token);
+        if (decimals === null || decimals === undefined) {
+            throw new Error(`Unknown decimals for token ${token}`);
+        }
+        return decimals;
+    }
+
+    static from(tokenManager, token, raw) {
+        return new TokenAmount(token, raw, TokenAmount.decimalsOf(tokenManager, token));
+    }
+
+    static parse(tokenManager, token, value) {
+        const decimals = TokenAmount.decimalsOf(tokenManager, token);
+        return new TokenAmount(token, ethers.parseUnits(value.toString(), decimals), decimals);
+    }
+
+    // Amount of native ETH (gas costs, balances)
+    static native(raw) {
+        return new TokenAmount(NATIVE_PRICE_TOKEN, raw, 18);
+    }
+
+    // The amount of token worth the given USD value, or null if the token has no price
+    static async fromUSD(tokenManager, token, usd) {
+        const priceUSD = await tokenManager.getTokenPriceWithFallback(token);
+        if (!priceUSD || priceUSD <= 0) {
+            return null;
+        }
+
+        const decimals = TokenAmount.decimalsOf(tokenManager, token);
+        const units = (usd / priceUSD).toFixed(Math.min(decimals, 12));
+        return new TokenAmount(token, ethers.parseUnits(units, decimals), decimals);
+    }
+
+    assertSameToken(other) {
+        if (other.token !== this.token) {
+            throw new Error(`Token mismatch: ${this.token} vs ${other.token}`);
+        }
+    }
+
+    add(other) {
+        this.assertSameToken(other);
+        return new TokenAmount(this.token, this.raw + other.raw, this.decimals);
+    }
+
+    sub(other) {
+        this.assertSameToken(other);
+        return new TokenAmount(this.token, this.raw - other.raw, this.decimals);
+    }
+
+    isPositive() {
+        return this.raw > 0n;
+    }
+
+    // Whole-token units as a float, for display and USD math only
+    toNumber() {
+        return Number(ethers.formatUnits(this.raw, this.decimals));
+    }
+
+    toUSDAt(priceUSD) {
+        if (!priceUSD || priceUSD <= 0) return 0;
+        return this.toNumber() * priceUSD;
+    }
+
+    // USD value, or null when no price is available so callers can't mistake "unknown" for "worthless"
+    async toUSD(tokenManager) {
+        const priceUSD = await tokenManager.getTokenPriceWithFallback(this.token);
+        if (!priceUSD || priceUSD <= 0) {
+            return null;
+        }
+        return this.toNumber() * priceUSD;
+    }
+
+    format() {
+        return ethers.formatUnits(this.raw, this.decimals);
+    }
+
+    toJSON() {
+        return {
+            token: this.token,
+            raw: this.raw.toString(),
+            decimals: this.decimals
+        };
+    }
+}
+
+module.exports = TokenAmount;
@@ -0,0 +1,130 @@
+const config = require('../config/config.json');
+const TokenAmount = require('./tokenAmount');
+const FlashLoanPlanner = require('./flashLoanPlanner');
+const { Logger } = require('./utils');
+
+// Picks the flash loan amount that maximizes profit along a path by sampling its quote curve
+// and refining around the best sample with parabolic interpolation
+class TradeSizer {
+    constructor(tokenManager, flashLoanPlanner = null) {
+        this.tokenManager = tokenManager;
+        this.flashLoanPlanner = flashLoanPlanner || new FlashLoanPlanner(tokenManager);
+        this.settings = {
+            samples: 8,
+            remoteSamples: 4,
+            refineIterations: 2,
+            ...config.tradeSizerSettings
+        };
+        this.maxTradeSizeUSD = parseFloat(process.env.MAX_TRADE_SIZE_USD) || 5000;
+    }
+
+    // Lenders that could fund a borrow of token for this path right now, cheapest first
+    async getFlashLoanSources(token, path = []) {
+        try {
+            const sources = await this.flashLoanPlanner.quotePathSources(token, 1n, path);
+            return sources
+                .filter(source => !source.reason)
+                .sort((a, b) => a.premiumBps - b.premiumBps);
+        } catch (error) {
+            Logger.logWarning(`Failed to read flash loan sources for ${token}`, error.message);
+            return [];
+        }
+    }
+
+    // The USD cap, or the most any single lender could fund if that's less
+    async getMaxInputAmount(token, sources) {
+        const capacity = sources.reduce((max, source) => (source.available > max ? source.available : max), 0n);
+        const usdCap = await TokenAmount.fromUSD(this.tokenManager, token, this.maxTradeSizeUSD);
+
+        if (!usdCap || capacity === 0n) {
+            return 0n;
+        }
+
+        return usdCap.raw < capacity ? usdCap.raw : capacity;
+    }
+
+    // quotePath(amountIn) resolves to the path's output in the start token, or null if unquotable.
+    // options.path is the hop list, which decides the lenders that can fund it.
+    async findOptimalSize(startToken, quotePath, options = {}) {
+        const sources = await this.getFlashLoanSources(startToken, options.path);
+        const maxAmount = options.maxAmount || await this.getMaxInputAmount(startToken, sources);
+        if (maxAmount <= 0n) {
+            return null;
+        }
+
+        const sampleCount = options.samples || this.settings.samples;
+        const points = new Map();
+
+        // Each size pays the premium of the cheapest lender deep enough to fund it, as selectFlashLoanSource picks
+        const premiumFor = (amountIn) => {
+            const source = sources.find(candidate => candidate.available >= amountIn);
+            return source ? amountIn * BigInt(source.premiumBps) / 10000n : null;
+        };
+
+        const evaluate = async (amountIn) => {
+            if (amountIn <= 0n || amountIn > maxAmount) return null;
+
+            const key = amountIn.toString();
+            if (!points.has(key)) {
+                const premium = premiumFor(amountIn);
+                const amountOut = premium === null ? null : await quotePath(amountIn);
+                points.set(key, amountOut === null ? null : {
+                    amountIn,
+                    amountOut,
+                    profit: amountOut - amountIn - premium
+                });
+            }
+            return points.get(key);
+        };
+
+        // Geometric grid from maxAmount / 2^(n-1) up to maxAmount: profit curves are concave, with
+        // the optimum usually well below the cap
+        for (let i = sampleCount - 1; i >= 0; i--) {
+            await evaluate(maxAmount >> BigInt(i));
+        }
+
+        for (let iteration = 0; iteration < this.settings.refineIterations; iteration++) {
+            const sorted = [...points.values()].filter(Boolean).sort((a, b) => (a.amountIn < b.amountIn ? -1 : 1));
+            const bestIndex = sorted.reduce((best, point, index) =>
+                point.profit > sorted[best].profit ? index : best, 0);
+
+            if (bestIndex === 0 || bestIndex === sorted.length - 1) break;
+
+            const vertex = this.parabolaVertex(sorted[bestIndex - 1], sorted[bestIndex], sorted[bestIndex + 1]);
+            if (vertex === null || points.has(vertex.toString())) break;
+
+            await evaluate(vertex);
+        }
+
+        const best = [...points.values()].filter(Boolean).reduce((a, b) => (!a || b.profit > a.profit ? b : a), null);
+        if (!best || best.profit <= 0n) {
+            return null;
+        }
+
+        return {
+            ...best,
+            maxAmount,
+            samples: points.size
+        };
+    }
+
+    // x of the maximum of the parabola through three (amountIn, profit) points, if it lies between them
+    parabolaVertex(left, middle, right) {
+        const x1 = Number(left.amountIn), y1 = Number(left.profit);
+        const x2 = Number(middle.amountIn), y2 = Number(middle.profit);
+        const x3 = Number(right.amountIn), y3 = Number(right.profit);
+
+        const denominator = (x1 - x2) * (x1 - x3) * (x2 - x3);
+        const a = (x3 * (y2 - y1) + x2 * (y1 - y3) + x1 * (y3 - y2)) / denominator;
+        const b = (x3 * x3 * (y1 - y2) + x2 * x2 * (y3 - y1) + x1 * x1 * (y2 - y3)) / denominator;
+
+        if (!Number.isFinite(a) || a >= 0) return null;
+
+        const vertex = -b / (2 * a);
+        if (!(vertex > x1 && vertex < x3)) return null;
+
+        return BigInt(Math.floor(vertex));
+    }
+}
+
+module.exports = TradeSizer;
@@ -1,11 +1,17 @@
 const { ethers } = require('ethers');
 const { EIP712Domain, signTypedData } = require('@ethersproject/wallet');
 const config = require('../config/config.json');
+const ArbitrageEncoder = require('./arbitrageEncoder');
+const NonceManager = require('./nonceManager');
+
+// Geth and most relays reject replacements that raise either fee cap by less than 10%
+const MIN_REPLACEMENT_BUMP_BPS = 1000;
 
 class TransactionBuilder {
-    constructor() {
+    constructor(submissionManager = null) {
+        this.submissionManager = submissionManager;
         this.wallet = null;
-        this.nonce = null;
+        this.nonceManager = null;
         this.gasEstimationCache = new Map();
         this.pendingTxs = new Map();
         this.init();
@@ -13,23 +19,35 @@ class TransactionBuilder {
 
     async init() {
         this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
-        await this.updateNonce();
+        if (!this.nonceManager) {
+            this.nonceManager = new NonceManager(this);
+        }
+        await this.nonceManager.initialize();
     }
 
     async buildArbitrageTransaction(opportunity) {
-        const txData = {
-            to: process.env.ARB_CONTRACT_ADDRESS,
-            value: 0,
-            data: this.encodeArbitrageCall(opportunity),
-            chainId: config.chainId,
-            nonce: await this.getNonce(),
-            gasLimit: await this.estimateGas(opportunity),
-            maxFeePerGas: await this.getOptimalMaxFee(),
-            maxPriorityFeePerGas: await this.getOptimalPriorityFee(),
-            type: 2
-        };
+        const nonce = await this.getNonce();
+        let txData, signedTx;
+
+        try {
+            txData = {
+                to: process.env.ARB_CONTRACT_ADDRESS,
+                value: 0,
+                data: ArbitrageEncoder.encode(opportunity),
+                chainId: config.chainId,
+                nonce,
+                gasLimit: await this.estimateGas(opportunity),
+                maxFeePerGas: await this.getOptimalMaxFee(),
+                maxPriorityFeePerGas: await this.getOptimalPriorityFee(),
+                type: 2
+            };
+
+            signedTx = await this.wallet.signTransaction(txData);
+        } catch (error) {
+            this.releaseNonce(nonce);
+            throw error;
+        }
 
-        const signedTx = await this.wallet.signTransaction(txData);
         const txHash = ethers.keccak256(signedTx);
 
         this.pendingTxs.set(txHash, {
@@ -42,6 +60,52 @@ class TransactionBuilder {
         return { txHash, signedTx, txData };
     }
 
+    // A plain call from the bot wallet (inventory swaps, approvals). Tracked in pendingTxs like an
+    // arbitrage so the lifecycle monitor can re-price or cancel it.
+    async buildWalletTransaction(call) {
+        const nonce = await this.getNonce();
+        let txData, signedTx;
+
+        try {
+            const { provider } = await require('./rpcManager').getHealthyProvider();
+            const value = ethers.getBigInt(call.value || 0);
+            const gasEstimate = await provider.estimateGas({
+                from: this.wallet.address,
+                to: call.to,
+                data: call.data,
+                value
+            });
+
+            txData = {
+                to: call.to,
+                value,
+                data: call.data,
+                chainId: config.chainId,
+                nonce,
+                gasLimit: gasEstimate * 130n / 100n,
+                maxFeePerGas: await this.getOptimalMaxFee(),
+                maxPriorityFeePerGas: await this.getOptimalPriorityFee(),
+                type: 2
+            };
+
+            signedTx = await this.wallet.signTransaction(txData);
+        } catch (error) {
+            this.releaseNonce(nonce);
+            throw error;
+        }
+
+        const txHash = ethers.keccak256(signedTx);
+
+        this.pendingTxs.set(txHash, {
+            txData,
+            signedTx,
+            opportunity: null,
+            timestamp: Date.now()
+        });
+
+        return { txHash, signedTx, txData };
+    }
+
     async buildFlashLoanTransaction(flashLoanParams) {
         const aavePoolABI = [
             'function flashLoanSimple(address receiver, address asset, uint256 amount, bytes calldata params, uint16 referralCode) external'
@@ -162,51 +226,29 @@ class TransactionBuilder {
     }
 
     async getNonce() {
-        if (this.nonce === null) {
-            await this.updateNonce();
-        }
-        const currentNonce = this.nonce;
-        this.nonce += 1n;
-        return currentNonce;
-    }
-
-    async updateNonce() {
-        const { provider } = await require('./rpcManager').getHealthyProvider();
-        this.nonce = await provider.getTransactionCount(this.wallet.address, 'pending');
+        return this.nonceManager.reserve();
     }
 
-    encodeArbitrageCall(opportunity) {
-        const iface = new ethers.Interface([
-            'function executeArbitrage(tuple(address[] tokens, uint256[] amounts, address[] aggregators, bytes[] swapData) path, uint256 flashLoanAmount, uint256 minProfit)'
-        ]);
-
-        const encodedPath = {
-            tokens: opportunity.path.map(hop => hop.fromToken)
-                .concat([opportunity.path[opportunity.path.length - 1].toToken]),
-            amounts: opportunity.path.map(hop => hop.amount),
-            aggregators: opportunity.path.map(hop => this.getAggregatorAddress(hop.dex)),
-            swapData: opportunity.path.map(hop => hop.swapData || '0x')
-        };
-
-        return iface.encodeFunctionData('executeArbitrage', [
-            encodedPath,
-            opportunity.amount,
-            opportunity.minProfit || 0
-        ]);
+    // For a signed transaction that will never be broadcast
+    releaseNonce(nonce) {
+        this.nonceManager.release(nonce);
     }
 
-    getAggregatorAddress(dexName) {
-        const aggregators = {
-            'Aerodrome': '0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43',
-            'PancakeSwap': '0x678Aa4bF4E210cf2166753e054d5b7c31cc7fa86',
-            'Uniswap V3': '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24',
-            'Baseswap': '0x327Df1E6de05895d2ab08513aA9319310cE3a516',
-            'odos': '0x19cEeAd7105607Cd444F5ad10dd51356436095a1',
-            'oneInch': '0x1111111254EEB25577B68fb85Ed929f73A960582',
-            'cow': '0x9008D19f58AAbD9eD0D60971565AA8510560ab41'
+    // cancelTransaction-style self transfer, used to fill nonce gaps
+    async buildNoopTransaction(nonce) {
+        const noopTx = {
+            to: this.wallet.address,
+            value: 0,
+            data: '0x',
+            chainId: config.chainId,
+            nonce,
+            gasLimit: 21000n,
+            maxFeePerGas: await this.getOptimalMaxFee(),
+            maxPriorityFeePerGas: await this.getOptimalPriorityFee(),
+            type: 2
         };
 
-        return aggregators[dexName] || ethers.ZeroAddress;
+        return this.wallet.signTransaction(noopTx);
     }
 
     async signTypedData(domain, types, value) {
@@ -215,7 +257,27 @@ class TransactionBuilder {
     }
 
     async sendTransaction(signedTx) {
-        const { provider } = await require('./rpcManager').getHealthyProvider();
+        const { nonce } = ethers.Transaction.from(signedTx);
+        
+        try {
+            const result = await this.broadcast(signedTx);
+            this.nonceManager.markSubmitted(nonce, result.hash);
+            return result;
+        } catch (error) {
+            // No-op unless nothing was ever broadcast with this nonce
+            this.nonceManager.release(nonce);
+            throw error;
+        }
+    }
+
+    async broadcast(signedTx) {
+        // Private relays when configured; resolves to { hash, relays }
+        if (this.submissionManager) {
+            return this.submissionManager.submit(signedTx);
+        }
+        
+        // Broadcasts go to the lowest-latency pool, never a randomly weighted read node
+        const { provider } = await require('./rpcManager').getHealthyProvider('broadcast');
         
         try {
             const txResponse = await provider.broadcastTransaction(signedTx);
@@ -225,7 +287,31 @@ class TransactionBuilder {
         }
     }
 
-    async cancelTransaction(oldTxHash, newGasPriceMultiplier = 1.2) {
+    // Rounds up so the bump is never a wei short of the node's replacement threshold
+    bumpFee(fee, bumpBps) {
+        return (ethers.getBigInt(fee) * BigInt(10000 + bumpBps) + 9999n) / 10000n;
+    }
+
+    // Fees for an EIP-1559 replacement: both caps must rise by at least MIN_REPLACEMENT_BUMP_BPS over the
+    // transaction being replaced, and never sit below what the network currently wants
+    async getReplacementFees(txData, bumpBps) {
+        const bps = Math.max(bumpBps, MIN_REPLACEMENT_BUMP_BPS);
+        const [currentMaxFee, currentPriorityFee] = await Promise.all([
+            this.getOptimalMaxFee(),
+            this.getOptimalPriorityFee()
+        ]);
+
+        const bumpedPriorityFee = this.bumpFee(txData.maxPriorityFeePerGas, bps);
+        const maxPriorityFeePerGas = bumpedPriorityFee > currentPriorityFee ? bumpedPriorityFee : currentPriorityFee;
+
+        let maxFeePerGas = this.bumpFee(txData.maxFeePerGas, bps);
+        if (currentMaxFee > maxFeePerGas) maxFeePerGas = currentMaxFee;
+        if (maxPriorityFeePerGas > maxFeePerGas) maxFeePerGas = maxPriorityFeePerGas;
+
+        return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    async cancelTransaction(oldTxHash, bumpBps = 2000) {
         const oldTx = this.pendingTxs.get(oldTxHash);
         if (!oldTx) {
             throw new Error('Transaction not found');
@@ -238,8 +324,7 @@ class TransactionBuilder {
             chainId: config.chainId,
             nonce: oldTx.txData.nonce,
             gasLimit: 21000n,
-            maxFeePerGas: oldTx.txData.maxFeePerGas * newGasPriceMultiplier,
-            maxPriorityFeePerGas: oldTx.txData.maxPriorityFeePerGas * newGasPriceMultiplier,
+            ...await this.getReplacementFees(oldTx.txData, bumpBps),
             type: 2
         };
 
@@ -247,10 +332,17 @@ class TransactionBuilder {
         await this.sendTransaction(signedCancelTx);
 
         this.pendingTxs.delete(oldTxHash);
+        this.pendingTxs.set(ethers.keccak256(signedCancelTx), {
+            ...oldTx,
+            txData: cancelTx,
+            signedTx: signedCancelTx,
+            cancel: true
+        });
+
         return signedCancelTx;
     }
 
-    async speedUpTransaction(oldTxHash, newGasPriceMultiplier = 1.5) {
+    async speedUpTransaction(oldTxHash, bumpBps = 5000) {
         const oldTx = this.pendingTxs.get(oldTxHash);
         if (!oldTx) {
             throw new Error('Transaction not found');
@@ -258,8 +350,7 @@ class TransactionBuilder {
 
         const spedUpTx = {
             ...oldTx.txData,
-            maxFeePerGas: oldTx.txData.maxFeePerGas * newGasPriceMultiplier,
-            maxPriorityFeePerGas: oldTx.txData.maxPriorityFeePerGas * newGasPriceMultiplier
+            ...await this.getReplacementFees(oldTx.txData, bumpBps)
         };
 
         const signedSpedUpTx = await this.wallet.signTransaction(spedUpTx);
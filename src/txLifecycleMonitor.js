@@ -0,0 +1,270 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const config = require('../config/config.json');
+const RPCManager = require('./rpcManager');
+const { Logger } = require('./utils');
+
+// Watches each submitted arbitrage block by block until its nonce is used. While it waits it re-prices
+// the transaction when it isn't getting included, and cancels it once it can no longer pay off.
+// Outcomes: confirmed, reverted, cancelled, replaced (nonce used by a tx we didn't send), dropped, stuck,
+// untracked (still pending when the monitor was stopped)
+class TxLifecycleMonitor extends EventEmitter {
+    constructor(transactionBuilder, profitCalculator, metricsCollector = null) {
+        super();
+        this.transactionBuilder = transactionBuilder;
+        this.profitCalculator = profitCalculator;
+        this.metricsCollector = metricsCollector;
+        this.settings = {
+            bumpAfterBlocks: 2,
+            bumpBps: 1250,
+            maxBumps: 3,
+            droppedBlocks: 5,
+            maxWaitBlocks: 30,
+            ...config.txLifecycleSettings
+        };
+        this.tracked = new Map(); // original tx hash -> record
+        this.unsubscribeBlocks = null;
+    }
+
+    start() {
+        if (!this.unsubscribeBlocks) {
+            this.unsubscribeBlocks = RPCManager.onBlock((blockNumber) => this.checkAll(blockNumber));
+        }
+    }
+
+    stop() {
+        if (this.unsubscribeBlocks) {
+            this.unsubscribeBlocks();
+            this.unsubscribeBlocks = null;
+        }
+
+        // Nothing will check these again; their callers learn they were left pending, not how they ended
+        const blockNumber = RPCManager.lastBlockNumber;
+        for (const record of this.tracked.values()) {
+            record.resolve({
+                outcome: 'untracked',
+                receipt: null,
+                hash: record.latestHash,
+                reason: record.cancelReason,
+                bumps: record.bumps,
+                blocks: blockNumber ? blockNumber - record.submittedBlock : 0
+            });
+        }
+        this.tracked.clear();
+    }
+
+    // Resolves to { outcome, receipt, hash, reason, bumps, blocks } once the transaction's fate is known.
+    // checkProfitable(opportunity) is consulted every block; returning false cancels the transaction.
+    track(txHash, { opportunity, checkProfitable = null }) {
+        const pending = this.transactionBuilder.pendingTxs.get(txHash);
+        if (!pending) {
+            return Promise.reject(new Error(`Transaction ${txHash} was not built by this bot`));
+        }
+
+        return new Promise((resolve) => {
+            this.tracked.set(txHash, {
+                originalHash: txHash,
+                latestHash: txHash,
+                hashes: [txHash],
+                cancelHashes: [],
+                nonce: pending.txData.nonce,
+                opportunity,
+                checkProfitable,
+                submittedBlock: RPCManager.lastBlockNumber,
+                lastSubmitBlock: RPCManager.lastBlockNumber,
+                bumps: 0,
+                cancelling: false,
+                cancelReason: null,
+                cancelBlock: null,
+                checking: false,
+                resolve
+            });
+        });
+    }
+
+    async checkAll(blockNumber) {
+        for (const record of this.tracked.values()) {
+            if (record.checking) continue;
+
+            record.checking = true;
+            try {
+                await this.checkTransaction(record, blockNumber);
+            } catch (error) {
+                Logger.logWarning(`Lifecycle check failed for ${record.originalHash}`, error.message);
+            } finally {
+                record.checking = false;
+            }
+        }
+    }
+
+    async checkTransaction(record, blockNumber) {
+        const { provider } = await RPCManager.getHealthyProvider('critical');
+
+        const receipt = await this.findReceipt(provider, record);
+        if (receipt) {
+            return this.finishMined(record, blockNumber, receipt);
+        }
+
+        const confirmedNonce = await provider.getTransactionCount(this.transactionBuilder.wallet.address, 'latest');
+        if (BigInt(confirmedNonce) > BigInt(record.nonce)) {
+            // One of ours may have been mined between the two reads, so look again before blaming someone else
+            const minedReceipt = await this.findReceipt(provider, record);
+            if (minedReceipt) {
+                return this.finishMined(record, blockNumber, minedReceipt);
+            }
+            return this.finish(record, 'replaced', blockNumber);
+        }
+
+        // No node has any of our versions any more; the nonce manager fills the hole it leaves
+        if (blockNumber - record.lastSubmitBlock >= this.settings.droppedBlocks) {
+            const known = await Promise.all(record.hashes.map(hash => provider.getTransaction(hash)));
+            if (!known.some(Boolean)) {
+                return this.finish(record, 'dropped', blockNumber);
+            }
+        }
+
+        if (record.cancelling) {
+            if (blockNumber - record.cancelBlock >= this.settings.maxWaitBlocks) {
+                return this.finish(record, 'stuck', blockNumber);
+            }
+            if (blockNumber - record.lastSubmitBlock >= this.settings.bumpAfterBlocks) {
+                await this.cancel(record, record.cancelReason, blockNumber);
+            }
+            return;
+        }
+
+        const reason = await this.getCancelReason(record, provider, blockNumber);
+        if (reason) {
+            return this.cancel(record, reason, blockNumber);
+        }
+
+        if (blockNumber - record.lastSubmitBlock >= this.settings.bumpAfterBlocks && record.bumps < this.settings.maxBumps) {
+            await this.speedUp(record, blockNumber);
+        }
+    }
+
+    async findReceipt(provider, record) {
+        const receipts = await Promise.all(record.hashes.map(hash => provider.getTransactionReceipt(hash)));
+        return receipts.find(Boolean) || null;
+    }
+
+    async getCancelReason(record, provider, blockNumber) {
+        const { opportunity } = record;
+
+        if (opportunity.deadline) {
+            const block = await provider.getBlock(blockNumber);
+            // The contract rejects a path once block.timestamp reaches its deadline
+            if (block && block.timestamp >= opportunity.deadline) return 'deadline';
+        }
+
+        if (record.checkProfitable && !(await record.checkProfitable(opportunity))) {
+            return 'unprofitable';
+        }
+
+        if (blockNumber - record.submittedBlock >= this.settings.maxWaitBlocks) {
+            return 'timeout';
+        }
+
+        return null;
+    }
+
+    // Only bump while the worst-case gas bill still leaves the trade worth doing
+    async canAffordBump(record) {
+        const pending = this.transactionBuilder.pendingTxs.get(record.latestHash);
+        const fees = await this.transactionBuilder.getReplacementFees(pending.txData, this.settings.bumpBps);
+
+        const maxAllowed = BigInt(Math.round(config.maxGasPriceGwei * 1e9));
+        if (fees.maxFeePerGas > maxAllowed) return false;
+
+        const { opportunity } = record;
+        if (typeof opportunity.netProfitUSD !== 'number') return true;
+
+        const grossProfitUSD = opportunity.netProfitUSD + ((opportunity.simulationResult || {}).gasCostUSD || 0);
+        const worstGasUSD = await this.profitCalculator.calculateGasCostUSD(fees.maxFeePerGas * BigInt(pending.txData.gasLimit));
+
+        return worstGasUSD < grossProfitUSD;
+    }
+
+    async speedUp(record, blockNumber) {
+        if (!(await this.canAffordBump(record))) return;
+
+        const signedTx = await this.transactionBuilder.speedUpTransaction(record.latestHash, this.settings.bumpBps);
+        this.resubmitted(record, signedTx, blockNumber, 'speed_up');
+        record.bumps++;
+
+        this.recordBump('speed_up');
+        Logger.logInfo(`Sped up ${record.originalHash} (bump ${record.bumps}/${this.settings.maxBumps})`);
+    }
+
+    async cancel(record, reason, blockNumber) {
+        const signedTx = await this.transactionBuilder.cancelTransaction(record.latestHash, this.settings.bumpBps);
+        const hash = this.resubmitted(record, signedTx, blockNumber, 'cancel');
+        record.cancelHashes.push(hash);
+
+        if (!record.cancelling) {
+            record.cancelling = true;
+            record.cancelReason = reason;
+            record.cancelBlock = blockNumber;
+            Logger.logWarning(`Cancelling ${record.originalHash}: ${reason}`);
+        }
+
+        this.recordBump('cancel');
+    }
+
+    resubmitted(record, signedTx, blockNumber, kind) {
+        const hash = ethers.keccak256(signedTx);
+        record.hashes.push(hash);
+        record.latestHash = hash;
+        record.lastSubmitBlock = blockNumber;
+
+        this.emit('resubmitted', record, hash, this.transactionBuilder.pendingTxs.get(hash).txData, kind);
+        return hash;
+    }
+
+    finishMined(record, blockNumber, receipt) {
+        let outcome = receipt.status === 1 ? 'confirmed' : 'reverted';
+        if (record.cancelHashes.includes(receipt.hash)) outcome = 'cancelled';
+        return this.finish(record, outcome, blockNumber, receipt);
+    }
+
+    finish(record, outcome, blockNumber, receipt = null) {
+        this.tracked.delete(record.originalHash);
+        record.hashes.forEach(hash => this.transactionBuilder.clearPendingTransaction(hash));
+
+        const result = {
+            outcome,
+            receipt,
+            hash: receipt ? receipt.hash : record.latestHash,
+            reason: record.cancelReason,
+            bumps: record.bumps,
+            blocks: blockNumber - record.submittedBlock
+        };
+
+        if (this.metricsCollector) {
+            this.metricsCollector.recordTransactionOutcome(outcome, result.blocks);
+        }
+
+        record.resolve(result);
+    }
+
+    recordBump(kind) {
+        if (this.metricsCollector) {
+            this.metricsCollector.incrementCounter('transaction_replacements_total', 1, { kind });
+        }
+    }
+
+    getStats() {
+        return {
+            tracked: [...this.tracked.values()].map(record => ({
+                hash: record.originalHash,
+                latestHash: record.latestHash,
+                nonce: record.nonce.toString(),
+                bumps: record.bumps,
+                cancelling: record.cancelling,
+                cancelReason: record.cancelReason
+            }))
+        };
+    }
+}
+
+module.exports = TxLifecycleMonitor;
@@ -14,7 +14,9 @@ class Logger {
         
         console.log(chalk.bold('\n🔄 Transaction Path:'));
         opportunity.path.forEach((hop, index) => {
-            console.log(`  ${chalk.bold(`Hop ${index + 1}:`)} ${hop.inputAmount} ${hop.fromToken} → ${hop.outputAmount} ${hop.toToken}`);
+            const input = hop.input ? hop.input.format() : hop.amount;
+            const output = hop.output ? hop.output.format() : hop.outputAmount;
+            console.log(`  ${chalk.bold(`Hop ${index + 1}:`)} ${input} ${hop.fromToken} → ${output} ${hop.toToken}`);
             console.log(`      DEX: ${hop.dex || 'Unknown'}`);
             console.log(`      Price Impact: ${(hop.priceImpact * 100).toFixed(4)}%`);
         });
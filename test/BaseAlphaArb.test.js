@@ -1,15 +1,35 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, setCode } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("BaseAlphaArb", function () {
+    const AAVE_ADDRESSES_PROVIDER = "0xe20fCBdBfFC4Dd138cE8b2E6FBb6CB49777ad64D";
+    const BASE_TOKENS = [
+        "0x4200000000000000000000000000000000000006",
+        "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+        "0x2Ae3F1Ec7F1F5012CFEab0185bfc7aa3cf0DEc22"
+    ];
+
     async function deployContract() {
         const [owner, otherAccount] = await ethers.getSigners();
         
+        // The constructor reads the pool from the Base Aave provider and approves the Base tokens,
+        // so mock code is placed at those addresses first
+        const pool = await (await ethers.getContractFactory("MockAavePool")).deploy();
+        const provider = await (await ethers.getContractFactory("MockPoolAddressesProvider")).deploy(pool.target);
+        await setCode(AAVE_ADDRESSES_PROVIDER, await ethers.provider.getCode(provider.target));
+        
+        const token = await (await ethers.getContractFactory("MockERC20")).deploy("Mock", "MOCK", 18);
+        const tokenCode = await ethers.provider.getCode(token.target);
+        for (const address of BASE_TOKENS) {
+            await setCode(address, tokenCode);
+        }
+        
         const BaseAlphaArb = await ethers.getContractFactory("BaseAlphaArb");
         const arb = await BaseAlphaArb.deploy();
         
-        return { arb, owner, otherAccount };
+        return { arb, pool, owner, otherAccount };
     }
 
     describe("Deployment", function () {
@@ -19,9 +39,10 @@ describe("BaseAlphaArb", function () {
         });
 
         it("Should have correct Aave addresses provider", async function () {
-            const { arb } = await loadFixture(deployContract);
+            const { arb, pool } = await loadFixture(deployContract);
             const provider = await arb.ADDRESSES_PROVIDER();
             expect(provider).to.equal("0xe20fCBdBfFC4Dd138cE8b2E6FBb6CB49777ad64D");
+            expect(await arb.POOL()).to.equal(pool.target);
         });
     });
 
@@ -96,5 +117,232 @@ describe("BaseAlphaArb", function () {
             
             expect(premium).to.equal(ethers.parseUnits("0.09", 18));
         });
+
+        it("Should repay an Aave flash loan and send the profit to the owner", async function () {
+            const { arb, pool, owner } = await loadFixture(deployContract);
+            const token = await (await ethers.getContractFactory("MockERC20")).deploy("Test", "TEST", 18);
+            const amount = ethers.parseUnits("100", 18);
+            const premium = (amount * 9n) / 10000n;
+            
+            await token.transfer(pool.target, amount);
+            await token.transfer(arb.target, ethers.parseUnits("1", 18));
+            
+            // A hop that leaves balances alone, so the profit is the pre-funded balance less the premium
+            const hop = [token.target, token.target, token.target, amount, 0, token.interface.encodeFunctionData("totalSupply"), false];
+            const path = [[hop], 0, 1900000000];
+            const ownerBalance = await token.balanceOf(owner.address);
+            
+            await expect(arb.connect(owner).executeArbitrage(path, amount))
+                .to.emit(arb, "ArbitrageExecuted");
+            
+            expect(await token.balanceOf(pool.target)).to.equal(amount + premium);
+            expect(await token.balanceOf(arb.target)).to.equal(0);
+            expect(await token.balanceOf(owner.address)).to.equal(ownerBalance + ethers.parseUnits("1", 18) - premium);
+        });
+    });
+
+    describe("Flash Loan Providers", function () {
+        const emptyPath = { hops: [], minProfit: 0, deadline: 0 };
+
+        it("Should have correct alternative lender addresses", async function () {
+            const { arb } = await loadFixture(deployContract);
+            
+            expect(await arb.BALANCER_VAULT()).to.equal("0xBA12222222228d8Ba445958a75a0704d566BF2C8");
+            expect(await arb.MORPHO_BLUE()).to.equal("0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb");
+        });
+
+        it("Should prevent non-owner from executing with a provider", async function () {
+            const { arb, otherAccount } = await loadFixture(deployContract);
+            
+            await expect(
+                arb.connect(otherAccount).executeArbitrageWithProvider(emptyPath, 1, 1, ethers.ZeroAddress)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+
+        it("Should reject flash loan callbacks it did not request", async function () {
+            const { arb, otherAccount } = await loadFixture(deployContract);
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(
+                ["tuple(tuple(address,address,address,uint256,uint256,bytes,bool)[],uint256,uint256)"],
+                [[[], 0, 0]]
+            );
+            
+            await expect(
+                arb.connect(otherAccount).receiveFlashLoan([ethers.ZeroAddress], [1], [0], data)
+            ).to.be.revertedWith("Invalid caller");
+            await expect(
+                arb.connect(otherAccount).uniswapV3FlashCallback(0, 0, data)
+            ).to.be.revertedWith("Invalid caller");
+            await expect(
+                arb.connect(otherAccount).onMorphoFlashLoan(1, data)
+            ).to.be.revertedWith("Invalid caller");
+        });
+    });
+
+    describe("Flash Loan Callbacks", function () {
+        const BALANCER_VAULT = "0xBA12222222228d8Ba445958a75a0704d566BF2C8";
+        const MORPHO_BLUE = "0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb";
+        const Provider = { Balancer: 1, UniswapV3: 2, Morpho: 3 };
+        const amount = ethers.parseUnits("100", 18);
+        const prefunded = ethers.parseUnits("1", 18);
+
+        // Mock code over the lender's Base address, holding enough of the token to lend
+        async function placeLender(name, address, token) {
+            const mock = await (await ethers.getContractFactory(name)).deploy();
+            await setCode(address, await ethers.provider.getCode(mock.target));
+            await token.transfer(address, amount);
+            return mock.attach(address);
+        }
+
+        // The contract holds `prefunded` before the loan, so with a hop that leaves balances alone the profit
+        // is whatever is left of it after the lender's fee
+        async function prepare(arb, minProfit = 0) {
+            const token = await (await ethers.getContractFactory("MockERC20")).deploy("Test", "TEST", 18);
+            await token.transfer(arb.target, prefunded);
+            const hop = [token.target, token.target, token.target, amount, 0, token.interface.encodeFunctionData("totalSupply"), false];
+            return { token, path: [[hop], minProfit, 1900000000] };
+        }
+
+        it("Should repay a Balancer flash loan by transfer and send the profit to the owner", async function () {
+            const { arb, owner } = await loadFixture(deployContract);
+            const { token, path } = await prepare(arb);
+            const vault = await placeLender("MockBalancerVault", BALANCER_VAULT, token);
+            const fee = (amount * 5n) / 10000n;
+            const ownerBalance = await token.balanceOf(owner.address);
+
+            await expect(arb.connect(owner).executeArbitrageWithProvider(path, amount, Provider.Balancer, ethers.ZeroAddress))
+                .to.emit(arb, "ArbitrageExecuted");
+
+            expect(await token.balanceOf(vault.target)).to.equal(amount + fee);
+            expect(await token.allowance(arb.target, vault.target)).to.equal(0);
+            expect(await token.balanceOf(arb.target)).to.equal(0);
+            expect(await token.balanceOf(owner.address)).to.equal(ownerBalance + prefunded - fee);
+        });
+
+        it("Should repay a Uniswap V3 flash by transfer with the pool's fee on the borrowed side", async function () {
+            const { arb, owner } = await loadFixture(deployContract);
+            const { token, path } = await prepare(arb);
+            const other = await (await ethers.getContractFactory("MockERC20")).deploy("Other", "OTHER", 18);
+            // The borrowed token is token1, so the callback has to take fee1
+            const pool = await (await ethers.getContractFactory("MockUniswapV3Pool")).deploy(other.target, token.target, 500);
+            await token.transfer(pool.target, amount);
+            const fee = (amount * 500n + 999999n) / 1000000n;
+            const ownerBalance = await token.balanceOf(owner.address);
+
+            await expect(arb.connect(owner).executeArbitrageWithProvider(path, amount, Provider.UniswapV3, pool.target))
+                .to.emit(arb, "ArbitrageExecuted");
+
+            expect(await token.balanceOf(pool.target)).to.equal(amount + fee);
+            expect(await token.allowance(arb.target, pool.target)).to.equal(0);
+            expect(await token.balanceOf(arb.target)).to.equal(0);
+            expect(await token.balanceOf(owner.address)).to.equal(ownerBalance + prefunded - fee);
+        });
+
+        it("Should fail a path that swaps through the Uniswap V3 pool it borrows from", async function () {
+            const { arb, owner } = await loadFixture(deployContract);
+            const { token } = await prepare(arb);
+            const other = await (await ethers.getContractFactory("MockERC20")).deploy("Other", "OTHER", 18);
+            const pool = await (await ethers.getContractFactory("MockUniswapV3Pool")).deploy(token.target, other.target, 500);
+            await token.transfer(pool.target, amount);
+            const hop = [pool.target, token.target, token.target, amount, 0, pool.interface.encodeFunctionData("swap"), false];
+
+            await expect(
+                arb.connect(owner).executeArbitrageWithProvider([[hop], 0, 1900000000], amount, Provider.UniswapV3, pool.target)
+            ).to.be.revertedWith("Generic swap failed");
+        });
+
+        it("Should let Morpho pull the repayment and send the profit to the owner", async function () {
+            const { arb, owner } = await loadFixture(deployContract);
+            const { token, path } = await prepare(arb);
+            const morpho = await placeLender("MockMorpho", MORPHO_BLUE, token);
+            const ownerBalance = await token.balanceOf(owner.address);
+
+            await expect(arb.connect(owner).executeArbitrageWithProvider(path, amount, Provider.Morpho, ethers.ZeroAddress))
+                .to.emit(arb, "ArbitrageExecuted");
+
+            // Free, and the allowance granted for the pull is used up by it
+            expect(await token.balanceOf(morpho.target)).to.equal(amount);
+            expect(await token.allowance(arb.target, morpho.target)).to.equal(0);
+            expect(await token.balanceOf(arb.target)).to.equal(0);
+            expect(await token.balanceOf(owner.address)).to.equal(ownerBalance + prefunded);
+        });
+
+        it("Should revert when a lender's fee leaves less than the profit floor", async function () {
+            const { arb, owner } = await loadFixture(deployContract);
+            const { token, path } = await prepare(arb, prefunded);
+            await placeLender("MockBalancerVault", BALANCER_VAULT, token);
+
+            await expect(arb.connect(owner).executeArbitrageWithProvider(path, amount, Provider.Balancer, ethers.ZeroAddress))
+                .to.be.revertedWith("Profit below minimum threshold");
+        });
+    });
+
+    describe("Multi-Asset Flash Loans", function () {
+        const amountA = ethers.parseUnits("100", 18);
+        const amountB = ethers.parseUnits("50", 18);
+        const prefunded = ethers.parseUnits("1", 18);
+        const premium = (amount) => (amount * 9n) / 10000n;
+
+        // Pool funded with both assets; the contract already holds `fundedB` of the second one
+        async function prepare(arb, pool, fundedB = prefunded) {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const tokenA = await MockERC20.deploy("Profit", "PRF", 18);
+            const tokenB = await MockERC20.deploy("Second", "SEC", 18);
+            await tokenA.transfer(pool.target, amountA);
+            await tokenB.transfer(pool.target, amountB);
+            await tokenA.transfer(arb.target, prefunded);
+            await tokenB.transfer(arb.target, fundedB);
+
+            const hop = [tokenA.target, tokenA.target, tokenA.target, amountA, 0, tokenA.interface.encodeFunctionData("totalSupply"), false];
+            return { tokenA, tokenB, hop };
+        }
+
+        it("Should repay every borrowed asset and send what is left of each to the owner", async function () {
+            const { arb, pool, owner } = await loadFixture(deployContract);
+            const { tokenA, tokenB, hop } = await prepare(arb, pool);
+            const [ownerA, ownerB] = [await tokenA.balanceOf(owner.address), await tokenB.balanceOf(owner.address)];
+
+            await expect(arb.connect(owner).executeMultiAssetArbitrage(
+                [[hop], 0, 1900000000], [tokenA.target, tokenB.target], [amountA, amountB]
+            )).to.emit(arb, "ArbitrageExecuted").withArgs(pool.target, tokenA.target, amountA, prefunded - premium(amountA), anyValue);
+
+            expect(await tokenA.balanceOf(pool.target)).to.equal(amountA + premium(amountA));
+            expect(await tokenB.balanceOf(pool.target)).to.equal(amountB + premium(amountB));
+            expect(await tokenA.balanceOf(arb.target)).to.equal(0);
+            expect(await tokenB.balanceOf(arb.target)).to.equal(0);
+            expect(await tokenA.balanceOf(owner.address)).to.equal(ownerA + prefunded - premium(amountA));
+            expect(await tokenB.balanceOf(owner.address)).to.equal(ownerB + prefunded - premium(amountB));
+        });
+
+        it("Should measure the profit floor in the first asset", async function () {
+            const { arb, pool, owner } = await loadFixture(deployContract);
+            const { tokenA, tokenB, hop } = await prepare(arb, pool);
+            const minProfit = prefunded - premium(amountA) + 1n;
+
+            await expect(arb.connect(owner).executeMultiAssetArbitrage(
+                [[hop], minProfit, 1900000000], [tokenA.target, tokenB.target], [amountA, amountB]
+            )).to.be.revertedWith("Profit below minimum threshold");
+        });
+
+        it("Should revert when any borrowed asset can't be repaid", async function () {
+            const { arb, pool, owner } = await loadFixture(deployContract);
+            // One unit short of the second asset's premium
+            const { tokenA, tokenB, hop } = await prepare(arb, pool, premium(amountB) - 1n);
+
+            await expect(arb.connect(owner).executeMultiAssetArbitrage(
+                [[hop], 0, 1900000000], [tokenA.target, tokenB.target], [amountA, amountB]
+            )).to.be.revertedWith("Insufficient funds to repay flash loan");
+        });
+
+        it("Should only accept the multi-asset callback from the pool", async function () {
+            const { arb, otherAccount } = await loadFixture(deployContract);
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(
+                ["tuple(tuple(address,address,address,uint256,uint256,bytes,bool)[],uint256,uint256)"],
+                [[[], 0, 0]]
+            );
+            const executeOperation = arb.connect(otherAccount)["executeOperation(address[],uint256[],uint256[],address,bytes)"];
+
+            await expect(executeOperation([ethers.ZeroAddress], [1], [0], arb.target, data)).to.be.revertedWith("Invalid caller");
+        });
     });
 });
+
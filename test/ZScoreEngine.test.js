@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const config = require("../config/config.json");
+const ZScoreEngine = require("../src/ZScoreEngine");
+
+describe("ZScoreEngine", function () {
+    const ALT = "0xaaaa000000000000000000000000000000000001";
+    const criticalValues = { "1%": -3.43, "5%": -2.86, "10%": -2.57 };
+    const stats = (adfStatistic) => ({ halfLife: 10, halfLifeBlocks: 50, hurstExponent: 0.4, adfStatistic, adfCriticalValues: criticalValues });
+
+    describe("Pair universe", function () {
+        let engine;
+        let tokens;
+        let adfStatistic;
+
+        beforeEach(function () {
+            tokens = [{ address: ALT, liquidityUSD: 500000 }];
+            engine = new ZScoreEngine({ getActiveTokens: () => tokens });
+            engine.settings.testPauseMs = 0;
+            engine.priceIngestion = null;
+            engine.testCointegration = async () => stats(adfStatistic);
+        });
+
+        const altPair = () => engine.pairs.get(`${config.baseTokens[0]}-${ALT}`);
+
+        it("Should add discovered tokens and promote passing pairs on the first test", async function () {
+            adfStatistic = -4;
+            await engine.refreshPairs(1);
+
+            expect(altPair()).to.include({ type: "base-alt", cointegrated: true, halfLifeBlocks: 50 });
+            expect((await engine.getMonitoredPairs()).length).to.equal(engine.pairs.size);
+        });
+
+        it("Should only demote after consecutive failures at the looser retention limit", async function () {
+            adfStatistic = -4;
+            await engine.refreshPairs(1);
+
+            // Fails the 1% entry bar but clears the 5% retention bar
+            adfStatistic = -3;
+            await engine.refreshPairs(2);
+            await engine.refreshPairs(3);
+            expect(altPair().cointegrated).to.be.true;
+
+            adfStatistic = -2;
+            await engine.refreshPairs(4);
+            expect(altPair().cointegrated).to.be.true;
+            await engine.refreshPairs(5);
+            expect(altPair().cointegrated).to.be.false;
+
+            const [removal] = engine.getRemovals(1);
+            expect(removal).to.include({ kind: "demoted", blockNumber: 5 });
+            expect(removal.reason).to.match(/ADF -2\.00 above 5% critical value/);
+
+            // Re-promotion needs promoteAfterPasses passes in a row
+            adfStatistic = -4;
+            await engine.refreshPairs(6);
+            expect(altPair().cointegrated).to.be.false;
+            await engine.refreshPairs(7);
+            expect(altPair().cointegrated).to.be.true;
+        });
+
+        it("Should drop candidates whose token leaves the universe but keep cointegrated ones", async function () {
+            adfStatistic = -4;
+            await engine.refreshPairs(1);
+            tokens = [];
+            await engine.refreshPairs(2);
+            expect(altPair()).to.exist;
+
+            adfStatistic = -2;
+            await engine.refreshPairs(3);
+            await engine.refreshPairs(4);
+            await engine.refreshPairs(5);
+
+            expect([...engine.pairs.values()].some(pair => pair.tokenB === ALT)).to.be.false;
+            expect(engine.getRemovals(1)[0]).to.include({ kind: "dropped", reason: "token no longer in the discovered universe" });
+        });
+    });
+
+    describe("Models", function () {
+        const [WETH, USDC, cbETH] = config.baseTokens;
+        let engine;
+        let history;
+
+        // Deterministic normal draws, so the statistics below are the same on every run
+        let seed;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647;
+        };
+        const gaussian = () => Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random());
+
+        // Log price paths, oldest first; the engine reads history newest first
+        function setHistory(paths) {
+            history = {};
+            for (const [token, path] of Object.entries(paths)) {
+                history[token] = path.map(Math.exp).reverse();
+            }
+        }
+
+        beforeEach(function () {
+            seed = 42;
+            engine = new ZScoreEngine({ getActiveTokens: () => [] });
+            engine.settings.testPauseMs = 0;
+            engine.priceIngestion = null;
+            engine.getHistoricalPrices = async (token) => history[token] || [];
+            engine.getCurrentPrice = async (token) => history[token][0];
+        });
+
+        it("Should score an accruing LST ratio against the Kalman trend instead of a static mean", async function () {
+            let noise = 0;
+            const accruing = Array.from({ length: 100 }, (_, i) => {
+                noise = 0.5 * noise + gaussian() * 0.0002;
+                return -0.05 - 0.005 * i / 100 + noise;
+            });
+            setHistory({ [WETH]: accruing.map(() => 0), [cbETH]: accruing });
+            const pair = { tokenA: WETH, tokenB: cbETH };
+
+            // The ratio keeps climbing, so against its window mean it always looks stretched
+            engine.settings.pairModels = { [`${WETH}-${cbETH}`]: { hedge: "ols" } };
+            const ratio = await engine.calculateZScore(pair);
+            expect(ratio.value).to.be.greaterThan(1.5);
+
+            engine.zScoreCache.flushAll();
+            engine.settings.pairModels = { [`${WETH}-${cbETH}`]: { hedge: "kalman" } };
+            const kalman = await engine.calculateZScore(pair);
+            expect(kalman).to.include({ model: "kalman", hedgeRatio: null, window: 80 });
+            expect(Math.abs(kalman.value)).to.be.lessThan(1);
+        });
+
+        it("Should find a basket's cointegrating vector with Johansen, leaving the numeraire out", async function () {
+            let usdc = 0;
+            let spread = 0;
+            const usdcPath = [];
+            const cbethPath = [];
+            for (let i = 0; i < 150; i++) {
+                usdc += gaussian() * 0.002;
+                spread = 0.5 * spread + gaussian() * 0.0005;
+                usdcPath.push(usdc);
+                cbethPath.push(0.5 * usdc + spread);
+            }
+            setHistory({ [WETH]: usdcPath.map(() => 0), [USDC]: usdcPath, [cbETH]: cbethPath });
+
+            const basket = engine.baskets.get(`${WETH}-${cbETH}-${USDC}`);
+            await engine.performCointegrationTests(1);
+
+            expect(basket.cointegrated).to.be.true;
+            expect(basket.vector[0]).to.equal(0);
+            expect(basket.vector[1]).to.equal(1);
+            expect(basket.vector[2]).to.be.closeTo(-0.5, 0.05);
+
+            const zScore = await engine.calculateBasketZScore(basket);
+            expect(zScore.model).to.equal("johansen");
+            expect(zScore.value).to.be.a("number").and.satisfy(Number.isFinite);
+        });
+
+        it("Should select ADF lags by AIC and reject a pair whose spread wanders", async function () {
+            let usdc = 0;
+            let drift = 0;
+            const usdcPath = [];
+            const cbethPath = [];
+            for (let i = 0; i < 150; i++) {
+                usdc += gaussian() * 0.002;
+                drift += gaussian() * 0.001;
+                usdcPath.push(usdc);
+                cbethPath.push(0.5 * usdc + drift);
+            }
+            setHistory({ [USDC]: usdcPath, [cbETH]: cbethPath });
+
+            const stats = await engine.testCointegration([USDC, cbETH], { cointegration: "engle-granger", adfLags: "aic" });
+            expect(stats.adfLag).to.be.at.least(0);
+            expect(stats.adfCriticalValues["5%"]).to.be.lessThan(-3.3);
+            expect(engine.getCointegrationFailure(stats, true)).to.match(/^ADF .* above 5% critical value/);
+        });
+
+        it("Should refuse unknown model names", function () {
+            engine.settings.pairModels = { [`${WETH}-${cbETH}`]: { hedge: "kalmann" } };
+            expect(() => engine.validateModels()).to.throw("Unknown zScoreSettings model hedge: kalmann");
+        });
+    });
+
+    describe("Pool price", function () {
+        const POOL = "0x0000000000000000000000000000000000000b01";
+        const factory = new ethers.Interface([
+            "function getPool(address tokenA, address tokenB, int24 tickSpacing) view returns (address pool)"
+        ]);
+        // Slipstream's slot0, one field shorter than Uniswap V3's
+        const pool = new ethers.Interface([
+            "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, bool unlocked)",
+            "function liquidity() view returns (uint128)"
+        ]);
+
+        // Only a tick spacing 200 pool, at price 4
+        const provider = {
+            call: async (tx) => {
+                if (tx.to.toLowerCase() === config.aerodromeCLFactoryAddress.toLowerCase()) {
+                    const [, , tickSpacing] = factory.decodeFunctionData("getPool", tx.data);
+                    return factory.encodeFunctionResult("getPool", [tickSpacing === 200n ? POOL : ethers.ZeroAddress]);
+                }
+                if (tx.to.toLowerCase() !== POOL) throw ethers.makeError("execution reverted", "CALL_EXCEPTION", { data: "0x" });
+                const { name } = pool.parseTransaction({ data: tx.data });
+                const value = { slot0: [2n << 96n, 0, 0, 1, 1, true], liquidity: [10n ** 18n] }[name];
+                return pool.encodeFunctionResult(name, value);
+            }
+        };
+
+        it("Should read the price from the Slipstream pool the factory has by tick spacing", async function () {
+            const engine = new ZScoreEngine({ getActiveTokens: () => [] });
+
+            expect(await engine.readPoolPrice(ALT, provider, "latest")).to.equal(4);
+        });
+    });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const RPCManager = require("../src/rpcManager");
+const AggregatorService = require("../src/aggregatorService");
+
+describe("AggregatorService", function () {
+    const WETH = "0x4200000000000000000000000000000000000006";
+    const USDC = "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913";
+    const pool = (suffix) => `0x00000000000000000000000000000000000000${suffix}`;
+
+    // One interface per factory family, so a call made with the wrong one doesn't decode
+    const v3Factory = new ethers.Interface(["function getPool(address, address, uint24) view returns (address)"]);
+    const aerodromeFactory = new ethers.Interface([
+        "function getPool(address, address, bool) view returns (address)",
+        "function getFee(address, bool) view returns (uint256)"
+    ]);
+    const v2Factory = new ethers.Interface(["function getPair(address, address) view returns (address)"]);
+
+    let service;
+
+    // Each factory answers only its own lookup; anything else reverts like a missing selector would
+    function factoryCall(directDexes) {
+        return async (tx) => {
+            const to = tx.to.toLowerCase();
+            const revert = () => { throw ethers.makeError("execution reverted", "CALL_EXCEPTION", { data: "0x" }); };
+
+            if (to === directDexes.Aerodrome.factory.toLowerCase()) {
+                const call = aerodromeFactory.parseTransaction({ data: tx.data }) || revert();
+                if (call.name === "getFee") {
+                    return aerodromeFactory.encodeFunctionResult("getFee", [call.args[1] ? 5 : 30]);
+                }
+                return aerodromeFactory.encodeFunctionResult("getPool", [call.args[2] ? pool("a5") : pool("a0")]);
+            }
+            if (to === directDexes.Baseswap.factory.toLowerCase()) {
+                const call = v2Factory.parseTransaction({ data: tx.data }) || revert();
+                return v2Factory.encodeFunctionResult(call.name, [pool("b2")]);
+            }
+            if (to === directDexes["Uniswap V3"].factory.toLowerCase()) {
+                const call = v3Factory.parseTransaction({ data: tx.data }) || revert();
+                const found = call.args[2] === 500n ? pool("05") : ethers.ZeroAddress;
+                return v3Factory.encodeFunctionResult("getPool", [found]);
+            }
+            return v3Factory.encodeFunctionResult("getPool", [ethers.ZeroAddress]);
+        };
+    }
+
+    before(function () {
+        // Nothing here should reach the aggregators' APIs
+        const testConnectivity = AggregatorService.prototype.testAggregatorConnectivity;
+        AggregatorService.prototype.testAggregatorConnectivity = async () => {};
+        service = new AggregatorService();
+        AggregatorService.prototype.testAggregatorConnectivity = testConnectivity;
+    });
+
+    beforeEach(function () {
+        RPCManager.pinProvider({ call: factoryCall(service.directDexes) });
+    });
+
+    afterEach(function () {
+        RPCManager.unpinProvider();
+    });
+
+    it("Should look pools up the way each factory expects", async function () {
+        const pools = await service.discoverPools([WETH, USDC]);
+
+        expect(pools.map(({ address, dex, fee }) => ({ address, dex, fee }))).to.deep.equal([
+            { address: pool("a0"), dex: "Aerodrome", fee: 3000 },
+            { address: pool("a5"), dex: "Aerodrome", fee: 500 },
+            { address: pool("05"), dex: "Uniswap V3", fee: 500 },
+            { address: pool("b2"), dex: "Baseswap", fee: 2500 }
+        ]);
+        expect(pools.every(found => found.tokenA === WETH && found.tokenB === USDC)).to.equal(true);
+    });
+
+    it("Should keep the other factories' pools when one factory's lookup fails", async function () {
+        const aerodrome = service.directDexes.Aerodrome.factory.toLowerCase();
+        const answer = factoryCall(service.directDexes);
+        RPCManager.pinProvider({
+            call: async (tx) => {
+                if (tx.to.toLowerCase() === aerodrome) throw new Error("upstream timeout");
+                return answer(tx);
+            }
+        });
+
+        const pools = await service.discoverPools([WETH, USDC]);
+
+        expect(pools.map(found => found.dex)).to.deep.equal(["Uniswap V3", "Baseswap"]);
+    });
+});
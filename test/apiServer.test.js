@@ -0,0 +1,79 @@
+const http = require("http");
+const { expect } = require("chai");
+const ApiServer = require("../src/apiServer");
+
+describe("ApiServer", function () {
+    const authToken = "s3cr";
+    let api;
+    let server;
+    let baseUrl;
+
+    // The handler on its own server, so the test owns the port and nothing outlives it
+    async function startApi(options = {}) {
+        const bot = {
+            getStatus: () => ({ running: true }),
+            pause: (reason) => ({ paused: true, reason })
+        };
+        api = new ApiServer(bot, { authToken, ...options });
+        server = http.createServer((req, res) => api.handleRequest(req, res));
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    async function request(path, { method = "GET", token = null, body = null } = {}) {
+        const headers = { "Content-Type": "application/json" };
+        if (token !== null) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    }
+
+    afterEach(async function () {
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+        }
+        server = null;
+    });
+
+    it("Should serve authorized requests and reject missing or wrong tokens", async function () {
+        await startApi();
+
+        expect(await request("/status", { token: authToken })).to.deep.equal({ status: 200, body: { success: true, data: { running: true } } });
+        expect((await request("/status")).status).to.equal(401);
+        expect((await request("/status", { token: "s3cR" })).status).to.equal(401);
+        expect((await request("/status", { token: "a-much-longer-token" })).status).to.equal(401);
+
+        const paused = await request("/pause", { method: "POST", token: authToken, body: { reason: "test" } });
+        expect(paused.body.data).to.deep.equal({ paused: true, reason: "test" });
+    });
+
+    it("Should reject a token with the same character count but a different byte length", async function () {
+        await startApi();
+        const rejections = [];
+        const onRejection = (reason) => rejections.push(reason);
+        process.on("unhandledRejection", onRejection);
+
+        try {
+            // Four characters, eight bytes: the bytes a length check on the string lets through
+            const response = await request("/status", { token: "éééé" });
+            expect(response.status).to.equal(401);
+        } finally {
+            process.off("unhandledRejection", onRejection);
+        }
+
+        expect(rejections).to.be.empty;
+    });
+
+    it("Should rate limit each client before checking its token", async function () {
+        await startApi({ rateLimit: 3 });
+
+        const statuses = [];
+        for (let i = 0; i < 5; i++) {
+            statuses.push((await request("/status", { token: "guess" })).status);
+        }
+
+        expect(statuses).to.deep.equal([401, 401, 401, 429, 429]);
+        expect((await request("/status", { token: authToken })).status).to.equal(429);
+    });
+});
@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const ArbitrageEncoder = require("../src/arbitrageEncoder");
+
+describe("ArbitrageEncoder", function () {
+    const WETH = "0x4200000000000000000000000000000000000006";
+    const USDC = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+    const cbETH = "0x2Ae3F1Ec7F1F5012CFEab0185bfc7aa3cf0DEc22";
+
+    let contractInterface;
+
+    function buildOpportunity() {
+        return {
+            amount: ethers.parseUnits("10", 18),
+            minProfit: ethers.parseUnits("0.01", 18),
+            deadline: 1900000000,
+            path: [
+                {
+                    fromToken: WETH,
+                    toToken: USDC,
+                    dex: "odos",
+                    amount: ethers.parseUnits("10", 18),
+                    outputAmount: ethers.parseUnits("30000", 6),
+                    swapData: "0x1234"
+                },
+                {
+                    fromToken: USDC,
+                    toToken: WETH,
+                    dex: "Aerodrome",
+                    amount: ethers.parseUnits("30000", 6),
+                    minAmountOut: ethers.parseUnits("10.02", 18)
+                }
+            ]
+        };
+    }
+
+    before(async function () {
+        // Decode against the compiled contract, not the encoder's own copy of the ABI
+        contractInterface = (await ethers.getContractFactory("BaseAlphaArb")).interface;
+    });
+
+    it("Should encode executeArbitrage with full ArbitrageHop structs", async function () {
+        const opportunity = buildOpportunity();
+        const decoded = contractInterface.parseTransaction({ data: ArbitrageEncoder.encode(opportunity) });
+
+        expect(decoded.name).to.equal("executeArbitrage");
+
+        const [path, flashLoanAmount] = decoded.args;
+        expect(flashLoanAmount).to.equal(opportunity.amount);
+        expect(path.minProfit).to.equal(opportunity.minProfit);
+        expect(path.deadline).to.equal(1900000000n);
+        expect(path.hops.length).to.equal(2);
+
+        expect(path.hops[0].aggregator).to.equal("0x19cEeAd7105607Cd444F5ad10dd51356436095a1");
+        expect(path.hops[0].fromToken).to.equal(WETH);
+        expect(path.hops[0].toToken).to.equal(USDC);
+        expect(path.hops[0].amountIn).to.equal(ethers.parseUnits("10", 18));
+        // Quoted output less the default 50 bps hop slippage
+        expect(path.hops[0].minAmountOut).to.equal(ethers.parseUnits("29850", 6));
+        expect(path.hops[0].swapData).to.equal("0x1234");
+        expect(path.hops[0].useEth).to.be.false;
+
+        expect(path.hops[1].aggregator).to.equal("0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43");
+        expect(path.hops[1].minAmountOut).to.equal(ethers.parseUnits("10.02", 18));
+        expect(path.hops[1].swapData).to.equal("0x");
+    });
+
+    it("Should encode single-asset loans through the chosen provider", async function () {
+        const opportunity = buildOpportunity();
+        const pool = "0xd0b53D9277642d899DF5C87A3966A349A798F224";
+        opportunity.flashLoan = {
+            provider: "uniswapV3",
+            lender: pool,
+            borrows: [{ asset: WETH, amount: opportunity.amount }]
+        };
+
+        const decoded = contractInterface.parseTransaction({ data: ArbitrageEncoder.encode(opportunity) });
+
+        expect(decoded.name).to.equal("executeArbitrageWithProvider");
+        expect(decoded.args.flashLoanAmount).to.equal(opportunity.amount);
+        expect(decoded.args.provider).to.equal(2n);
+        expect(decoded.args.lender).to.equal(pool);
+
+        opportunity.flashLoan.provider = "balancer";
+        const balancer = contractInterface.parseTransaction({ data: ArbitrageEncoder.encode(opportunity) });
+        expect(balancer.args.provider).to.equal(1n);
+        expect(balancer.args.lender).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should encode multi-asset loans with the start token first", async function () {
+        const opportunity = buildOpportunity();
+        opportunity.path[1].toToken = cbETH;
+        opportunity.flashLoan = {
+            provider: "aave",
+            borrows: [
+                { asset: WETH, amount: opportunity.amount },
+                { asset: cbETH, amount: ethers.parseUnits("1", 18) }
+            ]
+        };
+
+        const decoded = contractInterface.parseTransaction({ data: ArbitrageEncoder.encode(opportunity) });
+
+        expect(decoded.name).to.equal("executeMultiAssetArbitrage");
+        expect(decoded.args.assets).to.deep.equal([WETH, cbETH]);
+        expect(decoded.args.amounts).to.deep.equal([opportunity.amount, ethers.parseUnits("1", 18)]);
+        expect(decoded.args.path.hops[1].toToken).to.equal(cbETH);
+    });
+
+    it("Should reject unknown flash loan providers", async function () {
+        const opportunity = buildOpportunity();
+        opportunity.flashLoan = {
+            provider: "dydx",
+            borrows: [{ asset: WETH, amount: opportunity.amount }]
+        };
+
+        expect(() => ArbitrageEncoder.encode(opportunity)).to.throw("Unknown flash loan provider: dydx");
+    });
+});
@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const ArbitrageGraph = require("../src/arbitrageGraph");
+
+describe("ArbitrageGraph", function () {
+    const A = "0x000000000000000000000000000000000000000a";
+    const B = "0x000000000000000000000000000000000000000b";
+    const C = "0x000000000000000000000000000000000000000c";
+    const D = "0x000000000000000000000000000000000000000d";
+    const E = "0x000000000000000000000000000000000000000e";
+    const F = "0x000000000000000000000000000000000000000f";
+
+    let nextPool;
+
+    // A pool of its own for each pair, losing 1% on the way back
+    function addPair(graph, from, to, rate) {
+        const pool = { address: `0x${(nextPool++).toString(16).padStart(40, "0")}`, dex: "Uniswap V3" };
+        graph.addEdge(from, to, pool, rate);
+        graph.addEdge(to, from, pool, 0.99 / rate);
+        return pool;
+    }
+
+    beforeEach(function () {
+        nextPool = 1;
+    });
+
+    it("Should find a cycle whose rates multiply above one and ignore one that loses", function () {
+        const graph = new ArbitrageGraph();
+        addPair(graph, A, B, 2);
+        addPair(graph, B, C, 3);
+        addPair(graph, C, A, 0.17);
+
+        const [cycle, ...others] = graph.findCycles([A]);
+
+        expect(others).to.be.empty;
+        expect(cycle.tokens).to.deep.equal([A, B, C, A]);
+        expect(cycle.hops).to.equal(3);
+        expect(cycle.expectedEdge).to.be.closeTo(2 * 3 * 0.17 - 1, 1e-12);
+
+        // 2 * 2 * 0.245 < 1, and going the other way round loses the fees
+        const losing = new ArbitrageGraph();
+        addPair(losing, A, B, 2);
+        addPair(losing, B, C, 2);
+        addPair(losing, C, A, 0.245);
+        expect(losing.findCycles([A])).to.be.empty;
+    });
+
+    it("Should keep the better pool per direction and not count edges below minEdge", function () {
+        const graph = new ArbitrageGraph();
+        addPair(graph, A, B, 1.0);
+        const better = addPair(graph, A, B, 1.001);
+        // A zero rate adds no edge
+        graph.addEdge(B, A, { address: "0xbad" }, 0);
+
+        expect(graph.edges.get(A).get(B).pool).to.equal(better);
+        expect(graph.getStats()).to.deep.equal({ tokens: 2, edges: 2 });
+
+        addPair(graph, B, C, 1);
+        addPair(graph, C, A, 1.004);
+        expect(graph.findCycles([A]).length).to.equal(1);
+        // About 0.5% on the cycle: kept at 0.4%, dropped at 1%
+        expect(graph.findCycles([A], { minEdge: 0.004 }).length).to.equal(1);
+        expect(graph.findCycles([A], { minEdge: 0.01 })).to.be.empty;
+    });
+
+    it("Should only close cycles within maxHops", function () {
+        const graph = new ArbitrageGraph();
+        addPair(graph, A, B, 1);
+        addPair(graph, B, C, 1);
+        addPair(graph, C, D, 1);
+        addPair(graph, D, A, 1.02);
+
+        expect(graph.findCycles([A], { maxHops: 3 })).to.be.empty;
+
+        const [cycle] = graph.findCycles([A], { maxHops: 4 });
+        expect(cycle.tokens).to.deep.equal([A, B, C, D, A]);
+    });
+
+    it("Should rank cycles from every source by their edge and keep the top limit", function () {
+        const graph = new ArbitrageGraph();
+        const edge = (from, to, rate) => graph.addEdge(from, to, { address: `${from}${to}` }, rate);
+        // 1% from A and 5% from D, with no way between the two
+        edge(A, B, 1);
+        edge(B, C, 1);
+        edge(C, A, 1.01);
+        edge(D, E, 1);
+        edge(E, F, 1);
+        edge(F, D, 1.05);
+
+        const cycles = graph.findCycles([A, D]);
+
+        expect(cycles.map(cycle => cycle.tokens)).to.deep.equal([[D, E, F, D], [A, B, C, A]]);
+        expect(cycles[0].expectedEdge).to.be.closeTo(0.05, 1e-12);
+        expect(graph.findCycles([A, D], { limit: 1 }).map(cycle => cycle.startToken)).to.deep.equal([D]);
+        // The same cycle found twice from one source is listed once
+        expect(graph.findCycles([A, A]).length).to.equal(1);
+    });
+});
@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const config = require("../config/config.json");
+const Backtester = require("../src/backtester");
+
+describe("Backtester", function () {
+    this.timeout(60000);
+
+    const WETH = "0x4200000000000000000000000000000000000006";
+    const USDC = "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913";
+    const CHEAP_POOL = "0x0000000000000000000000000000000000000a01";
+    const RICH_POOL = "0x0000000000000000000000000000000000000a02";
+
+    const syncEvent = new ethers.Interface(["event Sync(uint112 reserve0, uint112 reserve1)"]);
+    const weth = (amount) => ethers.parseUnits(String(amount), 18);
+    const usdc = (amount) => ethers.parseUnits(String(amount), 6);
+
+    function sync(address, blockNumber, index, reserve0, reserve1) {
+        const { topics, data } = syncEvent.encodeEventLog("Sync", [reserve0, reserve1]);
+        return { address, blockNumber, index, topics, data, transactionHash: ethers.ZeroHash };
+    }
+
+    function reserve(asset) {
+        return { asset, listed: true, active: true, paused: false, flashLoanEnabled: true, availableLiquidity: weth(1000000), premiumBps: 5 };
+    }
+
+    // Two WETH/USDC pools at the same price, except in blocks 101 and 102 when one of them is 10% richer
+    const dataset = {
+        version: 1,
+        chainId: 8453,
+        fromBlock: 100,
+        toBlock: 110,
+        tokens: [
+            { address: WETH, symbol: "WETH", decimals: 18, isStable: false },
+            { address: USDC, symbol: "USDC", decimals: 6, isStable: true }
+        ],
+        pools: [
+            { address: CHEAP_POOL, dex: "Aerodrome", fee: 3000, tokenA: WETH, tokenB: USDC, type: "v2", token0: WETH, reserve0: weth(1000), reserve1: usdc(3000000) },
+            { address: RICH_POOL, dex: "Baseswap", fee: 3000, tokenA: WETH, tokenB: USDC, type: "v2", token0: WETH, reserve0: weth(1000), reserve1: usdc(3000000) }
+        ],
+        lenders: [["premium", 5], [WETH, reserve(WETH)], [USDC, reserve(USDC)]],
+        blocks: [101, 102, 103].map(number => ({ number, timestamp: 1700000000 + number * 2, baseFeePerGas: 10000000n })),
+        logs: [
+            sync(RICH_POOL, 101, 0, weth(1000), usdc(3300000)),
+            sync(RICH_POOL, 103, 0, weth(1000), usdc(3000000))
+        ]
+    };
+
+    const serialize = (report) => JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+
+    it("Should take the cross-pool arbitrage and settle it against the next block", async function () {
+        const report = await new Backtester().run(dataset);
+
+        expect(report.dataset.replayedBlocks).to.equal(3);
+        expect(report.trades.length).to.equal(1);
+
+        const [trade] = report.trades;
+        expect(trade).to.include({ block: 101, status: "filled", requoted: true, flashLoanProvider: "aave" });
+        expect(trade.path.map(hop => hop.pool)).to.deep.equal([CHEAP_POOL, RICH_POOL]);
+        expect(trade.netProfitUSD).to.be.above(config.minProfitThresholdUSD);
+        expect(trade.netProfitUSD).to.be.closeTo(trade.grossProfitUSD - trade.gasCostUSD - trade.flashLoanCostUSD, 1e-9);
+        expect(report.summary.netPnLUSD).to.equal(trade.netProfitUSD);
+    });
+
+    it("Should revert a fill whose edge is gone by the end of its inclusion block", async function () {
+        // The rich pool is arbitraged back in block 102, the block our transaction lands in
+        const closed = { ...dataset, logs: [dataset.logs[0], sync(RICH_POOL, 102, 0, weth(1000), usdc(3000000))] };
+        const report = await new Backtester().run(closed);
+
+        expect(report.trades.length).to.equal(1);
+        expect(report.trades[0]).to.include({ block: 101, status: "reverted", grossProfitUSD: 0 });
+        expect(report.trades[0].netProfitUSD).to.equal(-report.trades[0].gasCostUSD);
+    });
+
+    it("Should produce identical reports for the same dataset and config", async function () {
+        const first = await new Backtester().run(dataset);
+        const second = await new Backtester().run(dataset);
+
+        expect(serialize(second)).to.equal(serialize(first));
+    });
+});
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const CalldataDecoder = require("../src/calldataDecoder");
+const PoolRegistry = require("../src/poolRegistry");
+
+describe("CalldataDecoder", function () {
+    const WETH = "0x4200000000000000000000000000000000000006";
+    const USDC = "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913";
+    const cbETH = "0x2ae3f1ec7f1f5012cfeab0185bfc7aa3cf0dec22";
+    const recipient = "0x000000000000000000000000000000000000dead";
+
+    const AERODROME = "0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43";
+    const UNISWAP_V3 = "0x2626664c2603336E57B271c5C0b26F421741e481";
+    const ONE_INCH = "0x1111111254EEB25477B68fb85Ed929f73A960582";
+
+    const WETH_USDC_POOL = "0xd0b53d9277642d899df5c87a3966a349a798f224";
+
+    before(function () {
+        PoolRegistry.pools.set(WETH_USDC_POOL, {
+            address: WETH_USDC_POOL,
+            dex: "Uniswap V3",
+            fee: 500,
+            tokenA: WETH,
+            tokenB: USDC,
+            token0: WETH,
+            pairKey: PoolRegistry.pairKey(WETH, USDC),
+            status: "ready"
+        });
+    });
+
+    after(function () {
+        PoolRegistry.pools.clear();
+    });
+
+    it("Should decode Aerodrome routes into one swap per hop", function () {
+        const iface = CalldataDecoder.interfaces.aerodrome;
+        const data = iface.encodeFunctionData("swapExactTokensForTokens", [
+            ethers.parseUnits("1", 18),
+            ethers.parseUnits("2900", 6),
+            [
+                [WETH, USDC, false, ethers.ZeroAddress],
+                [USDC, cbETH, false, ethers.ZeroAddress]
+            ],
+            recipient,
+            1900000000
+        ]);
+
+        const decoded = CalldataDecoder.decode({ to: AERODROME, data, value: 0n });
+
+        expect(decoded.dex).to.equal("Aerodrome");
+        expect(decoded.swaps.length).to.equal(2);
+        expect(decoded.swaps[0]).to.include({ tokenIn: WETH, tokenOut: USDC, amountIn: ethers.parseUnits("1", 18), amountOut: null });
+        expect(decoded.swaps[1]).to.include({ tokenIn: USDC, tokenOut: cbETH, amountIn: null, amountOut: ethers.parseUnits("2900", 6) });
+    });
+
+    it("Should unwrap V3 multicalls and pin swaps to tracked pools", function () {
+        const iface = CalldataDecoder.interfaces.v3;
+        const path = ethers.solidityPacked(["address", "uint24", "address", "uint24", "address"], [USDC, 500, WETH, 3000, cbETH]);
+        const inner = iface.encodeFunctionData("exactInput((bytes,address,uint256,uint256))", [
+            [path, recipient, ethers.parseUnits("3000", 6), 1n]
+        ]);
+        const data = iface.encodeFunctionData("multicall(uint256,bytes[])", [1900000000, [inner]]);
+
+        const decoded = CalldataDecoder.decode({ to: UNISWAP_V3, data, value: 0n });
+
+        expect(decoded.method).to.equal("multicall");
+        expect(decoded.swaps.map(swap => [swap.tokenIn, swap.tokenOut, swap.fee])).to.deep.equal([
+            [USDC, WETH, 500],
+            [WETH, cbETH, 3000]
+        ]);
+        expect(decoded.swaps[0].pool).to.equal(WETH_USDC_POOL);
+        expect(decoded.swaps[1].pool).to.be.null;
+    });
+
+    it("Should follow 1inch packed pools through the registry", function () {
+        const iface = CalldataDecoder.interfaces.oneInch;
+        // Top bit set: token1 -> token0, i.e. USDC into WETH
+        const word = (1n << 255n) | BigInt(WETH_USDC_POOL);
+        const data = iface.encodeFunctionData("uniswapV3Swap", [ethers.parseUnits("3000", 6), 1n, [word]]);
+
+        const [swap] = CalldataDecoder.decode({ to: ONE_INCH, data, value: 0n }).swaps;
+
+        expect(swap).to.include({ pool: WETH_USDC_POOL, tokenIn: USDC, tokenOut: WETH, dex: "Uniswap V3" });
+    });
+
+    it("Should compare swaps by pool, falling back to pair and DEX", function () {
+        const ours = CalldataDecoder.fromPathHop({ fromToken: WETH, toToken: USDC, dex: "Uniswap V3", pool: WETH_USDC_POOL });
+
+        expect(CalldataDecoder.sameLiquidity({ tokenIn: USDC, tokenOut: WETH, pool: WETH_USDC_POOL, dex: "oneInch" }, ours)).to.be.true;
+        expect(CalldataDecoder.sameLiquidity({ tokenIn: USDC, tokenOut: WETH, pool: null, dex: "odos" }, ours)).to.be.true;
+        expect(CalldataDecoder.sameLiquidity({ tokenIn: USDC, tokenOut: WETH, pool: null, dex: "Baseswap" }, ours)).to.be.false;
+        expect(CalldataDecoder.sameLiquidity({ tokenIn: cbETH, tokenOut: WETH, pool: null, dex: "odos" }, ours)).to.be.false;
+    });
+});
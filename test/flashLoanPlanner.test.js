@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const config = require("../config/config.json");
+const FlashLoanPlanner = require("../src/flashLoanPlanner");
+const PoolRegistry = require("../src/poolRegistry");
+const RPCManager = require("../src/rpcManager");
+
+describe("FlashLoanPlanner", function () {
+    const WETH = "0x4200000000000000000000000000000000000006";
+    const USDC = "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913";
+    const CBETH = "0x2ae3f1ec7f1f5012cfeab0185bfc7aa3cf0dec22";
+    const units = (amount) => ethers.parseUnits(String(amount), 18);
+
+    // A dollar a token, 18 decimals, so USD comparisons follow the raw amounts
+    const tokenManager = {
+        getTokenPriceWithFallback: async () => 1,
+        getTokenDecimalsByAddress: () => 18
+    };
+
+    describe("Funding requirements", function () {
+        const planner = new FlashLoanPlanner(tokenManager);
+        const hop = (fromToken, toToken, amount, outputAmount) => ({ fromToken, toToken, amount, outputAmount });
+
+        it("Should borrow only the start token for a chained path", function () {
+            const borrows = planner.getFundingRequirements([
+                hop(WETH, USDC, units(10), units(30000)),
+                hop(USDC, WETH, units(30000), units(10.1))
+            ]);
+
+            expect(borrows).to.deep.equal([{ asset: WETH, amount: units(10) }]);
+        });
+
+        it("Should borrow whatever earlier hops don't produce", function () {
+            const borrows = planner.getFundingRequirements([
+                hop(WETH, USDC, units(10), units(30000)),
+                // Spends more USDC than the first leg returns, and cbETH nothing has produced
+                hop(USDC, WETH, units(31000), units(10.3)),
+                hop(CBETH, WETH, units(5), units(5.2))
+            ]);
+
+            expect(borrows).to.deep.equal([
+                { asset: WETH, amount: units(10) },
+                { asset: USDC, amount: units(1000) },
+                { asset: CBETH, amount: units(5) }
+            ]);
+        });
+    });
+
+    describe("Lender state", function () {
+        const interfaces = {
+            aave: new ethers.Interface([
+                "function getReserveData(address asset) view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))",
+                "function FLASHLOAN_PREMIUM_TOTAL() view returns (uint128)"
+            ]),
+            balancer: new ethers.Interface([
+                "function getProtocolFeesCollector() view returns (address)",
+                "function getFlashLoanFeePercentage() view returns (uint256)"
+            ]),
+            erc20: new ethers.Interface(["function balanceOf(address account) view returns (uint256)"])
+        };
+        const ACTIVE = 1n << 56n;
+        const PAUSED = 1n << 60n;
+        const FLASH_LOANS = 1n << 63n;
+        const COLLECTOR = "0x00000000000000000000000000000000000c011e";
+        const aToken = (asset) => ethers.getAddress(`0x${"a".repeat(28)}${asset.slice(-12)}`);
+
+        // Reserve configuration and aToken liquidity per asset; an asset missing here isn't listed
+        let reserves;
+        let balances;
+
+        function chainCall(tx) {
+            const to = tx.to.toLowerCase();
+            const contracts = {
+                [config.aaveV3PoolAddress.toLowerCase()]: interfaces.aave,
+                [config.balancerVaultAddress.toLowerCase()]: interfaces.balancer,
+                [COLLECTOR]: interfaces.balancer
+            };
+            const iface = contracts[to] || interfaces.erc20;
+            const call = iface.parseTransaction({ data: tx.data });
+
+            if (call.name === "getReserveData") {
+                const asset = call.args[0].toLowerCase();
+                const reserve = reserves[asset];
+                const fields = new Array(15).fill(0n);
+                fields[0] = reserve ? reserve.configuration : 0n;
+                fields[8] = reserve ? aToken(asset) : ethers.ZeroAddress;
+                [9, 10, 11].forEach(index => { fields[index] = ethers.ZeroAddress; });
+                return iface.encodeFunctionResult(call.name, [fields]);
+            }
+            if (call.name === "FLASHLOAN_PREMIUM_TOTAL") return iface.encodeFunctionResult(call.name, [5]);
+            if (call.name === "getProtocolFeesCollector") return iface.encodeFunctionResult(call.name, [COLLECTOR]);
+            // 0.05% and a wei more, which must round up to 6 bps rather than down to 5
+            if (call.name === "getFlashLoanFeePercentage") return iface.encodeFunctionResult(call.name, [5n * 10n ** 14n + 1n]);
+
+            const key = `${to}_${call.args[0].toLowerCase()}`;
+            if (balances[key] === undefined) throw new Error("node unavailable");
+            return iface.encodeFunctionResult(call.name, [balances[key]]);
+        }
+
+        function listReserve(asset, configuration, liquidity) {
+            reserves[asset] = { configuration };
+            balances[`${asset}_${aToken(asset).toLowerCase()}`] = liquidity;
+        }
+
+        beforeEach(function () {
+            reserves = {};
+            balances = {};
+            RPCManager.pinProvider({ call: async (tx) => chainCall(tx) });
+        });
+
+        afterEach(function () {
+            RPCManager.unpinProvider();
+        });
+
+        it("Should read each reserve flag from its bit in the configuration", async function () {
+            const planner = new FlashLoanPlanner(tokenManager);
+            const assets = {
+                open: "0x0000000000000000000000000000000000000a01",
+                paused: "0x0000000000000000000000000000000000000a02",
+                disabled: "0x0000000000000000000000000000000000000a03",
+                inactive: "0x0000000000000000000000000000000000000a04",
+                unlisted: "0x0000000000000000000000000000000000000a05"
+            };
+            listReserve(assets.open, ACTIVE | FLASH_LOANS, units(100));
+            listReserve(assets.paused, ACTIVE | PAUSED | FLASH_LOANS, units(100));
+            listReserve(assets.disabled, ACTIVE, units(100));
+            listReserve(assets.inactive, FLASH_LOANS, units(100));
+
+            const reasons = {};
+            for (const [name, asset] of Object.entries(assets)) {
+                reasons[name] = planner.canFlashLoan(await planner.getReserve(asset), units(10));
+            }
+
+            expect(reasons).to.deep.equal({
+                open: null,
+                paused: "reserve paused",
+                disabled: "flash loans disabled",
+                inactive: "reserve inactive",
+                unlisted: "not listed on Aave"
+            });
+            const open = await planner.getReserve(assets.open);
+            expect(open.premiumBps).to.equal(5);
+            expect(planner.canFlashLoan(open, units(101))).to.equal("insufficient liquidity");
+        });
+
+        it("Should quote every configured lender and keep the ones it couldn't read with their reason", async function () {
+            const planner = new FlashLoanPlanner(tokenManager);
+            planner.settings.providers = ["aave", "balancer", "morpho"];
+            listReserve(WETH, ACTIVE | FLASH_LOANS, units(50));
+            balances[`${WETH}_${config.balancerVaultAddress.toLowerCase()}`] = units(500);
+            // Morpho's balance read fails
+
+            const sources = await planner.quoteSources(WETH, units(100));
+
+            expect(sources.map(({ provider, premiumBps, available, reason }) => ({ provider, premiumBps, available, reason }))).to.deep.equal([
+                { provider: "aave", premiumBps: 5, available: units(50), reason: "insufficient liquidity" },
+                { provider: "balancer", premiumBps: 6, available: units(500), reason: null },
+                { provider: "morpho", premiumBps: null, available: 0n, reason: "node unavailable" }
+            ]);
+        });
+
+        it("Should enter a cycle at the flash-loanable token with the deepest reserve", async function () {
+            const planner = new FlashLoanPlanner(tokenManager);
+            listReserve(WETH, ACTIVE | FLASH_LOANS, units(200));
+            listReserve(USDC, ACTIVE | FLASH_LOANS, units(900));
+            // Deepest of all, but it can't be flash borrowed
+            listReserve(CBETH, ACTIVE | PAUSED | FLASH_LOANS, units(5000));
+
+            expect(await planner.chooseBorrowAsset([WETH, USDC, CBETH])).to.equal(USDC);
+            expect(await planner.chooseBorrowAsset([CBETH])).to.equal(null);
+        });
+    });
+
+    describe("Funding sources", function () {
+        const LENDING_POOL = "0x0000000000000000000000000000000000000f01";
+        const PATH_POOL = "0x0000000000000000000000000000000000000f02";
+        const AERODROME_POOL = "0x0000000000000000000000000000000000000f03";
+
+        let planner;
+
+        function trackPool(address, dex, type) {
+            PoolRegistry.pools.set(address, { address, dex, type, status: "ready", fee: 500, tokenA: WETH, tokenB: USDC });
+        }
+
+        beforeEach(function () {
+            planner = new FlashLoanPlanner(tokenManager);
+            planner.settings.providers = ["aave", "uniswapV3"];
+            planner.getReserve = async (asset) => ({
+                asset,
+                listed: true,
+                active: true,
+                paused: false,
+                flashLoanEnabled: true,
+                availableLiquidity: 10n ** 24n,
+                premiumBps: 9
+            });
+            planner.getBalance = async () => 10n ** 24n;
+
+            trackPool(LENDING_POOL, "Uniswap V3", "v3");
+            trackPool(PATH_POOL, "Uniswap V3", "v3");
+            trackPool(AERODROME_POOL, "Aerodrome", "v2");
+        });
+
+        afterEach(function () {
+            PoolRegistry.pools.clear();
+        });
+
+        it("Should offer only the Uniswap V3 pools a path of known pools doesn't swap through", async function () {
+            const path = [
+                { fromToken: WETH, toToken: USDC, dex: "Uniswap V3", pool: PATH_POOL },
+                { fromToken: USDC, toToken: WETH, dex: "Aerodrome", pool: AERODROME_POOL }
+            ];
+
+            const sources = await planner.quotePathSources(WETH, 10n ** 18n, path);
+
+            expect(sources.map(source => [source.provider, source.lender])).to.deep.equal([
+                ["aave", config.aaveV3PoolAddress],
+                ["uniswapV3", LENDING_POOL]
+            ]);
+            expect(sources[1].premiumBps).to.equal(5);
+        });
+
+        it("Should not borrow from any Uniswap V3 pool when an aggregator routes one of the hops", async function () {
+            // Found on a tracked pool, but executed through an aggregator that may route through the lender
+            const path = [
+                { fromToken: WETH, toToken: USDC, dex: "odos", pool: PATH_POOL },
+                { fromToken: USDC, toToken: WETH, dex: "Aerodrome", pool: AERODROME_POOL }
+            ];
+
+            const sources = await planner.quotePathSources(WETH, 10n ** 18n, path);
+
+            expect(sources.map(source => source.provider)).to.deep.equal(["aave"]);
+            expect(planner.getPathPools(path)).to.equal(null);
+        });
+    });
+});
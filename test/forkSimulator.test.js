@@ -0,0 +1,144 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const RPCManager = require("../src/rpcManager");
+const ArbitrageEncoder = require("../src/arbitrageEncoder");
+const ForkSimulator = require("../src/forkSimulator");
+
+// Minimal fork node: answers the snapshot/impersonation calls and hands eth_call of the arbitrage to `onCall`
+function startStubNode(onCall) {
+    const requests = [];
+    const iface = ArbitrageEncoder.getInterface();
+    const owner = "0x000000000000000000000000000000000000bEEF";
+
+    const answer = (request) => {
+        requests.push(request);
+        const [tx] = request.params;
+
+        switch (request.method) {
+            case "eth_chainId":
+                return { result: "0x2105" };
+            case "eth_blockNumber":
+                return { result: "0x64" };
+            case "evm_snapshot":
+                return { result: "0x1" };
+            case "eth_call":
+                return tx.data === iface.encodeFunctionData("owner") ?
+                    { result: iface.encodeFunctionResult("owner", [owner]) } :
+                    onCall(tx);
+            default:
+                return { result: true };
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => (body += chunk));
+        req.on("end", () => {
+            const payload = JSON.parse(body);
+            const respond = request => ({ jsonrpc: "2.0", id: request.id, ...answer(request) });
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify(Array.isArray(payload) ? payload.map(respond) : respond(payload)));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, "127.0.0.1", () => {
+            resolve({ url: `http://127.0.0.1:${server.address().port}`, requests, server });
+        });
+    });
+}
+
+describe("ForkSimulator", function () {
+    const WETH = "0x4200000000000000000000000000000000000006";
+    const USDC = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+    const opportunity = {
+        amount: ethers.parseUnits("1", 18),
+        minProfit: 0n,
+        deadline: 1900000000,
+        path: [
+            { fromToken: WETH, toToken: USDC, dex: "odos", amount: ethers.parseUnits("1", 18), minAmountOut: 1n },
+            { fromToken: USDC, toToken: WETH, dex: "odos", amount: ethers.parseUnits("3000", 6), minAmountOut: 1n }
+        ]
+    };
+
+    let node;
+    let simulator;
+    let head;
+
+    before(function () {
+        process.env.ARB_CONTRACT_ADDRESS = "0x00000000000000000000000000000000000a4b17";
+        RPCManager.pinProvider({ getBlockNumber: async () => head });
+    });
+
+    beforeEach(function () {
+        head = 100;
+    });
+
+    afterEach(function () {
+        if (simulator) simulator.stop();
+        if (node) node.server.close();
+        simulator = null;
+        node = null;
+    });
+
+    after(function () {
+        delete process.env.ARB_CONTRACT_ADDRESS;
+        RPCManager.unpinProvider();
+    });
+
+    async function startSimulator(onCall, settings = {}) {
+        node = await startStubNode(onCall);
+        simulator = new ForkSimulator({ enabled: true, rpcUrl: node.url, ...settings });
+        return simulator;
+    }
+
+    it("Should return the decoded reason when the contract reverts", async function () {
+        const data = ethers.concat([
+            ethers.id("Error(string)").slice(0, 10),
+            ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["Slippage too high"])
+        ]);
+        await startSimulator(() => ({ error: { code: 3, message: "execution reverted: Slippage too high", data } }));
+
+        const result = await simulator.simulate(opportunity);
+
+        expect(result).to.include({ success: false, error: "Slippage too high", blockNumber: 100 });
+        // The snapshot is always rolled back, verdict or not
+        expect(node.requests.map(request => request.method)).to.include("evm_revert");
+    });
+
+    it("Should treat a revert without data as a verdict", async function () {
+        await startSimulator(() => ({ error: { code: -32000, message: "execution reverted" } }));
+
+        const result = await simulator.simulate(opportunity);
+
+        expect(result.success).to.equal(false);
+        expect(node.requests.map(request => request.method)).to.not.include("eth_sendTransaction");
+    });
+
+    it("Should throw when the fork node fails rather than the contract", async function () {
+        await startSimulator(() => ({ error: { code: -32000, message: "header not found" } }));
+
+        let failure = null;
+        await simulator.simulate(opportunity).catch(error => (failure = error));
+
+        expect(failure).to.include({ code: "CALL_EXCEPTION" });
+        expect(failure.info.error.message).to.equal("header not found");
+        expect(node.requests.map(request => request.method)).to.include("evm_revert");
+    });
+
+    it("Should re-fork only once the fork lags the head by more than maxForkLagBlocks", async function () {
+        await startSimulator(() => ({ error: { code: 3, message: "execution reverted", data: "0x" } }));
+        const resets = () => node.requests.filter(request => request.method === "hardhat_reset");
+
+        head = 103;
+        await simulator.simulate(opportunity);
+        expect(resets()).to.be.empty;
+
+        head = 104;
+        await simulator.simulate(opportunity);
+        expect(resets().length).to.equal(1);
+        expect(resets()[0].params[0].forking.blockNumber).to.equal(104);
+        expect(simulator.forkBlock).to.equal(104);
+    });
+});
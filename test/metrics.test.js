@@ -0,0 +1,52 @@
+const { expect } = require("chai");
+const MetricsCollector = require("../src/metrics");
+
+describe("MetricsCollector", function () {
+    let collector;
+
+    const series = async (name) => (await collector.registry.getSingleMetric(name).get()).values;
+
+    beforeEach(function () {
+        collector = new MetricsCollector();
+    });
+
+    afterEach(function () {
+        collector.cache.close();
+    });
+
+    it("Should count scanned opportunities once each, by type and hop count", async function () {
+        collector.recordOpportunity({ type: "triangular", path: [{}, {}, {}], netProfitUSD: 12 });
+        collector.recordOpportunity({ type: "triangular", path: [{}, {}, {}] });
+        collector.recordOpportunity({ type: "statistical", path: [{}, {}], netProfitUSD: 3 });
+
+        const scanned = (await series("opportunities_scanned_total")).map(({ labels, value }) => ({ labels, value }));
+        expect(scanned).to.deep.equal([
+            { labels: { type: "triangular", hops: "3" }, value: 2 },
+            { labels: { type: "statistical", hops: "2" }, value: 1 }
+        ]);
+        expect(collector.getMetricsSummary().opportunities.scanned).to.equal(3);
+
+        const profits = await series("opportunity_profit_usd");
+        const count = profits.find(({ metricName, labels }) => metricName === "opportunity_profit_usd_count" && labels.type === "triangular");
+        expect(count.value).to.equal(1);
+    });
+
+    it("Should label simulation failures with a fixed set of reasons", async function () {
+        collector.recordSimulationFailure(new Error("execution reverted: Profit below minimum"));
+        collector.recordSimulationFailure(Object.assign(new Error("request failed"), { code: "ECONNRESET" }));
+        collector.recordSimulationFailure("Request timed out after 5000ms");
+        collector.recordSimulationFailure("timeout");
+        collector.recordSimulationFailure("something unheard of");
+
+        const failures = Object.fromEntries((await series("simulation_failures_total")).map(({ labels, value }) => [labels.reason, value]));
+        expect(failures).to.deep.equal({ revert: 1, rpc: 1, timeout: 2, other: 1 });
+    });
+
+    it("Should drop labels a metric doesn't declare instead of exporting them", async function () {
+        collector.recordError("rpc", { endpoint: "https://mainnet.base.org", message: "free-form text" });
+
+        const [error] = await series("errors_total");
+        expect(error.labels).to.deep.equal({ type: "rpc" });
+        expect(await collector.registry.metrics()).to.include('errors_total{type="rpc"} 1');
+    });
+});
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const RPCManager = require("../src/rpcManager");
+const TradeJournal = require("../src/storage");
+const NonceManager = require("../src/nonceManager");
+
+describe("NonceManager", function () {
+    const address = "0x000000000000000000000000000000000000bEEF";
+
+    // Stands in for the chain: nonce counts, the node's known transactions and mined receipts
+    const chain = {
+        confirmed: 0,
+        pending: 0,
+        failLoads: 0,
+        known: new Set(),
+        mined: new Set()
+    };
+    const provider = {
+        getTransactionCount: async (_, blockTag) => {
+            if (chain.failLoads > 0) {
+                chain.failLoads--;
+                throw new Error("node unavailable");
+            }
+            return blockTag === "pending" ? chain.pending : chain.confirmed;
+        },
+        getBlockNumber: async () => 100,
+        getTransaction: async (hash) => (chain.known.has(hash) ? { hash } : null),
+        getTransactionReceipt: async (hash) => (chain.mined.has(hash) ? { hash } : null)
+    };
+
+    // Broadcasts go straight back to the manager, as TransactionBuilder.sendTransaction does
+    function buildManager() {
+        const sent = [];
+        const transactionBuilder = {
+            wallet: { address },
+            buildNoopTransaction: async (nonce) => ({ nonce, noop: true }),
+            sendTransaction: async (tx) => {
+                const hash = `0xnoop${tx.nonce}`;
+                sent.push(tx);
+                chain.known.add(hash);
+                manager.markSubmitted(tx.nonce, hash);
+                return { hash };
+            }
+        };
+        const manager = new NonceManager(transactionBuilder);
+        return { manager, sent };
+    }
+
+    before(function () {
+        RPCManager.pinProvider(provider);
+        TradeJournal.initialize("sqlite::memory:");
+    });
+
+    beforeEach(function () {
+        Object.assign(chain, { confirmed: 0, pending: 0, failLoads: 0, known: new Set(), mined: new Set() });
+        TradeJournal.db.exec("DELETE FROM nonces");
+    });
+
+    after(function () {
+        TradeJournal.close();
+        RPCManager.unpinProvider();
+    });
+
+    it("Should retry initialisation after a failed load", async function () {
+        const { manager } = buildManager();
+        chain.confirmed = chain.pending = 7;
+        chain.failLoads = 1;
+
+        let failure = null;
+        await manager.initialize().catch(error => (failure = error));
+        expect(failure.message).to.equal("node unavailable");
+
+        expect(await manager.reserve()).to.equal(7n);
+    });
+
+    it("Should fill a released nonce below the next one with a no-op", async function () {
+        const { manager, sent } = buildManager();
+        chain.confirmed = chain.pending = 3;
+
+        expect(await manager.reserve()).to.equal(3n);
+        expect(await manager.reserve()).to.equal(4n);
+        manager.markSubmitted(4n, "0xtrade4", 100);
+        chain.known.add("0xtrade4");
+
+        // Nonce 3 never made it out, so 4 can't mine until something takes 3
+        manager.release(3n);
+        await manager.reconcile(101);
+
+        expect(sent.map(tx => tx.nonce)).to.deep.equal([3n]);
+        expect(manager.getStats()).to.include({ gapsFilled: 1 });
+        expect(manager.entries.get(3n)).to.include({ status: "filling" });
+        expect(manager.entries.get(3n).txHashes).to.deep.equal(["0xnoop3"]);
+
+        chain.confirmed = 5;
+        await manager.reconcile(102);
+        expect(manager.entries.size).to.equal(0);
+        expect(TradeJournal.getInFlightNonces(address)).to.be.empty;
+    });
+
+    it("Should flag the next nonce as stuck and settle it under its replacement", async function () {
+        const { manager } = buildManager();
+        chain.confirmed = chain.pending = 10;
+
+        const stuck = [];
+        manager.on("stuck", entry => stuck.push(entry.nonce));
+
+        await manager.reserve();
+        manager.markSubmitted(10n, "0xslow", 100);
+        chain.known.add("0xslow");
+
+        await manager.reconcile(105);
+        expect(stuck).to.be.empty;
+
+        await manager.reconcile(110);
+        await manager.reconcile(111);
+        expect(stuck).to.deep.equal([10n]);
+        expect(manager.getStats()).to.include({ stuck: 1 });
+
+        // The lifecycle monitor re-prices it under the same nonce
+        manager.markSubmitted(10n, "0xbumped", 111);
+        expect(manager.entries.get(10n)).to.include({ status: "submitted", stuck: false });
+        expect(manager.getStats()).to.include({ replaced: 1 });
+
+        const replaced = [];
+        const updateTransactionStatus = TradeJournal.updateTransactionStatus;
+        TradeJournal.updateTransactionStatus = (hash, status) => replaced.push([hash, status]);
+        try {
+            chain.mined.add("0xbumped");
+            chain.confirmed = 11;
+            await manager.reconcile(112);
+        } finally {
+            TradeJournal.updateTransactionStatus = updateTransactionStatus;
+        }
+
+        expect(replaced).to.deep.equal([["0xslow", "replaced"]]);
+        expect(manager.entries.size).to.equal(0);
+    });
+
+    it("Should resume journaled and node-pending nonces after a restart", async function () {
+        const first = buildManager().manager;
+        chain.confirmed = chain.pending = 20;
+
+        await first.reserve();
+        await first.reserve();
+        await first.reserve();
+        first.markSubmitted(20n, "0xa", 100);
+        first.markSubmitted(21n, "0xb", 100);
+        chain.known.add("0xa");
+        chain.known.add("0xb");
+
+        // 20 mined while the bot was down and 21 is in the node's mempool; 22 was reserved but never sent.
+        // 23 was broadcast by the previous run after its last journal write.
+        chain.confirmed = 21;
+        chain.pending = 24;
+
+        const { manager, sent } = buildManager();
+        await manager.initialize();
+
+        expect(manager.getStats()).to.include({ confirmed: "21", next: "24" });
+        expect([...manager.entries.keys()]).to.deep.equal([21n, 22n, 23n]);
+        expect(manager.entries.get(21n)).to.include({ status: "submitted" });
+        expect(manager.entries.get(22n)).to.include({ status: "reserved" });
+        expect(TradeJournal.getInFlightNonces(address).map(row => row.nonce)).to.deep.equal([21, 22]);
+
+        // Nothing new is handed out below what the chain and the journal already account for
+        expect(await manager.reserve()).to.equal(24n);
+
+        // The abandoned reservation becomes a gap once it times out
+        manager.entries.get(22n).reservedAt -= manager.settings.reservationTimeoutMs + 1;
+        await manager.reconcile(101);
+        expect(sent.map(tx => tx.nonce)).to.deep.equal([22n]);
+    });
+});
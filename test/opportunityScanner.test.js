@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const OpportunityScanner = require("../src/opportunityScanner");
+const PoolRegistry = require("../src/poolRegistry");
+const TokenManager = require("../src/TokenManager");
+const BaseAlphaArbBot = require("../src/bot");
+
+describe("OpportunityScanner", function () {
+    const WETH = "0x4200000000000000000000000000000000000006";
+    const USDC = "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913";
+    const POOL_A = "0x0000000000000000000000000000000000000a01";
+    const POOL_B = "0x0000000000000000000000000000000000000b01";
+
+    function buildScanner() {
+        const scanner = new OpportunityScanner({
+            tokenManager: new TokenManager(),
+            zScoreEngine: {},
+            aggregatorService: {},
+            flashLoanPlanner: {}
+        });
+        // Aggregator quotes know nothing of the pools a cycle was found on
+        scanner.findOptimalPath = async (fromToken, toToken, amount) => ({
+            fromToken,
+            toToken,
+            amount,
+            outputAmount: amount + amount / 100n,
+            dex: "odos"
+        });
+        return scanner;
+    }
+
+    const candidate = {
+        type: "multihop",
+        amount: 10n ** 18n,
+        path: [
+            { fromToken: WETH, toToken: USDC, dex: "Aerodrome", pool: POOL_A, fee: 500 },
+            { fromToken: USDC, toToken: WETH, dex: "Uniswap V3", pool: POOL_B, fee: 500 }
+        ]
+    };
+
+    it("Should keep each hop's pool through optimizePath so quorum can confirm it", async function () {
+        const optimized = await buildScanner().optimizePath(candidate);
+
+        expect(optimized.path.map(hop => hop.pool)).to.deep.equal([POOL_A, POOL_B]);
+        expect(optimized.path.map(hop => hop.dex)).to.deep.equal(["odos", "odos"]);
+        expect(optimized.profitPercent).to.be.above(0);
+    });
+
+    it("Should keep the cycle pool's own quote and DEX where the aggregator doesn't beat it", async function () {
+        // WETH -> USDC at 3100 on the tracked pool, against the aggregator's 1%
+        PoolRegistry.pools.set(POOL_A, {
+            address: POOL_A,
+            dex: "Aerodrome",
+            type: "v2",
+            status: "ready",
+            fee: 3000,
+            token0: WETH,
+            reserve0: 10n ** 24n,
+            reserve1: 3100n * 10n ** 24n
+        });
+
+        try {
+            const optimized = await buildScanner().optimizePath(candidate);
+            const [first, second] = optimized.path;
+
+            expect(first).to.include({ dex: "Aerodrome", pool: POOL_A, fee: 3000 });
+            expect(first.outputAmount > 3000n * 10n ** 18n).to.equal(true);
+            // The second pool isn't tracked, so that hop is the aggregator's, on the first hop's output
+            expect(second).to.include({ dex: "odos", pool: POOL_B, amount: first.outputAmount });
+        } finally {
+            PoolRegistry.pools.clear();
+        }
+    });
+
+    it("Should reject at quorum a path whose pools can't be read on chain", async function () {
+        const scanner = buildScanner();
+        const bot = { opportunityScanner: scanner };
+        const opportunity = { amount: 10n ** 18n, path: candidate.path.map(({ pool, ...hop }) => hop) };
+
+        expect(await scanner.quotePathOnChain(opportunity.path, opportunity.amount)).to.equal(null);
+        expect(await BaseAlphaArbBot.prototype.isStillProfitable.call(bot, opportunity, { quorum: true })).to.equal(false);
+        // Locally it's still left to the contract's own profit floor
+        expect(await BaseAlphaArbBot.prototype.isStillProfitable.call(bot, opportunity)).to.equal(true);
+    });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const RPCManager = require("../src/rpcManager");
+const TradeJournal = require("../src/storage");
+const NonceManager = require("../src/nonceManager");
+const AlertingSystem = require("../src/alerting");
+const MetricsCollector = require("../src/metrics");
+const PaperTrader = require("../src/paperTrader");
+const BaseAlphaArbBot = require("../src/bot");
+
+describe("PaperTrader", function () {
+    const WETH = "0x4200000000000000000000000000000000000006";
+    const USDC = "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913";
+    const wallet = "0x000000000000000000000000000000000000bEEF";
+
+    function opportunity(netProfitUSD, overrides = {}) {
+        return {
+            type: "triangular",
+            amount: 10n ** 18n,
+            netProfitUSD,
+            path: [
+                { fromToken: WETH, toToken: USDC, dex: "odos" },
+                { fromToken: USDC, toToken: WETH, dex: "Aerodrome" }
+            ],
+            simulationResult: { gasUsed: 210000n, gasCostUSD: 0.5, profitDetails: { flashLoanCostUSD: 0.25 } },
+            ...overrides
+        };
+    }
+
+    const txData = (nonce, txHash = `0xpaper${nonce}`) => ({
+        txHash,
+        signedTx: "0x",
+        txData: { nonce: Number(nonce), gasLimit: 400000n, maxFeePerGas: 1000000n }
+    });
+
+    describe("Ledger", function () {
+        it("Should add each fill's costs to the ledger and report it to the metrics", async function () {
+            const metrics = new MetricsCollector();
+            const trader = new PaperTrader(metrics);
+
+            await trader.recordFill(opportunity(12), txData(1));
+            // No simulated gas: the gas limit stands in for it
+            await trader.recordFill(opportunity(-3, { simulationResult: { gasCostUSD: 1 } }), txData(2));
+
+            expect(trader.getSummary()).to.include({
+                trades: 2,
+                wins: 1,
+                losses: 1,
+                winRate: 0.5,
+                grossProfitUSD: 12.75 + -2,
+                gasCostUSD: 1.5,
+                flashLoanCostUSD: 0.25,
+                netPnLUSD: 9,
+                avgNetProfitUSD: 4.5,
+                gasUsed: "610000",
+                bestTradeUSD: 12,
+                worstTradeUSD: -3
+            });
+            expect(trader.getRecentFills(1)[0]).to.include({ id: 2, txHash: "0xpaper2", nonce: 2, netProfitUSD: -3 });
+
+            expect(metrics.getCounterValue("paper_trades_total")).to.equal(2);
+            expect(metrics.getGaugeValue("paper_pnl_usd")).to.equal(9);
+            expect(metrics.getGaugeValue("paper_gas_cost_usd")).to.equal(1.5);
+            metrics.cache.close();
+        });
+
+        it("Should only keep the latest maxFills fills", async function () {
+            const trader = new PaperTrader(null);
+            trader.maxFills = 2;
+
+            for (let nonce = 1; nonce <= 3; nonce++) {
+                await trader.recordFill(opportunity(1), txData(nonce));
+            }
+
+            expect(trader.getRecentFills().map(fill => fill.id)).to.deep.equal([3, 2]);
+            expect(trader.getLedger().trades).to.equal(3);
+        });
+    });
+
+    describe("Bot dry run", function () {
+        const provider = {
+            getTransactionCount: async () => 3,
+            getBlockNumber: async () => 100
+        };
+
+        let nonceManager;
+        let pendingTxs;
+        let bot;
+        let sendPaperTradeRecorded;
+
+        before(function () {
+            RPCManager.pinProvider(provider);
+            sendPaperTradeRecorded = AlertingSystem.sendPaperTradeRecorded;
+            AlertingSystem.sendPaperTradeRecorded = async () => ({ sent: false });
+        });
+
+        beforeEach(function () {
+            TradeJournal.initialize("sqlite::memory:");
+            nonceManager = new NonceManager({ wallet: { address: wallet } });
+            pendingTxs = new Map();
+
+            // Just the parts of the bot recordPaperTrade touches, with a real nonce manager behind the builder
+            bot = {
+                transactionBuilder: {
+                    clearPendingTransaction: (txHash) => pendingTxs.delete(txHash),
+                    releaseNonce: (nonce) => nonceManager.release(nonce)
+                },
+                paperTrader: new PaperTrader(null),
+                journal: TradeJournal,
+                metrics: { opportunitiesExecuted: 0 }
+            };
+        });
+
+        afterEach(function () {
+            TradeJournal.close();
+        });
+
+        after(function () {
+            AlertingSystem.sendPaperTradeRecorded = sendPaperTradeRecorded;
+            RPCManager.unpinProvider();
+        });
+
+        it("Should release the reserved nonce and drop the signed transaction instead of broadcasting", async function () {
+            const nonce = await nonceManager.reserve();
+            const built = txData(nonce);
+            pendingTxs.set(built.txHash, built);
+
+            const result = await BaseAlphaArbBot.prototype.recordPaperTrade.call(bot, opportunity(12), built);
+
+            expect(result).to.deep.equal({ success: true, dryRun: true, txHash: built.txHash, profit: 12 });
+            expect(pendingTxs.size).to.equal(0);
+            // The nonce goes to the next transaction, with nothing left in flight to fill
+            expect(TradeJournal.getInFlightNonces(wallet)).to.be.empty;
+            expect(await nonceManager.reserve()).to.equal(nonce);
+            expect(bot.metrics.opportunitiesExecuted).to.equal(1);
+        });
+
+        it("Should journal the paper fill as a dry run that live totals leave out", async function () {
+            const built = txData(await nonceManager.reserve());
+
+            await BaseAlphaArbBot.prototype.recordPaperTrade.call(bot, opportunity(12), built);
+
+            expect(TradeJournal.query("SELECT tx_hash AS txHash, nonce, status, dry_run AS dryRun FROM transactions")).to.deep.equal([
+                { txHash: built.txHash, nonce: 3, status: "paper", dryRun: 1 }
+            ]);
+            expect(TradeJournal.query("SELECT realized_profit_usd AS profit, gas_cost_usd AS gas, dry_run AS dryRun FROM profits")).to.deep.equal([
+                { profit: 12, gas: 0.5, dryRun: 1 }
+            ]);
+            expect(TradeJournal.getTotals()).to.deep.equal({ executed: 0, totalProfitUSD: 0, totalGasCostUSD: 0 });
+        });
+    });
+});
@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const PoolMath = require("../src/poolMath");
+const PoolRegistry = require("../src/poolRegistry");
+
+describe("PoolRegistry", function () {
+    const USDC = "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913";
+    const DAI = "0x50c5725949a6f0c72e6c4a641f24049a917db0cb";
+    const usdc = (amount) => ethers.parseUnits(String(amount), 6);
+    const dai = (amount) => ethers.parseUnits(String(amount), 18);
+
+    // A balanced Aerodrome stable pool (0.05% fee) holding a million of each side; DAI sorts first
+    function stablePool(overrides = {}) {
+        return {
+            address: "0x0000000000000000000000000000000000000c01",
+            status: "ready",
+            type: "v2",
+            token0: DAI,
+            fee: 500,
+            reserve0: dai(1000000),
+            reserve1: usdc(1000000),
+            stable: true,
+            decimals0: 10n ** 18n,
+            decimals1: 10n ** 6n,
+            ...overrides
+        };
+    }
+
+    // x^3*y + x*y^3 on the 18-decimal scaled reserves, as the pool checks it after a swap
+    function stableK(pool) {
+        const x = pool.reserve0 * 10n ** 18n / pool.decimals0;
+        const y = pool.reserve1 * 10n ** 18n / pool.decimals1;
+        return PoolMath.stableK(x, y);
+    }
+
+    it("Should quote a stable pool on its own curve rather than x*y=k", function () {
+        const pool = stablePool();
+        const amountIn = usdc(200000);
+
+        const stableOut = PoolRegistry.quote(pool, USDC, amountIn);
+        const constantProductOut = PoolRegistry.quote({ ...pool, stable: false }, USDC, amountIn);
+
+        // A fifth of the pool still trades close to par on the stable curve, while x*y=k gives up a sixth
+        expect(stableOut > dai(199000)).to.equal(true);
+        expect(stableOut < dai(200000)).to.equal(true);
+        expect(constantProductOut < dai(170000)).to.equal(true);
+    });
+
+    it("Should return the largest output that keeps the stable invariant", function () {
+        const pool = stablePool();
+
+        for (const [tokenIn, amountIn] of [[USDC, usdc(1234.5)], [DAI, dai(350000)]]) {
+            const amountOut = PoolRegistry.quote(pool, tokenIn, amountIn);
+            const netIn = amountIn - amountIn * 500n / 1000000n;
+            const zeroForOne = tokenIn === DAI;
+            const after = (out) => stablePool({
+                reserve0: zeroForOne ? pool.reserve0 + netIn : pool.reserve0 - out,
+                reserve1: zeroForOne ? pool.reserve1 - out : pool.reserve1 + netIn
+            });
+
+            expect(stableK(after(amountOut)) >= stableK(pool)).to.equal(true);
+            // One more micro-USDC, or its 18-decimal equivalent in DAI, would break it
+            const unit = zeroForOne ? 1n : 10n ** 12n;
+            expect(stableK(after(amountOut + unit)) < stableK(pool)).to.equal(true);
+        }
+    });
+
+    it("Should price the stable curve's marginal rate at par when balanced", function () {
+        const rate = PoolRegistry.spotRate(stablePool(), DAI);
+
+        // Raw USDC units per raw DAI unit, after the fee
+        expect(rate).to.be.closeTo(0.9995 / 1e12, 1e-18);
+    });
+
+    describe("Pool logs", function () {
+        const events = new ethers.Interface([
+            "event Sync(uint112 reserve0, uint112 reserve1)",
+            "event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+            "event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+            "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)"
+        ]);
+        const aerodromeEvents = new ethers.Interface([
+            "event Sync(uint256 reserve0, uint256 reserve1)",
+            "event Swap(address indexed sender, address indexed to, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out)",
+            "event Burn(address indexed sender, address indexed to, uint256 amount0, uint256 amount1)"
+        ]);
+        const someone = "0x000000000000000000000000000000000000bEEF";
+        let index = 0;
+
+        function log(pool, iface, name, values) {
+            return { ...iface.encodeEventLog(name, values), address: pool.address, blockNumber: 101, index: index++, removed: false };
+        }
+
+        function track(pool) {
+            const tracked = { ...pool, lastApplied: { blockNumber: 100, index: Infinity }, pendingLogs: [] };
+            PoolRegistry.pools.set(tracked.address, tracked);
+            return tracked;
+        }
+
+        // A tiny zeroForOne swap that stays inside the current range, straight from the V3 whitepaper formulas
+        function swapWithinRange(pool, amountIn) {
+            const netIn = amountIn * (1000000n - BigInt(pool.fee)) / 1000000n;
+            const numerator = pool.liquidity * PoolMath.Q96 * pool.sqrtPriceX96;
+            const denominator = pool.liquidity * PoolMath.Q96 + netIn * pool.sqrtPriceX96;
+            const sqrtPriceNext = (numerator + denominator - 1n) / denominator;
+            return pool.liquidity * (pool.sqrtPriceX96 - sqrtPriceNext) / PoolMath.Q96;
+        }
+
+        afterEach(function () {
+            PoolRegistry.pools.clear();
+        });
+
+        it("Should take reserves from both the V2 and the Aerodrome Sync events", function () {
+            const v2 = track({ ...stablePool({ stable: false }), address: "0x0000000000000000000000000000000000000c02" });
+            const aerodrome = track(stablePool());
+            const updated = [];
+            const onUpdate = (pool) => updated.push(pool.address);
+            PoolRegistry.on("poolUpdated", onUpdate);
+
+            try {
+                PoolRegistry.handleLog(log(v2, events, "Sync", [dai(900000), usdc(1100000)]));
+                PoolRegistry.handleLog(log(aerodrome, aerodromeEvents, "Swap", [someone, someone, usdc(1000), 0, 0, dai(999)]));
+                PoolRegistry.handleLog(log(aerodrome, aerodromeEvents, "Sync", [dai(999001), usdc(1001000)]));
+                PoolRegistry.handleLog(log(aerodrome, aerodromeEvents, "Burn", [someone, someone, dai(1), usdc(1)]));
+            } finally {
+                PoolRegistry.off("poolUpdated", onUpdate);
+            }
+
+            expect([v2.reserve0, v2.reserve1]).to.deep.equal([dai(900000), usdc(1100000)]);
+            expect([aerodrome.reserve0, aerodrome.reserve1]).to.deep.equal([dai(999001), usdc(1001000)]);
+            expect(updated).to.deep.equal([v2.address, aerodrome.address, aerodrome.address, aerodrome.address]);
+            expect(aerodrome.lastApplied.index).to.equal(index - 1);
+        });
+
+        it("Should follow a V3 pool through Mint, Swap and Burn logs and quote on the updated state", function () {
+            const liquidity = 10n ** 20n;
+            const pool = track({
+                address: "0x0000000000000000000000000000000000000c03",
+                status: "ready",
+                type: "v3",
+                token0: DAI,
+                fee: 500,
+                tickSpacing: 60,
+                sqrtPriceX96: PoolMath.Q96,
+                tick: 0,
+                liquidity: 0n,
+                bitmap: new Map([[-1, 0n], [0, 0n]]),
+                ticks: new Map()
+            });
+
+            PoolRegistry.handleLog(log(pool, events, "Mint", [someone, someone, -600, 600, liquidity, 0, 0]));
+
+            expect(pool.liquidity).to.equal(liquidity);
+            expect(pool.ticks.get(-600)).to.deep.equal({ liquidityGross: liquidity, liquidityNet: liquidity });
+            expect(pool.ticks.get(600)).to.deep.equal({ liquidityGross: liquidity, liquidityNet: -liquidity });
+            expect([...pool.bitmap.values()].every(word => word !== 0n)).to.equal(true);
+            expect(PoolRegistry.quote(pool, DAI, dai(1))).to.equal(swapWithinRange(pool, dai(1)));
+
+            const sqrtPriceX96 = PoolMath.getSqrtRatioAtTick(300);
+            PoolRegistry.handleLog(log(pool, events, "Swap", [someone, someone, -1000, 1000, sqrtPriceX96, liquidity, 300]));
+
+            expect([pool.sqrtPriceX96, pool.tick]).to.deep.equal([sqrtPriceX96, 300]);
+            const amountOut = PoolRegistry.quote(pool, DAI, dai(1));
+            expect(amountOut).to.equal(swapWithinRange(pool, dai(1)));
+            // Further up the curve a DAI buys more of token1 than it did at par
+            expect(amountOut > swapWithinRange({ ...pool, sqrtPriceX96: PoolMath.Q96 }, dai(1))).to.equal(true);
+
+            PoolRegistry.handleLog(log(pool, events, "Burn", [someone, -600, 600, liquidity, 0, 0]));
+
+            expect(pool.liquidity).to.equal(0n);
+            expect(pool.ticks.size).to.equal(0);
+            expect([...pool.bitmap.values()]).to.deep.equal([0n, 0n]);
+        });
+    });
+});
+
@@ -0,0 +1,351 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const RPCManager = require("../src/rpcManager");
+const TradeJournal = require("../src/storage");
+const PositionBook = require("../src/positionBook");
+
+describe("PositionBook", function () {
+    const WETH = "0x4200000000000000000000000000000000000006";
+    const cbETH = "0x2ae3f1ec7f1f5012cfeab0185bfc7aa3cf0dec22";
+    const wallet = "0x000000000000000000000000000000000000bEEF";
+    const pairKey = `${WETH}-${cbETH}`;
+
+    const erc20 = new ethers.Interface([
+        "function balanceOf(address owner) view returns (uint256)",
+        "function allowance(address owner, address spender) view returns (uint256)"
+    ]);
+    const transfer = new ethers.Interface(["event Transfer(address indexed from, address indexed to, uint256 value)"]);
+    // What the node knows of the legs' transactions: receipts and pending transactions by hash, the wallet's nonce
+    let chain;
+    const provider = {
+        call: async (tx) => {
+            const { name } = erc20.parseTransaction({ data: tx.data });
+            return erc20.encodeFunctionResult(name, [name === "allowance" ? ethers.MaxUint256 : ethers.parseEther("40")]);
+        },
+        getFeeData: async () => ({ gasPrice: 10000000n }),
+        getTransactionReceipt: async (hash) => chain.receipts[hash] || null,
+        getTransaction: async (hash) => chain.pending[hash] || null,
+        getTransactionCount: async () => chain.nonce
+    };
+
+    function receiptFor(hash, token, amountOut, status = 1) {
+        return {
+            hash,
+            status,
+            gasUsed: 100000n,
+            gasPrice: 1n,
+            logs: [{ address: token, ...transfer.encodeEventLog("Transfer", [ethers.ZeroAddress, wallet, amountOut]) }]
+        };
+    }
+
+    const prices = { [WETH]: 3000, [cbETH]: 3150 };
+    const tokenManager = {
+        getTokenDecimalsByAddress: () => 18,
+        getTokenPriceWithFallback: async (token) => prices[token]
+    };
+
+    // One cointegrated pair whose z-score the test moves by hand; the ratio is WETH/cbETH in price terms
+    function buildBook() {
+        const pair = { tokenA: WETH, tokenB: cbETH, cointegrated: true, halfLife: 4, halfLifeBlocks: 20 };
+        const engine = {
+            z: 0,
+            exitThreshold: 0.5,
+            pairs: new Map([[pairKey, pair]]),
+            getMonitoredPairs: async () => [pair],
+            calculateZScore: async () => ({ value: engine.z, mean: 0.95, ratio: 0.96 }),
+            getTradingSignal: async () => ({
+                signal: engine.z > 2 ? "SHORT_A_LONG_B" : engine.z < -2 ? "LONG_A_SHORT_B" :
+                    Math.abs(engine.z) < 0.5 ? "CLOSE_POSITION" : "HOLD",
+                zScore: engine.z,
+                ratio: 0.96,
+                mean: 0.95
+            })
+        };
+        // Quotes at the current USD prices, so the test drives PnL through prices alone
+        const aggregatorService = {
+            getBestRoute: async (fromToken, toToken, amount) => ({
+                aggregator: "odos",
+                gasEstimate: 150000,
+                transactionData: { to: "0x19cEeAd7105607Cd444F5ad10dd51356436095a1", data: "0x", value: 0 },
+                returnAmount: amount * BigInt(Math.round(prices[fromToken] * 1e6)) / BigInt(Math.round(prices[toToken] * 1e6))
+            })
+        };
+
+        const book = new PositionBook({
+            zScoreEngine: engine,
+            tokenManager,
+            aggregatorService,
+            profitCalculator: { calculateGasCostUSD: async () => 0.01 },
+            transactionBuilder: { wallet: { address: wallet } },
+            dryRun: true
+        });
+        return { book, engine };
+    }
+
+    // Live legs resolve only when the test settles them, with a receipt transferring amountOut to the wallet
+    function buildLiveBook() {
+        const { book, engine } = buildBook();
+        const legs = [];
+
+        book.dryRun = false;
+        book.transactionBuilder = {
+            wallet: { address: wallet },
+            buildWalletTransaction: async (call) => ({ txHash: `0x${legs.length}`, signedTx: "0x", txData: { ...call, nonce: legs.length } }),
+            sendTransaction: async () => ({})
+        };
+        book.txLifecycleMonitor = {
+            track: (txHash) => new Promise(resolve => legs.push({
+                settle: (token, amountOut) => resolve({ outcome: "confirmed", receipt: receiptFor(txHash, token, amountOut) }),
+                fail: () => resolve({ outcome: "dropped", receipt: null })
+            }))
+        };
+
+        return { book, engine, legs };
+    }
+
+    async function waitFor(condition) {
+        for (let i = 0; i < 100 && !condition(); i++) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        expect(condition()).to.equal(true);
+    }
+
+    before(function () {
+        RPCManager.pinProvider(provider);
+    });
+
+    beforeEach(function () {
+        chain = { receipts: {}, pending: {}, nonce: 0 };
+    });
+
+    afterEach(function () {
+        prices[WETH] = 3000;
+        prices[cbETH] = 3150;
+    });
+
+    after(function () {
+        RPCManager.unpinProvider();
+    });
+
+    it("Should open on an entry signal and hold until the spread reverts", async function () {
+        const { book, engine } = buildBook();
+
+        engine.z = 2.5;
+        await book.update(100);
+
+        const [position] = book.getOpenPositions();
+        expect(position).to.include({ pairKey, side: "SHORT_A_LONG_B", sellToken: WETH, buyToken: cbETH, openedBlock: 100 });
+        // 25% of the 40 WETH balance is worth $30000, so maxPositionUSD caps it
+        expect(position.amountIn).to.equal(ethers.parseEther("1.666666666667"));
+
+        engine.z = 1.2;
+        await book.update(101);
+        expect(book.getOpenPositions().length).to.equal(1);
+
+        prices[cbETH] = 3200;
+        engine.z = 0.3;
+        await book.update(102);
+
+        expect(book.getOpenPositions()).to.be.empty;
+        const summary = book.getSummary();
+        expect(summary.closed).to.equal(1);
+        expect(summary.exitsByReason).to.deep.equal({ reverted: 1 });
+        expect(summary.realizedPnLUSD).to.be.greaterThan(0);
+    });
+
+    it("Should stop out when the spread keeps widening and time out after the half-life budget", async function () {
+        const { book, engine } = buildBook();
+
+        engine.z = -2.5;
+        await book.update(200);
+        expect(book.getOpenPositions()[0].sellToken).to.equal(cbETH);
+
+        engine.z = -4.2;
+        await book.update(201);
+        expect(book.getSummary().exitsByReason).to.deep.equal({ stop_loss: 1 });
+        expect(book.getOpenPositions()).to.be.empty;
+
+        engine.z = 0.2;
+        await book.update(250);
+
+        engine.z = 2.5;
+        await book.update(300);
+        engine.z = 1.5;
+        await book.update(359);
+        expect(book.getOpenPositions().length).to.equal(1);
+
+        await book.update(360);
+        expect(book.getSummary().exitsByReason).to.deep.equal({ stop_loss: 1, max_holding: 1 });
+    });
+
+    it("Should keep sweeping while a live entry is pending and hold the pair's slot until it resolves", async function () {
+        const { book, engine, legs } = buildLiveBook();
+
+        engine.z = 2.5;
+        await book.update(500);
+        await waitFor(() => legs.length === 1);
+
+        const [position] = book.getOpenPositions();
+        expect(position).to.include({ status: "opening", heldAmount: 0n });
+        expect(position.pendingLeg).to.deep.equal({ txHash: "0x0", nonce: 0 });
+
+        // Neither entered again nor checked for an exit while the entry is out
+        await book.update(501);
+        expect(legs.length).to.equal(1);
+
+        legs[0].settle(cbETH, ethers.parseEther("1.58"));
+        await waitFor(() => position.status === "open");
+        expect(position).to.include({ heldAmount: ethers.parseEther("1.58"), entryTxHash: "0x0", pendingLeg: null });
+
+        // A failed entry gives the slot back
+        const other = buildLiveBook();
+        other.engine.z = 2.5;
+        await other.book.update(510);
+        await waitFor(() => other.legs.length === 1);
+        other.legs[0].fail();
+        await waitFor(() => other.book.getOpenPositions().length === 0);
+    });
+
+    it("Should keep sweeping while a live exit is pending and settle the position when it resolves", async function () {
+        const { book, engine, legs } = buildLiveBook();
+
+        engine.z = 2.5;
+        await book.update(500);
+        await waitFor(() => legs.length === 1);
+        legs[0].settle(cbETH, ethers.parseEther("1.58"));
+
+        const [position] = book.getOpenPositions();
+        await waitFor(() => position.status === "open");
+        expect(position.heldAmount).to.equal(ethers.parseEther("1.58"));
+
+        // The exit is sent but not resolved; the sweep returns and later sweeps don't send it again
+        engine.z = 0.3;
+        await book.update(501);
+        await waitFor(() => legs.length === 2);
+        expect(position).to.include({ status: "closing", exitReason: "reverted" });
+
+        await book.update(502);
+        expect(legs.length).to.equal(2);
+        expect(book.getSummary().closed).to.equal(0);
+
+        legs[1].settle(WETH, ethers.parseEther("1.7"));
+        await waitFor(() => book.getSummary().closed === 1);
+
+        expect(book.getOpenPositions()).to.be.empty;
+        expect(position).to.include({ status: "closed", amountOut: ethers.parseEther("1.7"), exitTxHash: "0x1" });
+        expect(position.realizedPnLUSD).to.be.greaterThan(0);
+    });
+
+    it("Should keep a stopped-out pair barred from re-entry across a restart", async function () {
+        TradeJournal.initialize("sqlite::memory:");
+        try {
+            const { book, engine } = buildBook();
+            engine.z = -2.5;
+            await book.update(400);
+            engine.z = -4.2;
+            await book.update(401);
+            expect(book.getSummary().exitsByReason).to.deep.equal({ stop_loss: 1 });
+
+            const restarted = buildBook();
+            restarted.book.start();
+            restarted.book.stop();
+
+            restarted.engine.z = -2.5;
+            await restarted.book.update(402);
+            expect(restarted.book.getOpenPositions()).to.be.empty;
+
+            // Back inside exitThreshold lifts the bar, in the journal as well
+            restarted.engine.z = 0.2;
+            await restarted.book.update(403);
+            expect(TradeJournal.getStoppedPairs(true)).to.be.empty;
+
+            restarted.engine.z = -2.5;
+            await restarted.book.update(404);
+            expect(restarted.book.getOpenPositions().length).to.equal(1);
+        } finally {
+            TradeJournal.close();
+        }
+    });
+
+    it("Should settle an exit left in flight by a restart from its receipt instead of sending it again", async function () {
+        TradeJournal.initialize("sqlite::memory:");
+        try {
+            const { book, engine, legs } = buildLiveBook();
+            engine.z = 2.5;
+            await book.update(600);
+            await waitFor(() => legs.length === 1);
+            legs[0].settle(cbETH, ethers.parseEther("1.58"));
+            await waitFor(() => book.getOpenPositions()[0].status === "open");
+
+            engine.z = 0.3;
+            await book.update(601);
+            await waitFor(() => legs.length === 2);
+
+            // Stopped with the exit still pending on the node
+            chain.pending["0x1"] = { hash: "0x1" };
+            const restarted = buildLiveBook();
+            restarted.book.start();
+            restarted.book.stop();
+            const [position] = restarted.book.getOpenPositions();
+            expect(position).to.include({ status: "closing", exitReason: "reverted" });
+            expect(position.pendingLeg).to.deep.equal({ txHash: "0x1", nonce: 1 });
+
+            restarted.engine.z = 0.3;
+            await restarted.book.update(602);
+            expect(position.status).to.equal("closing");
+
+            chain.receipts["0x1"] = receiptFor("0x1", WETH, ethers.parseEther("1.7"));
+            await restarted.book.update(603);
+
+            expect(restarted.legs).to.be.empty;
+            expect(position).to.include({ status: "closed", amountOut: ethers.parseEther("1.7"), closedBlock: 603 });
+            expect(TradeJournal.getOpenPositions()).to.be.empty;
+        } finally {
+            TradeJournal.close();
+        }
+    });
+
+    it("Should reopen a restored exit the node never got, but leave one whose nonce was used elsewhere", async function () {
+        TradeJournal.initialize("sqlite::memory:");
+        try {
+            const position = {
+                id: `${pairKey}-700`,
+                pairKey,
+                side: "SHORT_A_LONG_B",
+                sellToken: WETH,
+                buyToken: cbETH,
+                amountIn: "1000",
+                heldAmount: "950",
+                entryZ: 2.5,
+                status: "closing",
+                exitReason: "reverted",
+                pendingLeg: { txHash: "0x9", nonce: 4 },
+                dryRun: false,
+                openedBlock: 700,
+                openedAt: Date.now(),
+                gasCostUSD: 0
+            };
+
+            // The wallet's nonce moved past the exit's without it: a replacement we can't see the outcome of
+            chain.nonce = 5;
+            TradeJournal.recordPosition(position);
+            const replaced = buildLiveBook();
+            replaced.book.start();
+            replaced.book.stop();
+            await replaced.book.checkPosition(replaced.book.getOpenPositions()[0], 701);
+            expect(replaced.book.getOpenPositions()[0].status).to.equal("closing");
+
+            // Nonce still free and nothing pending: the exit never left, so it's safe to send again
+            chain.nonce = 4;
+            const dropped = buildLiveBook();
+            dropped.book.start();
+            dropped.book.stop();
+            const [restored] = dropped.book.getOpenPositions();
+            await dropped.book.checkPosition(restored, 702);
+            expect(restored).to.include({ status: "open", exitReason: null, pendingLeg: null });
+            expect(TradeJournal.getOpenPositions()[0].status).to.equal("open");
+        } finally {
+            TradeJournal.close();
+        }
+    });
+});
@@ -0,0 +1,130 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const config = require("../config/config.json");
+const RPCManager = require("../src/rpcManager");
+const PriceIngestion = require("../src/priceIngestion");
+
+describe("PriceIngestion", function () {
+    const TOKEN = "0x2ae3f1ec7f1f5012cfeab0185bfc7aa3cf0dec22";
+    const POOL = "0x0000000000000000000000000000000000000b01";
+    const Q96 = 1n << 96n;
+
+    const multicall = new ethers.Interface([
+        "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+    ]);
+    const factory = new ethers.Interface([
+        "function getPool(address tokenA, address tokenB, int24 tickSpacing) view returns (address pool)"
+    ]);
+    const pool = new ethers.Interface([
+        "function slot0() view returns (uint160 sqrtPriceX96, int24 tick)",
+        "function liquidity() view returns (uint128)"
+    ]);
+    const swapEvent = new ethers.Interface([
+        "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)"
+    ]);
+
+    // Pool price (sqrtPriceX96 / 2^96)^2 is 1 before block 105, 9 after the second swap in it, 16 from block 120
+    const swaps = [[105, 2n], [105, 3n], [120, 4n]];
+    let dataDir;
+    let requests;
+    // Block the pool was created in; the factory has no pool and the pool no state before it
+    let createdAt;
+    // The Slipstream factory only has the tick spacing 100 pool
+    const TICK_SPACING = 100;
+
+    function swapLog(blockNumber, index, root) {
+        const { topics, data } = swapEvent.encodeEventLog("Swap", [ethers.ZeroAddress, ethers.ZeroAddress, 1n, -1n, root * Q96, 10n ** 18n, 0]);
+        return { address: ethers.getAddress(POOL), blockNumber, index, topics, data };
+    }
+
+    const provider = {
+        getBlockNumber: async () => 140,
+        call: async (tx) => {
+            requests.calls.push(tx.blockTag);
+            const exists = tx.blockTag === "latest" || tx.blockTag >= createdAt;
+            const [calls] = multicall.decodeFunctionData("aggregate3", tx.data);
+            return multicall.encodeFunctionResult("aggregate3", [calls.map(({ target, callData }) => {
+                if (target.toLowerCase() === config.aerodromeCLFactoryAddress.toLowerCase()) {
+                    const [tokenA, tokenB, tickSpacing] = factory.decodeFunctionData("getPool", callData);
+                    const found = exists && tickSpacing === BigInt(TICK_SPACING) &&
+                        tokenA.toLowerCase() === TOKEN && tokenB.toLowerCase() === config.baseTokens[0].toLowerCase();
+                    return [true, factory.encodeFunctionResult("getPool", [found ? POOL : ethers.ZeroAddress])];
+                }
+                if (target.toLowerCase() !== POOL) return [false, "0x"];
+                const { name } = pool.parseTransaction({ data: callData });
+                const value = { slot0: [Q96, 0], liquidity: [10n ** 18n] }[name];
+                return exists ? [true, pool.encodeFunctionResult(name, value)] : [false, "0x"];
+            })]);
+        },
+        getLogs: async (filter) => {
+            requests.logs.push([filter.fromBlock, filter.toBlock]);
+            requests.topics.push(filter.topics);
+            return swaps
+                .filter(([blockNumber]) => blockNumber >= Math.max(filter.fromBlock, createdAt) && blockNumber <= filter.toBlock)
+                .map(([blockNumber, root], index) => swapLog(blockNumber, index, root));
+        }
+    };
+
+    before(function () {
+        RPCManager.pinProvider(provider);
+    });
+
+    beforeEach(function () {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "prices-"));
+        requests = { calls: [], logs: [], topics: [] };
+        createdAt = 0;
+    });
+
+    afterEach(function () {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    after(function () {
+        RPCManager.unpinProvider();
+    });
+
+    it("Should rebuild block prices from one seed read and the Swap logs of the range", async function () {
+        const ingestion = new PriceIngestion({ dataDir, logChunkBlocks: 20 });
+        await ingestion.sync([TOKEN], 100, 130);
+
+        expect(ingestion.getPrices(TOKEN, [99, 100, 104, 105, 119, 120, 130, 131])).to.deep.equal([1, 1, 1, 9, 9, 16, 16, null]);
+        // Pool lookup and slot0/liquidity both just before the range
+        expect(requests.calls).to.deep.equal([99, 99]);
+        expect(requests.logs).to.deep.equal([[100, 119], [120, 130]]);
+    });
+
+    it("Should pick up from disk after a restart and only fetch the blocks it missed", async function () {
+        await new PriceIngestion({ dataDir }).sync([TOKEN], 100, 130);
+        requests = { calls: [], logs: [], topics: [] };
+
+        const restarted = new PriceIngestion({ dataDir, reorgDepth: 5 });
+        await restarted.sync([TOKEN], 100, 130);
+        expect(requests.logs).to.be.empty;
+
+        await restarted.sync([TOKEN], 110, 140);
+        expect(requests.calls).to.be.empty;
+        expect(requests.logs).to.deep.equal([[126, 140]]);
+        expect(restarted.getPrices(TOKEN, [100, 110, 140])).to.deep.equal([1, 9, 16]);
+    });
+
+    it("Should start the series of a pool created inside the range at its creation price", async function () {
+        createdAt = 110;
+        const ingestion = new PriceIngestion({ dataDir });
+        await ingestion.sync([TOKEN], 100, 130);
+
+        expect(ingestion.series.get(TOKEN).created).to.deep.equal([110, 1]);
+        // Nothing before the pool existed, its initial price until the first swap, then the swaps
+        expect(ingestion.getPrices(TOKEN, [105, 109, 110, 119, 120])).to.deep.equal([null, null, 1, 1, 16]);
+    });
+
+    it("Should find the Slipstream pool by tick spacing and only fetch its Swap events", async function () {
+        const ingestion = new PriceIngestion({ dataDir });
+        await ingestion.sync([TOKEN], 100, 130);
+
+        expect(ingestion.series.get(TOKEN).pool).to.equal(POOL);
+        expect(requests.topics).to.deep.equal([[swapEvent.getEvent("Swap").topicHash]]);
+    });
+});
@@ -0,0 +1,275 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const RPCManager = require("../src/rpcManager");
+const AggregatorService = require("../src/aggregatorService");
+
+describe("RPCManager", function () {
+    let configuredNodes;
+
+    // Stand-in node whose provider reports its calls the way InstrumentedJsonRpcProvider does
+    function stubNode(id, latency, head) {
+        const node = {
+            id,
+            url: `http://node-${id}`,
+            endpoint: `node-${id}`,
+            isHealthy: true,
+            isLagging: false,
+            latencyEwma: null,
+            outcomes: [],
+            blockNumber: 0,
+            blockLag: 0,
+            disagreements: 0
+        };
+        node.provider = {
+            getBlockNumber: async () => {
+                RPCManager.recordRequest(node, "eth_blockNumber", latency, true);
+                return head;
+            }
+        };
+        return node;
+    }
+
+    beforeEach(function () {
+        configuredNodes = RPCManager.nodes;
+        RPCManager.highestBlock = 0;
+    });
+
+    afterEach(function () {
+        RPCManager.nodes = configuredNodes;
+        RPCManager.highestBlock = 0;
+    });
+
+    it("Should send critical calls to the best-scored node rather than the first configured one", async function () {
+        RPCManager.nodes = [stubNode(0, 400, 100), stubNode(1, 50, 100), stubNode(2, 120, 100)];
+
+        await RPCManager.checkBlockLag();
+        const { endpoint } = await RPCManager.getHealthyProvider("critical");
+
+        expect(endpoint).to.equal("node-1");
+        expect(RPCManager.getCriticalPool().map(node => node.endpoint)).to.deep.equal(["node-1", "node-2"]);
+    });
+
+    it("Should pass over a fast node that has fallen behind the head", async function () {
+        RPCManager.nodes = [stubNode(0, 400, 100), stubNode(1, 50, 90)];
+
+        await RPCManager.checkBlockLag();
+        const { endpoint } = await RPCManager.getHealthyProvider("broadcast");
+
+        expect(RPCManager.nodes[1].isLagging).to.equal(true);
+        expect(endpoint).to.equal("node-0");
+    });
+
+    it("Should not start a block poll while the previous one is still running", async function () {
+        const pollingIntervalMs = RPCManager.pollingIntervalMs;
+        const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+        const polls = { started: 0, running: 0, maxRunning: 0 };
+        RPCManager.pinProvider({
+            getBlockNumber: async () => {
+                polls.started++;
+                polls.maxRunning = Math.max(polls.maxRunning, ++polls.running);
+                // Several intervals' worth, like a backfill after an outage
+                await sleep(60);
+                polls.running--;
+                return 100;
+            }
+        });
+
+        try {
+            RPCManager.pollingIntervalMs = 10;
+            RPCManager.startPolling();
+            await sleep(150);
+        } finally {
+            RPCManager.stopPolling();
+            while (RPCManager.polling) await sleep(10);
+            RPCManager.pollingIntervalMs = pollingIntervalMs;
+            RPCManager.unpinProvider();
+        }
+
+        expect(polls.started).to.be.above(1);
+        expect(polls.maxRunning).to.equal(1);
+    });
+
+    it("Should return the majority answer and demote a node that keeps disagreeing", async function () {
+        const nodes = [stubNode(0, 50, 100), stubNode(1, 60, 100), stubNode(2, 70, 100)];
+        nodes.forEach(node => { node.blockNumber = 100; });
+        RPCManager.nodes = nodes;
+        const markUnhealthy = RPCManager.markUnhealthy;
+        const demoted = [];
+        RPCManager.markUnhealthy = (id) => demoted.push(id);
+
+        try {
+            const { maxDisagreements } = RPCManager.quorumSettings;
+            for (let round = 1; round <= maxDisagreements; round++) {
+                const blockTags = [];
+                const answer = await RPCManager.quorumCall(async (provider, blockTag) => {
+                    blockTags.push(blockTag);
+                    return provider === nodes[2].provider ? { reserve: 2n } : { reserve: 1n };
+                });
+
+                expect(answer).to.deep.equal({ reserve: 1n });
+                expect(blockTags).to.deep.equal([100, 100, 100]);
+                if (round < maxDisagreements) {
+                    expect(nodes[2].isLagging).to.equal(true);
+                    expect(nodes[2].disagreements).to.equal(round);
+                    // Caught up again by the next lag check, as far as the quorum is concerned
+                    nodes[2].isLagging = false;
+                }
+            }
+
+            expect(demoted).to.deep.equal([2]);
+            expect(nodes.map(node => node.disagreements)).to.deep.equal([0, 0, 0]);
+        } finally {
+            RPCManager.markUnhealthy = markUnhealthy;
+        }
+    });
+
+    it("Should fail a quorum read rather than pick an answer when too few nodes agree", async function () {
+        RPCManager.nodes = [stubNode(0, 50, 100), stubNode(1, 60, 100), stubNode(2, 70, 100)];
+
+        let call = 0;
+        let failure = null;
+        await RPCManager.quorumCall(async () => ++call).catch(error => (failure = error));
+
+        expect(failure.message).to.match(/Quorum not reached/);
+        expect(RPCManager.nodes.map(node => node.isLagging)).to.deep.equal([false, false, false]);
+    });
+
+    it("Should not count a node whose pool read failed part way as a disagreeing answer", async function () {
+        const factoryInterface = new ethers.Interface(["function getPool(address, address, uint24) view returns (address)"]);
+        const poolInterface = new ethers.Interface([
+            "function liquidity() view returns (uint128)",
+            "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)"
+        ]);
+        const factory = "0x00000000000000000000000000000000000fac70";
+        const pools = { 100: "0x0000000000000000000000000000000000000100", 500: "0x0000000000000000000000000000000000000500" };
+
+        // Both fee tiers have a pool; the flaky node drops the first tier's liquidity call and would fall through to the second
+        function chainCall(flaky) {
+            return async (tx) => {
+                if (tx.to.toLowerCase() === factory) {
+                    const [, , fee] = factoryInterface.decodeFunctionData("getPool", tx.data);
+                    return factoryInterface.encodeFunctionResult("getPool", [pools[fee]]);
+                }
+                const call = poolInterface.parseTransaction({ data: tx.data });
+                if (call.name === "liquidity") {
+                    if (flaky && tx.to === pools[100]) throw new Error("upstream timeout");
+                    return poolInterface.encodeFunctionResult("liquidity", [10n ** 18n]);
+                }
+                return poolInterface.encodeFunctionResult("slot0", [2n ** 96n, 0, 0, 1, 1, 0, true]);
+            };
+        }
+
+        const nodes = [stubNode(0, 50, 100), stubNode(1, 60, 100), stubNode(2, 70, 100)];
+        nodes.forEach((node, index) => {
+            node.blockNumber = 100;
+            node.provider.call = chainCall(index === 2);
+        });
+        RPCManager.nodes = nodes;
+
+        const aggregator = Object.assign(Object.create(AggregatorService.prototype), {
+            directDexes: { Test: { factory, factoryType: "v3", feeTiers: [100, 500] } }
+        });
+        const pool = await RPCManager.quorumCall((provider, blockTag) =>
+            aggregator.readBestPool("Test", pools[100], pools[500], provider, blockTag)
+        );
+
+        expect(pool.address).to.equal(pools[100]);
+        expect(nodes[2].isLagging).to.equal(false);
+        expect(nodes[2].disagreements).to.equal(0);
+    });
+
+    describe("Log subscriptions", function () {
+        const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+        let unsubscribes;
+        let blocks;
+        let onBlock;
+
+        beforeEach(function () {
+            unsubscribes = [];
+            blocks = [];
+            onBlock = (blockNumber) => blocks.push(blockNumber);
+            RPCManager.events.on("block", onBlock);
+        });
+
+        afterEach(function () {
+            unsubscribes.forEach(unsubscribe => unsubscribe());
+            RPCManager.events.off("block", onBlock);
+            RPCManager.unpinProvider();
+            RPCManager.lastBlockNumber = 0;
+        });
+
+        function subscribe(address) {
+            const received = [];
+            unsubscribes.push(RPCManager.onLogs({ address }, (log) => received.push(log.blockNumber)));
+            return received;
+        }
+
+        it("Should backfill each subscription in chunks and dispatch the block when one of them fails", async function () {
+            const pollingIntervalMs = RPCManager.pollingIntervalMs;
+            const ranges = { good: [], flaky: [] };
+            let failures = 1;
+            RPCManager.pinProvider({
+                getBlockNumber: async () => 5100,
+                getLogs: async ({ address, fromBlock, toBlock }) => {
+                    ranges[address].push([fromBlock, toBlock]);
+                    if (address === "flaky" && failures > 0) {
+                        failures--;
+                        throw new Error("query returned more than 10000 results");
+                    }
+                    return [{ blockNumber: toBlock }];
+                }
+            });
+            RPCManager.lastBlockNumber = 100;
+            const good = subscribe("good");
+            const flaky = subscribe("flaky");
+            const [, flakySubscription] = [...RPCManager.logSubscriptions.values()];
+
+            try {
+                RPCManager.pollingIntervalMs = 10;
+                RPCManager.startPolling();
+                for (let waited = 0; flakySubscription.lastBlock < 5100 && waited < 1000; waited += 10) {
+                    await sleep(10);
+                }
+            } finally {
+                RPCManager.stopPolling();
+                while (RPCManager.polling) await sleep(10);
+                RPCManager.pollingIntervalMs = pollingIntervalMs;
+            }
+
+            const chunks = [[101, 2100], [2101, 4100], [4101, 5100]];
+            expect(ranges.good).to.deep.equal(chunks);
+            expect(good).to.deep.equal([2100, 4100, 5100]);
+            // Retried from the start of the failed range on the next poll, and the block went out regardless
+            expect(ranges.flaky).to.deep.equal([[101, 2100], ...chunks]);
+            expect(flaky).to.deep.equal([2100, 4100, 5100]);
+            expect(blocks).to.deep.equal([5100]);
+        });
+
+        it("Should count a quiet WebSocket subscription as caught up with the blocks it has seen", async function () {
+            const requested = [];
+            RPCManager.pinProvider({
+                getLogs: async ({ fromBlock, toBlock }) => {
+                    requested.push([fromBlock, toBlock]);
+                    return [];
+                }
+            });
+            RPCManager.lastBlockNumber = 100;
+            subscribe("quiet");
+            const [subscription] = RPCManager.logSubscriptions.values();
+            // As subscribeLogsWs leaves it; no log ever arrives for this filter
+            subscription.wsListener = () => {};
+
+            for (let blockNumber = 101; blockNumber <= 150; blockNumber++) {
+                RPCManager.handleWsBlock(blockNumber);
+            }
+
+            expect(subscription.lastBlock).to.equal(149);
+            expect(blocks).to.have.lengthOf(50);
+
+            // After a drop, the backfill only covers what the feed didn't confirm
+            await RPCManager.backfillLogs(subscription, 152);
+            expect(requested).to.deep.equal([[150, 152]]);
+        });
+    });
+});
+
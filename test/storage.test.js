@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TradeJournal = require("../src/storage");
+const MetricsCollector = require("../src/metrics");
+
+describe("TradeJournal", function () {
+    const wallet = "0x000000000000000000000000000000000000bEEF";
+
+    const opportunity = (netProfitUSD) => ({
+        type: "triangular",
+        amount: 10n ** 18n,
+        netProfitUSD,
+        path: [{ fromToken: "0xa", toToken: "0xb", dex: "odos" }, { fromToken: "0xb", toToken: "0xa", dex: "Aerodrome" }]
+    });
+
+    const position = (id, status, overrides = {}) => ({
+        id,
+        pairKey: `${id}-pair`,
+        status,
+        heldAmount: 5n * 10n ** 17n,
+        dryRun: false,
+        openedAt: 1000,
+        ...overrides
+    });
+
+    afterEach(function () {
+        TradeJournal.close();
+    });
+
+    describe("Schema", function () {
+        let directory;
+
+        beforeEach(function () {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+        });
+
+        afterEach(function () {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it("Should create every table and keep what was written when the bot reopens the file", function () {
+            const databaseUrl = `sqlite:${path.join(directory, "nested", "bot.db")}`;
+            TradeJournal.initialize(databaseUrl);
+
+            const tables = TradeJournal.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").map(row => row.name);
+            expect(tables).to.deep.equal([
+                "alerts", "evaluations", "metric_snapshots", "nonces", "opportunities",
+                "positions", "profits", "receipts", "stopped_pairs", "transactions"
+            ]);
+
+            const id = TradeJournal.recordOpportunity(opportunity(4));
+            TradeJournal.recordTransaction({ journalId: id }, "0xabc", { nonce: 7n, gasLimit: 400000n });
+            TradeJournal.close();
+
+            // Reopening runs the schema again over the existing tables
+            TradeJournal.initialize(databaseUrl);
+            const [unresolved, ...others] = TradeJournal.getUnresolvedTransactions();
+            expect(others).to.be.empty;
+            expect(unresolved).to.include({ txHash: "0xabc", opportunityId: id, nonce: 7 });
+            expect(TradeJournal.query("SELECT amount FROM opportunities")).to.deep.equal([{ amount: "1000000000000000000" }]);
+        });
+
+        it("Should stay disabled for a database it can't open and ignore writes and reads", function () {
+            TradeJournal.initialize("postgres://localhost/bot");
+
+            expect(TradeJournal.enabled).to.equal(false);
+            expect(TradeJournal.recordOpportunity(opportunity(4))).to.equal(null);
+            expect(TradeJournal.getInFlightNonces(wallet)).to.deep.equal([]);
+            expect(TradeJournal.getTotals()).to.deep.equal({ executed: 0, totalProfitUSD: 0, totalGasCostUSD: 0 });
+        });
+    });
+
+    describe("In-flight nonces", function () {
+        beforeEach(function () {
+            TradeJournal.initialize("sqlite::memory:");
+        });
+
+        it("Should keep one row per wallet nonce, updated in place, until it is deleted", function () {
+            TradeJournal.recordNonce(wallet, { nonce: 12n, status: "reserved", txHashes: [], reservedAt: 1 });
+            TradeJournal.recordNonce(wallet, { nonce: 11n, status: "reserved", txHashes: [], reservedAt: 1 });
+            TradeJournal.recordNonce(wallet, { nonce: 12n, status: "submitted", txHashes: ["0x01", "0x02"], reservedAt: 1 });
+            TradeJournal.recordNonce("0x000000000000000000000000000000000000cafe", { nonce: 1n, status: "reserved", txHashes: [], reservedAt: 1 });
+
+            // Addresses are matched whatever their case
+            expect(TradeJournal.getInFlightNonces(wallet.toLowerCase())).to.deep.equal([
+                { nonce: 11, status: "reserved", txHashes: [], reservedAt: 1 },
+                { nonce: 12, status: "submitted", txHashes: ["0x01", "0x02"], reservedAt: 1 }
+            ]);
+
+            TradeJournal.deleteNonce(wallet, 11n);
+            expect(TradeJournal.getInFlightNonces(wallet).map(row => row.nonce)).to.deep.equal([12]);
+        });
+    });
+
+    describe("Positions", function () {
+        beforeEach(function () {
+            TradeJournal.initialize("sqlite::memory:");
+        });
+
+        it("Should reload positions that are open or have a leg in flight, separately for dry runs", function () {
+            TradeJournal.recordPosition(position("opening", "opening", { openedAt: 1 }));
+            TradeJournal.recordPosition(position("open", "open", { openedAt: 2 }));
+            TradeJournal.recordPosition(position("closing", "closing", { openedAt: 3 }));
+            TradeJournal.recordPosition(position("failed", "failed"));
+            TradeJournal.recordPosition(position("paper", "open", { dryRun: true }));
+            TradeJournal.recordPosition(position("closed", "open"));
+            TradeJournal.recordPosition(position("closed", "closed", { realizedPnLUSD: 3.5, closedAt: 2000 }));
+
+            const open = TradeJournal.getOpenPositions();
+            expect(open.map(entry => entry.id)).to.deep.equal(["opening", "open", "closing"]);
+            // Bigints come back as strings for the position book to revive
+            expect(open[1].heldAmount).to.equal("500000000000000000");
+            expect(TradeJournal.getOpenPositions(true).map(entry => entry.id)).to.deep.equal(["paper"]);
+            expect(TradeJournal.query("SELECT realized_pnl_usd AS pnl, closed_at AS closedAt FROM positions WHERE id = 'closed'")).to.deep.equal([
+                { pnl: 3.5, closedAt: 2000 }
+            ]);
+        });
+    });
+
+    describe("Restored totals", function () {
+        let collector;
+
+        beforeEach(function () {
+            TradeJournal.initialize("sqlite::memory:");
+            collector = new MetricsCollector();
+        });
+
+        afterEach(function () {
+            collector.cache.close();
+        });
+
+        it("Should seed lifetime totals from live profits without adding to this run's execution counter", async function () {
+            TradeJournal.recordProfit(opportunity(10), "0x01", 9, 1.5);
+            TradeJournal.recordProfit(opportunity(5), "0x02", -2, 0.5);
+            TradeJournal.recordProfit(opportunity(50), "0x03", 50, 1, true);
+
+            const totals = TradeJournal.getTotals();
+            expect(totals).to.deep.equal({ executed: 2, totalProfitUSD: 7, totalGasCostUSD: 2 });
+
+            collector.restoreTotals(totals);
+            collector.recordExecution(opportunity(3), { success: true });
+
+            expect(collector.getGaugeValue("opportunities_executed_lifetime")).to.equal(3);
+            expect(collector.getGaugeValue("total_profit_usd")).to.equal(10);
+            expect(collector.getMetricsSummary().opportunities).to.include({ executed: 1, lifetimeExecuted: 3 });
+
+            const executed = (await collector.registry.getSingleMetric("opportunities_executed_total").get()).values;
+            expect(executed.map(({ labels, value }) => ({ labels, value }))).to.deep.equal([
+                { labels: { success: "true", type: "triangular" }, value: 1 }
+            ]);
+        });
+    });
+});
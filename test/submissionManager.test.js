@@ -0,0 +1,208 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const SubmissionManager = require("../src/submissionManager");
+
+// Minimal JSON-RPC relay that records what it was sent and answers with `respond(request)`
+function startStubRelay(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => (body += chunk));
+        req.on("end", () => {
+            const request = { headers: req.headers, body: JSON.parse(body) };
+            requests.push(request);
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify({ jsonrpc: "2.0", id: request.body.id, ...respond(request) }));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, "127.0.0.1", () => {
+            resolve({ url: `http://127.0.0.1:${server.address().port}`, requests, server });
+        });
+    });
+}
+
+describe("SubmissionManager", function () {
+    const wallet = ethers.Wallet.createRandom();
+    let signedTx;
+    let relays = [];
+
+    before(async function () {
+        signedTx = await wallet.signTransaction({
+            to: wallet.address,
+            value: 0,
+            chainId: 8453,
+            nonce: 0,
+            gasLimit: 21000,
+            maxFeePerGas: 1000000000,
+            maxPriorityFeePerGas: 1000000,
+            type: 2
+        });
+    });
+
+    afterEach(function () {
+        relays.forEach(relay => relay.server.close());
+        relays = [];
+    });
+
+    // Stands in for the RPC node: records public broadcasts and serves receipts on demand
+    function stubProvider(manager, receipts = new Map()) {
+        const provider = {
+            broadcasts: [],
+            getBlockNumber: async () => 100,
+            broadcastTransaction: async (tx) => provider.broadcasts.push(tx),
+            getTransactionReceipt: async (hash) => receipts.get(hash) || null
+        };
+        manager.getProvider = async () => provider;
+        return provider;
+    }
+
+    it("Should send raw transactions to private RPC relays", async function () {
+        const relay = await startStubRelay(() => ({ result: "0x01" }));
+        relays.push(relay);
+
+        const manager = new SubmissionManager({
+            relays: [{ name: "protect", type: "rpc", url: relay.url }],
+            publicFallback: false
+        });
+        const provider = stubProvider(manager);
+
+        const result = await manager.submit(signedTx);
+
+        expect(result.hash).to.equal(ethers.keccak256(signedTx));
+        expect(result.relays).to.deep.equal(["protect"]);
+        expect(relay.requests.length).to.equal(1);
+        expect(relay.requests[0].body.method).to.equal("eth_sendRawTransaction");
+        expect(relay.requests[0].body.params).to.deep.equal([signedTx]);
+        expect(provider.broadcasts.length).to.equal(0);
+    });
+
+    it("Should send signed bundles for each target block", async function () {
+        const relay = await startStubRelay(() => ({ result: { bundleHash: "0xabc" } }));
+        relays.push(relay);
+
+        const authKey = ethers.Wallet.createRandom();
+        process.env.TEST_RELAY_AUTH_KEY = authKey.privateKey;
+
+        const manager = new SubmissionManager({
+            relays: [{ name: "builder", type: "bundle", url: relay.url, authKeyEnv: "TEST_RELAY_AUTH_KEY" }],
+            bundleBlocks: 2
+        });
+        stubProvider(manager);
+
+        await manager.submit(signedTx, { blockNumber: 100 });
+
+        const targets = relay.requests.map(request => request.body.params[0].blockNumber).sort();
+        expect(targets).to.deep.equal([ethers.toQuantity(101), ethers.toQuantity(102)]);
+        expect(relay.requests[0].body.method).to.equal("eth_sendBundle");
+        expect(relay.requests[0].body.params[0].txs).to.deep.equal([signedTx]);
+
+        const [signer, signature] = relay.requests[0].headers["x-flashbots-signature"].split(":");
+        const body = JSON.stringify(relay.requests[0].body);
+        expect(signer).to.equal(authKey.address);
+        expect(ethers.verifyMessage(ethers.id(body), signature)).to.equal(authKey.address);
+    });
+
+    it("Should only fall back to public broadcast when configured", async function () {
+        const relay = await startStubRelay(() => ({ error: { code: -32000, message: "relay overloaded" } }));
+        relays.push(relay);
+
+        const strict = new SubmissionManager({
+            relays: [{ name: "protect", type: "rpc", url: relay.url }],
+            publicFallback: false
+        });
+        const strictProvider = stubProvider(strict);
+
+        let error = null;
+        try {
+            await strict.submit(signedTx);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.not.be.null;
+        expect(error.message).to.contain("No relay accepted transaction");
+        expect(strictProvider.broadcasts.length).to.equal(0);
+        expect(strict.getStats().relays.protect.failed).to.equal(1);
+
+        const lenient = new SubmissionManager({
+            relays: [{ name: "protect", type: "rpc", url: relay.url }],
+            publicFallback: true
+        });
+        const lenientProvider = stubProvider(lenient);
+
+        const result = await lenient.submit(signedTx);
+        expect(result.relays).to.deep.equal(["public"]);
+        expect(lenientProvider.broadcasts).to.deep.equal([signedTx]);
+    });
+
+    it("Should track inclusion and re-target expired bundles per relay", async function () {
+        const rpcRelay = await startStubRelay(() => ({ result: "0x01" }));
+        const bundleRelay = await startStubRelay(() => ({ result: { bundleHash: "0xabc" } }));
+        relays.push(rpcRelay, bundleRelay);
+
+        const manager = new SubmissionManager({
+            relays: [
+                { name: "protect", type: "rpc", url: rpcRelay.url },
+                { name: "builder", type: "bundle", url: bundleRelay.url }
+            ],
+            bundleBlocks: 1,
+            maxBundleResubmits: 1
+        });
+        const receipts = new Map();
+        stubProvider(manager, receipts);
+
+        const { hash } = await manager.submit(signedTx, { blockNumber: 100 });
+        expect(bundleRelay.requests.length).to.equal(1);
+
+        // Target block 101 passed without inclusion: the bundle is re-sent for 103
+        await manager.checkInclusion(102);
+        expect(bundleRelay.requests.length).to.equal(2);
+        expect(bundleRelay.requests[1].body.params[0].blockNumber).to.equal(ethers.toQuantity(103));
+
+        receipts.set(hash, { blockNumber: 103, status: 1 });
+        await manager.checkInclusion(103);
+
+        const stats = manager.getStats();
+        expect(stats.pending).to.equal(0);
+        expect(stats.relays.protect.included).to.equal(1);
+        expect(stats.relays.builder.included).to.equal(1);
+        expect(stats.relays.builder.avgInclusionBlocks).to.equal(3);
+    });
+
+    it("Should go straight to the public mempool when no relays are configured", async function () {
+        const manager = new SubmissionManager({ relays: [], publicFallback: false });
+        const provider = stubProvider(manager);
+
+        const result = await manager.submit(signedTx);
+
+        expect(result.relays).to.deep.equal(["public"]);
+        expect(provider.broadcasts).to.deep.equal([signedTx]);
+        expect(manager.getStats().relays.public.submitted).to.equal(1);
+    });
+
+    it("Should skip a block check while the previous one is still running", async function () {
+        const bundleRelay = await startStubRelay(() => ({ result: { bundleHash: "0xabc" } }));
+        relays.push(bundleRelay);
+
+        const manager = new SubmissionManager({
+            relays: [{ name: "builder", type: "bundle", url: bundleRelay.url }],
+            bundleBlocks: 1,
+            maxBundleResubmits: 2
+        });
+        const provider = stubProvider(manager);
+        await manager.submit(signedTx, { blockNumber: 100 });
+
+        // Hold the receipt lookup so the first check is still in flight when the next block arrives
+        let release;
+        provider.getTransactionReceipt = () => new Promise(resolve => (release = () => resolve(null)));
+        const first = manager.checkInclusion(102);
+        await manager.checkInclusion(103);
+        release();
+        await first;
+
+        expect(bundleRelay.requests.length).to.equal(2);
+        expect(manager.checking).to.equal(false);
+    });
+});
@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const RPCManager = require("../src/rpcManager");
+const TokenManager = require("../src/TokenManager");
+const TokenAmount = require("../src/tokenAmount");
+
+describe("TokenAmount", function () {
+    const WETH = "0x4200000000000000000000000000000000000006";
+    const USDC = "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913";
+    const UNLISTED = "0x0000000000000000000000000000000000000d01";
+
+    const prices = { [WETH]: 3000, [USDC]: 1 };
+    let tokenManager;
+
+    beforeEach(function () {
+        tokenManager = new TokenManager();
+        tokenManager.getTokenPriceWithFallback = async (token) => prices[token.toLowerCase()] || null;
+    });
+
+    it("Should carry each token's own decimals through parsing and USD values", async function () {
+        const usdc = TokenAmount.parse(tokenManager, USDC, "2500.5");
+        expect(usdc.raw).to.equal(2500500000n);
+        expect(await usdc.toUSD(tokenManager)).to.equal(2500.5);
+
+        const weth = TokenAmount.from(tokenManager, WETH, ethers.parseEther("1.5"));
+        expect(weth.toUSDAt(3000)).to.equal(4500);
+        expect(weth.toJSON()).to.deep.equal({ token: WETH, raw: "1500000000000000000", decimals: 18 });
+
+        const fromUSD = await TokenAmount.fromUSD(tokenManager, USDC, 100);
+        expect(fromUSD.raw).to.equal(100000000n);
+        expect((await TokenAmount.fromUSD(tokenManager, WETH, 1500)).format()).to.equal("0.5");
+    });
+
+    it("Should refuse a token whose decimals it doesn't know instead of assuming 18", async function () {
+        prices[UNLISTED] = 1;
+
+        expect(tokenManager.getTokenDecimalsByAddress(UNLISTED)).to.equal(null);
+        expect(() => TokenAmount.from(tokenManager, UNLISTED, 1000n)).to.throw(`Unknown decimals for token ${UNLISTED}`);
+        expect(() => TokenAmount.parse(tokenManager, UNLISTED, "1")).to.throw("Unknown decimals");
+
+        let failure = null;
+        await TokenAmount.fromUSD(tokenManager, UNLISTED, 10).catch(error => (failure = error));
+        expect(failure.message).to.equal(`Unknown decimals for token ${UNLISTED}`);
+        delete prices[UNLISTED];
+    });
+
+    it("Should keep arithmetic within one token and report unknown prices as null", async function () {
+        const a = TokenAmount.from(tokenManager, USDC, 5000000n);
+        const b = TokenAmount.from(tokenManager, USDC, 7000000n);
+
+        expect(b.sub(a).raw).to.equal(2000000n);
+        expect(a.sub(b).isPositive()).to.equal(false);
+        expect(a.add(b).toNumber()).to.equal(12);
+        expect(() => a.add(TokenAmount.from(tokenManager, WETH, 1n))).to.throw("Token mismatch");
+
+        tokenManager.getTokenPriceWithFallback = async () => null;
+        expect(await a.toUSD(tokenManager)).to.equal(null);
+        expect(await TokenAmount.fromUSD(tokenManager, USDC, 10)).to.equal(null);
+        expect(TokenAmount.native(ethers.parseEther("0.01")).toUSDAt(3000)).to.equal(30);
+    });
+
+    it("Should read decimals the token lists leave out and drop tokens it can't read them for", async function () {
+        const erc20 = new ethers.Interface(["function decimals() view returns (uint8)"]);
+        const SIX = "0x0000000000000000000000000000000000000d06";
+        RPCManager.pinProvider({
+            call: async (tx) => {
+                if (tx.to.toLowerCase() !== SIX) throw ethers.makeError("execution reverted", "CALL_EXCEPTION", { data: "0x" });
+                return erc20.encodeFunctionResult("decimals", [6]);
+            }
+        });
+
+        try {
+            const resolved = await tokenManager.resolveDecimals([
+                { address: WETH, decimals: 18 },
+                { address: SIX, decimals: null },
+                { address: UNLISTED, decimals: null }
+            ]);
+
+            expect(resolved).to.deep.equal([{ address: WETH, decimals: 18 }, { address: SIX, decimals: 6 }]);
+            expect(tokenManager.validateToken({ address: UNLISTED, symbol: "X", decimals: null, liquidityUSD: 5000 })).to.equal(false);
+        } finally {
+            RPCManager.unpinProvider();
+        }
+    });
+});
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const PoolMath = require("../src/poolMath");
+const TradeSizer = require("../src/tradeSizer");
+
+describe("TradeSizer", function () {
+    const TOKEN = "0x4200000000000000000000000000000000000006";
+    const units = (amount) => ethers.parseUnits(String(amount), 18);
+
+    // A dollar a token, so the 5000 USD cap is 5000 tokens
+    const tokenManager = {
+        getTokenPriceWithFallback: async () => 1,
+        getTokenDecimalsByAddress: () => 18
+    };
+
+    function buildSizer(sources) {
+        const sizer = new TradeSizer(tokenManager, { quotePathSources: async () => sources });
+        sizer.maxTradeSizeUSD = 5000;
+        return sizer;
+    }
+
+    it("Should size against the premium of the lender that can fund each amount", async function () {
+        // Free up to 1000 tokens from Balancer, 9 bps from Aave beyond that; the path itself returns 5 bps
+        const sizer = buildSizer([
+            { provider: "aave", premiumBps: 9, available: units(1000000), reason: null },
+            { provider: "balancer", premiumBps: 0, available: units(1000), reason: null }
+        ]);
+        const quotePath = async (amountIn) => amountIn + amountIn * 5n / 10000n;
+
+        const sizing = await sizer.findOptimalSize(TOKEN, quotePath);
+
+        expect(sizing.maxAmount).to.equal(units(5000));
+        expect(sizing.amountIn <= units(1000)).to.equal(true);
+        expect(sizing.profit).to.equal(sizing.amountIn * 5n / 10000n);
+    });
+
+    it("Should not size a path no lender can fund", async function () {
+        const sizer = buildSizer([
+            { provider: "aave", premiumBps: 9, available: 0n, reason: "insufficient liquidity" }
+        ]);
+
+        expect(await sizer.findOptimalSize(TOKEN, async (amountIn) => amountIn * 2n)).to.equal(null);
+    });
+
+    it("Should land on the optimum of a round trip through two V2 pools", async function () {
+        const sizer = buildSizer([{ provider: "balancer", premiumBps: 0, available: units(1000000), reason: null }]);
+        sizer.maxTradeSizeUSD = 100;
+        // Sell WETH where it's worth 3100 USDC and buy it back at 3000, both pools at 0.3%
+        const quotePath = async (amountIn) => {
+            const usdc = PoolMath.getAmountOutV2(amountIn, units(1000), units(3100000), 3000);
+            return PoolMath.getAmountOutV2(usdc, units(3000000), units(1000), 3000);
+        };
+
+        // Ternary search on the concave profit for the true optimum
+        let low = 0n;
+        let high = units(100);
+        while (high - low > 2n) {
+            const left = low + (high - low) / 3n;
+            const right = high - (high - low) / 3n;
+            if (await quotePath(left) - left < await quotePath(right) - right) {
+                low = left;
+            } else {
+                high = right;
+            }
+        }
+        const optimalProfit = await quotePath(low) - low;
+
+        const sizing = await sizer.findOptimalSize(TOKEN, quotePath);
+
+        expect(sizing.samples).to.be.at.most(10);
+        expect(sizing.amountIn > units(6) && sizing.amountIn < units(7.5)).to.equal(true);
+        // Within 0.5% of the best profit for eight samples and two refinements
+        expect(sizing.profit * 1000n >= optimalProfit * 995n).to.equal(true);
+    });
+
+    it("Should cap the size at the lesser of the USD limit and the deepest lender", async function () {
+        // Profit grows with size, so the best sample is the cap itself
+        const quotePath = async (amountIn) => amountIn * 101n / 100n;
+
+        const usdCapped = buildSizer([{ provider: "aave", premiumBps: 5, available: units(1000000), reason: null }]);
+        const sizing = await usdCapped.findOptimalSize(TOKEN, quotePath);
+        expect(sizing).to.include({ maxAmount: units(5000), amountIn: units(5000) });
+
+        const lenderCapped = buildSizer([
+            { provider: "aave", premiumBps: 5, available: units(300), reason: null },
+            { provider: "balancer", premiumBps: 0, available: units(200), reason: null },
+            // Deeper than both, but it can't lend right now
+            { provider: "morpho", premiumBps: 0, available: units(900), reason: "flash loans disabled" }
+        ]);
+        const capped = await lenderCapped.findOptimalSize(TOKEN, quotePath);
+        expect(capped).to.include({ maxAmount: units(300), amountIn: units(300) });
+        expect(capped.profit).to.equal(units(3) - units(300) * 5n / 10000n);
+
+        // An explicit maxAmount overrides both
+        expect((await lenderCapped.findOptimalSize(TOKEN, quotePath, { maxAmount: units(40) })).amountIn).to.equal(units(40));
+    });
+
+    it("Should only take a parabola's vertex when it is a maximum between the outer points", function () {
+        const sizer = buildSizer([]);
+        const point = (amountIn, profit) => ({ amountIn: BigInt(amountIn), profit: BigInt(profit) });
+
+        // -(x - 70)^2 + 10000
+        const curve = (x) => point(x, 10000 - (x - 70) ** 2);
+        expect(sizer.parabolaVertex(curve(20), curve(50), curve(100))).to.equal(70n);
+
+        // A minimum, a straight line, and two points at the same amount
+        expect(sizer.parabolaVertex(point(20, 900), point(50, 0), point(100, 2500))).to.equal(null);
+        expect(sizer.parabolaVertex(point(20, 20), point(50, 50), point(100, 100))).to.equal(null);
+        expect(sizer.parabolaVertex(point(50, 10), point(50, 10), point(100, 5))).to.equal(null);
+
+        // A maximum, but past the right-hand point
+        const farCurve = (x) => point(x, 100000 - (x - 300) ** 2);
+        expect(sizer.parabolaVertex(farCurve(20), farCurve(50), farCurve(100))).to.equal(null);
+    });
+});
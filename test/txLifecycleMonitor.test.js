@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const RPCManager = require("../src/rpcManager");
+const TxLifecycleMonitor = require("../src/txLifecycleMonitor");
+
+describe("TxLifecycleMonitor", function () {
+    const address = "0x000000000000000000000000000000000000bEEF";
+
+    // Chain state the monitor polls: mined receipts by hash, transactions nodes still know, the nonce count
+    let chain;
+    const provider = {
+        getTransactionReceipt: async (hash) => {
+            chain.receiptLookups++;
+            return chain.receipts.get(hash) || null;
+        },
+        getTransactionCount: async () => {
+            // A receipt that lands between the receipt read and the nonce read
+            if (chain.mineOnNonceRead) {
+                chain.receipts.set(chain.mineOnNonceRead.hash, chain.mineOnNonceRead);
+            }
+            return chain.confirmedNonce;
+        },
+        getTransaction: async (hash) => (chain.known.has(hash) ? { hash } : null),
+        getBlock: async (blockNumber) => ({ number: blockNumber, timestamp: 1700000000 + blockNumber * 2 })
+    };
+
+    // Replacements are registered under the hash of their "signed" bytes, as TransactionBuilder does
+    function buildMonitor() {
+        const txData = { nonce: 5, gasLimit: 300000n, maxFeePerGas: 1000000000n, maxPriorityFeePerGas: 1000000n };
+        const builder = {
+            wallet: { address },
+            pendingTxs: new Map([["0xoriginal", { txData }]]),
+            speedUps: 0,
+            getReplacementFees: async (data) => ({
+                maxFeePerGas: data.maxFeePerGas * 2n,
+                maxPriorityFeePerGas: data.maxPriorityFeePerGas * 2n
+            }),
+            speedUpTransaction: async (hash) => {
+                const signedTx = ethers.hexlify(ethers.toUtf8Bytes(`speed-up-${++builder.speedUps}`));
+                builder.pendingTxs.set(ethers.keccak256(signedTx), { txData: { ...builder.pendingTxs.get(hash).txData } });
+                return signedTx;
+            },
+            clearPendingTransaction: (hash) => builder.pendingTxs.delete(hash)
+        };
+        const monitor = new TxLifecycleMonitor(builder, { calculateGasCostUSD: async () => 0.01 });
+        return { monitor, builder };
+    }
+
+    function receipt(hash, status = 1) {
+        return { hash, status, gasUsed: 150000n };
+    }
+
+    before(function () {
+        RPCManager.pinProvider(provider);
+    });
+
+    beforeEach(function () {
+        chain = { receipts: new Map(), known: new Set(["0xoriginal"]), confirmedNonce: 5, receiptLookups: 0, mineOnNonceRead: null };
+        RPCManager.lastBlockNumber = 100;
+    });
+
+    after(function () {
+        RPCManager.unpinProvider();
+    });
+
+    it("Should report a transaction included as confirmed", async function () {
+        const { monitor, builder } = buildMonitor();
+        const tracking = monitor.track("0xoriginal", { opportunity: {} });
+
+        await monitor.checkAll(101);
+        chain.receipts.set("0xoriginal", receipt("0xoriginal"));
+        chain.confirmedNonce = 6;
+        await monitor.checkAll(102);
+
+        const result = await tracking;
+        expect(result).to.include({ outcome: "confirmed", hash: "0xoriginal", bumps: 0, blocks: 2 });
+        expect(builder.pendingTxs.size).to.equal(0);
+        expect(monitor.tracked.size).to.equal(0);
+    });
+
+    it("Should report the nonce used by someone else's transaction as replaced", async function () {
+        const { monitor } = buildMonitor();
+        const tracking = monitor.track("0xoriginal", { opportunity: {} });
+
+        chain.confirmedNonce = 6;
+        await monitor.checkAll(101);
+
+        expect(await tracking).to.include({ outcome: "replaced", receipt: null });
+    });
+
+    it("Should look for a receipt again before calling a used nonce replaced", async function () {
+        const { monitor } = buildMonitor();
+        const tracking = monitor.track("0xoriginal", { opportunity: {} });
+
+        chain.confirmedNonce = 6;
+        chain.mineOnNonceRead = receipt("0xoriginal");
+        await monitor.checkAll(101);
+
+        const result = await tracking;
+        expect(result).to.include({ outcome: "confirmed", hash: "0xoriginal" });
+        expect(chain.receiptLookups).to.equal(2);
+    });
+
+    it("Should report a transaction no node knows any more as dropped", async function () {
+        const { monitor } = buildMonitor();
+        const tracking = monitor.track("0xoriginal", { opportunity: {}, checkProfitable: async () => true });
+        // Keeps the speed-up path out of the way so only the dropped check decides
+        monitor.settings.bumpAfterBlocks = 100;
+
+        chain.known.clear();
+        await monitor.checkAll(104);
+        expect(monitor.tracked.size).to.equal(1);
+
+        await monitor.checkAll(105);
+        expect(await tracking).to.include({ outcome: "dropped", blocks: 5 });
+    });
+
+    it("Should bump a transaction that isn't getting included and settle under the bumped hash", async function () {
+        const { monitor, builder } = buildMonitor();
+        const resubmitted = [];
+        monitor.on("resubmitted", (record, hash, txData, kind) => resubmitted.push({ hash, kind }));
+        const tracking = monitor.track("0xoriginal", { opportunity: {} });
+
+        await monitor.checkAll(101);
+        expect(builder.speedUps).to.equal(0);
+
+        await monitor.checkAll(102);
+        expect(builder.speedUps).to.equal(1);
+        expect(resubmitted.map(entry => entry.kind)).to.deep.equal(["speed_up"]);
+
+        const [{ hash: bumpedHash }] = resubmitted;
+        chain.known.add(bumpedHash);
+        chain.receipts.set(bumpedHash, receipt(bumpedHash));
+        chain.confirmedNonce = 6;
+        await monitor.checkAll(103);
+
+        const result = await tracking;
+        expect(result).to.include({ outcome: "confirmed", hash: bumpedHash, bumps: 1 });
+        expect(monitor.getStats().tracked).to.be.empty;
+    });
+
+    it("Should settle pending transactions as untracked when stopped", async function () {
+        const { monitor, builder } = buildMonitor();
+        const tracking = monitor.track("0xoriginal", { opportunity: {} });
+
+        RPCManager.lastBlockNumber = 103;
+        monitor.stop();
+
+        expect(await tracking).to.include({ outcome: "untracked", hash: "0xoriginal", blocks: 3 });
+        expect(monitor.tracked.size).to.equal(0);
+        // It may still mine, so nothing about it is forgotten
+        expect(builder.pendingTxs.has("0xoriginal")).to.equal(true);
+    });
+});